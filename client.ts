@@ -43,12 +43,26 @@ export class CanvasClient {
   private requestQueue: Array<() => Promise<any>> = [];
   private activeRequests: number = 0;
   private maxConcurrentRequests: number = 12;
-
-  constructor(token: string, domain: string, options?: { maxRetries?: number; retryDelay?: number; maxConcurrentRequests?: number }) {
-    this.baseURL = `https://${domain}/api/v1`;
+  private onUnauthorized?: () => Promise<string | null>;
+  private pendingTokenRefresh: Promise<string | null> | null = null;
+
+  constructor(
+    token: string,
+    domain: string,
+    options?: {
+      maxRetries?: number;
+      retryDelay?: number;
+      maxConcurrentRequests?: number;
+      // Called on a 401; resolve to a fresh access token to retry the request once, or null to give up
+      onUnauthorized?: () => Promise<string | null>;
+    }
+  ) {
+    // Domains may carry an explicit scheme (e.g. http://localhost:8080 for a local Canvas stand-in)
+    this.baseURL = /^https?:\/\//.test(domain) ? `${domain.replace(/\/+$/, '')}/api/v1` : `https://${domain}/api/v1`;
     this.maxRetries = options?.maxRetries ?? 3;
     this.retryDelay = options?.retryDelay ?? 1000;
     this.maxConcurrentRequests = options?.maxConcurrentRequests ?? 12;
+    this.onUnauthorized = options?.onUnauthorized;
 
     this.client = axios.create({
       baseURL: this.baseURL,
@@ -101,6 +115,16 @@ export class CanvasClient {
       async (error: AxiosError) => {
         const config = error.config as any;
 
+        // Refresh an expired OAuth access token once, then replay the request
+        if (error.response?.status === 401 && this.onUnauthorized && config && !config.__tokenRefreshed) {
+          const freshToken = await this.refreshAccessToken();
+          if (freshToken) {
+            config.__tokenRefreshed = true;
+            config.headers = { ...config.headers, Authorization: `Bearer ${freshToken}` };
+            return this.client.request(config);
+          }
+        }
+
         // Retry logic for specific errors
         if (this.shouldRetry(error) && config && config.__retryCount < this.maxRetries) {
           config.__retryCount = config.__retryCount || 0;
@@ -128,6 +152,30 @@ export class CanvasClient {
     );
   }
 
+  // Share one refresh between all requests that hit a 401 at the same time
+  private refreshAccessToken(): Promise<string | null> {
+    if (!this.pendingTokenRefresh) {
+      this.pendingTokenRefresh = this.onUnauthorized!()
+        .then(token => {
+          if (token) this.setAccessToken(token);
+          return token;
+        })
+        .catch(refreshError => {
+          console.error('[Canvas API] Token refresh failed:', refreshError);
+          return null;
+        })
+        .finally(() => {
+          this.pendingTokenRefresh = null;
+        });
+    }
+
+    return this.pendingTokenRefresh;
+  }
+
+  setAccessToken(token: string): void {
+    this.client.defaults.headers['Authorization'] = `Bearer ${token}`;
+  }
+
   private shouldRetry(error: AxiosError): boolean {
     if (!error.response) return true; // Network errors
 
@@ -553,10 +601,12 @@ export class CanvasClient {
   // ---------------------
   // GRADES (Enhanced)
   // ---------------------
-  async getCourseGrades(courseId: number): Promise<CanvasEnrollment[]> {
+  // Pass userId 'self' to get only the caller's own enrollment rather than the whole roster
+  async getCourseGrades(courseId: number, options: { userId?: number | 'self' } = {}): Promise<CanvasEnrollment[]> {
     const response = await this.client.get(`/courses/${courseId}/enrollments`, {
       params: {
-        include: ['grades', 'observed_users']
+        include: ['grades', 'observed_users'],
+        ...(options.userId !== undefined && { user_id: options.userId })
       }
     });
     return response.data;
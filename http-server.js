@@ -5,14 +5,25 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import { CanvasClient } from './build/client.js';
 import * as dotenv from 'dotenv';
-import fetch from 'node-fetch';
 import { OpenAIChatService, OpenAIRAGService } from './services/openai.js';
-import { supabase, SupabaseUserService, SupabaseConversationService } from './services/supabase.js';
-import { weaviateClient, WeaviateManagementService } from './services/weaviate.js';
+import { LLMService } from './services/llm/index.js';
+import { supabase, SupabaseUserService, SupabaseConversationService, SupabaseCanvasDataService, CANVAS_CHANGE_RETENTION_MS } from './services/supabase.js';
+import { weaviateClient, WeaviateManagementService, WeaviateSearchService, SearchRequestError, VECTORIZED_COLLECTIONS } from './services/weaviate.js';
+import { CanvasSessionService, requireCanvasSession } from './services/session.js';
+import { requireSupabaseAuth, optionalSupabaseAuth, authorizeUserId, requireAdmin } from './services/auth.js';
+import { CanvasOAuthService } from './services/canvas-oauth.js';
+import { createChatStream } from './services/chat-stream.js';
+import { JobService, JobWorker, JOB_TYPES, PermanentJobError } from './services/jobs.js';
+import { CanvasRefreshScheduler, FRESHNESS_POLICIES } from './services/scheduler.js';
+import { CanvasCollector, COLLECTOR_CONFIG } from './services/canvas-collector.js';
+import { DashboardPreferencesService, DashboardRequestError, DASHBOARD_COLLECTIONS, isDashboardCollection } from './services/dashboard.js';
+import { DocumentService } from './services/documents.js';
+import { ConversationMemoryService, MemoryRequestError } from './services/memory.js';
+import { ConversationService } from './services/conversation.js';
 import multer from 'multer';
 import fs from 'fs';
+import crypto from 'crypto';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -43,7 +54,9 @@ const corsOptions = {
         } else {
             callback(new Error('Not allowed by CORS'));
         }
-    }
+    },
+    // Canvas sessions are carried in a cookie
+    credentials: true
 };
 
 // Enable CORS with dynamic origin and pre-flight handling
@@ -52,101 +65,109 @@ app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 
-// In-memory storage for Canvas authentication
-let userToken = null;
-let userDomain = null;
-let canvasClient = null;
+// API routes that do not act on behalf of a Supabase user
+const PUBLIC_API_ROUTES = [
+    /^\/weaviate\/health$/,
+    /^\/files\/serve\/[^/]+$/ // Opened by embedded viewers; guarded by the Canvas session instead
+];
 
-// No local file caching - serve directly from Canvas
+// Every other /api route requires a verified Supabase access token
+app.use('/api', (req, res, next) => {
+    if (PUBLIC_API_ROUTES.some(route => route.test(req.path))) {
+        return next();
+    }
 
-// Performance configuration
-const PERFORMANCE_CONFIG = {
-    MAX_CONCURRENT_REQUESTS: 12,  // Optimal for most Canvas instances
-    COURSE_BATCH_SIZE: 10,        // Process 10 courses at a time
-    REQUEST_DELAY: 50,            // 50ms delay between batches
-    TIMEOUT_MS: 30000,            // 30 second timeout
-    MAX_COURSES: 15               // Limit total courses processed
-};
+    return requireSupabaseAuth(req, res, next);
+});
 
-// Performance monitoring
-let performanceMetrics = {
-    totalRequests: 0,
-    successfulRequests: 0,
-    failedRequests: 0,
-    averageResponseTime: 0,
-    lastResetTime: Date.now()
-};
+// No local file caching - serve directly from Canvas
 
-// Initialize Canvas client
-function initializeClient(token, domain) {
-    try {
-        canvasClient = new CanvasClient(token, domain);
-        userToken = token;
-        userDomain = domain;
-        return true;
-    } catch (error) {
-        console.error('Failed to initialize Canvas client:', error);
-        return false;
-    }
+// Whether a Canvas session may act for a user; sessions opened signed out belong to whoever holds them
+function ownsCanvasSession(session, userId) {
+    return !session.userId || session.userId === userId;
 }
 
-// Utility function for controlled concurrency
-async function processWithConcurrency(items, processor, maxConcurrency = PERFORMANCE_CONFIG.MAX_CONCURRENT_REQUESTS) {
-    const results = [];
-    const executing = [];
+// Resolve the caller's Canvas session, opening one when token and domain are supplied.
+// A session another account left in this browser is never used for the caller.
+async function resolveCanvasSession(req, res, token, domain) {
+    const userId = req.user?.id || null;
+    const current = CanvasSessionService.getRequestSession(req);
+    const existing = current && ownsCanvasSession(current, userId) ? current : null;
 
-    for (const item of items) {
-        const promise = processor(item).then(result => {
-            const index = executing.indexOf(promise);
-            if (index !== -1) executing.splice(index, 1);
-            return result;
-        });
+    if (!token || !domain || (existing && existing.token === token && existing.domain === domain)) {
+        return existing;
+    }
 
-        results.push(promise);
-        executing.push(promise);
+    const session = await CanvasSessionService.authenticate(token, domain);
+    if (!session) {
+        return null;
+    }
+    session.userId = userId;
 
-        if (executing.length >= maxConcurrency) {
-            await Promise.race(executing);
-        }
+    if (current) {
+        CanvasSessionService.destroySession(current.signedId);
     }
 
-    return Promise.allSettled(results);
+    CanvasSessionService.setSessionCookie(res, session);
+    return session;
 }
 
-// Enhanced batch processing with retries
-async function processBatchWithRetry(items, processor, batchSize = PERFORMANCE_CONFIG.COURSE_BATCH_SIZE) {
-    const batches = [];
-    for (let i = 0; i < items.length; i += batchSize) {
-        batches.push(items.slice(i, i + batchSize));
+// Canvas credentials saved for a user, usable outside a request (background jobs)
+async function loadStoredCanvasCredentials(userId) {
+    try {
+        const stored = await SupabaseUserService.getCanvasCredentials(userId);
+        if (stored?.canvas_token && stored?.canvas_domain) {
+            return {
+                token: stored.canvas_token,
+                refreshToken: stored.canvas_refresh_token,
+                domain: stored.canvas_domain
+            };
+        }
+    } catch (error) {
+        console.error('Failed to load stored Canvas credentials:', error.message);
     }
 
-    const allResults = [];
+    return null;
+}
 
-    for (const batch of batches) {
-        const startTime = Date.now();
+// Load a user's Canvas credentials from the token vault, falling back to the caller's session
+async function loadCanvasCredentials(req, userId) {
+    const stored = await loadStoredCanvasCredentials(userId);
+    if (stored) {
+        return stored;
+    }
 
-        try {
-            const batchResults = await processWithConcurrency(batch, processor);
-            allResults.push(...batchResults);
+    const session = CanvasSessionService.getRequestSession(req);
+    return session ? { token: session.token, refreshToken: session.refreshToken, domain: session.domain } : null;
+}
 
-            // Small delay between batches to be respectful to Canvas
-            if (batches.indexOf(batch) < batches.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, PERFORMANCE_CONFIG.REQUEST_DELAY));
-            }
+// Create a Canvas client for stored credentials, persisting refreshed OAuth tokens
+function createCanvasClientForUser(userId, credentials) {
+    return CanvasOAuthService.createClient(
+        credentials.domain,
+        credentials.token,
+        credentials.refreshToken,
+        tokens => {
+            // Keep credentials current for requests made outside the client (file downloads)
+            credentials.token = tokens.accessToken;
+            return SupabaseUserService.saveCanvasOAuthTokens(userId, credentials.domain, tokens);
+        }
+    );
+}
 
-            // Update performance metrics
-            const responseTime = Date.now() - startTime;
-            performanceMetrics.totalRequests += batch.length;
-            performanceMetrics.successfulRequests += batchResults.filter(r => r.status === 'fulfilled').length;
-            performanceMetrics.failedRequests += batchResults.filter(r => r.status === 'rejected').length;
+// Canvas client for live chat tools: the caller's own session, else their stored credentials
+async function resolveChatCanvasClient(req, userId) {
+    const session = CanvasSessionService.getRequestSession(req);
+    if (session && ownsCanvasSession(session, userId)) {
+        return { canvasClient: session.client, canvasDomain: session.domain };
+    }
 
-        } catch (error) {
-            console.error('Batch processing error:', error);
-            performanceMetrics.failedRequests += batch.length;
-        }
+    const credentials = await loadCanvasCredentials(req, userId);
+    if (!credentials) {
+        return { canvasClient: null, canvasDomain: null };
     }
 
-    return allResults;
+    return { canvasClient: createCanvasClientForUser(userId, credentials), canvasDomain: credentials.domain };
 }
 
 // Configure multer for temporary file storage
@@ -176,19 +197,22 @@ app.get('/', (req, res) => {
 
 // Performance metrics endpoint
 app.get('/api/performance', (req, res) => {
-    const uptime = Date.now() - performanceMetrics.lastResetTime;
+    const metrics = CanvasCollector.getMetrics();
+    const uptime = Date.now() - metrics.lastResetTime;
     res.json({
-        ...performanceMetrics,
+        ...metrics,
         uptime,
-        requestsPerSecond: performanceMetrics.totalRequests / (uptime / 1000),
-        successRate: performanceMetrics.totalRequests > 0
-            ? (performanceMetrics.successfulRequests / performanceMetrics.totalRequests * 100).toFixed(2) + '%'
-            : '0%'
+        requestsPerSecond: metrics.totalRequests / (uptime / 1000),
+        successRate: metrics.totalRequests > 0
+            ? (metrics.successfulRequests / metrics.totalRequests * 100).toFixed(2) + '%'
+            : '0%',
+        sessions: CanvasSessionService.getStats(),
+        llm: LLMService.describe()
     });
 });
 
 // Authentication endpoint
-app.post('/auth', async (req, res) => {
+app.post('/auth', optionalSupabaseAuth, async (req, res) => {
     const { token, domain } = req.body;
 
     if (!token || !domain) {
@@ -196,13 +220,28 @@ app.post('/auth', async (req, res) => {
     }
 
     try {
-        // Test the connection
-        const testClient = new CanvasClient(token, domain);
-        const health = await testClient.healthCheck();
+        // Test the connection and give this caller their own Canvas client
+        const session = await CanvasSessionService.authenticate(token, domain);
+
+        if (session) {
+            session.userId = req.user?.id || null;
+
+            // Keep the token in the vault so background syncs can act for this user
+            if (session.userId) {
+                try {
+                    await SupabaseUserService.saveCanvasCredentials(session.userId, token, domain);
+                } catch (vaultError) {
+                    console.error('Failed to store Canvas credentials:', vaultError.message);
+                }
+            }
+
+            const previous = CanvasSessionService.readSessionId(req);
+            if (previous) {
+                CanvasSessionService.destroySession(previous);
+            }
 
-        if (health.status === 'ok') {
-            initializeClient(token, domain);
-            res.json({ success: true, message: 'Authentication successful' });
+            CanvasSessionService.setSessionCookie(res, session);
+            res.json({ success: true, message: 'Authentication successful', sessionId: session.signedId });
         } else {
             res.status(401).json({ error: 'Invalid credentials' });
         }
@@ -211,34 +250,122 @@ app.post('/auth', async (req, res) => {
     }
 });
 
+// Start Canvas OAuth2 sign-in (redirects, or returns the URL as JSON for fetch callers)
+app.get('/auth/canvas/authorize', optionalSupabaseAuth, (req, res) => {
+    const { domain, format } = req.query;
+
+    if (!CanvasOAuthService.isConfigured()) {
+        return res.status(501).json({ error: 'Canvas OAuth2 is not configured on this server' });
+    }
+
+    if (!domain) {
+        return res.status(400).json({ error: 'Domain is required' });
+    }
+
+    if (!CanvasOAuthService.isAllowedDomain(domain)) {
+        return res.status(400).json({ error: 'This Canvas domain is not enabled for OAuth sign-in' });
+    }
+
+    const { url, state } = CanvasOAuthService.createAuthorizationUrl(domain, req.user?.id || null);
+    CanvasOAuthService.setStateCookie(res, state);
+
+    if (format === 'json') {
+        return res.json({ url });
+    }
+
+    res.redirect(url);
+});
+
+// Canvas OAuth2 callback - exchange the code and open a session
+app.get('/auth/canvas/callback', async (req, res) => {
+    const { code, state, error: oauthError } = req.query;
+    const successRedirect = process.env.CANVAS_OAUTH_SUCCESS_REDIRECT;
+
+    // The state is single use, whatever the outcome
+    CanvasOAuthService.clearStateCookie(res);
+
+    const fail = (status, reason) => {
+        if (successRedirect) {
+            return res.redirect(`${successRedirect}?canvas_auth=error&reason=${encodeURIComponent(reason)}`);
+        }
+        res.status(status).json({ error: reason });
+    };
+
+    const pending = CanvasOAuthService.consumeState(state, req);
+    if (!pending) {
+        return fail(400, 'Invalid or expired OAuth state');
+    }
+
+    if (oauthError || !code) {
+        return fail(401, `Canvas authorization denied: ${oauthError || 'missing code'}`);
+    }
+
+    try {
+        const { domain, userId } = pending;
+        const tokens = await CanvasOAuthService.exchangeCode(domain, code);
+
+        let session = null;
+        const client = CanvasOAuthService.createClient(domain, tokens.accessToken, tokens.refreshToken, async refreshed => {
+            if (session) session.token = refreshed.accessToken;
+            if (userId) await SupabaseUserService.saveCanvasOAuthTokens(userId, domain, refreshed);
+        });
+
+        session = CanvasSessionService.createSession(tokens.accessToken, domain, client);
+        session.refreshToken = tokens.refreshToken;
+        session.userId = userId;
+
+        if (userId) {
+            try {
+                await SupabaseUserService.saveCanvasOAuthTokens(userId, domain, tokens);
+            } catch (vaultError) {
+                console.error('Failed to store Canvas OAuth tokens:', vaultError.message);
+            }
+        }
+
+        const previous = CanvasSessionService.readSessionId(req);
+        if (previous) {
+            CanvasSessionService.destroySession(previous);
+        }
+
+        CanvasSessionService.setSessionCookie(res, session);
+        console.log('✅ Canvas OAuth2 sign-in completed for', tokens.canvasUser?.name || domain);
+
+        if (successRedirect) {
+            return res.redirect(`${successRedirect}?canvas_auth=success`);
+        }
+
+        res.json({ success: true, message: 'Authentication successful', sessionId: session.signedId });
+    } catch (error) {
+        console.error('Canvas OAuth2 callback failed:', error);
+        fail(401, 'Authentication failed: ' + error.message);
+    }
+});
+
 // Check authentication status
 app.get('/auth/status', (req, res) => {
+    const session = CanvasSessionService.getRequestSession(req);
+
     res.json({
-        authenticated: !!canvasClient,
-        domain: userDomain
+        authenticated: !!session,
+        domain: session ? session.domain : null
     });
 });
 
 // Simple file serving - directly from Canvas (no local caching)
-app.get('/api/files/serve/:fileId', async (req, res) => {
+app.get('/api/files/serve/:fileId', requireCanvasSession, async (req, res) => {
     try {
         const fileId = parseInt(req.params.fileId);
-        if (isNaN(fileId) || !canvasClient) {
-            return res.status(400).json({ error: 'Invalid file ID or not authenticated' });
+        if (isNaN(fileId)) {
+            return res.status(400).json({ error: 'Invalid file ID' });
         }
 
-        // Get file info from Canvas API
-        const fileInfo = await canvasClient.getFile(fileId);
-        if (!fileInfo || !fileInfo.url) {
+        const { client, token } = req.canvasSession;
+
+        // Get file info from Canvas API and fetch the file with authentication
+        const { fileInfo, response } = await DocumentService.fetchCanvasFile(client, token, fileId);
+        if (!response) {
             return res.status(404).json({ error: 'File not found' });
         }
-
-        // Fetch file from Canvas with authentication
-        const response = await fetch(fileInfo.url, {
-            headers: {
-                'Authorization': `Bearer ${userToken}`
-            }
-        });
         if (!response.ok) {
             return res.status(response.status).json({ error: 'Failed to fetch file from Canvas' });
         }
@@ -259,13 +386,9 @@ app.get('/api/files/serve/:fileId', async (req, res) => {
 });
 
 // Health check endpoint
-app.get('/api/health', async (req, res) => {
-    if (!canvasClient) {
-        return res.status(401).json({ error: 'Not authenticated' });
-    }
-
+app.get('/api/health', requireCanvasSession, async (req, res) => {
     try {
-        const health = await canvasClient.healthCheck();
+        const health = await req.canvasSession.client.healthCheck();
         res.json(health);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -273,13 +396,9 @@ app.get('/api/health', async (req, res) => {
 });
 
 // Get courses
-app.get('/api/courses', async (req, res) => {
-    if (!canvasClient) {
-        return res.status(401).json({ error: 'Not authenticated' });
-    }
-
+app.get('/api/courses', requireCanvasSession, async (req, res) => {
     try {
-        const courses = await canvasClient.listCourses();
+        const courses = await req.canvasSession.client.listCourses();
         res.json(courses);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -287,13 +406,9 @@ app.get('/api/courses', async (req, res) => {
 });
 
 // Get favorite courses (dashboard cards)
-app.get('/api/courses/favorites', async (req, res) => {
-    if (!canvasClient) {
-        return res.status(401).json({ error: 'Not authenticated' });
-    }
-
+app.get('/api/courses/favorites', requireCanvasSession, async (req, res) => {
     try {
-        const dashboardCards = await canvasClient.getDashboardCards();
+        const dashboardCards = await req.canvasSession.client.getDashboardCards();
 
         // Only return essential course information
         const courses = dashboardCards.map(card => ({
@@ -317,32 +432,26 @@ app.get('/api/profile', async (req, res) => {
     // Check if token and domain are provided for authentication
     const { token, domain } = req.query;
 
-    // If token and domain provided, try to authenticate first
-    if (token && domain && (!canvasClient || userToken !== token || userDomain !== domain)) {
-        try {
-            console.log('🔑 Auto-authenticating with Canvas for profile...');
-            const testClient = new CanvasClient(token, domain);
-            const health = await testClient.healthCheck();
-
-            if (health.status === 'ok') {
-                initializeClient(token, domain);
-                console.log('✅ Auto-authentication successful for profile');
-            } else {
-                return res.status(401).json({ error: 'Invalid Canvas credentials' });
-            }
-        } catch (error) {
-            console.error('Profile auto-authentication failed:', error);
-            return res.status(401).json({ error: 'Authentication failed: ' + error.message });
-        }
+    // If token and domain provided, authenticate this caller first
+    let session;
+    try {
+        session = await resolveCanvasSession(req, res, token, domain);
+    } catch (error) {
+        console.error('Profile auto-authentication failed:', error);
+        return res.status(401).json({ error: 'Authentication failed: ' + error.message });
     }
 
-    if (!canvasClient) {
-        return res.status(401).json({ error: 'Not authenticated. Please provide token and domain parameters.' });
+    if (!session) {
+        return res.status(401).json({
+            error: token && domain
+                ? 'Invalid Canvas credentials'
+                : 'Not authenticated. Please provide token and domain parameters.'
+        });
     }
 
     try {
         console.log('👤 Fetching Canvas user profile...');
-        const profile = await canvasClient.getUserProfile();
+        const profile = await session.client.getUserProfile();
 
         console.log('✅ Canvas profile fetched:', profile.name);
         res.json(profile);
@@ -355,63 +464,171 @@ app.get('/api/profile', async (req, res) => {
     }
 });
 
-// Get all dashboard data with optimized performance
-app.get('/api/dashboard', async (req, res) => {
-    // Check if token and domain are provided for auto-authentication
-    const { token, domain } = req.query;
+// Cached or freshly fetched Canvas data limited to the courses the user chose to see
+function selectDashboardCollections(data, preferences) {
+    const courses = DashboardPreferencesService.selectCourses(data.courses, preferences);
+    const courseIds = new Set(courses.map(course => String(course.id)));
+    const inSelectedCourse = item => courseIds.has(String(item.course_id));
+
+    return {
+        courses,
+        assignments: data.assignments.filter(inSelectedCourse),
+        announcements: data.announcements.filter(inSelectedCourse),
+        files: data.files.filter(inSelectedCourse)
+    };
+}
+
+// Shape Canvas data into the dashboard response: the first page of each
+// collection plus the cursor for the next one
+function buildDashboardPayload(data, preferences) {
+    const payload = { pagination: {} };
+
+    for (const [collection, items] of Object.entries(selectDashboardCollections(data, preferences))) {
+        const { items: page, page: pagination } = DashboardPreferencesService.paginate(collection, items, preferences);
+        payload[collection] = page;
+        payload.pagination[collection] = pagination;
+    }
+
+    return payload;
+}
 
-    // If token and domain provided, try to authenticate first
-    if (token && domain && (!canvasClient || userToken !== token || userDomain !== domain)) {
+// Data types in the cache that are past their freshness policy
+function staleCanvasDataTypes(syncStatus, now = Date.now()) {
+    return Object.entries(syncStatus.syncedByType)
+        .filter(([dataType, lastSynced]) => now - new Date(lastSynced).getTime() > FRESHNESS_POLICIES[dataType])
+        .map(([dataType]) => dataType);
+}
+
+// Describe the cache for a response, queueing a background sync when part of it is stale
+async function revalidateCanvasCache(userId, syncStatus) {
+    const staleTypes = staleCanvasDataTypes(syncStatus);
+    let refreshJobId = null;
+
+    if (staleTypes.length > 0 && await loadStoredCanvasCredentials(userId)) {
         try {
-            console.log('🔑 Auto-authenticating with Canvas...');
-            const testClient = new CanvasClient(token, domain);
-            const health = await testClient.healthCheck();
-
-            if (health.status === 'ok') {
-                initializeClient(token, domain);
-                console.log('✅ Auto-authentication successful');
-            } else {
-                return res.status(401).json({ error: 'Invalid Canvas credentials' });
-            }
+            const { job } = await JobService.enqueue(userId, JOB_TYPES.CANVAS_SYNC, { reason: 'stale_dashboard', staleTypes }, { dedupe: true });
+            refreshJobId = job.id;
         } catch (error) {
-            console.error('Auto-authentication failed:', error);
-            return res.status(401).json({ error: 'Authentication failed: ' + error.message });
+            console.error('Failed to queue dashboard refresh:', error.message);
         }
     }
 
-    if (!canvasClient) {
-        return res.status(401).json({ error: 'Not authenticated. Please provide token and domain parameters.' });
+    return { status: staleTypes.length > 0 ? 'stale' : 'fresh', staleTypes, refreshJobId };
+}
+
+// Strong validator for the dashboard content (not its timing or cache status)
+function dashboardETag(payload) {
+    return `"${crypto.createHash('sha256').update(JSON.stringify(payload)).digest('base64url')}"`;
+}
+
+// Whether an If-None-Match header already names this ETag
+function matchesETag(req, etag) {
+    const header = req.get('If-None-Match');
+    if (!header) return false;
+
+    return header.trim() === '*' || header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+// Send a dashboard payload, or 304 when the client's copy is current
+function sendDashboard(req, res, payload, extra) {
+    const etag = dashboardETag(payload);
+
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'private, no-cache');
+
+    if (matchesETag(req, etag)) {
+        return res.status(304).end();
+    }
+
+    return res.json({ ...payload, ...extra });
+}
+
+// Persist a live dashboard fetch so the next load (and the RAG pipeline) can use it
+async function saveCanvasSnapshot(userId, snapshot) {
+    if (!supabase) return null;
+
+    try {
+        const saved = await SupabaseCanvasDataService.saveCanvasSnapshot(userId, snapshot);
+        console.log(`💾 Cached Canvas data: ${saved.saved} rows saved, ${saved.pruned} pruned`);
+        return saved;
+    } catch (error) {
+        console.error('Failed to cache Canvas data:', error.message);
+        return null;
+    }
+}
+
+// Get all dashboard data: served from the canvas_data cache when present (refreshed
+// in the background once stale), otherwise fetched live from the caller's Canvas session
+app.get('/api/dashboard', async (req, res) => {
+    // Check if token and domain are provided for auto-authentication
+    const { token, domain } = req.query;
+
+    // If token and domain provided, authenticate this caller first
+    let session;
+    try {
+        session = await resolveCanvasSession(req, res, token, domain);
+    } catch (error) {
+        console.error('Auto-authentication failed:', error);
+        return res.status(401).json({ error: 'Authentication failed: ' + error.message });
+    }
+
+    if (token && domain && !session) {
+        return res.status(401).json({ error: 'Invalid Canvas credentials' });
     }
 
     try {
-        console.log('🚀 Starting optimized dashboard data fetch...');
+        const userId = req.user.id;
         const startTime = Date.now();
+        const preferences = await DashboardPreferencesService.getPreferences(userId);
+
+        // Stale-while-revalidate: answer from the cache, queue a sync if any of it is old.
+        // The cursor is read first so changes racing this request are re-sent, never skipped.
+        const cursor = supabase ? await SupabaseCanvasDataService.getLatestChange(userId) : null;
+        const cached = supabase ? await SupabaseCanvasDataService.getCanvasSnapshot(userId) : null;
+        if (cached) {
+            const cache = await revalidateCanvasCache(userId, cached);
+
+            console.log(`⚡ Dashboard served from cache in ${Date.now() - startTime}ms (${cache.staleTypes.length ? 'stale: ' + cache.staleTypes.join(', ') : 'fresh'})`);
+
+            return sendDashboard(req, res, buildDashboardPayload(cached, preferences), {
+                last_synced: cached.lastSynced,
+                cursor,
+                cache
+            });
+        }
+
+        if (!session) {
+            return res.status(401).json({ error: 'Not authenticated. Please provide token and domain parameters.' });
+        }
+
+        console.log('🚀 Starting optimized dashboard data fetch...');
+        const { client } = session;
 
         // Get dashboard cards first
-        const dashboardCards = await canvasClient.getDashboardCards();
+        const dashboardCards = await client.getDashboardCards();
         console.log(`📊 Dashboard cards: ${dashboardCards.length} courses in ${Date.now() - startTime}ms`);
 
-        // Limit to reasonable number of courses for performance
-        const limitedCards = dashboardCards.slice(0, PERFORMANCE_CONFIG.MAX_COURSES);
+        // Only the courses the user chose to see
+        const selectedCards = DashboardPreferencesService.selectCourses(dashboardCards, preferences);
 
-        // Fetch all data types in parallel
-        const [assignments, announcements, files] = await Promise.all([
-            getAllAssignmentsOptimized(limitedCards),
-            getAllAnnouncementsOptimized(limitedCards),
-            getAllFilesOptimized(limitedCards)
-        ]);
+        const { assignments, announcements, files, fetched, errors } = await CanvasCollector.collect(client, selectedCards);
 
         const totalTime = Date.now() - startTime;
         console.log(`✅ Dashboard fetch completed in ${totalTime}ms`);
 
-        res.json({
-            courses: limitedCards,
-            assignments: assignments.slice(0, 50), // Limit to 50 recent assignments
-            announcements: announcements.slice(0, 30), // Limit to 30 recent announcements
-            files: files.slice(0, 100), // Limit to 100 recent files
+        // Cache in the background; the response does not wait for Supabase.
+        // Its change log entries are stamped last_synced, which doubles as the cursor.
+        const lastSynced = new Date().toISOString();
+        saveCanvasSnapshot(userId, { courses: selectedCards, assignments, announcements, files, fetched, syncedAt: lastSynced });
+
+        sendDashboard(req, res, buildDashboardPayload({ courses: selectedCards, assignments, announcements, files }, preferences), {
+            last_synced: lastSynced,
+            cursor: supabase ? lastSynced : null,
+            cache: { status: 'miss', staleTypes: [], refreshJobId: null },
+            errors,
             performance: {
                 totalTime,
-                coursesProcessed: limitedCards.length,
+                coursesProcessed: selectedCards.length,
                 assignmentsCount: assignments.length,
                 announcementsCount: announcements.length,
                 filesCount: files.length
@@ -424,214 +641,134 @@ app.get('/api/dashboard', async (req, res) => {
     }
 });
 
-// Optimized assignments fetch
-async function getAllAssignmentsOptimized(dashboardCards) {
-    const startTime = Date.now();
+// Items created, updated or deleted since a cursor from /api/dashboard (or a previous call)
+app.get('/api/dashboard/changes', async (req, res) => {
+    const { since } = req.query;
 
-    if (dashboardCards.length === 0) {
-        return [];
+    if (typeof since !== 'string' || Number.isNaN(Date.parse(since))) {
+        return res.status(400).json({ error: 'since must be an ISO timestamp cursor' });
     }
 
-    try {
-        const assignmentProcessor = async (course) => {
-            try {
-                const assignments = await canvasClient.listAssignments(course.id);
-                if (Array.isArray(assignments)) {
-                    return assignments.map(assignment => ({
-                        ...assignment,
-                        course_id: course.id,
-                        course_name: course.shortName || course.originalName
-                    }));
-                }
-                return [];
-            } catch (error) {
-                console.error(`Error fetching assignments for course ${course.id}:`, error);
-                return [];
-            }
-        };
-
-        const results = await processBatchWithRetry(dashboardCards, assignmentProcessor);
-        const allAssignments = results
-            .filter(result => result.status === 'fulfilled')
-            .flatMap(result => result.value);
-
-        // Sort by due date (most urgent first)
-        allAssignments.sort((a, b) => {
-            const aDate = new Date(a.due_at || '9999-12-31');
-            const bDate = new Date(b.due_at || '9999-12-31');
-            return aDate - bDate;
-        });
-
-        console.log(`Assignments: ${allAssignments.length} items in ${Date.now() - startTime}ms`);
-        return allAssignments;
+    if (!supabase) {
+        return res.status(503).json({ error: 'Dashboard changes require Supabase' });
+    }
 
-    } catch (error) {
-        console.error('Failed to fetch assignments, using fallback method:', error);
+    // Tombstones past retention are gone; the client has to start over
+    if (Date.now() - Date.parse(since) > CANVAS_CHANGE_RETENTION_MS) {
+        return res.status(410).json({ error: 'Cursor expired. Reload /api/dashboard for a new one.' });
+    }
 
-        // Fallback: fetch fewer courses with simpler approach
-        const limitedCourses = dashboardCards.slice(0, 5);
-        const assignmentProcessor = async (course) => {
-            try {
-                const assignments = await canvasClient.listAssignments(course.id);
-                return Array.isArray(assignments) ? assignments.map(assignment => ({
-                    ...assignment,
-                    course_id: course.id,
-                    course_name: course.shortName || course.originalName
-                })) : [];
-            } catch (error) {
-                console.error(`Error fetching assignments for course ${course.id}:`, error);
-                return [];
-            }
-        };
+    try {
+        const userId = req.user.id;
+        const cursor = new Date(since).toISOString();
 
-        const results = await processBatchWithRetry(limitedCourses, assignmentProcessor);
-        const allAssignments = results
-            .filter(result => result.status === 'fulfilled')
-            .flatMap(result => result.value);
+        const [{ cursor: nextCursor, changes }, syncStatus] = await Promise.all([
+            SupabaseCanvasDataService.getChangesSince(userId, cursor),
+            SupabaseCanvasDataService.getSyncStatus(userId)
+        ]);
 
-        allAssignments.sort((a, b) => {
-            const aDate = new Date(a.due_at || '9999-12-31');
-            const bDate = new Date(b.due_at || '9999-12-31');
-            return aDate - bDate;
+        res.set('Cache-Control', 'private, no-cache');
+        res.json({
+            since: cursor,
+            cursor: nextCursor,
+            changes,
+            last_synced: syncStatus?.lastSynced || null,
+            cache: syncStatus ? await revalidateCanvasCache(userId, syncStatus) : { status: 'miss', staleTypes: [], refreshJobId: null }
         });
-
-        console.log(`Assignments (fallback): ${allAssignments.length} items in ${Date.now() - startTime}ms`);
-        return allAssignments;
+    } catch (error) {
+        console.error('Dashboard changes error:', error);
+        res.status(500).json({ error: 'Failed to fetch dashboard changes: ' + error.message });
     }
-}
+});
 
-async function getAllAnnouncementsOptimized(dashboardCards) {
-    const startTime = Date.now();
+// Dashboard preferences: course selection, page sizes and sort order
+app.get('/api/dashboard/preferences', async (req, res) => {
+    try {
+        const preferences = await DashboardPreferencesService.getPreferences(req.user.id);
+        res.json({ preferences, options: dashboardPreferenceOptions() });
+    } catch (error) {
+        console.error('Error fetching dashboard preferences:', error);
+        res.status(500).json({ error: 'Failed to fetch dashboard preferences: ' + error.message });
+    }
+});
 
-    if (dashboardCards.length === 0) {
-        return [];
+app.put('/api/dashboard/preferences', async (req, res) => {
+    if (!supabase) {
+        return res.status(503).json({ error: 'Dashboard preferences require Supabase' });
     }
 
     try {
-        const announcementProcessor = async (course) => {
-            try {
-                // Use the course-specific discussion_topics endpoint for announcements
-                const response = await canvasClient.client.get(`/courses/${course.id}/discussion_topics`, {
-                    params: {
-                        only_announcements: true,
-                        include: ['assignment']
-                    }
-                });
-
-                const announcements = response.data || [];
-                return announcements.map(announcement => ({
-                    ...announcement,
-                    course_id: course.id,
-                    course_name: course.shortName || course.originalName
-                }));
-            } catch (error) {
-                console.error(`Error fetching announcements for course ${course.id}:`, error);
-                return [];
-            }
-        };
-
-        const results = await processBatchWithRetry(dashboardCards, announcementProcessor);
-        const allAnnouncements = results
-            .filter(result => result.status === 'fulfilled')
-            .flatMap(result => result.value);
-
-        allAnnouncements.sort((a, b) => {
-            return new Date(b.posted_at || b.created_at) - new Date(a.posted_at || a.created_at);
-        });
-
-        console.log(`Announcements: ${allAnnouncements.length} items in ${Date.now() - startTime}ms`);
-        return allAnnouncements;
+        const userId = req.user.id;
+        const { preferences, coursesChanged } = await DashboardPreferencesService.savePreferences(userId, req.body || {});
+
+        // Newly included courses are not cached yet; fetch them in the background
+        let refreshJobId = null;
+        if (coursesChanged && await loadStoredCanvasCredentials(userId)) {
+            const { job } = await JobService.enqueue(userId, JOB_TYPES.CANVAS_SYNC, { reason: 'preferences_changed' }, { dedupe: true });
+            refreshJobId = job.id;
+        }
 
+        res.json({ success: true, preferences, refreshJobId });
     } catch (error) {
-        console.error('Failed to fetch announcements, using fallback method:', error);
-
-        // Fallback: fetch fewer courses
-        const limitedCourses = dashboardCards.slice(0, 5);
-        const announcementProcessor = async (course) => {
-            try {
-                const response = await canvasClient.client.get(`/courses/${course.id}/discussion_topics`, {
-                    params: {
-                        only_announcements: true,
-                        include: ['assignment']
-                    }
-                });
-
-                const announcements = response.data || [];
-                return announcements.map(announcement => ({
-                    ...announcement,
-                    course_id: course.id,
-                    course_name: course.shortName || course.originalName
-                }));
-            } catch (error) {
-                console.error(`Error fetching announcements for course ${course.id}:`, error);
-                return [];
-            }
-        };
+        if (error instanceof DashboardRequestError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error saving dashboard preferences:', error);
+        res.status(500).json({ error: 'Failed to save dashboard preferences: ' + error.message });
+    }
+});
 
-        const results = await processBatchWithRetry(limitedCourses, announcementProcessor);
-        const allAnnouncements = results
-            .filter(result => result.status === 'fulfilled')
-            .flatMap(result => result.value);
+// Sort options and page size defaults for the preferences UI
+function dashboardPreferenceOptions() {
+    return Object.fromEntries(Object.entries(DASHBOARD_COLLECTIONS).map(([collection, { defaultLimit, sorts }]) => [
+        collection,
+        { defaultLimit, sorts: Object.keys(sorts) }
+    ]));
+}
 
-        allAnnouncements.sort((a, b) => {
-            return new Date(b.posted_at || b.created_at) - new Date(a.posted_at || a.created_at);
-        });
+// Further pages of one dashboard collection, from the cache
+app.get('/api/dashboard/:collection', async (req, res) => {
+    const { collection } = req.params;
 
-        console.log(`Announcements (fallback): ${allAnnouncements.length} items in ${Date.now() - startTime}ms`);
-        return allAnnouncements;
+    if (!isDashboardCollection(collection)) {
+        return res.status(404).json({ error: `Unknown dashboard collection: ${collection}` });
     }
-}
 
-async function getAllFilesOptimized(dashboardCards) {
-    const startTime = Date.now();
-
-    // Limit files to fewer courses since they're often large and less critical
-    const limitedCourses = dashboardCards.slice(0, Math.min(8, dashboardCards.length));
+    try {
+        const userId = req.user.id;
+        const [preferences, cached] = await Promise.all([
+            DashboardPreferencesService.getPreferences(userId),
+            supabase ? SupabaseCanvasDataService.getCanvasSnapshot(userId) : null
+        ]);
 
-    const fileProcessor = async (course) => {
-        try {
-            const files = await canvasClient.listFiles(course.id);
-            if (Array.isArray(files)) {
-                // Return files with course info but without downloading them
-                return files.map(file => ({
-                    ...file,
-                    course_id: course.id,
-                    course_name: course.shortName || course.originalName
-                }));
-            }
-            return [];
-        } catch (error) {
-            console.error(`Error fetching files for course ${course.id}:`, error);
-            return [];
+        if (!cached) {
+            return res.status(404).json({ error: 'Dashboard data is not cached yet. Load /api/dashboard first.' });
         }
-    };
 
-    const results = await processBatchWithRetry(limitedCourses, fileProcessor);
-    const allFiles = results
-        .filter(result => result.status === 'fulfilled')
-        .flatMap(result => result.value);
-
-    allFiles.sort((a, b) => {
-        return new Date(b.updated_at || b.created_at) - new Date(a.updated_at || a.created_at);
-    });
+        const items = selectDashboardCollections(cached, preferences)[collection];
+        const { items: page, page: pagination } = DashboardPreferencesService.paginate(collection, items, preferences, {
+            cursor: req.query.cursor,
+            limit: req.query.limit
+        });
 
-    console.log(`Files: ${allFiles.length} items in ${Date.now() - startTime}ms (${limitedCourses.length} courses)`);
-    return allFiles;
-}
+        res.json({ [collection]: page, pagination, last_synced: cached.lastSynced });
+    } catch (error) {
+        if (error instanceof DashboardRequestError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error(`Error fetching dashboard ${collection}:`, error);
+        res.status(500).json({ error: `Failed to fetch dashboard ${collection}: ` + error.message });
+    }
+});
 
 // Logout
 app.post('/logout', (req, res) => {
-    canvasClient = null;
-    userToken = null;
-    userDomain = null;
-    // Reset performance metrics
-    performanceMetrics = {
-        totalRequests: 0,
-        successfulRequests: 0,
-        failedRequests: 0,
-        averageResponseTime: 0,
-        lastResetTime: Date.now()
-    };
+    const signedId = CanvasSessionService.readSessionId(req);
+    if (signedId) {
+        CanvasSessionService.destroySession(signedId);
+    }
+
+    CanvasSessionService.clearSessionCookie(res);
     res.json({ success: true, message: 'Logged out successfully' });
 });
 
@@ -645,12 +782,23 @@ app.get('/test-pdf.html', (req, res) => {
 });
 
 // Enhanced chat endpoint with Gemini query processing and Supabase history
+// Streams SSE events for `Accept: text/event-stream` clients, plain text otherwise (see chat-sse-protocol.md)
 app.post('/api/chat', async (req, res) => {
+    const output = createChatStream(req, res);
+
     try {
-        const { message, userId, courseId, conversationId } = req.body;
+        const { message, courseId, conversationId } = req.body;
+
+        const userId = authorizeUserId(req, res, req.body.userId);
+        if (!userId) return;
 
-        if (!message || !userId) {
-            return res.status(400).json({ error: 'Message and userId are required' });
+        if (!message) {
+            return res.status(400).json({ error: 'Message is required' });
+        }
+
+        // Messages are saved with the service role, so a named conversation must be the caller's own
+        if (conversationId && !await ConversationService.getConversation(conversationId, userId)) {
+            return res.status(404).json({ error: 'Conversation not found' });
         }
 
         console.log('💬 Enhanced chat request from user', userId, ':', message);
@@ -658,141 +806,156 @@ app.post('/api/chat', async (req, res) => {
         // PHASE 4: Use enhanced RAG pipeline with Gemini + Supabase
         console.log('🚀 Starting enhanced RAG pipeline...');
 
+        // A Canvas client lets the model query live Canvas data, and its domain lets citations link back
+        const { canvasClient, canvasDomain } = await resolveChatCanvasClient(req, userId);
+
+        let result;
         try {
             // Use the enhanced OpenAI RAG service with Gemini and Supabase integration
-            const result = await OpenAIRAGService.handleChatMessage(
+            result = await OpenAIRAGService.handleChatMessage(
                 userId,
                 message,
                 courseId,
                 weaviateClient,
                 supabase,
-                conversationId
+                conversationId,
+                { canvasDomain, canvasClient, onToolStatus: status => output.tool(status) }
             );
+        } catch (ragError) {
+            console.error('Enhanced RAG pipeline error, using fallback:', ragError);
+            result = await startFallbackChat(userId, message, courseId, conversationId, ragError);
+        }
 
-            const { stream, conversationId: newConversationId, queryParams, searchSummary } = result;
-
-            // Set headers for streaming
-            res.setHeader('Content-Type', 'text/plain');
-            res.setHeader('Cache-Control', 'no-cache');
-            res.setHeader('Connection', 'keep-alive');
+        const { stream, completion, conversationId: newConversationId, queryParams, searchSummary, sources } = result;
 
-            let fullResponse = '';
+        output.meta({ conversationId: newConversationId, searchSummary, queryParams });
+        output.sources(sources || []);
 
-            // Stream the response
+        // Keep draining the model stream if the client leaves so the full reply is still saved
+        let streamError = null;
+        try {
             for await (const chunk of stream) {
                 const content = chunk.choices[0]?.delta?.content;
                 if (content) {
-                    fullResponse += content;
-                    res.write(content);
-                }
-            }
-
-            // Save assistant response to Supabase conversation
-            if (fullResponse && newConversationId) {
-                try {
-                    const { ConversationService } = await import('./services/conversation.js');
-                    await ConversationService.addMessage(newConversationId, fullResponse, 'assistant', {
-                        queryParams: queryParams,
-                        searchSummary: searchSummary,
-                        responseLength: fullResponse.length
-                    });
-
-                    // Vectorize this conversation for future context
-                    try {
-                        const { WeaviateChatService } = await import('./services/weaviate.js');
-                        await WeaviateChatService.vectorizeConversation(
-                            userId,
-                            newConversationId,
-                            [
-                                { role: 'user', content: message },
-                                { role: 'assistant', content: fullResponse }
-                            ],
-                            courseId
-                        );
-                        console.log('✅ Vectorized conversation for future context');
-                    } catch (vectorError) {
-                        console.error('Error vectorizing conversation:', vectorError);
-                        // Don't fail the request if vectorization fails
-                    }
-                } catch (saveError) {
-                    console.error('Error saving assistant response:', saveError);
+                    output.delta(content);
                 }
             }
+        } catch (error) {
+            console.error('Chat stream interrupted:', error);
+            streamError = error;
+        }
 
-            res.end();
-
-        } catch (ragError) {
-            console.error('Enhanced RAG pipeline error, using fallback:', ragError);
-
-            // Enhanced fallback with basic conversation tracking
-            try {
-                const { ConversationService } = await import('./services/conversation.js');
-                const fallbackTitle = ConversationService.generateTitle(message);
-                const fallbackConversation = conversationId
-                    ? { id: conversationId }
-                    : await ConversationService.getOrCreateConversation(userId, fallbackTitle, courseId);
-
-                await ConversationService.addMessage(fallbackConversation.id, message, 'user', {
-                    fallback: true,
-                    error: ragError.message
-                });
-
-                const fallbackMessages = [
-                    {
-                        role: 'system',
-                        content: 'You are Claryfy, a helpful AI assistant for Canvas LMS. Provide helpful responses about coursework and assignments.'
-                    },
-                    {
-                        role: 'user',
-                        content: message
-                    }
-                ];
-
-                const fallbackStream = await OpenAIChatService.generateStreamingChatResponse(fallbackMessages, {
-                    stream: true
-                });
+        // The assistant reply was saved by the RAG service once the stream ended
+        const saved = await completion;
 
-                // Set headers for streaming
-                res.setHeader('Content-Type', 'text/plain');
-                res.setHeader('Cache-Control', 'no-cache');
-                res.setHeader('Connection', 'keep-alive');
+        if (streamError) {
+            output.error('The response was interrupted: ' + streamError.message);
+        }
 
-                let fallbackResponse = '';
+        if (saved.citations?.length) {
+            output.citations(saved.citations);
+        }
 
-                // Stream the fallback response
-                for await (const chunk of fallbackStream) {
-                    const content = chunk.choices[0]?.delta?.content;
-                    if (content) {
-                        fallbackResponse += content;
-                        res.write(content);
-                    }
-                }
+        if (saved.usage) {
+            output.usage({ ...saved.usage, latencyMs: saved.latencyMs, model: saved.model });
+        }
 
-                // Save fallback response
-                if (fallbackResponse) {
-                    await ConversationService.addMessage(fallbackConversation.id, fallbackResponse, 'assistant', {
-                        fallback: true
-                    });
-                }
+        output.done({
+            conversationId: newConversationId,
+            messageId: saved.messageId,
+            finishReason: saved.finishReason
+        });
 
-                res.end();
+        // Fold older turns into the conversation summary once enough have built up (never throws)
+        if (saved.content) {
+            await ConversationMemoryService.scheduleSummary(userId, newConversationId);
+        }
 
-            } catch (fallbackError) {
-                console.error('Both enhanced and fallback chat failed:', fallbackError);
-                res.status(500).json({ error: 'All chat methods failed: ' + fallbackError.message });
+        // Vectorize this conversation for future context
+        if (saved.content && newConversationId) {
+            try {
+                const { WeaviateChatService } = await import('./services/weaviate.js');
+                await WeaviateChatService.vectorizeConversation(
+                    userId,
+                    newConversationId,
+                    [
+                        { role: 'user', content: message },
+                        { role: 'assistant', content: saved.content }
+                    ],
+                    courseId
+                );
+                console.log('✅ Vectorized conversation for future context');
+            } catch (vectorError) {
+                console.error('Error vectorizing conversation:', vectorError);
+                // Don't fail the request if vectorization fails
             }
         }
 
     } catch (error) {
         console.error('Chat error:', error);
-        res.status(500).json({ error: 'Failed to process chat message: ' + error.message });
+
+        if (!output.started) {
+            return res.status(500).json({ error: 'Failed to process chat message: ' + error.message });
+        }
+
+        output.error('Failed to process chat message: ' + error.message);
+        output.done({ conversationId: null, messageId: null, finishReason: null });
     }
 });
 
+// Plain OpenAI chat with basic conversation tracking, used when the RAG pipeline fails
+async function startFallbackChat(userId, message, courseId, conversationId, ragError) {
+    // Continue in the conversation the pipeline started, and only save the question if it did not
+    const startedConversationId = ragError.conversationId || conversationId;
+    const fallbackTitle = ConversationService.generateTitle(message);
+    const fallbackConversation = startedConversationId
+        ? { id: startedConversationId }
+        : await ConversationService.getOrCreateConversation(userId, fallbackTitle, courseId);
+
+    if (!ragError.userMessageSaved) {
+        await ConversationService.addMessage(fallbackConversation.id, message, 'user', {
+            fallback: true,
+            error: ragError.message
+        });
+    }
+
+    const fallbackMessages = [
+        {
+            role: 'system',
+            content: 'You are Claryfy, a helpful AI assistant for Canvas LMS. Provide helpful responses about coursework and assignments.'
+        },
+        {
+            role: 'user',
+            content: message
+        }
+    ];
+
+    const fallbackStream = await OpenAIChatService.generateStreamingChatResponse(fallbackMessages, {
+        stream: true,
+        stream_options: { include_usage: true }
+    });
+
+    // Saves the fallback reply once the stream has been drained
+    const { stream, completion } = OpenAIRAGService.captureAssistantResponse(fallbackConversation.id, fallbackStream, {
+        fallback: true
+    });
+
+    return {
+        stream,
+        completion,
+        conversationId: fallbackConversation.id,
+        queryParams: null,
+        searchSummary: 'Fallback response',
+        sources: []
+    };
+}
+
 // Get chat history
 app.get('/api/chat/history/:userId', async (req, res) => {
     try {
-        const { userId } = req.params;
+        const userId = authorizeUserId(req, res, req.params.userId);
+        if (!userId) return;
+
         const { courseId } = req.query;
 
         const conversations = await SupabaseConversationService.getUserConversations(userId, courseId);
@@ -808,11 +971,9 @@ app.get('/api/chat/history/:userId', async (req, res) => {
 app.get('/api/chat/conversation/:conversationId', async (req, res) => {
     try {
         const { conversationId } = req.params;
-        const { userId } = req.query; // Get userId from query params
 
-        if (!userId) {
-            return res.status(400).json({ error: 'userId is required' });
-        }
+        const userId = authorizeUserId(req, res, req.query.userId);
+        if (!userId) return;
 
         const messages = await SupabaseConversationService.getConversationMessages(conversationId, userId);
 
@@ -823,13 +984,59 @@ app.get('/api/chat/conversation/:conversationId', async (req, res) => {
     }
 });
 
+// Get the rolling summary of a conversation's older turns
+app.get('/api/chat/conversation/:conversationId/summary', async (req, res) => {
+    try {
+        const userId = authorizeUserId(req, res, req.query.userId);
+        if (!userId) return;
+
+        const summary = await ConversationMemoryService.getSummary(req.params.conversationId, userId);
+        if (!summary) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        res.json(summary);
+    } catch (error) {
+        console.error('Error fetching conversation summary:', error);
+        res.status(500).json({ error: 'Failed to fetch conversation summary: ' + error.message });
+    }
+});
+
+// Correct the summary, or clear it (null or "") to have the conversation summarized again
+app.put('/api/chat/conversation/:conversationId/summary', async (req, res) => {
+    try {
+        const userId = authorizeUserId(req, res, req.body.userId);
+        if (!userId) return;
+
+        if (req.body.summary === undefined) {
+            return res.status(400).json({ error: 'summary is required' });
+        }
+
+        const summary = await ConversationMemoryService.updateSummary(req.params.conversationId, userId, req.body.summary);
+        if (!summary) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        res.json(summary);
+    } catch (error) {
+        if (error instanceof MemoryRequestError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error updating conversation summary:', error);
+        res.status(500).json({ error: 'Failed to update conversation summary: ' + error.message });
+    }
+});
+
 // Create new conversation
 app.post('/api/chat/conversation', async (req, res) => {
     try {
-        const { userId, courseId, title } = req.body;
+        const { courseId, title } = req.body;
+
+        const userId = authorizeUserId(req, res, req.body.userId);
+        if (!userId) return;
 
-        if (!userId || !title) {
-            return res.status(400).json({ error: 'UserId and title are required' });
+        if (!title) {
+            return res.status(400).json({ error: 'Title is required' });
         }
 
         const conversation = await SupabaseConversationService.createConversation(userId, courseId, title);
@@ -906,16 +1113,19 @@ app.get('/api/weaviate/schema', async (req, res) => {
 // Vectorize Canvas data for a user
 app.post('/api/weaviate/vectorize/canvas', async (req, res) => {
     try {
-        const { userId, canvasData } = req.body;
+        const { canvasData } = req.body;
 
-        if (!userId || !canvasData) {
-            return res.status(400).json({ error: 'UserId and canvasData are required' });
+        const userId = authorizeUserId(req, res, req.body.userId);
+        if (!userId) return;
+
+        if (!canvasData) {
+            return res.status(400).json({ error: 'canvasData is required' });
         }
 
         // Import the Canvas vectorization service
         const { WeaviateCanvasService } = await import('./services/weaviate.js');
 
-        const results = await WeaviateCanvasService.vectorizeAllCanvasData(userId, canvasData);
+        const results = await WeaviateCanvasService.syncCanvasData(userId, canvasData);
 
         res.json({
             success: true,
@@ -929,39 +1139,47 @@ app.post('/api/weaviate/vectorize/canvas', async (req, res) => {
     }
 });
 
-// Search Canvas content
-app.post('/api/weaviate/search/canvas', async (req, res) => {
+// Search Canvas content: hybrid keyword + vector search with type and date filters.
+// GET takes typed query parameters (?q=PS5&type=assignment,quiz&dueBefore=2026-10-31&alpha=0.3),
+// POST the same fields as JSON.
+async function searchCanvasContent(req, res, params) {
     try {
-        const { query, userId, courseId, limit = 5 } = req.body;
-
-        if (!query || !userId) {
-            return res.status(400).json({ error: 'Query and userId are required' });
-        }
-
-        // Import the search service
-        const { WeaviateSearchService } = await import('./services/weaviate.js');
+        const userId = authorizeUserId(req, res, params.userId);
+        if (!userId) return;
 
-        const results = await WeaviateSearchService.searchCanvasContent(query, userId, courseId, limit);
+        const { query, courseId, limit, ...options } = WeaviateSearchService.parseCanvasSearchParams(params);
+        const results = await WeaviateSearchService.searchCanvasContent(query, userId, courseId, limit, options);
 
         res.json({
             results,
             query,
+            filters: { courseId, ...options },
             count: results.length
         });
 
     } catch (error) {
+        if (error instanceof SearchRequestError) {
+            return res.status(400).json({ error: error.message });
+        }
+        // Weaviate or the embedding provider failed; an empty result would read as "no matches"
         console.error('Error searching Canvas content:', error);
-        res.status(500).json({ error: 'Failed to search Canvas content: ' + error.message });
+        res.status(503).json({ error: 'Canvas search is unavailable: ' + error.message });
     }
-});
+}
+
+app.get('/api/weaviate/search/canvas', (req, res) => searchCanvasContent(req, res, req.query));
+app.post('/api/weaviate/search/canvas', (req, res) => searchCanvasContent(req, res, req.body || {}));
 
 // Search all content (Canvas + chat history + recordings)
 app.post('/api/weaviate/search/all', async (req, res) => {
     try {
-        const { query, userId, courseId } = req.body;
+        const { query, courseId } = req.body;
+
+        const userId = authorizeUserId(req, res, req.body.userId);
+        if (!userId) return;
 
-        if (!query || !userId) {
-            return res.status(400).json({ error: 'Query and userId are required' });
+        if (!query) {
+            return res.status(400).json({ error: 'Query is required' });
         }
 
         // Import the search service
@@ -988,10 +1206,13 @@ app.post('/api/weaviate/search/all', async (req, res) => {
 // Vectorize a conversation
 app.post('/api/weaviate/vectorize/conversation', async (req, res) => {
     try {
-        const { userId, conversationId, messages, courseId } = req.body;
+        const { conversationId, messages, courseId } = req.body;
+
+        const userId = authorizeUserId(req, res, req.body.userId);
+        if (!userId) return;
 
-        if (!userId || !conversationId || !messages) {
-            return res.status(400).json({ error: 'UserId, conversationId, and messages are required' });
+        if (!conversationId || !messages) {
+            return res.status(400).json({ error: 'conversationId and messages are required' });
         }
 
         // Import the chat service
@@ -1014,11 +1235,8 @@ app.post('/api/weaviate/vectorize/conversation', async (req, res) => {
 // Clear user's vector data
 app.delete('/api/weaviate/user/:userId', async (req, res) => {
     try {
-        const { userId } = req.params;
-
-        if (!userId) {
-            return res.status(400).json({ error: 'UserId is required' });
-        }
+        const userId = authorizeUserId(req, res, req.params.userId);
+        if (!userId) return;
 
         // Import the Canvas service
         const { WeaviateCanvasService } = await import('./services/weaviate.js');
@@ -1037,123 +1255,333 @@ app.delete('/api/weaviate/user/:userId', async (req, res) => {
     }
 });
 
-// Data sync pipeline - automatically vectorize Canvas data after fetching
-app.post('/api/weaviate/sync/canvas', async (req, res) => {
-    try {
-        const { userId, token, domain } = req.body;
-
-        if (!userId || !token || !domain) {
-            return res.status(400).json({ error: 'UserId, token, and domain are required' });
+// Canvas sync job: fetch every course's content, then bring Weaviate up to date.
+// Progress is reported per course so the UI can render a checklist while it runs.
+async function runCanvasSyncJob(job, context) {
+    const userId = job.user_id;
+
+    // Refreshes of stale data (scheduled, or queued by a dashboard load) only fetch the
+    // types still stale, and are skipped when a manual refresh got there first.
+    // Collections without a freshness policy of their own follow the course list.
+    let collections = VECTORIZED_COLLECTIONS;
+    if (job.payload?.staleTypes?.length) {
+        const stillStale = [];
+        for (const dataType of job.payload.staleTypes) {
+            if (await SupabaseCanvasDataService.needsRefresh(userId, dataType, null, FRESHNESS_POLICIES[dataType])) {
+                stillStale.push(dataType);
+            }
+        }
+        if (stillStale.length === 0) {
+            return { skipped: true, reason: 'Canvas data already fresh' };
         }
+        collections = VECTORIZED_COLLECTIONS.filter(collection => FRESHNESS_POLICIES[collection]
+            ? stillStale.includes(collection)
+            : stillStale.includes('courses'));
+        console.log(`🔄 Refreshing stale Canvas data: ${stillStale.join(', ')}`);
+    }
 
-        console.log(`🔄 Starting Canvas data sync and vectorization for user ${userId}...`);
+    const credentials = await loadStoredCanvasCredentials(userId);
+    if (!credentials) {
+        throw new PermanentJobError('Canvas credentials not available. Please authenticate with Canvas first.');
+    }
 
-        // Initialize Canvas client for this request
-        const tempClient = new CanvasClient(token, domain);
+    console.log(`🔄 Starting Canvas data sync and vectorization for user ${userId}...`);
 
-        // Temporarily set the global client for the helper functions
-        const originalClient = canvasClient;
-        canvasClient = tempClient;
+    const syncClient = createCanvasClientForUser(userId, credentials);
 
-        try {
-            // Fetch Canvas data
-            console.log('📡 Fetching Canvas data...');
-            const dashboardCards = await tempClient.getDashboardCards();
-
-            // Limit courses for better performance
-            const limitedCourses = dashboardCards.slice(0, PERFORMANCE_CONFIG.MAX_COURSES);
-
-            // Get all Canvas content
-            const [assignmentsResult, announcementsResult, filesResult] = await Promise.allSettled([
-                getAllAssignmentsOptimized(limitedCourses),
-                getAllAnnouncementsOptimized(limitedCourses),
-                getAllFilesOptimized(limitedCourses)
-            ]);
-
-            const canvasData = {
-                courses: limitedCourses,
-                assignments: assignmentsResult.status === 'fulfilled' ? assignmentsResult.value : [],
-                announcements: announcementsResult.status === 'fulfilled' ? announcementsResult.value : [],
-                files: filesResult.status === 'fulfilled' ? filesResult.value : []
-            };
+    // Fetch Canvas data
+    console.log('📡 Fetching Canvas data...');
+    const dashboardCards = await syncClient.getDashboardCards();
+
+    // Only the courses the user chose to see
+    const preferences = await DashboardPreferencesService.getPreferences(userId);
+    const selectedCourses = DashboardPreferencesService.selectCourses(dashboardCards, preferences);
+
+    const progress = {
+        stage: 'fetching',
+        totalCourses: selectedCourses.length,
+        completedCourses: 0,
+        courses: selectedCourses.map(course => ({
+            id: course.id,
+            name: course.shortName || course.originalName,
+            status: 'pending'
+        }))
+    };
+    await context.reportProgress(progress);
+
+    const collected = await CanvasCollector.collect(syncClient, selectedCourses, {
+        collections,
+        onCourseStart: async (course, index) => {
+            await context.throwIfCancelled();
+            progress.courses[index].status = 'running';
+            await context.reportProgress(progress);
+        },
+        onCourseDone: async (course, index, { counts, errors }) => {
+            const entry = progress.courses[index];
+            entry.status = errors.length === 0 ? 'done' : 'partial';
+            entry.counts = counts;
+            if (errors.length > 0) {
+                entry.errors = errors.map(error => `${error.collection}: ${error.message}`);
+            }
+            progress.completedCourses++;
+            await context.reportProgress(progress);
+        }
+    });
 
-            console.log(`📊 Fetched Canvas data: ${canvasData.courses.length} courses, ${canvasData.assignments.length} assignments, ${canvasData.announcements.length} announcements, ${canvasData.files.length} files`);
+    const { fetched } = collected;
+    const canvasData = { courses: selectedCourses };
+    for (const collection of collections) {
+        canvasData[collection] = collected[collection];
+    }
 
-            // Vectorize the Canvas data
-            console.log('🔍 Vectorizing Canvas data...');
-            const { WeaviateCanvasService } = await import('./services/weaviate.js');
-            const vectorizationResults = await WeaviateCanvasService.vectorizeAllCanvasData(userId, canvasData);
+    const counts = Object.fromEntries(Object.entries(canvasData).map(([collection, items]) => [collection, items.length]));
+    console.log(`📊 Fetched Canvas data: ${Object.entries(counts).map(([collection, count]) => `${count} ${collection}`).join(', ')}`);
 
-            res.json({
-                success: true,
-                canvasData: {
-                    courses: canvasData.courses.length,
-                    assignments: canvasData.assignments.length,
-                    announcements: canvasData.announcements.length,
-                    files: canvasData.files.length
-                },
-                vectorizationResults,
-                message: 'Canvas data synced and vectorized successfully'
-            });
+    await context.throwIfCancelled();
+    await SupabaseCanvasDataService.saveCanvasSnapshot(userId, { ...canvasData, fetched });
 
-        } finally {
-            // Restore the original client
-            canvasClient = originalClient;
+    // Index file contents; chunks of a course's files are replaced only when its file list loaded
+    progress.stage = 'extracting';
+    await context.reportProgress(progress);
+
+    const documents = await DocumentService.ingestFiles(userId, canvasData.files || [], {
+        client: syncClient,
+        getToken: () => credentials.token,
+        // Downloads can be slow: heartbeat per file so the lock does not go stale
+        onFile: async () => {
+            await context.throwIfCancelled();
+            await context.reportProgress(progress);
         }
+    });
+    canvasData.fileChunks = documents.chunks;
+    fetched.push(...fetched
+        .filter(entry => entry.type === 'file')
+        .map(entry => ({ type: 'file_chunk', courseId: entry.courseId })));
+
+    progress.stage = 'vectorizing';
+    await context.reportProgress(progress);
+
+    // Embed only what changed; keep items whose course failed to load this time,
+    // and drop those of courses the user has left or hidden
+    console.log('🔍 Syncing Canvas data to Weaviate...');
+    const { WeaviateCanvasService } = await import('./services/weaviate.js');
+    const vectorizationResults = await WeaviateCanvasService.syncCanvasData(userId, canvasData, {
+        fetched,
+        courseIds: selectedCourses.map(course => course.id),
+        onBatch: () => context.reportProgress(progress)
+    });
+
+    progress.stage = 'done';
+    await context.reportProgress(progress);
+
+    return {
+        canvasData: counts,
+        errors: collected.errors,
+        documents: { ...documents.summary, errors: documents.errors },
+        vectorizationResults
+    };
+}
+
+JobWorker.registerHandler(JOB_TYPES.CANVAS_SYNC, runCanvasSyncJob);
+JobWorker.registerHandler(JOB_TYPES.CONVERSATION_SUMMARY, job => ConversationMemoryService.summarize(job.payload.conversationId, job.user_id));
+
+// Queue a Canvas sync for the caller, reusing one that is already pending
+async function enqueueCanvasSync(req, res, userId) {
+    if (!JobService.isAvailable()) {
+        res.status(503).json({ error: 'Background jobs require Supabase' });
+        return null;
+    }
+
+    if (!await loadStoredCanvasCredentials(userId)) {
+        res.status(400).json({ error: 'Canvas credentials not available. Please authenticate with Canvas first.' });
+        return null;
+    }
+
+    return JobService.enqueue(userId, JOB_TYPES.CANVAS_SYNC, {}, { dedupe: true });
+}
+
+// Data sync pipeline - queue a background job that fetches and vectorizes Canvas data
+app.post('/api/weaviate/sync/canvas', async (req, res) => {
+    try {
+        const userId = authorizeUserId(req, res, req.body.userId);
+        if (!userId) return;
+
+        const queued = await enqueueCanvasSync(req, res, userId);
+        if (!queued) return;
+
+        res.status(202).json({
+            success: true,
+            job: queued.job,
+            message: queued.created ? 'Canvas sync queued' : 'Canvas sync already in progress'
+        });
 
     } catch (error) {
-        console.error('Error syncing Canvas data:', error);
+        console.error('Error queueing Canvas sync:', error);
         res.status(500).json({ error: 'Failed to sync Canvas data: ' + error.message });
     }
 });
 
-// Refresh button functionality - sync and vectorize latest Canvas data
+// Refresh button functionality - returns immediately; follow the job for progress
 app.post('/api/refresh-canvas-data', async (req, res) => {
     try {
-        const { userId, token, domain } = req.body;
+        const userId = authorizeUserId(req, res, req.body.userId);
+        if (!userId) return;
+
+        console.log(`🔄 Refreshing Canvas data for user ${userId}...`);
+
+        const queued = await enqueueCanvasSync(req, res, userId);
+        if (!queued) return;
+
+        res.status(202).json({
+            success: true,
+            message: 'Canvas data refresh queued',
+            jobId: queued.job.id,
+            job: queued.job
+        });
+
+    } catch (error) {
+        console.error('Error refreshing Canvas data:', error);
+        res.status(500).json({ error: 'Failed to refresh Canvas data: ' + error.message });
+    }
+});
+
+// ==============================================
+// BACKGROUND JOB ENDPOINTS
+// ==============================================
+
+// Job types users may enqueue directly, with their validating enqueue function
+const USER_JOB_TYPES = {
+    [JOB_TYPES.CANVAS_SYNC]: enqueueCanvasSync
+};
+
+// Enqueue a job
+app.post('/api/jobs', async (req, res) => {
+    try {
+        const { type } = req.body;
+
+        const userId = authorizeUserId(req, res, req.body.userId);
+        if (!userId) return;
 
-        if (!userId) {
-            return res.status(400).json({ error: 'UserId is required' });
+        if (!Object.hasOwn(USER_JOB_TYPES, type)) {
+            return res.status(400).json({ error: `Unknown job type. Expected one of: ${Object.keys(USER_JOB_TYPES).join(', ')}` });
         }
 
-        // Use provided credentials or fall back to stored ones
-        const useToken = token || userToken;
-        const useDomain = domain || userDomain;
+        const queued = await USER_JOB_TYPES[type](req, res, userId);
+        if (!queued) return;
 
-        if (!useToken || !useDomain) {
-            return res.status(400).json({ error: 'Canvas credentials not available' });
+        res.status(queued.created ? 202 : 200).json({ job: queued.job, created: queued.created });
+
+    } catch (error) {
+        console.error('Error enqueueing job:', error);
+        res.status(500).json({ error: 'Failed to enqueue job: ' + error.message });
+    }
+});
+
+// List the caller's recent jobs
+app.get('/api/jobs', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const jobs = await JobService.listJobs(req.user.id, limit);
+
+        res.json({ jobs });
+
+    } catch (error) {
+        console.error('Error listing jobs:', error);
+        res.status(500).json({ error: 'Failed to list jobs: ' + error.message });
+    }
+});
+
+// Get one job, including progress and result
+app.get('/api/jobs/:jobId', async (req, res) => {
+    try {
+        const job = await JobService.getJob(req.params.jobId, req.user.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
         }
 
-        console.log(`🔄 Refreshing Canvas data for user ${userId}...`);
+        res.json({ job });
 
-        // Sync data and vectorize in one call
-        const syncResponse = await fetch(`http://localhost:${port}/api/weaviate/sync/canvas`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                userId,
-                token: useToken,
-                domain: useDomain
-            })
-        });
+    } catch (error) {
+        console.error('Error fetching job:', error);
+        res.status(500).json({ error: 'Failed to fetch job: ' + error.message });
+    }
+});
+
+// Follow a job as Server-Sent Events: `job` on every change, then `done` once it finishes
+app.get('/api/jobs/:jobId/events', async (req, res) => {
+    const jobId = req.params.jobId;
+    const userId = req.user.id;
+
+    let job;
+    try {
+        job = await JobService.getJob(jobId, userId);
+    } catch (error) {
+        console.error('Error fetching job:', error);
+        return res.status(500).json({ error: 'Failed to fetch job: ' + error.message });
+    }
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
 
-        if (!syncResponse.ok) {
-            throw new Error('Failed to sync Canvas data');
+    let lastSent = null;
+    let closed = false;
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(poller);
+        unsubscribe();
+        res.end();
+    };
+
+    const send = update => {
+        if (closed || !update) return;
+
+        const serialized = JSON.stringify(update);
+        if (serialized !== lastSent) {
+            lastSent = serialized;
+            res.write(`event: job\ndata: ${serialized}\n\n`);
+        }
+
+        if (JobService.isFinished(update)) {
+            res.write(`event: done\ndata: ${JSON.stringify({ id: update.id, status: update.status })}\n\n`);
+            close();
         }
+    };
 
-        const syncResult = await syncResponse.json();
+    // Updates from this process arrive immediately; polling covers workers on other instances
+    const unsubscribe = JobService.subscribe(jobId, send);
+    const poller = setInterval(async () => {
+        try {
+            send(await JobService.getJob(jobId, userId));
+        } catch (error) {
+            console.warn('Job stream poll failed:', error.message);
+        }
+    }, 2000);
 
-        res.json({
-            success: true,
-            message: 'Canvas data refreshed and vectorized successfully',
-            data: syncResult
-        });
+    req.on('close', close);
+    send(job);
+});
+
+// Cancel a queued or running job
+app.post('/api/jobs/:jobId/cancel', async (req, res) => {
+    try {
+        const job = await JobService.cancelJob(req.params.jobId, req.user.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json({ job });
 
     } catch (error) {
-        console.error('Error refreshing Canvas data:', error);
-        res.status(500).json({ error: 'Failed to refresh Canvas data: ' + error.message });
+        console.error('Error cancelling job:', error);
+        res.status(500).json({ error: 'Failed to cancel job: ' + error.message });
     }
 });
 
@@ -1211,11 +1639,10 @@ app.post('/api/chat/simple/stream', async (req, res) => {
 // Get user recordings
 app.get('/api/recordings', async (req, res) => {
     try {
-        const { userId, courseId } = req.query;
+        const { courseId } = req.query;
 
-        if (!userId) {
-            return res.status(400).json({ error: 'User ID is required' });
-        }
+        const userId = authorizeUserId(req, res, req.query.userId);
+        if (!userId) return;
 
         console.log(`📚 Fetching recordings for user ${userId}${courseId ? ` in course ${courseId}` : ''}`);
 
@@ -1243,7 +1670,7 @@ app.get('/api/recordings/:recordingId', async (req, res) => {
         const { SupabaseRecordingService } = await import('./services/supabase.js');
         const recording = await SupabaseRecordingService.getRecording(recordingId);
 
-        if (!recording) {
+        if (!recording || recording.user_id !== req.user.id) {
             return res.status(404).json({ error: 'Recording not found' });
         }
 
@@ -1260,13 +1687,23 @@ app.get('/api/recordings/:recordingId', async (req, res) => {
 
 // Process audio recording
 app.post('/api/recordings/process', upload.single('audio'), async (req, res) => {
+    const audioFile = req.file;
+
+    // Multer has already written the upload to uploads/; remove it whenever we stop early
+    const discardUpload = () => {
+        if (audioFile?.path) fs.rmSync(audioFile.path, { force: true });
+    };
+
     try {
-        const { userId, courseId, recordingId, title, duration } = req.body;
-        const audioFile = req.file;
+        const { courseId, recordingId, title, duration } = req.body;
+
+        const userId = authorizeUserId(req, res, req.body.userId);
+        if (!userId) return discardUpload();
 
-        if (!audioFile || !userId || !courseId || !recordingId) {
+        if (!audioFile || !courseId || !recordingId) {
+            discardUpload();
             return res.status(400).json({
-                error: 'Missing required fields: audio file, userId, courseId, or recordingId'
+                error: 'Missing required fields: audio file, courseId, or recordingId'
             });
         }
 
@@ -1277,6 +1714,17 @@ app.post('/api/recordings/process', upload.single('audio'), async (req, res) =>
         const { SupabaseRecordingService, SupabaseStorageService } = await import('./services/supabase.js');
         const { WeaviateRecordingService } = await import('./services/weaviate.js');
 
+        // Only the owner may attach audio to a recording
+        const existingRecording = await SupabaseRecordingService.getRecording(recordingId);
+        if (!existingRecording) {
+            discardUpload();
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        if (existingRecording.user_id !== userId) {
+            discardUpload();
+            return res.status(403).json({ error: 'Not authorized to process this recording' });
+        }
+
         let tempFileWithExt = null; // Track temporary file for cleanup
 
         try {
@@ -1420,6 +1868,7 @@ app.post('/api/recordings/process', upload.single('audio'), async (req, res) =>
 
     } catch (error) {
         console.error('Error in recording processing endpoint:', error);
+        discardUpload();
         res.status(500).json({
             error: 'Failed to process recording: ' + error.message,
             details: error.message
@@ -1430,12 +1879,10 @@ app.post('/api/recordings/process', upload.single('audio'), async (req, res) =>
 // Get user recordings
 app.get('/api/recordings/user/:userId', async (req, res) => {
     try {
-        const { userId } = req.params;
-        const { courseId } = req.query;
+        const userId = authorizeUserId(req, res, req.params.userId);
+        if (!userId) return;
 
-        if (!userId) {
-            return res.status(400).json({ error: 'User ID is required' });
-        }
+        const { courseId } = req.query;
 
         // Import service
         const { SupabaseRecordingService } = await import('./services/supabase.js');
@@ -1470,7 +1917,7 @@ app.get('/api/recordings/:recordingId', async (req, res) => {
 
         const recording = await SupabaseRecordingService.getRecording(recordingId);
 
-        if (!recording) {
+        if (!recording || recording.user_id !== req.user.id) {
             return res.status(404).json({ error: 'Recording not found' });
         }
 
@@ -1486,10 +1933,12 @@ app.get('/api/recordings/:recordingId', async (req, res) => {
 app.delete('/api/recordings/:recordingId', async (req, res) => {
     try {
         const { recordingId } = req.params;
-        const { userId } = req.body;
 
-        if (!recordingId || !userId) {
-            return res.status(400).json({ error: 'Recording ID and User ID are required' });
+        const userId = authorizeUserId(req, res, req.body?.userId);
+        if (!userId) return;
+
+        if (!recordingId) {
+            return res.status(400).json({ error: 'Recording ID is required' });
         }
 
         // Import services
@@ -1530,15 +1979,45 @@ app.delete('/api/recordings/:recordingId', async (req, res) => {
     }
 });
 
+// ==============================================
+// ADMIN ENDPOINTS
+// ==============================================
+
+// Show the automatic Canvas refresh schedule, last run and how many users are due per data type
+app.get('/api/admin/schedule', requireAdmin, async (req, res) => {
+    try {
+        const schedule = await CanvasRefreshScheduler.getSchedule({ includeDue: true });
+        res.json(schedule);
+    } catch (error) {
+        console.error('Error getting refresh schedule:', error);
+        res.status(500).json({ error: 'Failed to get refresh schedule: ' + error.message });
+    }
+});
+
+// Run the scheduler now instead of waiting for the next interval
+app.post('/api/admin/schedule/run', requireAdmin, async (req, res) => {
+    try {
+        const run = await CanvasRefreshScheduler.runOnce();
+        res.json({ run });
+    } catch (error) {
+        console.error('Error running refresh scheduler:', error);
+        res.status(500).json({ error: 'Failed to run refresh scheduler: ' + error.message });
+    }
+});
+
 // Start server
 async function startServer() {
     try {
         // Start HTTP server
         app.listen(port, () => {
             console.log(`🚀 Simplified HTTP server running on http://localhost:${port}`);
-            console.log(`📊 Performance config: ${PERFORMANCE_CONFIG.MAX_CONCURRENT_REQUESTS} concurrent, ${PERFORMANCE_CONFIG.MAX_COURSES} max courses`);
+            console.log(`📊 Performance config: ${COLLECTOR_CONFIG.MAX_CONCURRENT_REQUESTS} concurrent, ${COLLECTOR_CONFIG.COURSE_BATCH_SIZE} courses per batch`);
             console.log(`⚡ Files served directly from Canvas - no caching complexity`);
         });
+
+        // Process queued sync jobs in the background, and queue refreshes for stale data
+        JobWorker.start();
+        CanvasRefreshScheduler.start();
     } catch (error) {
         console.error('❌ Failed to start server:', error);
         process.exit(1);
@@ -1556,4 +2035,10 @@ process.on('SIGTERM', async () => {
     process.exit(0);
 });
 
-startServer(); 
\ No newline at end of file
+// Listen when run directly; the test suite imports the app instead
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    startServer();
+}
+
+export { app };
+export default app;
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+// =============================================
+// CLARYFY CANVAS TOKEN ROTATION
+// =============================================
+//
+// Re-encrypts every stored Canvas access and refresh token under CANVAS_TOKEN_ACTIVE_KEY.
+// Legacy plaintext tokens are encrypted; tokens sealed with an older key
+// only have their data key re-wrapped.
+//
+// Usage: npm run vault:rotate [-- --dry-run]
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { supabase } from '../services/supabase.js';
+import { TokenVault } from '../services/vault.js';
+
+const PAGE_SIZE = 500;
+const TOKEN_COLUMNS = ['canvas_token', 'canvas_refresh_token'];
+
+/**
+ * Re-encrypt stored Canvas tokens under the active key
+ * @param {Object} options - { dryRun: count what would change without writing }
+ * @returns {Object} { scanned, rotated, failed }
+ */
+export async function rotateCanvasTokens({ dryRun = false } = {}) {
+    if (!TokenVault.isAvailable()) {
+        throw new Error('Token vault is not configured. Set CANVAS_TOKEN_KEYS.');
+    }
+
+    console.log(`🔐 Rotating Canvas tokens to key "${TokenVault.getActiveKeyId()}"${dryRun ? ' (dry run)' : ''}...`);
+
+    const totals = { scanned: 0, rotated: 0, failed: 0 };
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data: users, error } = await supabase
+            .from('users')
+            .select('id, canvas_token, canvas_refresh_token')
+            .not('canvas_token', 'is', null)
+            .order('id', { ascending: true })
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw error;
+        if (!users || users.length === 0) break;
+
+        for (const user of users) {
+            totals.scanned++;
+
+            const stale = TOKEN_COLUMNS.filter(column => TokenVault.needsRotation(user[column]));
+            if (stale.length === 0) continue;
+
+            try {
+                const updates = {};
+                for (const column of stale) {
+                    updates[column] = TokenVault.rotate(user[column], user.id);
+                }
+
+                if (!dryRun) {
+                    const { error: updateError } = await supabase
+                        .from('users')
+                        .update(updates)
+                        .eq('id', user.id);
+
+                    if (updateError) throw updateError;
+                }
+
+                totals.rotated++;
+            } catch (rotateError) {
+                totals.failed++;
+                console.error(`❌ Failed to rotate token for user ${user.id}:`, rotateError.message);
+            }
+        }
+
+        if (users.length < PAGE_SIZE) break;
+    }
+
+    console.log(`✅ Scanned ${totals.scanned}, rotated ${totals.rotated}, failed ${totals.failed}`);
+    return totals;
+}
+
+// Run from the command line; tests import rotateCanvasTokens instead
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    rotateCanvasTokens({ dryRun: process.argv.includes('--dry-run') })
+        .then(totals => process.exit(totals.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('❌ Token rotation failed:', error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,288 @@
+// =============================================
+// CLARYFY SUPABASE AUTH SERVICE
+// =============================================
+
+import crypto from 'crypto';
+import * as dotenv from 'dotenv';
+import fetch from 'node-fetch';
+
+dotenv.config();
+
+// Configuration
+const supabaseUrl = process.env.SUPABASE_URL;
+
+export const AUTH_CONFIG = {
+    JWT_SECRET: process.env.SUPABASE_JWT_SECRET || null,
+    JWKS_URL: process.env.SUPABASE_JWKS_URL || (supabaseUrl ? `${supabaseUrl}/auth/v1/.well-known/jwks.json` : null),
+    ISSUER: process.env.SUPABASE_JWT_ISSUER || (supabaseUrl ? `${supabaseUrl}/auth/v1` : null),
+    AUDIENCE: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated',
+    JWKS_CACHE_MS: 10 * 60 * 1000, // 10 minutes
+    JWKS_REFETCH_MIN_MS: 30 * 1000, // Unknown key IDs trigger at most one refetch per 30 seconds
+    CLOCK_TOLERANCE_SECONDS: 30,
+    ADMIN_USER_IDS: new Set((process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean))
+};
+
+if (!AUTH_CONFIG.JWT_SECRET && !AUTH_CONFIG.JWKS_URL) {
+    console.log('⚠️ Supabase JWT verification is not configured. Authenticated API routes will reject every request.');
+    console.log('   Set SUPABASE_JWT_SECRET or SUPABASE_URL / SUPABASE_JWKS_URL to enable it.');
+}
+
+// Signature algorithms accepted from Supabase
+const ALGORITHMS = {
+    HS256: { type: 'hmac', hash: 'sha256' },
+    RS256: { type: 'rsa', hash: 'sha256' },
+    ES256: { type: 'ecdsa', hash: 'sha256' }
+};
+
+let jwksCache = { keys: [], fetchedAt: 0, attemptedAt: 0 };
+
+export class AuthenticationError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AuthenticationError';
+        this.status = status;
+    }
+}
+
+function decodeSegment(segment) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch {
+        throw new AuthenticationError('Malformed access token');
+    }
+}
+
+// =============================================
+// ACCESS TOKEN VERIFICATION
+// =============================================
+
+export class SupabaseAuthService {
+
+    /**
+     * Verify a Supabase access token and return its claims
+     * @param {string} token - JWT from the Authorization header
+     * @returns {Object} Verified claims
+     */
+    static async verifyAccessToken(token) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) {
+            throw new AuthenticationError('Malformed access token');
+        }
+
+        const [encodedHeader, encodedPayload, encodedSignature] = parts;
+        const header = decodeSegment(encodedHeader);
+        const claims = decodeSegment(encodedPayload);
+        const algorithm = ALGORITHMS[header.alg];
+
+        if (!algorithm) {
+            throw new AuthenticationError(`Unsupported token algorithm: ${header.alg}`);
+        }
+
+        const signingInput = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+        const signature = Buffer.from(encodedSignature, 'base64url');
+
+        const valid = algorithm.type === 'hmac'
+            ? this.verifyHmac(algorithm, signingInput, signature)
+            : await this.verifyWithJwks(algorithm, header.kid, signingInput, signature);
+
+        if (!valid) {
+            throw new AuthenticationError('Invalid access token signature');
+        }
+
+        this.validateClaims(claims);
+        return claims;
+    }
+
+    static verifyHmac(algorithm, signingInput, signature) {
+        if (!AUTH_CONFIG.JWT_SECRET) {
+            throw new AuthenticationError('Shared-secret tokens are not accepted by this server');
+        }
+
+        const expected = crypto.createHmac(algorithm.hash, AUTH_CONFIG.JWT_SECRET).update(signingInput).digest();
+        return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    static async verifyWithJwks(algorithm, kid, signingInput, signature) {
+        const jwk = await this.getSigningKey(kid);
+
+        return crypto.verify(
+            algorithm.hash,
+            signingInput,
+            {
+                key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+                // JWTs carry raw r||s ECDSA signatures rather than DER
+                ...(algorithm.type === 'ecdsa' ? { dsaEncoding: 'ieee-p1363' } : {})
+            },
+            signature
+        );
+    }
+
+    /**
+     * Find the JWKS key for a key ID, refreshing the cache if it is unknown. Refetches are
+     * rate limited, so random key IDs cannot make every request call Supabase; in between,
+     * unknown keys are rejected
+     * @param {string} kid - Key ID from the token header
+     * @returns {Object} JSON Web Key
+     */
+    static async getSigningKey(kid) {
+        if (!AUTH_CONFIG.JWKS_URL) {
+            throw new AuthenticationError('Asymmetric tokens are not accepted by this server');
+        }
+
+        const findKey = () => jwksCache.keys.find(key => !kid || key.kid === kid);
+        const cacheFresh = Date.now() - jwksCache.fetchedAt < AUTH_CONFIG.JWKS_CACHE_MS;
+        const mayRefetch = Date.now() - jwksCache.attemptedAt >= AUTH_CONFIG.JWKS_REFETCH_MIN_MS;
+
+        let key = cacheFresh || !mayRefetch ? findKey() : null;
+        if (!key && mayRefetch) {
+            await this.refreshJwks();
+            key = findKey();
+        }
+
+        if (!key) {
+            throw new AuthenticationError('Unknown token signing key');
+        }
+
+        return key;
+    }
+
+    static async refreshJwks() {
+        jwksCache.attemptedAt = Date.now();
+
+        const response = await fetch(AUTH_CONFIG.JWKS_URL);
+        if (!response.ok) {
+            throw new AuthenticationError(`Failed to fetch JWKS (${response.status})`, 503);
+        }
+
+        const { keys } = await response.json();
+        jwksCache = { keys: keys || [], fetchedAt: Date.now(), attemptedAt: jwksCache.attemptedAt };
+    }
+
+    static validateClaims(claims) {
+        const now = Math.floor(Date.now() / 1000);
+        const tolerance = AUTH_CONFIG.CLOCK_TOLERANCE_SECONDS;
+
+        if (typeof claims.exp !== 'number' || claims.exp + tolerance < now) {
+            throw new AuthenticationError('Access token expired');
+        }
+
+        if (typeof claims.nbf === 'number' && claims.nbf - tolerance > now) {
+            throw new AuthenticationError('Access token not yet valid');
+        }
+
+        // A configured issuer is required, so tokens cannot pass by leaving iss out
+        if (AUTH_CONFIG.ISSUER && claims.iss !== AUTH_CONFIG.ISSUER) {
+            throw new AuthenticationError('Access token issued by an unexpected issuer');
+        }
+
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (AUTH_CONFIG.AUDIENCE && !audiences.includes(AUTH_CONFIG.AUDIENCE)) {
+            throw new AuthenticationError('Access token has an unexpected audience');
+        }
+
+        if (!claims.sub) {
+            throw new AuthenticationError('Access token has no subject');
+        }
+    }
+
+    // Extract the bearer token from a request
+    static readBearerToken(req) {
+        const header = req.get('authorization');
+        const match = header && header.match(/^Bearer\s+(.+)$/i);
+        return match ? match[1].trim() : null;
+    }
+}
+
+// =============================================
+// EXPRESS MIDDLEWARE
+// =============================================
+
+async function attachUser(req, token) {
+    const claims = await SupabaseAuthService.verifyAccessToken(token);
+
+    req.user = {
+        id: claims.sub,
+        email: claims.email || null,
+        role: claims.role || null,
+        claims
+    };
+}
+
+function sendAuthError(res, error) {
+    const status = error instanceof AuthenticationError ? error.status : 401;
+    res.status(status).json({ error: 'Authentication required: ' + error.message });
+}
+
+/**
+ * Require a valid Supabase access token and expose the caller as req.user
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export async function requireSupabaseAuth(req, res, next) {
+    const token = SupabaseAuthService.readBearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required: missing bearer token' });
+    }
+
+    try {
+        await attachUser(req, token);
+        next();
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+}
+
+/**
+ * Attach req.user when a bearer token is present, but allow anonymous callers
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export async function optionalSupabaseAuth(req, res, next) {
+    const token = SupabaseAuthService.readBearerToken(req);
+
+    if (!token) {
+        return next();
+    }
+
+    try {
+        await attachUser(req, token);
+        next();
+    } catch (error) {
+        sendAuthError(res, error);
+    }
+}
+
+/**
+ * Resolve the user ID for a request, rejecting IDs that belong to someone else
+ * @param {Object} req - Express request (after requireSupabaseAuth)
+ * @param {Object} res - Express response
+ * @param {string} claimedUserId - userId sent by the client (optional)
+ * @returns {string|null} Authenticated user ID, or null once a 403 has been sent
+ */
+export function authorizeUserId(req, res, claimedUserId) {
+    if (claimedUserId && claimedUserId !== req.user.id) {
+        res.status(403).json({ error: 'userId does not match the authenticated user' });
+        return null;
+    }
+
+    return req.user.id;
+}
+
+/**
+ * Allow only operators listed in ADMIN_USER_IDS (after requireSupabaseAuth)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function requireAdmin(req, res, next) {
+    if (!req.user || !AUTH_CONFIG.ADMIN_USER_IDS.has(req.user.id)) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    next();
+}
+
+export default SupabaseAuthService;
@@ -0,0 +1,33 @@
+// =============================================
+// CLARYFY CANVAS CLIENT FACTORY
+// =============================================
+//
+// Every Canvas client the server uses is built here, so tests and scripts
+// can swap in a stand-in with setCanvasClientFactory().
+
+import { CanvasClient } from '../build/client.js';
+
+const defaultFactory = (token, domain, options) => new CanvasClient(token, domain, options);
+
+let factory = defaultFactory;
+
+/**
+ * Create a Canvas client
+ * @param {string} token - Canvas access token
+ * @param {string} domain - Canvas domain
+ * @param {Object} options - CanvasClient options such as onUnauthorized (optional)
+ * @returns {CanvasClient} Canvas client
+ */
+export function createCanvasClient(token, domain, options = {}) {
+    return factory(token, domain, options);
+}
+
+/**
+ * Replace how Canvas clients are constructed
+ * @param {Function|null} customFactory - (token, domain, options) => client, or null to restore the default
+ */
+export function setCanvasClientFactory(customFactory) {
+    factory = customFactory || defaultFactory;
+}
+
+export default createCanvasClient;
@@ -0,0 +1,233 @@
+// =============================================
+// CLARYFY CANVAS COLLECTOR
+// =============================================
+//
+// Fetches per-course Canvas content with an explicit client. Each collection is
+// declared once (which Canvas call lists it and what item type it holds); the
+// collector runs the requested collections for every course with bounded
+// concurrency, tags items with their course, and reports failures per course
+// and collection instead of swallowing them.
+
+// Configuration
+export const COLLECTOR_CONFIG = {
+    MAX_CONCURRENT_REQUESTS: 12,  // Optimal for most Canvas instances
+    COURSE_BATCH_SIZE: 10,        // Process 10 courses at a time
+    REQUEST_DELAY: 50             // 50ms delay between batches
+};
+
+// Request counters for /api/performance
+const collectorMetrics = {
+    totalRequests: 0,
+    successfulRequests: 0,
+    failedRequests: 0,
+    averageResponseTime: 0,
+    lastResetTime: Date.now()
+};
+
+async function getData(client, url, params) {
+    const response = await client.client.get(url, { params });
+    return response.data || [];
+}
+
+// Collections the collector can fetch, keyed by the name used in results
+export const CANVAS_COLLECTIONS = {
+    assignments: {
+        type: 'assignment',
+        fetch: (client, courseId) => client.listAssignments(courseId)
+    },
+    announcements: {
+        type: 'announcement',
+        // The course-specific discussion_topics endpoint also returns announcements without section filtering
+        fetch: (client, courseId) => getData(client, `/courses/${courseId}/discussion_topics`, {
+            only_announcements: true,
+            include: ['assignment']
+        })
+    },
+    files: {
+        type: 'file',
+        fetch: (client, courseId) => client.listFiles(courseId)
+    },
+    pages: {
+        type: 'page',
+        // The list endpoint leaves out page bodies unless asked
+        fetch: (client, courseId) => getData(client, `/courses/${courseId}/pages`, {
+            include: ['body'],
+            published: true
+        })
+    },
+    modules: {
+        type: 'module',
+        fetch: (client, courseId) => client.listModules(courseId)
+    },
+    quizzes: {
+        type: 'quiz',
+        fetch: (client, courseId) => client.listQuizzes(courseId)
+    },
+    discussions: {
+        type: 'discussion',
+        fetch: (client, courseId) => client.listDiscussionTopics(courseId)
+    },
+    syllabus: {
+        type: 'syllabus',
+        // One item per course (keyed by the course ID), or none when the course has no syllabus
+        fetch: async (client, courseId) => {
+            const syllabus = await client.getSyllabus(courseId);
+            return syllabus?.syllabus_body ? [{ id: courseId, syllabus_body: syllabus.syllabus_body }] : [];
+        }
+    },
+    calendar_events: {
+        type: 'calendar_event',
+        fetch: (client, courseId) => getData(client, '/calendar_events', {
+            type: 'event',
+            all_events: true,
+            context_codes: [`course_${courseId}`]
+        })
+    }
+};
+
+// What the dashboard and Canvas sync collect unless told otherwise
+export const DEFAULT_COLLECTIONS = ['assignments', 'announcements', 'files'];
+
+// Run processor over items with at most maxConcurrency in flight
+async function processWithConcurrency(items, processor, maxConcurrency = COLLECTOR_CONFIG.MAX_CONCURRENT_REQUESTS) {
+    const results = [];
+    const executing = [];
+
+    for (const item of items) {
+        const promise = processor(item).then(result => {
+            const index = executing.indexOf(promise);
+            if (index !== -1) executing.splice(index, 1);
+            return result;
+        });
+
+        results.push(promise);
+        executing.push(promise);
+
+        if (executing.length >= maxConcurrency) {
+            await Promise.race(executing);
+        }
+    }
+
+    return Promise.allSettled(results);
+}
+
+// Process items in batches, pausing between batches to be respectful to Canvas
+async function processInBatches(items, processor, batchSize = COLLECTOR_CONFIG.COURSE_BATCH_SIZE) {
+    const allResults = [];
+
+    for (let i = 0; i < items.length; i += batchSize) {
+        const batch = items.slice(i, i + batchSize);
+        const batchResults = await processWithConcurrency(batch, processor);
+        allResults.push(...batchResults);
+
+        collectorMetrics.totalRequests += batch.length;
+        collectorMetrics.successfulRequests += batchResults.filter(result => result.status === 'fulfilled').length;
+        collectorMetrics.failedRequests += batchResults.filter(result => result.status === 'rejected').length;
+
+        if (i + batchSize < items.length) {
+            await new Promise(resolve => setTimeout(resolve, COLLECTOR_CONFIG.REQUEST_DELAY));
+        }
+    }
+
+    return allResults;
+}
+
+// =============================================
+// CANVAS COLLECTOR
+// =============================================
+
+export class CanvasCollector {
+
+    /**
+     * Fetch collections for a set of courses
+     * @param {Object} client - Canvas client to fetch with
+     * @param {Array} courses - Dashboard cards ({ id, shortName, originalName })
+     * @param {Object} options - {
+     *   collections: names from CANVAS_COLLECTIONS (default DEFAULT_COLLECTIONS),
+     *   onCourseStart(course, index): awaited before a course is fetched; throwing aborts the collection,
+     *   onCourseDone(course, index, summary): awaited with { counts, errors } once a course finishes
+     * }
+     * @returns {Object} { [collection]: items, fetched: [{ type, courseId }], errors: [{ courseId, courseName, collection, type, status, message }] }
+     */
+    static async collect(client, courses, options = {}) {
+        const startTime = Date.now();
+        const names = options.collections || DEFAULT_COLLECTIONS;
+
+        for (const name of names) {
+            if (!CANVAS_COLLECTIONS[name]) {
+                throw new Error(`Unknown Canvas collection: ${name}`);
+            }
+        }
+
+        const result = { fetched: [], errors: [] };
+        for (const name of names) {
+            result[name] = [];
+        }
+
+        const courseProcessor = async ({ course, index }) => {
+            if (options.onCourseStart) {
+                await options.onCourseStart(course, index);
+            }
+
+            const courseName = course.shortName || course.originalName || course.name;
+            const summary = { counts: {}, errors: [] };
+
+            await Promise.all(names.map(async name => {
+                const { type, fetch } = CANVAS_COLLECTIONS[name];
+
+                try {
+                    const items = await fetch(client, course.id);
+                    const tagged = (Array.isArray(items) ? items : []).map(item => ({
+                        ...item,
+                        course_id: course.id,
+                        course_name: courseName
+                    }));
+
+                    result[name].push(...tagged);
+                    result.fetched.push({ type, courseId: course.id });
+                    summary.counts[name] = tagged.length;
+                } catch (error) {
+                    console.error(`Error fetching ${name} for course ${course.id}:`, error.message);
+                    summary.counts[name] = 0;
+                    summary.errors.push({
+                        courseId: course.id,
+                        courseName,
+                        collection: name,
+                        type,
+                        status: error.response?.status || null,
+                        message: error.message
+                    });
+                }
+            }));
+
+            result.errors.push(...summary.errors);
+
+            if (options.onCourseDone) {
+                await options.onCourseDone(course, index, summary);
+            }
+        };
+
+        const settled = await processInBatches(courses.map((course, index) => ({ course, index })), courseProcessor);
+
+        // Only callbacks can reject (fetch failures are recorded above); surface them, e.g. cancellation
+        const rejected = settled.find(outcome => outcome.status === 'rejected');
+        if (rejected) {
+            throw rejected.reason;
+        }
+
+        const counts = names.map(name => `${result[name].length} ${name}`).join(', ');
+        console.log(`📚 Collected ${counts} from ${courses.length} courses in ${Date.now() - startTime}ms${result.errors.length ? ` (${result.errors.length} errors)` : ''}`);
+
+        return result;
+    }
+
+    /**
+     * Request counters since startup
+     * @returns {Object} { totalRequests, successfulRequests, failedRequests, averageResponseTime, lastResetTime }
+     */
+    static getMetrics() {
+        return { ...collectorMetrics };
+    }
+}
+
+export default CanvasCollector;
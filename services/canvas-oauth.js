@@ -0,0 +1,255 @@
+// =============================================
+// CLARYFY CANVAS OAUTH2 SERVICE
+// =============================================
+
+import crypto from 'crypto';
+import * as dotenv from 'dotenv';
+import fetch from 'node-fetch';
+import { createCanvasClient } from './canvas-client.js';
+import { CanvasSessionService } from './session.js';
+
+dotenv.config();
+
+// Configuration (Canvas developer key)
+export const OAUTH_CONFIG = {
+    CLIENT_ID: process.env.CANVAS_OAUTH_CLIENT_ID,
+    CLIENT_SECRET: process.env.CANVAS_OAUTH_CLIENT_SECRET,
+    REDIRECT_URI: process.env.CANVAS_OAUTH_REDIRECT_URI,
+    SCOPES: process.env.CANVAS_OAUTH_SCOPES || null,
+    // Canvas instances the developer key may be sent to
+    DOMAINS: (process.env.CANVAS_OAUTH_DOMAINS || process.env.CANVAS_DOMAIN || '').split(',').map(domain => domain.trim()).filter(Boolean),
+    STATE_TTL_MS: 10 * 60 * 1000, // 10 minutes to finish signing in
+    STATE_COOKIE_NAME: 'claryfy_oauth_state',
+    STATE_COOKIE_PATH: '/auth/canvas'
+};
+
+if (!OAUTH_CONFIG.CLIENT_ID || !OAUTH_CONFIG.CLIENT_SECRET || !OAUTH_CONFIG.REDIRECT_URI) {
+    console.log('⚠️ Canvas OAuth2 not configured. Students will need to paste personal access tokens.');
+    console.log('   Set CANVAS_OAUTH_CLIENT_ID, CANVAS_OAUTH_CLIENT_SECRET and CANVAS_OAUTH_REDIRECT_URI to enable it.');
+}
+
+// Sign-ins in progress keyed by state value
+const pendingAuthorizations = new Map();
+
+// =============================================
+// OAUTH2 SERVICE
+// =============================================
+
+export class CanvasOAuthService {
+
+    /**
+     * Check if a Canvas developer key is configured
+     * @returns {boolean} Whether the OAuth2 flow is available
+     */
+    static isConfigured() {
+        return !!(OAUTH_CONFIG.CLIENT_ID && OAUTH_CONFIG.CLIENT_SECRET && OAUTH_CONFIG.REDIRECT_URI);
+    }
+
+    /**
+     * Base URL for a Canvas domain; an explicit scheme is kept so local stand-ins can use http
+     * @param {string} domain - Canvas domain (e.g. umd.instructure.com)
+     * @returns {string} Base URL without trailing slash
+     */
+    static canvasBaseUrl(domain) {
+        return /^https?:\/\//.test(domain) ? domain.replace(/\/+$/, '') : `https://${domain}`;
+    }
+
+    /**
+     * Whether the client secret may be sent to a Canvas domain: it must be listed in
+     * CANVAS_OAUTH_DOMAINS (or be CANVAS_DOMAIN), and plain http is only for test and development
+     * @param {string} domain - Canvas domain
+     * @returns {boolean} Whether the domain is allowed
+     */
+    static isAllowedDomain(domain) {
+        if (typeof domain !== 'string' || !domain) return false;
+
+        let url;
+        try {
+            url = new URL(this.canvasBaseUrl(domain));
+        } catch {
+            return false;
+        }
+
+        if (url.protocol === 'http:' && !['test', 'development'].includes(process.env.NODE_ENV)) {
+            return false;
+        }
+
+        return url.pathname === '/' && !url.search && !url.username && OAUTH_CONFIG.DOMAINS.some(allowed => {
+            try {
+                return new URL(this.canvasBaseUrl(allowed)).origin === url.origin;
+            } catch {
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Start a sign-in and build the Canvas authorize URL
+     * @param {string} domain - Canvas domain (must pass isAllowedDomain)
+     * @param {string} userId - Supabase user starting the flow (optional)
+     * @returns {Object} { url: where to send the browser, state: to bind to the browser with setStateCookie() }
+     */
+    static createAuthorizationUrl(domain, userId = null) {
+        if (!this.isAllowedDomain(domain)) {
+            throw new Error(`Canvas domain ${domain} is not allowed for OAuth sign-in`);
+        }
+
+        this.pruneExpiredStates();
+
+        const state = crypto.randomBytes(24).toString('base64url');
+        pendingAuthorizations.set(state, { domain, userId, createdAt: Date.now() });
+
+        const params = new URLSearchParams({
+            client_id: OAUTH_CONFIG.CLIENT_ID,
+            response_type: 'code',
+            redirect_uri: OAUTH_CONFIG.REDIRECT_URI,
+            state
+        });
+
+        if (OAUTH_CONFIG.SCOPES) {
+            params.set('scope', OAUTH_CONFIG.SCOPES);
+        }
+
+        return { url: `${this.canvasBaseUrl(domain)}/login/oauth2/auth?${params.toString()}`, state };
+    }
+
+    /**
+     * Bind a sign-in to the browser that started it with a signed, HttpOnly cookie
+     * @param {Object} res - Express response
+     * @param {string} state - State from createAuthorizationUrl()
+     */
+    static setStateCookie(res, state) {
+        res.append('Set-Cookie', CanvasSessionService.serializeCookie(CanvasSessionService.signValue(state), OAUTH_CONFIG.STATE_TTL_MS / 1000, {
+            name: OAUTH_CONFIG.STATE_COOKIE_NAME,
+            path: OAUTH_CONFIG.STATE_COOKIE_PATH
+        }));
+    }
+
+    // Expire the state cookie on a response
+    static clearStateCookie(res) {
+        res.append('Set-Cookie', CanvasSessionService.serializeCookie('', 0, {
+            name: OAUTH_CONFIG.STATE_COOKIE_NAME,
+            path: OAUTH_CONFIG.STATE_COOKIE_PATH
+        }));
+    }
+
+    /**
+     * Consume a state value returned to the callback. It must match the state cookie of the
+     * browser that started the sign-in, so nobody can finish a sign-in someone else started
+     * @param {string} state - State query parameter
+     * @param {Object} req - Express request carrying the state cookie
+     * @returns {Object|null} Pending sign-in ({ domain, userId }), or null if unknown, expired or from another browser
+     */
+    static consumeState(state, req) {
+        const pending = typeof state === 'string' ? pendingAuthorizations.get(state) : null;
+        if (!pending) return null;
+
+        pendingAuthorizations.delete(state);
+
+        const cookieState = CanvasSessionService.unsignValue(CanvasSessionService.readCookie(req, OAUTH_CONFIG.STATE_COOKIE_NAME));
+        if (!cookieState || cookieState.length !== state.length || !crypto.timingSafeEqual(Buffer.from(cookieState), Buffer.from(state))) {
+            return null;
+        }
+
+        return Date.now() - pending.createdAt > OAUTH_CONFIG.STATE_TTL_MS ? null : pending;
+    }
+
+    /**
+     * Exchange an authorization code for tokens
+     * @param {string} domain - Canvas domain
+     * @param {string} code - Authorization code from the callback
+     * @returns {Object} { accessToken, refreshToken, expiresAt, canvasUser }
+     */
+    static async exchangeCode(domain, code) {
+        return this.requestToken(domain, {
+            grant_type: 'authorization_code',
+            redirect_uri: OAUTH_CONFIG.REDIRECT_URI,
+            code
+        });
+    }
+
+    /**
+     * Obtain a new access token with a refresh token
+     * @param {string} domain - Canvas domain
+     * @param {string} refreshToken - Stored refresh token
+     * @returns {Object} { accessToken, refreshToken, expiresAt, canvasUser }
+     */
+    static async refreshAccessToken(domain, refreshToken) {
+        const tokens = await this.requestToken(domain, {
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken
+        });
+
+        // Canvas keeps the original refresh token unless it issues a new one
+        return { ...tokens, refreshToken: tokens.refreshToken || refreshToken };
+    }
+
+    static async requestToken(domain, grant) {
+        // Never send the client secret anywhere but a configured Canvas instance
+        if (!this.isAllowedDomain(domain)) {
+            throw new Error(`Canvas domain ${domain} is not allowed for OAuth sign-in`);
+        }
+
+        const response = await fetch(`${this.canvasBaseUrl(domain)}/login/oauth2/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                client_id: OAUTH_CONFIG.CLIENT_ID,
+                client_secret: OAUTH_CONFIG.CLIENT_SECRET,
+                ...grant
+            }).toString()
+        });
+
+        const body = await response.json().catch(() => ({}));
+
+        if (!response.ok || !body.access_token) {
+            throw new Error(`Canvas token request failed (${response.status}): ${body.error_description || body.error || 'no access token returned'}`);
+        }
+
+        return {
+            accessToken: body.access_token,
+            refreshToken: body.refresh_token || null,
+            expiresAt: body.expires_in ? new Date(Date.now() + body.expires_in * 1000).toISOString() : null,
+            canvasUser: body.user || null
+        };
+    }
+
+    /**
+     * Create a Canvas client that refreshes its access token on a 401
+     * @param {string} domain - Canvas domain
+     * @param {string} accessToken - Current access token
+     * @param {string} refreshToken - Refresh token (optional; without it no refresh is attempted)
+     * @param {Function} onRefresh - Called with the new tokens after a successful refresh (optional)
+     * @returns {CanvasClient} Canvas client
+     */
+    static createClient(domain, accessToken, refreshToken = null, onRefresh = null) {
+        if (!refreshToken) {
+            return createCanvasClient(accessToken, domain);
+        }
+
+        return createCanvasClient(accessToken, domain, {
+            onUnauthorized: async () => {
+                console.log('🔄 Canvas access token rejected, refreshing...');
+                const tokens = await this.refreshAccessToken(domain, refreshToken);
+                refreshToken = tokens.refreshToken;
+
+                if (onRefresh) {
+                    await onRefresh(tokens);
+                }
+
+                return tokens.accessToken;
+            }
+        });
+    }
+
+    static pruneExpiredStates() {
+        const cutoff = Date.now() - OAUTH_CONFIG.STATE_TTL_MS;
+        for (const [state, pending] of pendingAuthorizations) {
+            if (pending.createdAt < cutoff) {
+                pendingAuthorizations.delete(state);
+            }
+        }
+    }
+}
+
+export default CanvasOAuthService;
@@ -0,0 +1,282 @@
+// =============================================
+// CLARYFY CANVAS CHAT TOOLS
+// =============================================
+//
+// Live Canvas lookups the chat model can call as OpenAI function tools.
+// Every tool maps to one read-only CanvasClient method; nothing here can
+// submit, post or change anything in Canvas.
+
+import * as dotenv from 'dotenv';
+import { stripHtml } from './text.js';
+
+dotenv.config();
+
+// Configuration
+const TOOL_CONFIG = {
+    MAX_STEPS: parseInt(process.env.CHAT_TOOL_MAX_STEPS) || 4,
+    MAX_RESULT_CHARS: 6000,
+    MAX_ITEMS: 20
+};
+
+// CanvasClient methods the chat agent may call
+const READ_ONLY_METHODS = new Set([
+    'getUpcomingAssignments',
+    'getSubmission',
+    'getCourseGrades',
+    'listModules',
+    'getSyllabus'
+]);
+
+const courseIdParameter = {
+    type: 'integer',
+    description: 'Canvas course ID (see the course list in the instructions)'
+};
+
+// Tool registry: OpenAI schema, client call and a compact view of the result
+const CANVAS_TOOLS = {
+    get_upcoming_assignments: {
+        description: 'List the student\'s upcoming assignments across all courses, with due dates.',
+        parameters: {
+            type: 'object',
+            properties: {
+                limit: { type: 'integer', minimum: 1, maximum: 20, description: 'Maximum number of assignments' }
+            }
+        },
+        method: 'getUpcomingAssignments',
+        buildArgs: args => [Math.min(Math.max(parseInt(args.limit) || 10, 1), TOOL_CONFIG.MAX_ITEMS)],
+        status: () => 'Checking your upcoming assignments',
+        format: events => events.map(event => ({
+            id: event.assignment?.id,
+            name: event.assignment?.name || event.title,
+            courseId: event.assignment?.course_id,
+            dueAt: event.assignment?.due_at || event.start_at,
+            pointsPossible: event.assignment?.points_possible,
+            submitted: event.assignment?.has_submitted_submissions ?? null
+        }))
+    },
+
+    get_submission: {
+        description: 'Get the student\'s own submission, score and feedback status for one assignment.',
+        parameters: {
+            type: 'object',
+            properties: {
+                course_id: courseIdParameter,
+                assignment_id: { type: 'integer', description: 'Canvas assignment ID' }
+            },
+            required: ['course_id', 'assignment_id']
+        },
+        method: 'getSubmission',
+        buildArgs: args => [parseInt(args.course_id), parseInt(args.assignment_id), 'self'],
+        status: args => `Looking up your submission for assignment ${args.assignment_id}`,
+        format: submission => ({
+            assignmentId: submission.assignment_id,
+            state: submission.workflow_state,
+            score: submission.score,
+            grade: submission.grade,
+            submittedAt: submission.submitted_at,
+            gradedAt: submission.graded_at,
+            late: submission.late,
+            missing: submission.missing,
+            excused: submission.excused,
+            attempt: submission.attempt
+        })
+    },
+
+    get_course_grades: {
+        description: 'Get the student\'s current and final grade in a course.',
+        parameters: {
+            type: 'object',
+            properties: {
+                course_id: courseIdParameter
+            },
+            required: ['course_id']
+        },
+        method: 'getCourseGrades',
+        // Only the student's own enrollment; an instructor-visible roster must never reach the model
+        buildArgs: args => [parseInt(args.course_id), { userId: 'self' }],
+        status: args => `Checking your grades in course ${args.course_id}`,
+        format: enrollments => enrollments
+            .filter(enrollment => enrollment.type === 'StudentEnrollment' && enrollment.grades)
+            .map(enrollment => ({
+                courseId: enrollment.course_id,
+                state: enrollment.enrollment_state,
+                currentScore: enrollment.grades.current_score,
+                currentGrade: enrollment.grades.current_grade,
+                finalScore: enrollment.grades.final_score,
+                finalGrade: enrollment.grades.final_grade
+            }))
+    },
+
+    list_modules: {
+        description: 'List the modules of a course and the items in each module.',
+        parameters: {
+            type: 'object',
+            properties: {
+                course_id: courseIdParameter
+            },
+            required: ['course_id']
+        },
+        method: 'listModules',
+        buildArgs: args => [parseInt(args.course_id)],
+        status: args => `Reading the modules of course ${args.course_id}`,
+        format: modules => modules.map(module => ({
+            id: module.id,
+            name: module.name,
+            state: module.state,
+            unlockAt: module.unlock_at,
+            items: (module.items || []).map(item => ({
+                title: item.title,
+                type: item.type,
+                completed: item.completion_requirement?.completed ?? null
+            }))
+        }))
+    },
+
+    get_syllabus: {
+        description: 'Get the syllabus text of a course.',
+        parameters: {
+            type: 'object',
+            properties: {
+                course_id: courseIdParameter
+            },
+            required: ['course_id']
+        },
+        method: 'getSyllabus',
+        buildArgs: args => [parseInt(args.course_id)],
+        status: args => `Reading the syllabus of course ${args.course_id}`,
+        format: syllabus => ({
+            courseId: syllabus.course_id,
+            syllabus: stripHtml(syllabus.syllabus_body) || null
+        })
+    }
+};
+
+export const CANVAS_TOOL_INSTRUCTIONS = `Live Canvas Tools:
+- You can call tools to read the student's live Canvas data (grades, submissions, upcoming assignments, modules, syllabus)
+- Prefer live data over indexed Canvas content for grades, scores and submission status
+- Tool results are not numbered sources; do not cite them with [n]
+- The tools are read-only; you cannot submit, post or change anything in Canvas`;
+
+export class CanvasToolService {
+
+    // Maximum number of tool-calling rounds before the model must answer
+    static get maxSteps() {
+        return TOOL_CONFIG.MAX_STEPS;
+    }
+
+    /**
+     * OpenAI function tool definitions for the allowlisted Canvas tools
+     * @returns {Array} Tools for chat.completions.create
+     */
+    static getToolDefinitions() {
+        return Object.entries(CANVAS_TOOLS).map(([name, tool]) => ({
+            type: 'function',
+            function: {
+                name,
+                description: tool.description,
+                parameters: tool.parameters
+            }
+        }));
+    }
+
+    /**
+     * Check a tool name against the read-only allowlist
+     * @param {string} name - Tool name requested by the model
+     * @returns {boolean} Whether the tool may run
+     */
+    static isAllowed(name) {
+        const tool = Object.hasOwn(CANVAS_TOOLS, name) ? CANVAS_TOOLS[name] : null;
+        return Boolean(tool && READ_ONLY_METHODS.has(tool.method));
+    }
+
+    /**
+     * Human-readable status line for a tool call
+     * @param {string} name - Tool name
+     * @param {Object} args - Parsed arguments
+     * @returns {string} Status label
+     */
+    static describe(name, args) {
+        return this.isAllowed(name) ? CANVAS_TOOLS[name].status(args) : `Unavailable tool ${name}`;
+    }
+
+    /**
+     * Prompt section listing the user's courses so the model can pick course IDs
+     * @param {Array} userCourses - Canvas courses
+     * @returns {string} Instructions
+     */
+    static buildInstructions(userCourses = []) {
+        const courseList = userCourses
+            .filter(course => course?.id)
+            .map(course => `- ${course.id}: ${course.course_code || course.name}${course.name && course.course_code ? ` (${course.name})` : ''}`)
+            .join('\n');
+
+        return courseList
+            ? `${CANVAS_TOOL_INSTRUCTIONS}\n\nStudent's Courses (ID: code):\n${courseList}`
+            : CANVAS_TOOL_INSTRUCTIONS;
+    }
+
+    /**
+     * Parse the JSON arguments of a tool call
+     * @param {string} rawArguments - Arguments string from the model
+     * @returns {Object} Arguments, or an empty object if they are not valid JSON
+     */
+    static parseArguments(rawArguments) {
+        try {
+            const args = JSON.parse(rawArguments || '{}');
+            return args && typeof args === 'object' ? args : {};
+        } catch {
+            return {};
+        }
+    }
+
+    /**
+     * Run one tool call against Canvas
+     * @param {CanvasClient} client - The user's Canvas client
+     * @param {string} name - Tool name
+     * @param {Object} args - Parsed arguments
+     * @returns {Object} { ok, result } or { ok: false, error }
+     */
+    static async execute(client, name, args) {
+        if (!this.isAllowed(name)) {
+            return { ok: false, error: `Tool "${name}" is not available` };
+        }
+
+        const tool = CANVAS_TOOLS[name];
+
+        try {
+            const callArgs = tool.buildArgs(args);
+            if (callArgs.some(value => Number.isNaN(value))) {
+                return { ok: false, error: 'Missing or invalid arguments' };
+            }
+
+            const data = await client[tool.method](...callArgs);
+            const result = tool.format(data);
+
+            return { ok: true, result: Array.isArray(result) ? result.slice(0, TOOL_CONFIG.MAX_ITEMS) : result };
+        } catch (error) {
+            const status = error.response?.status;
+            console.error(`❌ Canvas tool ${name} failed:`, status || error.message);
+
+            return {
+                ok: false,
+                error: status === 401 || status === 403
+                    ? 'Canvas denied access to this information'
+                    : status === 404 ? 'Not found in Canvas' : 'Canvas request failed'
+            };
+        }
+    }
+
+    /**
+     * Serialize a tool result for the model, capped in size
+     * @param {Object} outcome - Result of execute()
+     * @returns {string} Tool message content
+     */
+    static serializeResult(outcome) {
+        const json = JSON.stringify(outcome.ok ? outcome.result : { error: outcome.error });
+        return json.length > TOOL_CONFIG.MAX_RESULT_CHARS
+            ? `${json.slice(0, TOOL_CONFIG.MAX_RESULT_CHARS)}... (truncated)`
+            : json;
+    }
+}
+
+export default CanvasToolService;
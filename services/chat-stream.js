@@ -0,0 +1,94 @@
+// =============================================
+// CLARYFY CHAT STREAM PROTOCOL
+// =============================================
+//
+// /api/chat answers with Server-Sent Events when the client sends
+// `Accept: text/event-stream`, and with bare text/plain tokens otherwise.
+// The event schema is documented in chat-sse-protocol.md.
+
+export const CHAT_STREAM_EVENTS = {
+    META: 'meta',       // { conversationId, searchSummary, queryParams }
+    SOURCES: 'sources', // { sources: [{ index, id, type, title, canvasId, courseId, page, url }] }
+    TOOL: 'tool',       // { id, name, label, status: 'running' | 'done' | 'error', error? }
+    DELTA: 'delta',     // { content }
+    CITATIONS: 'citations', // { citations: [same shape as sources, only those cited] }
+    USAGE: 'usage',     // { promptTokens, completionTokens, totalTokens, latencyMs, model }
+    ERROR: 'error',     // { message }
+    DONE: 'done'        // { conversationId, messageId, finishReason }
+};
+
+/**
+ * Check if the client negotiated the SSE protocol
+ * @param {Object} req - Express request
+ * @returns {boolean} Whether to answer with text/event-stream
+ */
+export function wantsEventStream(req) {
+    return req.accepts(['text/plain', 'text/event-stream']) === 'text/event-stream';
+}
+
+/**
+ * Create a chat response writer for the negotiated format.
+ * Plain-text clients only receive delta content; every other event is dropped.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} Writer with one method per event type
+ */
+export function createChatStream(req, res) {
+    const eventStream = wantsEventStream(req);
+    let started = false;
+    let clientGone = false;
+
+    res.on('close', () => {
+        clientGone = !res.writableFinished;
+    });
+
+    const start = () => {
+        if (started) return;
+        started = true;
+
+        res.setHeader('Content-Type', eventStream ? 'text/event-stream' : 'text/plain');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+    };
+
+    const send = (event, data) => {
+        start();
+        if (clientGone) return;
+
+        if (eventStream) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        } else if (event === CHAT_STREAM_EVENTS.DELTA) {
+            res.write(data.content);
+        }
+    };
+
+    return {
+        isEventStream: eventStream,
+
+        // Whether the client disconnected before the response finished
+        get clientGone() {
+            return clientGone;
+        },
+
+        // Whether anything has been written yet (a JSON error can no longer be sent)
+        get started() {
+            return started;
+        },
+
+        meta: data => send(CHAT_STREAM_EVENTS.META, data),
+        sources: sources => send(CHAT_STREAM_EVENTS.SOURCES, { sources }),
+        tool: data => send(CHAT_STREAM_EVENTS.TOOL, data),
+        delta: content => send(CHAT_STREAM_EVENTS.DELTA, { content }),
+        citations: citations => send(CHAT_STREAM_EVENTS.CITATIONS, { citations }),
+        usage: data => send(CHAT_STREAM_EVENTS.USAGE, data),
+        error: message => send(CHAT_STREAM_EVENTS.ERROR, { message }),
+
+        done: data => {
+            send(CHAT_STREAM_EVENTS.DONE, data);
+            if (!clientGone) {
+                res.end();
+            }
+        }
+    };
+}
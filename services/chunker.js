@@ -0,0 +1,228 @@
+// =============================================
+// CLARYFY CHUNKER
+// =============================================
+//
+// Splits long text (assignment descriptions, pages, lecture transcripts, file
+// pages) into embedding-sized chunks. Sizes are measured in tokens; chunks
+// follow headings and paragraphs where they can, fall back to sentences and
+// finally raw tokens, and overlap so a thought cut at a boundary survives in
+// both neighbours. Chunks of one item are stored as siblings under a parent
+// object, and collapseChunks() folds sibling search hits back into one result.
+
+import { stripHtml, normalizeWhitespace } from './text.js';
+import { countTokens, truncateToTokens } from './tokens.js';
+
+// Configuration
+export const CHUNK_CONFIG = {
+    MAX_TOKENS: 400,       // Per chunk, heading line included
+    OVERLAP_TOKENS: 50,    // Carried over from the previous chunk
+    SEARCH_OVERFETCH: 3    // Searches fetch limit × this many hits so collapsing siblings still fills the limit
+};
+
+const HEADING_TAGS = /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi;
+const PARAGRAPH_ENDS = /<\/(?:p|li|div|tr|blockquote|pre|ul|ol|table|section|article)>|<br\s*\/?>/i;
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+)$/;
+
+// Headings ({ heading, level }) and paragraphs ({ text }) in document order
+function htmlBlocks(html) {
+    const blocks = [];
+    const pushParagraphs = fragment => {
+        for (const piece of fragment.split(PARAGRAPH_ENDS)) {
+            const text = stripHtml(piece);
+            if (text) blocks.push({ text: /<li\b/i.test(piece) ? `- ${text}` : text });
+        }
+    };
+
+    let last = 0;
+    for (const match of html.matchAll(HEADING_TAGS)) {
+        pushParagraphs(html.slice(last, match.index));
+        const heading = stripHtml(match[2]);
+        if (heading) blocks.push({ heading, level: parseInt(match[1], 10) });
+        last = match.index + match[0].length;
+    }
+    pushParagraphs(html.slice(last));
+
+    return blocks;
+}
+
+function textBlocks(text) {
+    const blocks = [];
+
+    for (const paragraph of text.split(/\n\s*\n/)) {
+        const lines = [];
+        const flush = () => {
+            const joined = normalizeWhitespace(lines.join('\n'));
+            if (joined) blocks.push({ text: joined });
+            lines.length = 0;
+        };
+
+        for (const line of paragraph.split('\n')) {
+            const heading = line.trim().match(MARKDOWN_HEADING);
+            if (heading) {
+                flush();
+                blocks.push({ heading: heading[2].trim(), level: heading[1].length });
+            } else {
+                lines.push(line);
+            }
+        }
+        flush();
+    }
+
+    return blocks;
+}
+
+// Break text that is too long for one chunk into sentences, then raw token slices
+function splitOversized(text, maxTokens, encoding) {
+    const units = [];
+
+    for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+        let rest = sentence;
+        while (countTokens(rest, encoding) > maxTokens) {
+            const head = truncateToTokens(rest, maxTokens, { encoding });
+            if (!head) break;
+            units.push(head);
+            rest = rest.slice(head.length).trimStart();
+        }
+        if (rest) units.push(rest);
+    }
+
+    return units;
+}
+
+/**
+ * Split text into token-bounded chunks
+ * @param {string} input - Plain text, Markdown-style headings or HTML
+ * @param {Object} options - { maxTokens, overlapTokens, html (default: detected), encoding }
+ * @returns {Array} [{ index, text, tokens, heading }] where heading is the section path ("Week 3 › Reading")
+ */
+export function chunkText(input, options = {}) {
+    const maxTokens = options.maxTokens || CHUNK_CONFIG.MAX_TOKENS;
+    const overlapTokens = Math.min(options.overlapTokens ?? CHUNK_CONFIG.OVERLAP_TOKENS, Math.floor(maxTokens / 2));
+    const encoding = options.encoding;
+    const source = input || '';
+    const isHtml = options.html ?? /<\/?[a-z][^>]*>/i.test(source);
+
+    const chunks = [];
+    const headings = [];
+    let units = [];       // [{ text, tokens }] in the chunk being built, joined by one newline token each
+    let used = 0;
+    let chunkHeading = null;
+
+    const sectionPath = () => (headings.length ? headings.map(entry => entry.heading).join(' › ') : null);
+
+    const flush = () => {
+        // A chunk that is only headings (or a repeated path) carries nothing
+        if (units.every(unit => unit.heading || unit.context)) {
+            units = [];
+            used = 0;
+            return;
+        }
+        const text = units.map(unit => unit.text).join('\n');
+        chunks.push({ index: chunks.length, text, tokens: countTokens(text, encoding), heading: chunkHeading });
+        units = [];
+        used = 0;
+    };
+
+    // Start a chunk, repeating the section path when the chunk does not open with its heading
+    const start = (opensWithHeading, carried = []) => {
+        chunkHeading = sectionPath();
+        if (chunkHeading && !opensWithHeading) {
+            const tokens = countTokens(chunkHeading, encoding);
+            units.push({ text: chunkHeading, tokens, context: true });
+            used += tokens;
+        }
+        for (const unit of carried) {
+            units.push(unit);
+            used += unit.tokens;
+        }
+    };
+
+    // Trailing units of the full chunk that fit in the overlap budget
+    const overlap = () => {
+        const carried = [];
+        let total = 0;
+        for (let i = units.length - 1; i >= 0 && !units[i].context && !units[i].heading; i--) {
+            if (total + units[i].tokens > overlapTokens) {
+                if (carried.length === 0 && overlapTokens > 0) {
+                    const tail = truncateToTokens(units[i].text, overlapTokens, { fromEnd: true, encoding });
+                    carried.unshift({ text: tail, tokens: countTokens(tail, encoding) });
+                }
+                break;
+            }
+            carried.unshift(units[i]);
+            total += units[i].tokens;
+        }
+        return carried;
+    };
+
+    const add = (unit, isHeading = false) => {
+        if (units.length === 0) {
+            start(isHeading);
+        } else if (used + units.length + unit.tokens > maxTokens) {
+            const carried = isHeading ? [] : overlap();
+            flush();
+            start(isHeading, carried);
+            // The overlap never crowds out the new unit
+            while (units.length > 0 && used + units.length + unit.tokens > maxTokens) {
+                used -= units.shift().tokens;
+            }
+        }
+        units.push(unit);
+        used += unit.tokens;
+    };
+
+    const blocks = isHtml ? htmlBlocks(source) : textBlocks(source);
+
+    for (const block of blocks) {
+        if (block.heading) {
+            while (headings.length && headings[headings.length - 1].level >= block.level) headings.pop();
+            headings.push(block);
+
+            // A new section starts a new chunk unless the current one is still small
+            if (used > maxTokens / 4) flush();
+            add({ text: block.heading, tokens: countTokens(block.heading, encoding), heading: true }, true);
+            continue;
+        }
+
+        const tokens = countTokens(block.text, encoding);
+        const pieces = tokens > maxTokens / 2 ? splitOversized(block.text, Math.floor(maxTokens / 2), encoding) : [block.text];
+        for (const piece of pieces) {
+            add({ text: piece, tokens: pieces.length === 1 ? tokens : countTokens(piece, encoding) });
+        }
+    }
+    flush();
+
+    return chunks;
+}
+
+/**
+ * Fold search hits that are chunks of the same parent into one result, in rank order
+ * @param {Array} results - Weaviate hits with parentId, chunkIndex and _additional.id
+ * @param {Object} options - { textField: field holding chunk text (default content), limit }
+ * @returns {Array} One result per parent, its text made of the matched chunks in document order
+ */
+export function collapseChunks(results, options = {}) {
+    const textField = options.textField || 'content';
+    const groups = new Map();
+
+    for (const [position, result] of (results || []).entries()) {
+        const key = result.parentId || result._additional?.id || `result:${position}`;
+        if (!groups.has(key)) {
+            groups.set(key, { best: result, members: [] });
+        }
+        groups.get(key).members.push(result);
+    }
+
+    const collapsed = [...groups.values()].map(({ best, members }) => {
+        if (members.length === 1) return best;
+
+        const ordered = [...members].sort((a, b) => (a.chunkIndex ?? -1) - (b.chunkIndex ?? -1));
+        return {
+            ...best,
+            [textField]: ordered.map(member => member[textField]).filter(Boolean).join('\n\n'),
+            matchedChunks: ordered.map(member => member.chunkIndex ?? 0)
+        };
+    });
+
+    return options.limit ? collapsed.slice(0, options.limit) : collapsed;
+}
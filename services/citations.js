@@ -0,0 +1,120 @@
+// =============================================
+// CLARYFY CITATION SERVICE
+// =============================================
+
+// Canvas web paths for each content type
+const CANVAS_PATHS = {
+    assignment: (courseId, canvasId) => `/courses/${courseId}/assignments/${canvasId}`,
+    announcement: (courseId, canvasId) => `/courses/${courseId}/discussion_topics/${canvasId}`,
+    file: (courseId, canvasId) => `/courses/${courseId}/files/${canvasId}`,
+    file_chunk: (courseId, canvasId) => `/courses/${courseId}/files/${String(canvasId).split(':')[0]}`, // canvasId is fileId:chunk
+    page: (courseId, canvasId) => `/courses/${courseId}/pages/${canvasId}`,
+    module: (courseId, canvasId) => `/courses/${courseId}/modules#module_${canvasId}`,
+    syllabus: courseId => `/courses/${courseId}/assignments/syllabus`,
+    discussion: (courseId, canvasId) => `/courses/${courseId}/discussion_topics/${canvasId}`,
+    quiz: (courseId, canvasId) => `/courses/${courseId}/quizzes/${canvasId}`
+};
+
+// Matches [1], [2, 3] and [1][4]
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+export const CITATION_INSTRUCTIONS = `Citing Sources:
+- Canvas content is listed as numbered sources like [1], [2]
+- When a sentence uses information from a source, end it with the source number in brackets, e.g. "PS5 is due Friday [2]."
+- Cite several sources as [1, 3]
+- Only cite numbers that appear in the source list, and never invent sources`;
+
+export class CitationService {
+
+    /**
+     * Build the Canvas web URL for a content item
+     * @param {string} domain - Canvas domain (may include a scheme)
+     * @param {Object} item - Item with type, courseId and canvasId
+     * @returns {string|null} URL, or null if it cannot be built
+     */
+    static canvasUrl(domain, item) {
+        if (!domain || !item.courseId) return null;
+
+        const baseUrl = /^https?:\/\//.test(domain) ? domain.replace(/\/+$/, '') : `https://${domain}`;
+        const buildPath = CANVAS_PATHS[item.type];
+
+        if (!buildPath) {
+            return `${baseUrl}/courses/${item.courseId}`;
+        }
+
+        return `${baseUrl}${buildPath(item.courseId, item.canvasId)}`;
+    }
+
+    /**
+     * Assign citation numbers and stable IDs to retrieved Canvas items
+     * @param {Array} canvasContext - Items returned by Weaviate
+     * @param {string} canvasDomain - Canvas domain for building links (optional)
+     * @returns {Array} Items with index, id and url added
+     */
+    static numberSources(canvasContext, canvasDomain = null) {
+        return (canvasContext || []).map((item, position) => ({
+            ...item,
+            index: position + 1,
+            id: `${item.type || 'content'}:${item.courseId ?? 'none'}:${item.canvasId}`,
+            url: this.canvasUrl(canvasDomain, item)
+        }));
+    }
+
+    /**
+     * Render numbered sources for the system prompt
+     * @param {Array} sources - Numbered sources
+     * @returns {string} Source list
+     */
+    static formatSourcesForPrompt(sources) {
+        return sources.map(source => {
+            const typeLabel = source.type ? source.type.toUpperCase() : 'CONTENT';
+            const course = source.courseId ? `, course ${source.courseId}` : '';
+            const due = source.dueDate ? `, due ${source.dueDate}` : '';
+            return `[${source.index}] ${typeLabel}${course}${due}: ${source.title}\n${source.content || ''}`.trim();
+        }).join('\n\n');
+    }
+
+    /**
+     * Public view of a source for API responses (no content body)
+     * @param {Object} source - Numbered source
+     * @returns {Object} Reference
+     */
+    static toReference(source) {
+        return {
+            index: source.index,
+            id: source.id,
+            type: source.type,
+            title: source.title,
+            canvasId: source.canvasId,
+            courseId: source.courseId,
+            page: source.pageNumber ?? null,
+            url: source.url
+        };
+    }
+
+    /**
+     * Resolve the citations used in a reply into structured references
+     * @param {string} text - Assistant reply
+     * @param {Array} sources - Numbered sources given to the model
+     * @returns {Array} References in order of first citation
+     */
+    static extractCitations(text, sources) {
+        const byIndex = new Map(sources.map(source => [source.index, source]));
+        const cited = [];
+        const seen = new Set();
+
+        for (const match of (text || '').matchAll(CITATION_PATTERN)) {
+            for (const number of match[1].split(',').map(n => parseInt(n.trim(), 10))) {
+                const source = byIndex.get(number);
+                if (source && !seen.has(number)) {
+                    seen.add(number);
+                    cited.push(this.toReference(source));
+                }
+            }
+        }
+
+        return cited;
+    }
+}
+
+export default CitationService;
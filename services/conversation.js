@@ -1,5 +1,5 @@
-import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { supabase } from './supabase.js';
 
 dotenv.config();
 
@@ -7,22 +7,11 @@ dotenv.config();
 // SUPABASE CONFIGURATION
 // =============================================
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-let supabase = null;
-
-// Initialize Supabase client if configuration is available
-if (supabaseUrl && supabaseServiceKey) {
-    try {
-        supabase = createClient(supabaseUrl, supabaseServiceKey);
-        console.log('✅ Supabase conversation service initialized');
-    } catch (error) {
-        console.error('❌ Failed to initialize Supabase client:', error);
-    }
+// Uses the shared service client from ./supabase.js (a live binding, so injected clients apply here too)
+if (supabase) {
+    console.log('✅ Supabase conversation service initialized');
 } else {
     console.log('⚠️ Supabase configuration missing. Conversation history will be disabled.');
-    console.log('   Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables to enable.');
 }
 
 // =============================================
@@ -127,6 +116,32 @@ export class ConversationService {
         }
     }
 
+    /**
+     * Get a conversation if it belongs to the user
+     * @param {string} conversationId - Conversation ID
+     * @param {string} userId - User ID
+     * @returns {Object|null} Conversation, or null when missing or someone else's
+     */
+    static async getConversation(conversationId, userId) {
+        // Nothing is stored for temporary conversations, so there is nothing to protect
+        if (!this.isAvailable() || String(conversationId).startsWith('temp-')) {
+            return { id: conversationId, user_id: userId };
+        }
+
+        const { data, error } = await supabase
+            .from('conversations')
+            .select('*')
+            .eq('id', conversationId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        // A malformed ID cannot name any conversation
+        if (error?.code === '22P02') return null;
+        if (error) throw error;
+
+        return data;
+    }
+
     /**
      * Get conversation history for a user
      * @param {string} userId - User ID
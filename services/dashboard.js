@@ -0,0 +1,296 @@
+// =============================================
+// CLARYFY DASHBOARD PREFERENCES
+// =============================================
+//
+// Per-user dashboard settings stored in the dashboard_preferences table: which
+// courses are shown, how many items each collection returns per page, and how
+// each collection is sorted. Collections are paginated with opaque cursors
+// instead of being truncated.
+
+import { supabase } from './supabase.js';
+
+const MAX_PAGE_SIZE = 500;
+
+// Dates missing from an item sort after every real date, whatever the direction
+function compareDates(a, b, direction) {
+    if (!a && !b) return 0;
+    if (!a) return 1;
+    if (!b) return -1;
+    return direction * (new Date(a) - new Date(b));
+}
+
+function compareText(a, b) {
+    return (a || '').localeCompare(b || '', undefined, { sensitivity: 'base' });
+}
+
+// Paginated collections with their sort options (the first is the default)
+export const DASHBOARD_COLLECTIONS = {
+    courses: {
+        defaultLimit: 50,
+        sorts: {
+            position: (a, b) => (a.position ?? 0) - (b.position ?? 0), // Canvas dashboard order
+            'name:asc': (a, b) => compareText(a.name || a.shortName, b.name || b.shortName)
+        }
+    },
+    assignments: {
+        defaultLimit: 50,
+        sorts: {
+            'due_at:asc': (a, b) => compareDates(a.due_at, b.due_at, 1), // Most urgent first
+            'due_at:desc': (a, b) => compareDates(a.due_at, b.due_at, -1),
+            'created_at:desc': (a, b) => compareDates(a.created_at, b.created_at, -1),
+            'name:asc': (a, b) => compareText(a.name, b.name)
+        }
+    },
+    announcements: {
+        defaultLimit: 30,
+        sorts: {
+            'posted_at:desc': (a, b) => compareDates(a.posted_at || a.created_at, b.posted_at || b.created_at, -1),
+            'posted_at:asc': (a, b) => compareDates(a.posted_at || a.created_at, b.posted_at || b.created_at, 1)
+        }
+    },
+    files: {
+        defaultLimit: 100,
+        sorts: {
+            'updated_at:desc': (a, b) => compareDates(a.updated_at || a.created_at, b.updated_at || b.created_at, -1),
+            'name:asc': (a, b) => compareText(a.display_name, b.display_name),
+            'size:desc': (a, b) => (b.size || 0) - (a.size || 0)
+        }
+    }
+};
+
+/**
+ * Check a client-supplied collection name; own keys only, so "constructor" or "__proto__" never match
+ * @param {string} collection - Collection name
+ * @returns {boolean} Whether it is a paginated dashboard collection
+ */
+export function isDashboardCollection(collection) {
+    return typeof collection === 'string' && Object.hasOwn(DASHBOARD_COLLECTIONS, collection);
+}
+
+// Comparator for a client-supplied sort of a known collection, or null
+function findSort(collection, sort) {
+    const { sorts } = DASHBOARD_COLLECTIONS[collection];
+    return typeof sort === 'string' && Object.hasOwn(sorts, sort) ? sorts[sort] : null;
+}
+
+// Invalid preferences or pagination parameters (reported as 400)
+export class DashboardRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DashboardRequestError';
+    }
+}
+
+function isCourseIdList(value) {
+    return Array.isArray(value) && value.every(id => Number.isInteger(id) && id > 0);
+}
+
+function parsePageSize(value, collection) {
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new DashboardRequestError(`${collection} limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return limit;
+}
+
+// =============================================
+// DASHBOARD PREFERENCES SERVICE
+// =============================================
+
+export class DashboardPreferencesService {
+
+    /**
+     * Preferences for a user who has not saved any
+     * @returns {Object} { included_course_ids, hidden_course_ids, limits, sort }
+     */
+    static defaults() {
+        const limits = {};
+        const sort = {};
+
+        for (const [collection, { defaultLimit, sorts }] of Object.entries(DASHBOARD_COLLECTIONS)) {
+            limits[collection] = defaultLimit;
+            sort[collection] = Object.keys(sorts)[0];
+        }
+
+        return {
+            included_course_ids: null, // null shows every dashboard course
+            hidden_course_ids: [],
+            limits,
+            sort
+        };
+    }
+
+    /**
+     * Merge a partial update into existing preferences, rejecting unknown values
+     * @param {Object} current - Existing preferences
+     * @param {Object} updates - { included_course_ids, hidden_course_ids, limits, sort }
+     * @returns {Object} Complete preferences
+     */
+    static merge(current, updates = {}) {
+        const preferences = {
+            ...current,
+            limits: { ...current.limits },
+            sort: { ...current.sort }
+        };
+
+        if (updates.included_course_ids !== undefined) {
+            if (updates.included_course_ids !== null && !isCourseIdList(updates.included_course_ids)) {
+                throw new DashboardRequestError('included_course_ids must be null or an array of course IDs');
+            }
+            preferences.included_course_ids = updates.included_course_ids;
+        }
+
+        if (updates.hidden_course_ids !== undefined) {
+            if (!isCourseIdList(updates.hidden_course_ids)) {
+                throw new DashboardRequestError('hidden_course_ids must be an array of course IDs');
+            }
+            preferences.hidden_course_ids = updates.hidden_course_ids;
+        }
+
+        for (const [collection, limit] of Object.entries(updates.limits || {})) {
+            if (!isDashboardCollection(collection)) {
+                throw new DashboardRequestError(`Unknown dashboard collection: ${collection}`);
+            }
+            preferences.limits[collection] = parsePageSize(limit, collection);
+        }
+
+        for (const [collection, sort] of Object.entries(updates.sort || {})) {
+            if (!isDashboardCollection(collection)) {
+                throw new DashboardRequestError(`Unknown dashboard collection: ${collection}`);
+            }
+            if (!findSort(collection, sort)) {
+                throw new DashboardRequestError(`${collection} sort must be one of: ${Object.keys(DASHBOARD_COLLECTIONS[collection].sorts).join(', ')}`);
+            }
+            preferences.sort[collection] = sort;
+        }
+
+        return preferences;
+    }
+
+    /**
+     * Get a user's preferences, filled in with defaults
+     * @param {string} userId - User ID
+     * @returns {Object} Preferences
+     */
+    static async getPreferences(userId) {
+        const defaults = this.defaults();
+        if (!supabase) return defaults;
+
+        const { data, error } = await supabase
+            .from('dashboard_preferences')
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return defaults;
+
+        // Stored values may predate a collection or sort option; keep only what is still valid
+        const stored = {
+            included_course_ids: data.included_course_ids ?? null,
+            hidden_course_ids: data.hidden_course_ids || [],
+            limits: {},
+            sort: {}
+        };
+        for (const collection of Object.keys(DASHBOARD_COLLECTIONS)) {
+            if (data.limits?.[collection]) stored.limits[collection] = data.limits[collection];
+            if (findSort(collection, data.sort_order?.[collection])) {
+                stored.sort[collection] = data.sort_order[collection];
+            }
+        }
+
+        return this.merge(defaults, stored);
+    }
+
+    /**
+     * Validate and save a partial preferences update
+     * @param {string} userId - User ID
+     * @param {Object} updates - Fields to change
+     * @returns {Object} { preferences, coursesChanged }
+     */
+    static async savePreferences(userId, updates) {
+        const current = await this.getPreferences(userId);
+        const preferences = this.merge(current, updates);
+
+        const { error } = await supabase
+            .from('dashboard_preferences')
+            .upsert({
+                user_id: userId,
+                included_course_ids: preferences.included_course_ids,
+                hidden_course_ids: preferences.hidden_course_ids,
+                limits: preferences.limits,
+                sort_order: preferences.sort,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id' });
+
+        if (error) throw error;
+
+        const coursesChanged = JSON.stringify([current.included_course_ids, current.hidden_course_ids])
+            !== JSON.stringify([preferences.included_course_ids, preferences.hidden_course_ids]);
+
+        return { preferences, coursesChanged };
+    }
+
+    /**
+     * Dashboard courses the user wants to see, in Canvas order
+     * @param {Array} courses - Dashboard cards (or cached course rows)
+     * @param {Object} preferences - User preferences
+     * @returns {Array} Selected courses
+     */
+    static selectCourses(courses, preferences) {
+        const included = preferences.included_course_ids && new Set(preferences.included_course_ids.map(String));
+        const hidden = new Set(preferences.hidden_course_ids.map(String));
+
+        return courses.filter(course => (!included || included.has(String(course.id))) && !hidden.has(String(course.id)));
+    }
+
+    /**
+     * Sort a collection and cut one page from it
+     * @param {string} collection - courses, assignments, announcements or files
+     * @param {Array} items - Every item in the collection
+     * @param {Object} preferences - User preferences (default sort and page size)
+     * @param {Object} options - { cursor, limit } from the client
+     * @returns {Object} { items, page: { limit, total, sort, next_cursor } }
+     */
+    static paginate(collection, items, preferences, options = {}) {
+        const position = options.cursor ? this.decodeCursor(options.cursor) : { offset: 0, sort: preferences.sort[collection] };
+        const limit = options.limit !== undefined ? parsePageSize(options.limit, collection) : preferences.limits[collection];
+
+        // A cursor keeps the sort it was issued with so pages never overlap
+        const compare = findSort(collection, position.sort);
+        if (!compare) {
+            throw new DashboardRequestError('Invalid cursor');
+        }
+
+        const sorted = [...items].sort(compare);
+        const end = position.offset + limit;
+
+        return {
+            items: sorted.slice(position.offset, end),
+            page: {
+                limit,
+                total: sorted.length,
+                sort: position.sort,
+                next_cursor: end < sorted.length ? this.encodeCursor({ offset: end, sort: position.sort }) : null
+            }
+        };
+    }
+
+    static encodeCursor(position) {
+        return Buffer.from(JSON.stringify(position)).toString('base64url');
+    }
+
+    static decodeCursor(cursor) {
+        try {
+            const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+            if (Number.isInteger(position.offset) && position.offset >= 0 && typeof position.sort === 'string') {
+                return position;
+            }
+        } catch {
+            // Fall through to the error below
+        }
+        throw new DashboardRequestError('Invalid cursor');
+    }
+}
+
+export default DashboardPreferencesService;
@@ -0,0 +1,431 @@
+// =============================================
+// CLARYFY DOCUMENT INGESTION
+// =============================================
+//
+// Downloads Canvas files (PDF, DOCX, PPTX, plain text), extracts their text page
+// by page with pure-JS parsers and cuts it into chunks that remember their page,
+// so the Canvas sync can index file contents alongside file metadata.
+// Extracted text is cached per file version in document_extracts, so files are
+// only downloaded again when they change in Canvas.
+
+import fetch from 'node-fetch';
+import { extractText as extractPdfText } from 'unpdf';
+import { unzipSync, strFromU8 } from 'fflate';
+import { supabase } from './supabase.js';
+import { decodeEntities, normalizeWhitespace } from './text.js';
+import { chunkText } from './chunker.js';
+
+// Configuration
+export const DOCUMENT_CONFIG = {
+    MAX_FILE_BYTES: 25 * 1024 * 1024, // Larger files are skipped
+    MAX_UNZIPPED_BYTES: 100 * 1024 * 1024, // Parts read from one DOCX or PPTX, uncompressed
+    DOWNLOAD_TIMEOUT_MS: 60000,
+    MIN_PAGE_CHARS: 20              // Pages with less text (title slides, blank pages) are not indexed
+};
+
+// A file that can never be extracted as it stands (cached until the file changes)
+export class DocumentExtractionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DocumentExtractionError';
+    }
+}
+
+// =============================================
+// FORMAT PARSERS
+// =============================================
+
+// Inflate only the parts a parser reads, refusing archives that unpack beyond
+// MAX_UNZIPPED_BYTES (zip bombs) before anything is inflated
+function unzip(buffer, format, wanted) {
+    let total = 0;
+
+    try {
+        return unzipSync(new Uint8Array(buffer), {
+            filter: file => {
+                if (!wanted(file.name)) return false;
+
+                total += file.originalSize;
+                if (total > DOCUMENT_CONFIG.MAX_UNZIPPED_BYTES) {
+                    throw new DocumentExtractionError(`${format} file unpacks to more than ${Math.round(DOCUMENT_CONFIG.MAX_UNZIPPED_BYTES / 1024 / 1024)} MB`);
+                }
+                return true;
+            }
+        });
+    } catch (error) {
+        if (error instanceof DocumentExtractionError) throw error;
+        throw new DocumentExtractionError(`Not a valid ${format} file: ${error.message}`);
+    }
+}
+
+async function extractPdf(buffer) {
+    try {
+        const { text } = await extractPdfText(new Uint8Array(buffer), { mergePages: false });
+        return text.map((pageText, index) => ({ page: index + 1, text: pageText }));
+    } catch (error) {
+        throw new DocumentExtractionError(`Could not read PDF: ${error.message}`);
+    }
+}
+
+// Word body text; explicit and last-rendered page breaks start a new page
+const DOCX_TOKENS = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\b([^>]*)\/>|<w:lastRenderedPageBreak\/>|<\/w:p>/g;
+
+function extractDocx(buffer) {
+    const entries = unzip(buffer, 'DOCX', name => name === 'word/document.xml');
+    const documentXml = entries['word/document.xml'];
+    if (!documentXml) {
+        throw new DocumentExtractionError('DOCX file has no word/document.xml');
+    }
+
+    const pages = [''];
+    for (const [token, text, breakAttributes] of strFromU8(documentXml).matchAll(DOCX_TOKENS)) {
+        if (text !== undefined) {
+            pages[pages.length - 1] += decodeEntities(text);
+        } else if (token === '<w:tab/>') {
+            pages[pages.length - 1] += '\t';
+        } else if (token === '</w:p>') {
+            pages[pages.length - 1] += '\n';
+        } else if (breakAttributes !== undefined && !/w:type="page"/.test(breakAttributes)) {
+            pages[pages.length - 1] += '\n';
+        } else {
+            pages.push('');
+        }
+    }
+
+    return pages.map((text, index) => ({ page: index + 1, text }));
+}
+
+const PPTX_PARTS = /^ppt\/(presentation\.xml|_rels\/presentation\.xml\.rels|slides\/slide\d+\.xml)$/;
+
+// Slide XML paths in presentation order (falling back to file numbering)
+function slidePaths(entries) {
+    const numbered = Object.keys(entries)
+        .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+        .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+
+    const presentation = entries['ppt/presentation.xml'] && strFromU8(entries['ppt/presentation.xml']);
+    const rels = entries['ppt/_rels/presentation.xml.rels'] && strFromU8(entries['ppt/_rels/presentation.xml.rels']);
+    if (!presentation || !rels) return numbered;
+
+    const targets = new Map([...rels.matchAll(/<Relationship\b[^>]*>/g)].map(([tag]) => [
+        tag.match(/\bId="([^"]+)"/)?.[1],
+        tag.match(/\bTarget="([^"]+)"/)?.[1]
+    ]));
+    const ordered = [...presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+        .map(([, relationId]) => targets.get(relationId))
+        .filter(Boolean)
+        .map(target => `ppt/${target.replace(/^\/?(ppt\/)?/, '')}`)
+        .filter(path => entries[path]);
+
+    return ordered.length > 0 ? ordered : numbered;
+}
+
+function extractPptx(buffer) {
+    const entries = unzip(buffer, 'PPTX', name => PPTX_PARTS.test(name));
+    const paths = slidePaths(entries);
+    if (paths.length === 0) {
+        throw new DocumentExtractionError('PPTX file has no slides');
+    }
+
+    return paths.map((path, index) => {
+        const text = [...strFromU8(entries[path]).matchAll(/<a:t>([^<]*)<\/a:t>|<\/a:p>/g)]
+            .map(([token, run]) => (run !== undefined ? decodeEntities(run) : token === '</a:p>' ? '\n' : ''))
+            .join('');
+        return { page: index + 1, text };
+    });
+}
+
+// Form feeds separate pages in plain-text exports
+function extractPlainText(buffer) {
+    return buffer.toString('utf8')
+        .replace(/^\uFEFF/, '')
+        .split('\f')
+        .map((text, index) => ({ page: index + 1, text }));
+}
+
+// Supported formats: how to recognise them and what a "page" is called when citing
+const DOCUMENT_FORMATS = {
+    pdf: {
+        contentTypes: ['application/pdf'],
+        extensions: ['pdf'],
+        pageLabel: 'p.',
+        extract: extractPdf
+    },
+    docx: {
+        contentTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        extensions: ['docx'],
+        pageLabel: 'p.',
+        extract: extractDocx
+    },
+    pptx: {
+        contentTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+        extensions: ['pptx'],
+        pageLabel: 'slide',
+        extract: extractPptx
+    },
+    txt: {
+        contentTypes: ['text/plain', 'text/markdown', 'text/csv'],
+        extensions: ['txt', 'md', 'csv'],
+        pageLabel: 'p.',
+        extract: extractPlainText
+    }
+};
+
+// Version of a Canvas file that its cached extract must match
+function fileVersion(file) {
+    return `${file.updated_at || file.modified_at || file.created_at || ''}:${file.size ?? ''}`;
+}
+
+// =============================================
+// DOCUMENT SERVICE
+// =============================================
+
+export class DocumentService {
+
+    /**
+     * Which supported format a Canvas file is in
+     * @param {Object} file - Canvas file ({ content_type or 'content-type', filename, display_name })
+     * @returns {string|null} pdf, docx, pptx or txt, or null if unsupported
+     */
+    static detectFormat(file) {
+        const contentType = (file['content-type'] || file.content_type || '').split(';')[0].trim().toLowerCase();
+        const extension = (file.filename || file.display_name || '').split('.').pop().toLowerCase();
+
+        const entry = Object.entries(DOCUMENT_FORMATS).find(([, format]) => format.contentTypes.includes(contentType))
+            || Object.entries(DOCUMENT_FORMATS).find(([, format]) => format.extensions.includes(extension));
+
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Extract text page by page (slides count as pages)
+     * @param {Buffer} buffer - File contents
+     * @param {string} format - pdf, docx, pptx or txt
+     * @returns {Array} [{ page, text }] with whitespace normalized
+     */
+    static async extractPages(buffer, format) {
+        const parser = DOCUMENT_FORMATS[format];
+        if (!parser) {
+            throw new DocumentExtractionError(`Unsupported document format: ${format}`);
+        }
+
+        const pages = await parser.extract(buffer);
+        return pages.map(({ page, text }) => ({ page, text: normalizeWhitespace(text) }));
+    }
+
+    /**
+     * Cut extracted pages into chunks that never span pages
+     * @param {Array} pages - [{ page, text }]
+     * @param {Object} options - chunkText options plus minPageChars (default DOCUMENT_CONFIG.MIN_PAGE_CHARS)
+     * @returns {Array} [{ index, page, text }]
+     */
+    static chunkPages(pages, options = {}) {
+        const minPageChars = options.minPageChars ?? DOCUMENT_CONFIG.MIN_PAGE_CHARS;
+
+        const chunks = [];
+        for (const { page, text } of pages) {
+            if (text.length < minPageChars) continue;
+
+            for (const chunk of chunkText(text, { ...options, html: false })) {
+                chunks.push({ index: chunks.length, page, text: chunk.text });
+            }
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Citation label for a page of a document, e.g. "p. 12" or "slide 4"
+     * @param {string} format - Document format
+     * @param {number} page - Page number
+     * @returns {string} Label
+     */
+    static pageLabel(format, page) {
+        return `${DOCUMENT_FORMATS[format]?.pageLabel || 'p.'} ${page}`;
+    }
+
+    /**
+     * Look up a Canvas file and open an authenticated download of it
+     * (shared by /api/files/serve/:fileId and file ingestion)
+     * @param {Object} client - Canvas client
+     * @param {string} token - Canvas access token for the download itself
+     * @param {number} fileId - Canvas file ID
+     * @param {Object} options - Extra fetch options, e.g. { size, signal } (optional)
+     * @returns {Object} { fileInfo, response }, response null when Canvas has no download URL
+     */
+    static async fetchCanvasFile(client, token, fileId, options = {}) {
+        const fileInfo = await client.getFile(fileId);
+        if (!fileInfo || !fileInfo.url) {
+            return { fileInfo, response: null };
+        }
+
+        const response = await fetch(fileInfo.url, {
+            ...options,
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        });
+
+        return { fileInfo, response };
+    }
+
+    /**
+     * Download a Canvas file's contents
+     * @param {Object} client - Canvas client
+     * @param {string} token - Canvas access token
+     * @param {number} fileId - Canvas file ID
+     * @returns {Buffer} File contents
+     */
+    static async download(client, token, fileId) {
+        const { response } = await this.fetchCanvasFile(client, token, fileId, {
+            size: DOCUMENT_CONFIG.MAX_FILE_BYTES,
+            signal: AbortSignal.timeout(DOCUMENT_CONFIG.DOWNLOAD_TIMEOUT_MS)
+        });
+
+        if (!response) {
+            throw new Error('File has no download URL');
+        }
+        if (!response.ok) {
+            throw new Error(`Download failed (${response.status})`);
+        }
+
+        return Buffer.from(await response.arrayBuffer());
+    }
+
+    // Cached extract for this version of a file, if any
+    static async getCachedExtract(userId, file) {
+        if (!supabase) return null;
+
+        const { data, error } = await supabase
+            .from('document_extracts')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('file_id', file.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    static async saveExtract(userId, file, extract) {
+        if (!supabase) return;
+
+        const { error } = await supabase
+            .from('document_extracts')
+            .upsert({
+                user_id: userId,
+                file_id: file.id,
+                course_id: file.course_id,
+                file_version: fileVersion(file),
+                format: extract.format,
+                pages: extract.pages || [],
+                error: extract.error || null,
+                extracted_at: new Date().toISOString()
+            }, { onConflict: 'user_id,file_id' });
+
+        if (error) throw error;
+    }
+
+    /**
+     * Extract and chunk the text of a user's Canvas files
+     * @param {string} userId - Supabase user ID
+     * @param {Array} files - Canvas files tagged with course_id/course_name
+     * @param {Object} options - {
+     *   client: Canvas client,
+     *   getToken(): current Canvas access token,
+     *   onFile(file): awaited before each file; throwing aborts ingestion
+     * }
+     * @returns {Object} { chunks, summary: { extracted, cached, skipped, failed, chunks }, errors: [{ fileId, fileName, message }] }
+     */
+    static async ingestFiles(userId, files, options) {
+        const chunks = [];
+        const errors = [];
+        const summary = { extracted: 0, cached: 0, skipped: 0, failed: 0, chunks: 0 };
+
+        // The extract cache only saves downloads; when it fails, the file is read again instead of the sync failing
+        const readCache = async file => {
+            try {
+                return await this.getCachedExtract(userId, file);
+            } catch (error) {
+                console.error(`Error reading cached text of file ${file.id}:`, error.message);
+                return null;
+            }
+        };
+        const writeCache = async (file, extract) => {
+            try {
+                await this.saveExtract(userId, file, extract);
+            } catch (error) {
+                console.error(`Error caching text of file ${file.id}:`, error.message);
+            }
+        };
+
+        for (const file of files) {
+            const format = this.detectFormat(file);
+            if (!format || (file.size || 0) > DOCUMENT_CONFIG.MAX_FILE_BYTES) {
+                summary.skipped++;
+                continue;
+            }
+
+            if (options.onFile) {
+                await options.onFile(file);
+            }
+
+            const cached = await readCache(file);
+            let pages;
+
+            if (cached && cached.file_version === fileVersion(file)) {
+                summary.cached++;
+                if (cached.error) {
+                    summary.failed++;
+                    continue;
+                }
+                pages = cached.pages;
+            } else {
+                try {
+                    const buffer = await this.download(options.client, options.getToken(), file.id);
+                    pages = await this.extractPages(buffer, format);
+                    await writeCache(file, { format, pages });
+                    summary.extracted++;
+                } catch (error) {
+                    console.error(`Error extracting text from file ${file.id}:`, error.message);
+                    summary.failed++;
+                    errors.push({ fileId: file.id, fileName: file.display_name, message: error.message });
+
+                    if (error instanceof DocumentExtractionError) {
+                        await writeCache(file, { format, error: error.message });
+                        continue;
+                    }
+
+                    // Download problems are retried next sync; meanwhile keep the last good text
+                    if (!cached?.pages?.length) continue;
+                    pages = cached.pages;
+                }
+            }
+
+            const fileChunks = this.chunkPages(pages);
+            for (const chunk of fileChunks) {
+                chunks.push({
+                    file_id: file.id,
+                    course_id: file.course_id,
+                    course_name: file.course_name,
+                    display_name: file.display_name,
+                    format,
+                    chunk_index: chunk.index,
+                    chunk_count: fileChunks.length,
+                    page: chunk.page,
+                    page_label: this.pageLabel(format, chunk.page),
+                    page_count: pages.length,
+                    text: chunk.text,
+                    created_at: file.created_at
+                });
+            }
+        }
+
+        summary.chunks = chunks.length;
+        console.log(`📄 File text: ${summary.extracted} extracted, ${summary.cached} cached, ${summary.skipped} skipped, ${summary.failed} failed → ${summary.chunks} chunks`);
+
+        return { chunks, summary, errors };
+    }
+}
+
+export default DocumentService;
@@ -1,5 +1,5 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
+import { LLMService, LLM_TASKS } from './llm/index.js';
 
 dotenv.config();
 
@@ -7,33 +7,27 @@ dotenv.config();
 // GEMINI CONFIGURATION
 // =============================================
 
-const googleApiKey = process.env.GOOGLE_API_KEY;
-let genAI = null;
-let geminiModel = null;
-
-// Initialize Gemini client if configuration is available
-if (googleApiKey) {
-    try {
-        genAI = new GoogleGenerativeAI(googleApiKey);
-
-        // Use Gemini 1.5 Flash for fast, cost-effective query processing
-        geminiModel = genAI.getGenerativeModel({
-            model: "gemini-1.5-flash",
-            generationConfig: {
-                temperature: 0.1, // Low temperature for consistent query processing
-                maxOutputTokens: 200, // Keep responses short and focused
-            }
-        });
-
-        console.log('✅ Gemini query service initialized');
-    } catch (error) {
-        console.error('❌ Failed to initialize Gemini client:', error);
-    }
+// Query parsing runs on the LLM_QUERY_PROVIDER task (Gemini by default, model from GEMINI_MODEL or LLM_QUERY_MODEL)
+if (LLMService.isConfigured(LLM_TASKS.QUERY)) {
+    console.log(`✅ Gemini query service initialized (${LLMService.getTaskConfig(LLM_TASKS.QUERY).provider}: ${LLMService.getModel(LLM_TASKS.QUERY)})`);
 } else {
-    console.log('⚠️ Google API key missing. Gemini query processing will be disabled.');
-    console.log('   Set GOOGLE_API_KEY environment variable to enable enhanced query processing.');
+    console.log('⚠️ Query LLM provider is not configured. Gemini query processing will be disabled.');
+    console.log('   Set GOOGLE_API_KEY, or choose another provider with LLM_QUERY_PROVIDER.');
 }
 
+// searchType values that target CanvasContent types, with the word added to the search query.
+// File text is indexed as file_chunk objects next to the file itself.
+export const SEARCH_TYPES = {
+    assignments: { types: ['assignment'], term: 'assignment' },
+    announcements: { types: ['announcement'], term: 'announcement' },
+    files: { types: ['file', 'file_chunk'], term: 'file' },
+    pages: { types: ['page'], term: 'page' },
+    modules: { types: ['module'], term: 'module' },
+    syllabus: { types: ['syllabus'], term: 'syllabus' },
+    discussions: { types: ['discussion'], term: 'discussion' },
+    quizzes: { types: ['quiz'], term: 'quiz' }
+};
+
 // =============================================
 // GEMINI QUERY PROCESSING SERVICE
 // =============================================
@@ -45,7 +39,7 @@ export class GeminiQueryService {
      * @returns {boolean} Whether Gemini is configured
      */
     static isAvailable() {
-        return geminiModel !== null;
+        return LLMService.isConfigured(LLM_TASKS.QUERY);
     }
 
     /**
@@ -76,7 +70,7 @@ User Query: "${userQuery}"
 
 Extract and return ONLY a JSON object with these fields:
 {
-  "searchType": "assignments|announcements|files|courses|general",
+  "searchType": "assignments|announcements|files|pages|modules|syllabus|discussions|quizzes|courses|general",
   "courseFilter": "course_code or null",
   "timeFilter": "this_week|next_week|this_month|past_due|null",
   "priority": "due_soon|overdue|high_priority|null",
@@ -89,12 +83,16 @@ Examples:
 - "What assignments are due this week in CMSC422?" → {"searchType": "assignments", "courseFilter": "CMSC422", "timeFilter": "this_week", "priority": "due_soon", "keywords": ["assignments", "due"], "specificItems": [], "intent": "find_assignments"}
 - "Tell me about PS5 in machine learning" → {"searchType": "assignments", "courseFilter": "CMSC422", "timeFilter": null, "priority": null, "keywords": ["PS5", "problem set"], "specificItems": ["PS5"], "intent": "find_assignments"}
 - "What courses am I taking?" → {"searchType": "courses", "courseFilter": null, "timeFilter": null, "priority": null, "keywords": ["courses"], "specificItems": [], "intent": "get_course_info"}
+- "How is CMSC422 graded?" → {"searchType": "syllabus", "courseFilter": "CMSC422", "timeFilter": null, "priority": null, "keywords": ["grading", "policy"], "specificItems": [], "intent": "get_course_info"}
+- "What's on quiz 3?" → {"searchType": "quizzes", "courseFilter": null, "timeFilter": null, "priority": null, "keywords": ["quiz", "topics"], "specificItems": ["Quiz 3"], "intent": "general_question"}
 
 Return ONLY the JSON object, no additional text.`;
 
-            const result = await geminiModel.generateContent(prompt);
-            const response = result.response;
-            const text = response.text().trim();
+            const response = await LLMService.chat(LLM_TASKS.QUERY, [{ role: 'user', content: prompt }], {
+                temperature: 0.1, // Low temperature for consistent query processing
+                max_tokens: 200 // Keep responses short and focused
+            });
+            const text = (response.choices[0]?.message?.content || '').trim();
 
             // Parse the JSON response
             let queryParams;
@@ -129,7 +127,7 @@ Return ONLY the JSON object, no additional text.`;
      * Enhanced search query builder based on processed parameters
      * @param {Object} queryParams - Processed query parameters from Gemini
      * @param {string} originalQuery - Original user query as fallback
-     * @returns {Object} Enhanced search configuration
+     * @returns {Object} Search plan: { query, filters: { types, courseCode, timeWindow }, boost: { recent, dueDate, overdue }, limit }
      */
     static buildSearchQuery(queryParams, originalQuery) {
         const searchConfig = {
@@ -138,20 +136,17 @@ Return ONLY the JSON object, no additional text.`;
             boost: {},
             limit: 10
         };
+        const specificItems = queryParams.specificItems || [];
+        const keywords = queryParams.keywords || [];
 
         // Build specific search query based on intent
-        if (queryParams.intent === 'find_assignments' && queryParams.specificItems.length > 0) {
-            searchConfig.query = queryParams.specificItems.join(' ') + ' ' + queryParams.keywords.join(' ');
-            searchConfig.filters.type = 'assignment';
-        } else if (queryParams.searchType === 'assignments') {
-            searchConfig.query = queryParams.keywords.join(' ') + ' assignment';
-            searchConfig.filters.type = 'assignment';
-        } else if (queryParams.searchType === 'announcements') {
-            searchConfig.query = queryParams.keywords.join(' ') + ' announcement';
-            searchConfig.filters.type = 'announcement';
-        } else if (queryParams.searchType === 'files') {
-            searchConfig.query = queryParams.keywords.join(' ') + ' file';
-            searchConfig.filters.type = 'file';
+        if (queryParams.intent === 'find_assignments' && specificItems.length > 0) {
+            searchConfig.query = specificItems.join(' ') + ' ' + keywords.join(' ');
+            searchConfig.filters.types = SEARCH_TYPES.assignments.types;
+        } else if (SEARCH_TYPES[queryParams.searchType]) {
+            const { types, term } = SEARCH_TYPES[queryParams.searchType];
+            searchConfig.query = keywords.join(' ') + ' ' + term;
+            searchConfig.filters.types = types;
         }
 
         // Add course filter if specified
@@ -159,6 +154,14 @@ Return ONLY the JSON object, no additional text.`;
             searchConfig.filters.courseCode = queryParams.courseFilter;
         }
 
+        // Time window, compiled into due or posted date filters by QueryPlanService
+        if (queryParams.priority === 'overdue' || queryParams.timeFilter === 'past_due') {
+            searchConfig.filters.timeWindow = 'past_due';
+            searchConfig.boost.overdue = true;
+        } else if (queryParams.timeFilter) {
+            searchConfig.filters.timeWindow = queryParams.timeFilter;
+        }
+
         // Add time-based boosting
         if (queryParams.timeFilter === 'this_week' || queryParams.priority === 'due_soon') {
             searchConfig.boost.recent = true;
@@ -168,7 +171,7 @@ Return ONLY the JSON object, no additional text.`;
         // Adjust limit based on query type
         if (queryParams.intent === 'get_course_info') {
             searchConfig.limit = 20; // Show more courses
-        } else if (queryParams.specificItems.length > 0) {
+        } else if (specificItems.length > 0) {
             searchConfig.limit = 5; // Focused search
         }
 
@@ -185,11 +188,27 @@ Return ONLY the JSON object, no additional text.`;
         const lowerQuery = userQuery.toLowerCase();
 
         // Basic keyword detection
-        const isAssignment = /assignment|homework|hw|ps\d+|problem set|project|quiz|exam|test/i.test(userQuery);
+        const isSyllabus = /syllabus|grading (policy|scheme|breakdown)|late (work|policy)|office hours/i.test(userQuery);
+        const isQuiz = /quiz/i.test(userQuery);
+        const isAssignment = /assignment|homework|hw|ps\d+|problem set|project|exam|test/i.test(userQuery);
+        const isDiscussion = /discussion|forum|thread/i.test(userQuery);
         const isAnnouncement = /announcement|news|update|notice/i.test(userQuery);
-        const isFile = /file|document|pdf|syllabus|material/i.test(userQuery);
+        const isModule = /module|week \d+|unit \d+/i.test(userQuery);
+        const isPage = /\bpage\b|wiki/i.test(userQuery);
+        const isFile = /file|document|pdf|material|slides/i.test(userQuery);
         const isCourse = /course|class|taking|enrolled/i.test(userQuery);
 
+        const searchType = isSyllabus ? 'syllabus'
+            : isQuiz ? 'quizzes'
+            : isAssignment ? 'assignments'
+            : isDiscussion ? 'discussions'
+            : isAnnouncement ? 'announcements'
+            : isModule ? 'modules'
+            : isPage ? 'pages'
+            : isFile ? 'files'
+            : isCourse ? 'courses'
+            : 'general';
+
         // Time filter detection
         let timeFilter = null;
         if (/this week|week/i.test(userQuery)) timeFilter = 'this_week';
@@ -206,13 +225,13 @@ Return ONLY the JSON object, no additional text.`;
         }
 
         return {
-            searchType: isAssignment ? 'assignments' : isAnnouncement ? 'announcements' : isFile ? 'files' : isCourse ? 'courses' : 'general',
+            searchType,
             courseFilter,
             timeFilter,
             priority: /due|deadline|urgent/i.test(userQuery) ? 'due_soon' : null,
             keywords: userQuery.split(' ').filter(word => word.length > 2),
             specificItems: [],
-            intent: isAssignment ? 'find_assignments' : isCourse ? 'get_course_info' : 'general_question'
+            intent: isAssignment ? 'find_assignments' : isCourse || isSyllabus ? 'get_course_info' : 'general_question'
         };
     }
 
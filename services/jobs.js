@@ -0,0 +1,561 @@
+// =============================================
+// CLARYFY BACKGROUND JOB SERVICE
+// =============================================
+//
+// Long-running work (Canvas sync, vectorization) is persisted in the jobs table
+// and executed by an in-process worker loop. Any instance can claim a queued job;
+// claims are optimistic (a conditional UPDATE on status) so two workers never run
+// the same job, and jobs whose worker died are requeued once their lock goes stale.
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import * as dotenv from 'dotenv';
+import { supabase } from './supabase.js';
+
+dotenv.config();
+
+// Configuration
+export const JOB_CONFIG = {
+    POLL_INTERVAL_MS: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+    CONCURRENCY: parseInt(process.env.JOB_CONCURRENCY) || 1,
+    MAX_ATTEMPTS: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    BACKOFF_BASE_MS: parseInt(process.env.JOB_BACKOFF_BASE_MS) || 10 * 1000, // doubles per attempt
+    BACKOFF_MAX_MS: 10 * 60 * 1000, // 10 minutes
+    LOCK_TIMEOUT_MS: parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 15 * 60 * 1000, // no progress for 15 minutes
+    CLAIM_BATCH: 5
+};
+
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+export const JOB_TYPES = {
+    CANVAS_SYNC: 'canvas_sync',
+    CONVERSATION_SUMMARY: 'conversation_summary'
+};
+
+const FINISHED_STATUSES = new Set([JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]);
+
+// Thrown inside a handler (via context.throwIfCancelled) to stop a cancelled job
+export class JobCancelledError extends Error {
+    constructor(message = 'Job was cancelled') {
+        super(message);
+        this.name = 'JobCancelledError';
+    }
+}
+
+// Failures that retrying cannot fix (bad payload, missing credentials)
+export class PermanentJobError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PermanentJobError';
+    }
+}
+
+// The job was requeued or failed as stale and may now belong to another worker
+export class JobLockLostError extends Error {
+    constructor(message = 'Job lock was lost to another worker') {
+        super(message);
+        this.name = 'JobLockLostError';
+    }
+}
+
+// Job row changes made by this process, for live progress streams
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function nowIso() {
+    return new Date().toISOString();
+}
+
+// =============================================
+// JOB PERSISTENCE SERVICE
+// =============================================
+
+export class JobService {
+
+    /**
+     * Check if the jobs table is reachable
+     * @returns {boolean} Whether Supabase is configured
+     */
+    static isAvailable() {
+        return supabase !== null;
+    }
+
+    /**
+     * Whether a job will not change any more
+     * @param {Object} job - Job row
+     * @returns {boolean} True for succeeded, failed and cancelled jobs
+     */
+    static isFinished(job) {
+        return FINISHED_STATUSES.has(job.status);
+    }
+
+    /**
+     * Backoff before retry number `attempt` (1-based)
+     * @param {number} attempt - Attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    static retryDelay(attempt) {
+        return Math.min(JOB_CONFIG.BACKOFF_BASE_MS * 2 ** Math.max(attempt - 1, 0), JOB_CONFIG.BACKOFF_MAX_MS);
+    }
+
+    /**
+     * Subscribe to updates of one job made by this process
+     * @param {string} jobId - Job ID
+     * @param {Function} listener - Called with the updated job row
+     * @returns {Function} Unsubscribe
+     */
+    static subscribe(jobId, listener) {
+        jobEvents.on(jobId, listener);
+        return () => jobEvents.off(jobId, listener);
+    }
+
+    static publish(job) {
+        if (job) jobEvents.emit(job.id, job);
+        return job;
+    }
+
+    /**
+     * Queue a job
+     * @param {string} userId - Owning user
+     * @param {string} type - Job type (see JOB_TYPES)
+     * @param {Object} payload - Handler input
+     * @param {Object} options - { dedupe, dedupeBy, maxAttempts, runAt } dedupe returns an unfinished job of the same type instead;
+     *   dedupeBy names payload fields that must match too (e.g. one summary job per conversation)
+     * @returns {Object} { job, created }
+     */
+    static async enqueue(userId, type, payload = {}, options = {}) {
+        // A partial unique index keeps one queued or running job per user, type and dedupe key
+        const dedupeKey = options.dedupe
+            ? (options.dedupeBy || []).map(field => String(payload[field] ?? '')).join(':')
+            : null;
+
+        if (options.dedupe) {
+            const pending = await this.findPending(userId, type, dedupeKey);
+            if (pending) return { job: pending, created: false };
+        }
+
+        const { data, error } = await supabase
+            .from('jobs')
+            .insert({
+                user_id: userId,
+                type,
+                payload,
+                dedupe_key: dedupeKey,
+                status: JOB_STATUS.QUEUED,
+                progress: {},
+                attempts: 0,
+                max_attempts: options.maxAttempts || JOB_CONFIG.MAX_ATTEMPTS,
+                run_at: options.runAt || nowIso(),
+                cancel_requested: false
+            })
+            .select()
+            .single();
+
+        // Another request or instance queued the same job since we looked
+        if (error?.code === '23505' && options.dedupe) {
+            const pending = await this.findPending(userId, type, dedupeKey);
+            if (pending) return { job: pending, created: false };
+        }
+        if (error) throw error;
+
+        console.log(`📥 Queued ${type} job ${data.id} for user ${userId}`);
+        return { job: this.publish(data), created: true };
+    }
+
+    // Queued or running job with this dedupe key, if any
+    static async findPending(userId, type, dedupeKey) {
+        const { data, error } = await supabase
+            .from('jobs')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('type', type)
+            .eq('dedupe_key', dedupeKey)
+            .in('status', [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING])
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) throw error;
+        return data[0] || null;
+    }
+
+    /**
+     * Get a job owned by a user
+     * @param {string} jobId - Job ID
+     * @param {string} userId - Owning user
+     * @returns {Object|null} Job row, or null when missing or someone else's
+     */
+    static async getJob(jobId, userId) {
+        const { data, error } = await supabase
+            .from('jobs')
+            .select('*')
+            .eq('id', jobId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Most recent jobs for a user
+     * @param {string} userId - Owning user
+     * @param {number} limit - Maximum jobs
+     * @returns {Array} Job rows, newest first
+     */
+    static async listJobs(userId, limit = 20) {
+        const { data, error } = await supabase
+            .from('jobs')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Most recent job of a type for a user
+     * @param {string} userId - Owning user
+     * @param {string} type - Job type
+     * @returns {Object|null} Job row
+     */
+    static async getLatestJob(userId, type) {
+        const { data, error } = await supabase
+            .from('jobs')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('type', type)
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) throw error;
+        return data[0] || null;
+    }
+
+    /**
+     * Cancel a job. Queued jobs stop immediately; running jobs stop at their next checkpoint.
+     * @param {string} jobId - Job ID
+     * @param {string} userId - Owning user
+     * @returns {Object|null} Updated job row, or null when not found
+     */
+    static async cancelJob(jobId, userId) {
+        const job = await this.getJob(jobId, userId);
+        if (!job || this.isFinished(job)) return job;
+
+        const { data, error } = await supabase
+            .from('jobs')
+            .update(job.status === JOB_STATUS.QUEUED
+                ? { status: JOB_STATUS.CANCELLED, cancel_requested: true, finished_at: nowIso() }
+                : { cancel_requested: true })
+            .eq('id', jobId)
+            .eq('status', job.status)
+            .select();
+
+        if (error) throw error;
+
+        // Lost a race with the worker: report whatever state it reached
+        return this.publish(data[0]) || this.getJob(jobId, userId);
+    }
+
+    /**
+     * Record handler progress; doubles as the running job's heartbeat
+     * @param {Object} job - Claimed job row
+     * @param {Object} progress - Handler-defined progress snapshot
+     * @returns {Object} Updated job row
+     * @throws {JobLockLostError} When the job no longer belongs to this worker
+     */
+    static async updateProgress(job, progress) {
+        const { data, error } = await supabase
+            .from('jobs')
+            .update({ progress, locked_at: nowIso() })
+            .eq('id', job.id)
+            .eq('locked_by', job.locked_by)
+            .select();
+
+        if (error) throw error;
+        if (data.length === 0) throw new JobLockLostError();
+        return this.publish(data[0]);
+    }
+
+    static async isCancelRequested(jobId) {
+        const { data, error } = await supabase
+            .from('jobs')
+            .select('cancel_requested')
+            .eq('id', jobId)
+            .single();
+
+        if (error) throw error;
+        return data.cancel_requested === true;
+    }
+
+    /**
+     * Claim the next due job for a worker
+     * @param {string} workerId - Claiming worker
+     * @param {Array} types - Job types the worker can run
+     * @returns {Object|null} Claimed job row
+     */
+    static async claimNext(workerId, types) {
+        const { data: candidates, error } = await supabase
+            .from('jobs')
+            .select('id, attempts')
+            .eq('status', JOB_STATUS.QUEUED)
+            .in('type', types)
+            .lte('run_at', nowIso())
+            .order('run_at', { ascending: true })
+            .limit(JOB_CONFIG.CLAIM_BATCH);
+
+        if (error) throw error;
+
+        for (const candidate of candidates) {
+            const now = nowIso();
+            const { data: claimed, error: claimError } = await supabase
+                .from('jobs')
+                .update({
+                    status: JOB_STATUS.RUNNING,
+                    attempts: candidate.attempts + 1,
+                    locked_by: workerId,
+                    locked_at: now,
+                    started_at: now
+                })
+                .eq('id', candidate.id)
+                .eq('status', JOB_STATUS.QUEUED)
+                .select();
+
+            if (claimError) throw claimError;
+            if (claimed.length > 0) {
+                return this.publish(claimed[0]);
+            }
+        }
+
+        return null;
+    }
+
+    // Record the outcome, only while this worker still holds the lock
+    static async finish(job, fields) {
+        const { data, error } = await supabase
+            .from('jobs')
+            .update({ ...fields, locked_by: null, locked_at: null })
+            .eq('id', job.id)
+            .eq('locked_by', job.locked_by)
+            .select();
+
+        if (error) throw error;
+        if (data.length === 0) throw new JobLockLostError();
+        return this.publish(data[0]);
+    }
+
+    static async complete(job, result) {
+        return this.finish(job, { status: JOB_STATUS.SUCCEEDED, result, error: null, finished_at: nowIso() });
+    }
+
+    static async cancelled(job) {
+        return this.finish(job, { status: JOB_STATUS.CANCELLED, finished_at: nowIso() });
+    }
+
+    /**
+     * Record a failed attempt: requeue with backoff, or fail for good
+     * @param {Object} job - Claimed job row
+     * @param {Error} failure - Handler error
+     * @returns {Object} Updated job row
+     */
+    static async fail(job, failure) {
+        const retryable = !(failure instanceof PermanentJobError) && job.attempts < job.max_attempts;
+
+        if (retryable) {
+            const delay = this.retryDelay(job.attempts);
+            console.log(`🔁 Job ${job.id} attempt ${job.attempts}/${job.max_attempts} failed, retrying in ${Math.round(delay / 1000)}s`);
+
+            return this.finish(job, {
+                status: JOB_STATUS.QUEUED,
+                error: failure.message,
+                run_at: new Date(Date.now() + delay).toISOString()
+            });
+        }
+
+        return this.finish(job, { status: JOB_STATUS.FAILED, error: failure.message, finished_at: nowIso() });
+    }
+
+    /**
+     * Requeue running jobs whose worker stopped heartbeating (crash, deploy),
+     * or fail them once they have used all their attempts
+     * @returns {number} Stale jobs requeued or failed
+     */
+    static async requeueStale() {
+        const cutoff = new Date(Date.now() - JOB_CONFIG.LOCK_TIMEOUT_MS).toISOString();
+
+        const { data: stale, error } = await supabase
+            .from('jobs')
+            .select('id, attempts, max_attempts, locked_by')
+            .eq('status', JOB_STATUS.RUNNING)
+            .lt('locked_at', cutoff);
+
+        if (error) throw error;
+
+        let handled = 0;
+        for (const job of stale) {
+            const exhausted = job.attempts >= job.max_attempts;
+            const fields = exhausted
+                ? { status: JOB_STATUS.FAILED, error: `Worker stopped responding on the last of ${job.max_attempts} attempts`, finished_at: nowIso() }
+                : { status: JOB_STATUS.QUEUED, run_at: nowIso() };
+
+            // Conditional on the stale lock, in case the worker came back meanwhile
+            const { data, error: updateError } = await supabase
+                .from('jobs')
+                .update({ ...fields, locked_by: null, locked_at: null })
+                .eq('id', job.id)
+                .eq('status', JOB_STATUS.RUNNING)
+                .eq('locked_by', job.locked_by)
+                .lt('locked_at', cutoff)
+                .select();
+
+            if (updateError) throw updateError;
+            if (data.length > 0) {
+                console.log(exhausted ? `💀 Failed stale job ${job.id} after ${job.attempts} attempts` : `♻️ Requeued stale job ${job.id}`);
+                this.publish(data[0]);
+                handled++;
+            }
+        }
+        return handled;
+    }
+}
+
+// =============================================
+// JOB WORKER
+// =============================================
+
+// type -> async (job, context) => result
+const handlers = new Map();
+
+const workerState = {
+    id: `${process.env.DYNO || 'worker'}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`,
+    timer: null,
+    active: new Set(),
+    lastStaleCheck: 0
+};
+
+export class JobWorker {
+
+    /**
+     * Register the handler for a job type
+     * @param {string} type - Job type
+     * @param {Function} handler - async (job, context) => result; context has reportProgress(progress) and throwIfCancelled()
+     */
+    static registerHandler(type, handler) {
+        handlers.set(type, handler);
+    }
+
+    static hasHandler(type) {
+        return handlers.has(type);
+    }
+
+    /**
+     * Start polling for jobs (idempotent)
+     */
+    static start() {
+        if (workerState.timer || !JobService.isAvailable()) return;
+
+        console.log(`👷 Job worker ${workerState.id} started (concurrency ${JOB_CONFIG.CONCURRENCY})`);
+
+        const loop = async () => {
+            try {
+                await this.tick();
+            } catch (error) {
+                console.error('Job worker poll failed:', error.message);
+            }
+            if (workerState.timer) {
+                workerState.timer = setTimeout(loop, JOB_CONFIG.POLL_INTERVAL_MS);
+                workerState.timer.unref?.();
+            }
+        };
+
+        workerState.timer = setTimeout(loop, 0);
+        workerState.timer.unref?.();
+    }
+
+    /**
+     * Stop polling and wait for running jobs to finish
+     */
+    static async stop() {
+        clearTimeout(workerState.timer);
+        workerState.timer = null;
+        await Promise.allSettled([...workerState.active]);
+    }
+
+    // Fill free worker slots with due jobs (jobs run in the background)
+    static async tick() {
+        if (Date.now() - workerState.lastStaleCheck > JOB_CONFIG.LOCK_TIMEOUT_MS / 2) {
+            workerState.lastStaleCheck = Date.now();
+            await JobService.requeueStale();
+        }
+
+        while (workerState.active.size < JOB_CONFIG.CONCURRENCY) {
+            const job = await JobService.claimNext(workerState.id, [...handlers.keys()]);
+            if (!job) return;
+
+            const running = this.run(job)
+                .catch(error => console.error(`Job ${job.id} outcome could not be saved:`, error.message))
+                .finally(() => workerState.active.delete(running));
+            workerState.active.add(running);
+        }
+    }
+
+    /**
+     * Run every due job to completion, one at a time (scripts and tests)
+     * @returns {number} Jobs processed
+     */
+    static async drain() {
+        let processed = 0;
+        let job;
+
+        while ((job = await JobService.claimNext(workerState.id, [...handlers.keys()]))) {
+            await this.run(job);
+            processed++;
+        }
+
+        return processed;
+    }
+
+    // Execute one claimed job and record the outcome
+    static async run(job) {
+        const handler = handlers.get(job.type);
+        const startTime = Date.now();
+
+        const context = {
+            reportProgress: progress => JobService.updateProgress(job, progress),
+            throwIfCancelled: async () => {
+                if (await JobService.isCancelRequested(job.id)) {
+                    throw new JobCancelledError();
+                }
+            }
+        };
+
+        console.log(`▶️ Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+        try {
+            const result = await handler(job, context);
+            const finished = await JobService.complete(job, result ?? null);
+            console.log(`✅ Job ${job.id} succeeded in ${Date.now() - startTime}ms`);
+            return finished;
+        } catch (error) {
+            // Whoever holds the job now records its outcome
+            if (error instanceof JobLockLostError) {
+                console.warn(`🔒 Job ${job.id} was taken over after its lock went stale; dropping this run`);
+                return null;
+            }
+            if (error instanceof JobCancelledError) {
+                console.log(`🛑 Job ${job.id} cancelled`);
+                return JobService.cancelled(job);
+            }
+
+            console.error(`❌ Job ${job.id} failed:`, error.message);
+            return JobService.fail(job, error);
+        }
+    }
+}
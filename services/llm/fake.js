@@ -0,0 +1,131 @@
+// =============================================
+// CLARYFY FAKE LLM PROVIDER
+// =============================================
+//
+// Deterministic, offline stand-in for every LLM task. Select it with
+// LLM_PROVIDER=fake to boot the server without API keys, or construct it
+// with a custom responder in tests.
+
+import crypto from 'crypto';
+import path from 'path';
+import { chatCompletion, chatChunk, usageChunk } from './shapes.js';
+
+const EMBEDDING_DIMENSIONS = 256;
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+// Default reply: echo the last user message
+function defaultResponder(messages) {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const question = (lastUser?.content || '').slice(0, 200);
+    return `Fake response to: ${question}`;
+}
+
+export class FakeProvider {
+
+    /**
+     * @param {Object} options - { respond } where respond(messages, options) returns
+     *   a string or { content, tool_calls: [{ name, arguments }] }
+     */
+    constructor(options = {}) {
+        this.name = 'fake';
+        this.respond = options.respond || defaultResponder;
+        this.defaultModels = { chat: 'fake-chat', embedding: 'fake-embedding', transcription: 'fake-transcription' };
+        this.calls = [];
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    supports() {
+        return true;
+    }
+
+    reply(messages, options) {
+        this.calls.push({ messages, options });
+
+        const answer = this.respond(messages, options);
+        const reply = typeof answer === 'string' ? { content: answer } : answer;
+
+        const toolCalls = (reply.tool_calls || []).map((call, index) => ({
+            id: call.id || `call_${index + 1}`,
+            type: 'function',
+            function: {
+                name: call.name,
+                arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+            }
+        }));
+
+        const promptTokens = estimateTokens(messages.map(message => message.content || '').join('\n'));
+        const completionTokens = estimateTokens(reply.content);
+
+        return {
+            content: reply.content || '',
+            toolCalls,
+            finishReason: toolCalls.length > 0 ? 'tool_calls' : 'stop',
+            usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+        };
+    }
+
+    async chat(messages, options = {}) {
+        const model = options.model || this.defaultModels.chat;
+        const { content, toolCalls, finishReason, usage } = this.reply(messages, options);
+
+        return chatCompletion(model, { content, ...(toolCalls.length ? { tool_calls: toolCalls } : {}) }, finishReason, usage);
+    }
+
+    async streamChat(messages, options = {}) {
+        const model = options.model || this.defaultModels.chat;
+        const { content, toolCalls, finishReason, usage } = this.reply(messages, options);
+        const includeUsage = options.stream_options?.include_usage;
+
+        return (async function* () {
+            // One chunk per word, keeping the whitespace so the chunks join back exactly
+            for (const piece of content.match(/\S+\s*|\s+/g) || []) {
+                yield chatChunk(model, { content: piece });
+            }
+
+            if (toolCalls.length > 0) {
+                yield chatChunk(model, {
+                    tool_calls: toolCalls.map((call, index) => ({ index, ...call }))
+                });
+            }
+
+            yield chatChunk(model, {}, finishReason);
+
+            if (includeUsage) {
+                yield usageChunk(model, usage);
+            }
+        })();
+    }
+
+    // Unit bag-of-words vectors, each term hashed into one dimension: equal texts
+    // embed identically and texts sharing terms end up close
+    async embed(texts, options = {}) {
+        const embeddings = texts.map(text => {
+            const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+            for (const term of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+                vector[crypto.createHash('sha256').update(term).digest().readUInt32BE(0) % EMBEDDING_DIMENSIONS] += 1;
+            }
+
+            const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+            return vector.map(value => value / norm);
+        });
+
+        return { model: options.model || this.defaultModels.embedding, embeddings };
+    }
+
+    async transcribe(file) {
+        const filePath = typeof file === 'string' ? file : file?.path;
+
+        // Drain streams like a real upload would so callers can clean up the file
+        if (typeof file?.[Symbol.asyncIterator] === 'function') {
+            for await (const chunk of file) void chunk;
+        }
+
+        return `Fake transcription of ${filePath ? path.basename(filePath) : 'audio'}`;
+    }
+}
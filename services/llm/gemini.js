@@ -0,0 +1,185 @@
+// =============================================
+// CLARYFY GEMINI PROVIDER
+// =============================================
+
+import fs from 'fs/promises';
+import path from 'path';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { chatCompletion, chatChunk, usageChunk } from './shapes.js';
+
+const FINISH_REASONS = {
+    STOP: 'stop',
+    MAX_TOKENS: 'length',
+    SAFETY: 'content_filter',
+    RECITATION: 'content_filter',
+    BLOCKLIST: 'content_filter',
+    PROHIBITED_CONTENT: 'content_filter'
+};
+
+const AUDIO_MIME_TYPES = {
+    '.mp3': 'audio/mp3',
+    '.wav': 'audio/wav',
+    '.m4a': 'audio/mp4',
+    '.mp4': 'audio/mp4',
+    '.ogg': 'audio/ogg',
+    '.webm': 'audio/webm',
+    '.flac': 'audio/flac'
+};
+
+function toUsage(metadata) {
+    if (!metadata) return null;
+    return {
+        prompt_tokens: metadata.promptTokenCount || 0,
+        completion_tokens: metadata.candidatesTokenCount || 0,
+        total_tokens: metadata.totalTokenCount || 0
+    };
+}
+
+/**
+ * Convert OpenAI-style messages to Gemini contents.
+ * System messages become the system instruction; consecutive turns of one role are merged.
+ * @param {Array} messages - OpenAI-style messages
+ * @returns {Object} { systemInstruction, contents }
+ */
+function toGeminiRequest(messages) {
+    const system = [];
+    const contents = [];
+
+    for (const message of messages) {
+        if (!message.content) continue;
+
+        if (message.role === 'system') {
+            system.push(message.content);
+            continue;
+        }
+
+        const role = message.role === 'assistant' ? 'model' : 'user';
+        const last = contents[contents.length - 1];
+
+        if (last && last.role === role) {
+            last.parts.push({ text: message.content });
+        } else {
+            contents.push({ role, parts: [{ text: message.content }] });
+        }
+    }
+
+    return {
+        systemInstruction: system.length > 0 ? system.join('\n\n') : undefined,
+        contents
+    };
+}
+
+export class GeminiProvider {
+
+    constructor() {
+        this.name = 'gemini';
+        this.apiKey = process.env.GOOGLE_API_KEY;
+        this.defaultModels = {
+            chat: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+            embedding: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004',
+            transcription: process.env.GEMINI_TRANSCRIPTION_MODEL || process.env.GEMINI_MODEL || 'gemini-2.0-flash'
+        };
+        this.client = null;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    // Function tools are not mapped to Gemini's function calling
+    supports(capability) {
+        return ['chat', 'embedding', 'transcription'].includes(capability);
+    }
+
+    getModel(modelName, systemInstruction, options = {}) {
+        if (!this.client) {
+            this.client = new GoogleGenerativeAI(this.apiKey);
+        }
+
+        return this.client.getGenerativeModel({
+            model: modelName,
+            systemInstruction,
+            generationConfig: {
+                temperature: options.temperature,
+                maxOutputTokens: options.max_tokens || options.maxTokens
+            }
+        });
+    }
+
+    async chat(messages, options = {}) {
+        const modelName = options.model || this.defaultModels.chat;
+        const { systemInstruction, contents } = toGeminiRequest(messages);
+
+        const result = await this.getModel(modelName, systemInstruction, options).generateContent({ contents });
+        const response = result.response;
+        const finishReason = response.candidates?.[0]?.finishReason;
+
+        return chatCompletion(
+            modelName,
+            { content: response.text() },
+            FINISH_REASONS[finishReason] || 'stop',
+            toUsage(response.usageMetadata)
+        );
+    }
+
+    async streamChat(messages, options = {}) {
+        const modelName = options.model || this.defaultModels.chat;
+        const { systemInstruction, contents } = toGeminiRequest(messages);
+        const includeUsage = options.stream_options?.include_usage;
+
+        const result = await this.getModel(modelName, systemInstruction, options).generateContentStream({ contents });
+
+        return (async function* () {
+            let usage = null;
+            let finishReason = null;
+
+            for await (const chunk of result.stream) {
+                const text = chunk.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '';
+                const reason = chunk.candidates?.[0]?.finishReason;
+
+                if (reason) finishReason = FINISH_REASONS[reason] || 'stop';
+                if (chunk.usageMetadata) usage = toUsage(chunk.usageMetadata);
+
+                if (text) {
+                    yield chatChunk(modelName, { content: text });
+                }
+            }
+
+            yield chatChunk(modelName, {}, finishReason || 'stop');
+
+            if (includeUsage && usage) {
+                yield usageChunk(modelName, usage);
+            }
+        })();
+    }
+
+    async embed(texts, options = {}) {
+        const model = options.model || this.defaultModels.embedding;
+        const response = await this.getModel(model).batchEmbedContents({
+            requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+        });
+
+        return {
+            model,
+            embeddings: response.embeddings.map(embedding => embedding.values)
+        };
+    }
+
+    async transcribe(file, options = {}) {
+        const filePath = typeof file === 'string' ? file : file.path;
+        if (!filePath) {
+            throw new Error('Gemini transcription needs an audio file path');
+        }
+
+        const audio = await fs.readFile(filePath);
+        const mimeType = options.mimeType || AUDIO_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'audio/mp3';
+        const model = this.getModel(options.model || this.defaultModels.transcription, undefined, { temperature: 0 });
+
+        const result = await model.generateContent([
+            { inlineData: { mimeType, data: audio.toString('base64') } },
+            { text: `Transcribe this ${options.language || 'en'} audio verbatim. Return only the transcript.` }
+        ]);
+
+        return result.response.text().trim();
+    }
+}
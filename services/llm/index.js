@@ -0,0 +1,216 @@
+// =============================================
+// CLARYFY LLM PROVIDER LAYER
+// =============================================
+//
+// Chat, summaries, query parsing, retrieval re-ranking, embeddings and
+// transcription each run on a configurable provider:
+//
+//   LLM_PROVIDER=openai              default provider for every task
+//   LLM_<TASK>_PROVIDER=gemini       override for one task (CHAT, SUMMARY, QUERY, RERANK, EMBEDDING, TRANSCRIPTION)
+//   LLM_<TASK>_MODEL=gemini-2.0-flash
+//
+// Providers: openai, gemini, local (OpenAI-compatible servers such as Ollama
+// or llama.cpp) and fake (deterministic, offline). All of them answer in the
+// OpenAI chat completion shape.
+
+import * as dotenv from 'dotenv';
+import { OpenAIProvider, OpenAICompatibleProvider } from './openai.js';
+import { GeminiProvider } from './gemini.js';
+import { FakeProvider } from './fake.js';
+
+dotenv.config();
+
+export const LLM_TASKS = {
+    CHAT: 'chat',
+    SUMMARY: 'summary',
+    QUERY: 'query',
+    RERANK: 'rerank',
+    EMBEDDING: 'embedding',
+    TRANSCRIPTION: 'transcription'
+};
+
+// Provider used for each task when nothing is configured
+const DEFAULT_TASK_PROVIDERS = {
+    chat: 'openai',
+    summary: 'openai',
+    query: 'gemini',
+    rerank: 'openai',
+    embedding: 'openai',
+    transcription: 'openai'
+};
+
+// Which default model of a provider a task uses
+const TASK_MODEL_KIND = {
+    chat: 'chat',
+    summary: 'chat',
+    query: 'chat',
+    rerank: 'chat',
+    embedding: 'embedding',
+    transcription: 'transcription'
+};
+
+const PROVIDER_FACTORIES = {
+    openai: () => new OpenAIProvider(),
+    gemini: () => new GeminiProvider(),
+    local: () => new OpenAICompatibleProvider(),
+    ollama: () => new OpenAICompatibleProvider(),
+    'openai-compatible': () => new OpenAICompatibleProvider(),
+    fake: () => new FakeProvider()
+};
+
+// Provider instances by name, and per-task overrides installed at runtime
+const providers = new Map();
+const overrides = new Map();
+
+export class LLMService {
+
+    /**
+     * Resolve the configured provider and model for a task
+     * @param {string} task - One of LLM_TASKS
+     * @returns {Object} { task, provider, model }
+     */
+    static getTaskConfig(task) {
+        if (!TASK_MODEL_KIND[task]) {
+            throw new Error(`Unknown LLM task: ${task}`);
+        }
+
+        const key = task.toUpperCase();
+        const providerName = (process.env[`LLM_${key}_PROVIDER`] || process.env.LLM_PROVIDER || DEFAULT_TASK_PROVIDERS[task]).toLowerCase();
+
+        return {
+            task,
+            provider: providerName,
+            model: process.env[`LLM_${key}_MODEL`] || null
+        };
+    }
+
+    /**
+     * Get the provider instance for a task
+     * @param {string} task - One of LLM_TASKS
+     * @returns {Object} Provider
+     */
+    static getProvider(task) {
+        if (overrides.has(task)) {
+            return overrides.get(task);
+        }
+
+        const { provider: name } = this.getTaskConfig(task);
+
+        if (!providers.has(name)) {
+            const factory = PROVIDER_FACTORIES[name];
+            if (!factory) {
+                throw new Error(`Unknown LLM provider "${name}" for task ${task}. Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+            }
+            providers.set(name, factory());
+        }
+
+        return providers.get(name);
+    }
+
+    /**
+     * Use a specific provider instance for a task (tests, scripts)
+     * @param {string} task - One of LLM_TASKS, or '*' for every task
+     * @param {Object} provider - Provider instance
+     */
+    static setProvider(task, provider) {
+        const tasks = task === '*' ? Object.values(LLM_TASKS) : [task];
+        for (const name of tasks) {
+            overrides.set(name, provider);
+        }
+    }
+
+    // Drop overrides and cached providers so configuration is read again
+    static resetProviders() {
+        overrides.clear();
+        providers.clear();
+    }
+
+    // Model a task runs on: explicit task model, else the provider's default
+    static getModel(task) {
+        const { model } = this.getTaskConfig(task);
+        return model || this.getProvider(task).defaultModels[TASK_MODEL_KIND[task]];
+    }
+
+    static isConfigured(task) {
+        try {
+            return this.getProvider(task).isConfigured();
+        } catch {
+            return false;
+        }
+    }
+
+    static supportsTools(task) {
+        return this.isConfigured(task) && this.getProvider(task).supports('tools');
+    }
+
+    // Provider for a task, failing with a clear message when it has no credentials
+    static requireProvider(task) {
+        const provider = this.getProvider(task);
+
+        if (!provider.isConfigured()) {
+            throw new Error(`LLM provider "${provider.name}" for task ${task} is not configured. Check its API key settings.`);
+        }
+
+        return provider;
+    }
+
+    /**
+     * Non-streaming chat completion
+     * @param {string} task - chat, summary or query
+     * @param {Array} messages - OpenAI-style messages
+     * @param {Object} options - max_tokens, temperature, tools, ...
+     * @returns {Object} OpenAI-shaped chat completion
+     */
+    static async chat(task, messages, options = {}) {
+        return this.requireProvider(task).chat(messages, { ...options, model: options.model || this.getModel(task) });
+    }
+
+    /**
+     * Streaming chat completion
+     * @param {string} task - chat, summary or query
+     * @param {Array} messages - OpenAI-style messages
+     * @param {Object} options - max_tokens, temperature, stream_options, tools, ...
+     * @returns {AsyncIterable} OpenAI-shaped chat completion chunks
+     */
+    static async streamChat(task, messages, options = {}) {
+        return this.requireProvider(task).streamChat(messages, { ...options, model: options.model || this.getModel(task) });
+    }
+
+    /**
+     * Embed texts
+     * @param {Array<string>} texts - Texts to embed
+     * @param {Object} options - { model } (optional)
+     * @returns {Object} { model, embeddings }
+     */
+    static async embed(texts, options = {}) {
+        const task = LLM_TASKS.EMBEDDING;
+        return this.requireProvider(task).embed(texts, { ...options, model: options.model || this.getModel(task) });
+    }
+
+    /**
+     * Transcribe an audio file
+     * @param {ReadStream|string} file - Audio file stream or path
+     * @param {Object} options - { language, temperature } (optional)
+     * @returns {string} Transcript text
+     */
+    static async transcribe(file, options = {}) {
+        const task = LLM_TASKS.TRANSCRIPTION;
+        return this.requireProvider(task).transcribe(file, { ...options, model: options.model || this.getModel(task) });
+    }
+
+    // Provider, model and readiness of every task
+    static describe() {
+        return Object.fromEntries(Object.values(LLM_TASKS).map(task => {
+            const configured = this.isConfigured(task);
+            return [task, {
+                provider: overrides.has(task) ? overrides.get(task).name : this.getTaskConfig(task).provider,
+                model: configured ? this.getModel(task) : null,
+                configured
+            }];
+        }));
+    }
+}
+
+export { OpenAIProvider, OpenAICompatibleProvider, GeminiProvider, FakeProvider };
+
+export default LLMService;
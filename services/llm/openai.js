@@ -0,0 +1,129 @@
+// =============================================
+// CLARYFY OPENAI PROVIDERS
+// =============================================
+
+import OpenAI from 'openai';
+
+// Options our callers use that the OpenAI API does not accept
+const LOCAL_OPTIONS = ['model', 'maxTokens', 'responseFormat', 'language'];
+
+function apiOptions(options) {
+    const params = { ...options };
+    for (const key of LOCAL_OPTIONS) {
+        delete params[key];
+    }
+    if (options.maxTokens && !params.max_tokens) {
+        params.max_tokens = options.maxTokens;
+    }
+    return params;
+}
+
+// =============================================
+// OPENAI
+// =============================================
+
+export class OpenAIProvider {
+
+    /**
+     * @param {Object} options - { client } an OpenAI SDK client or compatible stand-in (optional)
+     */
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.apiKey = process.env.OPENAI_API_KEY;
+        this.baseURL = process.env.OPENAI_BASE_URL || undefined;
+        this.defaultModels = {
+            chat: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            embedding: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+            transcription: process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1'
+        };
+        this.client = options.client || null;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey || this.client);
+    }
+
+    // OpenAI models support function tools and every task type
+    supports(capability) {
+        return ['chat', 'embedding', 'transcription', 'tools'].includes(capability);
+    }
+
+    // The SDK client is created on first use so a missing key only fails the calls that need it
+    getClient() {
+        if (!this.client) {
+            this.client = new OpenAI({ apiKey: this.apiKey, baseURL: this.baseURL });
+        }
+        return this.client;
+    }
+
+    async chat(messages, options = {}) {
+        return this.getClient().chat.completions.create({
+            ...apiOptions(options),
+            model: options.model || this.defaultModels.chat,
+            messages,
+            stream: false
+        });
+    }
+
+    async streamChat(messages, options = {}) {
+        return this.getClient().chat.completions.create({
+            ...apiOptions(options),
+            model: options.model || this.defaultModels.chat,
+            messages,
+            stream: true
+        });
+    }
+
+    async embed(texts, options = {}) {
+        const model = options.model || this.defaultModels.embedding;
+        const response = await this.getClient().embeddings.create({ model, input: texts });
+
+        return {
+            model,
+            embeddings: response.data.map(item => item.embedding)
+        };
+    }
+
+    async transcribe(file, options = {}) {
+        const response = await this.getClient().audio.transcriptions.create({
+            file,
+            model: options.model || this.defaultModels.transcription,
+            language: options.language || 'en',
+            response_format: 'text',
+            temperature: options.temperature || 0.0
+        });
+
+        return typeof response === 'string' ? response : response.text;
+    }
+}
+
+// =============================================
+// OPENAI-COMPATIBLE LOCAL SERVERS
+// =============================================
+
+// Ollama, llama.cpp server, vLLM and LM Studio all expose the OpenAI REST API
+export class OpenAICompatibleProvider extends OpenAIProvider {
+
+    constructor(options = {}) {
+        super(options);
+        this.name = 'local';
+        this.baseURL = process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1';
+        // Local servers usually ignore the key, but the SDK requires one
+        this.apiKey = process.env.LLM_LOCAL_API_KEY || 'local';
+        this.toolsEnabled = process.env.LLM_LOCAL_TOOLS === 'true';
+        this.defaultModels = {
+            chat: process.env.LLM_LOCAL_MODEL || 'llama3.1',
+            embedding: process.env.LLM_LOCAL_EMBEDDING_MODEL || 'nomic-embed-text',
+            transcription: process.env.LLM_LOCAL_TRANSCRIPTION_MODEL || 'whisper-1'
+        };
+    }
+
+    isConfigured() {
+        return Boolean(this.baseURL);
+    }
+
+    // Tool calling depends on the model being served, so it is opt-in
+    supports(capability) {
+        return capability === 'tools' ? this.toolsEnabled : super.supports(capability);
+    }
+}
@@ -0,0 +1,52 @@
+// =============================================
+// CLARYFY LLM RESPONSE SHAPES
+// =============================================
+//
+// Every provider answers in the OpenAI chat completion shape, so callers can
+// read choices[0].message / choices[0].delta regardless of the backend.
+
+/**
+ * Build a non-streaming chat completion
+ * @param {string} model - Model name
+ * @param {Object} message - { content, tool_calls? }
+ * @param {string} finishReason - stop | length | tool_calls | content_filter
+ * @param {Object} usage - { prompt_tokens, completion_tokens, total_tokens } (optional)
+ * @returns {Object} Chat completion
+ */
+export function chatCompletion(model, message, finishReason, usage = null) {
+    return {
+        object: 'chat.completion',
+        model,
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', content: message.content ?? null, ...(message.tool_calls ? { tool_calls: message.tool_calls } : {}) },
+            finish_reason: finishReason
+        }],
+        usage
+    };
+}
+
+/**
+ * Build one streaming chunk
+ * @param {string} model - Model name
+ * @param {Object} delta - { content?, tool_calls? }
+ * @param {string|null} finishReason - Set on the last content chunk
+ * @returns {Object} Chat completion chunk
+ */
+export function chatChunk(model, delta, finishReason = null) {
+    return {
+        object: 'chat.completion.chunk',
+        model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }]
+    };
+}
+
+/**
+ * Build the trailing usage chunk sent when stream_options.include_usage is set
+ * @param {string} model - Model name
+ * @param {Object} usage - { prompt_tokens, completion_tokens, total_tokens }
+ * @returns {Object} Chat completion chunk
+ */
+export function usageChunk(model, usage) {
+    return { object: 'chat.completion.chunk', model, choices: [], usage };
+}
@@ -0,0 +1,274 @@
+// =============================================
+// CLARYFY CONVERSATION MEMORY
+// =============================================
+//
+// Long chats keep a rolling summary on the conversation row. The most recent
+// turns are sent to the model as they are; once enough older ones build up, a
+// background job folds them into the summary with the summary LLM task, and
+// the chat prompt carries that summary ahead of the recent turns. Students can
+// read and correct the summary; later folds build on their version.
+
+import * as dotenv from 'dotenv';
+import { supabase } from './supabase.js';
+import { LLMService, LLM_TASKS } from './llm/index.js';
+import { JobService, JOB_TYPES } from './jobs.js';
+import { truncateToTokens } from './tokens.js';
+
+dotenv.config();
+
+// Configuration
+export const MEMORY_CONFIG = {
+    RECENT_MESSAGES: parseInt(process.env.CHAT_RECENT_MESSAGES) || 6,    // Latest messages always sent verbatim
+    SUMMARIZE_EVERY: parseInt(process.env.CHAT_SUMMARIZE_EVERY) || 6,   // Older messages that trigger a new summary
+    SUMMARY_MAX_TOKENS: 300,       // Length of the summary the model writes
+    MESSAGE_MAX_TOKENS: 400,       // Each folded message is cut to this in the summary prompt
+    MAX_FOLD: 40,                  // Messages folded per run; a longer backlog takes several runs
+    MAX_EDITED_CHARS: 4000         // Longest summary a student may save
+};
+
+const SUMMARY_FIELDS = 'id, user_id, summary, summarized_count, summary_edited, summary_updated_at';
+
+// Invalid summary edits, reported to the client as 400s
+export class MemoryRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MemoryRequestError';
+    }
+}
+
+export class ConversationMemoryService {
+
+    static isAvailable() {
+        return supabase !== null;
+    }
+
+    // Conversations that only exist for this request are never stored
+    static isStored(conversationId) {
+        return this.isAvailable() && Boolean(conversationId) && !String(conversationId).startsWith('temp-');
+    }
+
+    // Messages kept out of the summary: the recent window plus the backlog that triggers the next fold
+    static get window() {
+        return MEMORY_CONFIG.RECENT_MESSAGES + MEMORY_CONFIG.SUMMARIZE_EVERY;
+    }
+
+    /**
+     * Summary and unsummarized turns of a conversation, for the chat prompt
+     * @param {string} conversationId - Conversation ID
+     * @param {string} userId - Owning user
+     * @param {Object} options - { exclude: message ID to leave out, e.g. the question being answered }
+     * @returns {Object} { summary, history: [{ role, content }] oldest first, pending: messages not yet summarized }
+     */
+    static async load(conversationId, userId, options = {}) {
+        const empty = { summary: null, history: [], pending: 0 };
+        if (!this.isStored(conversationId)) return empty;
+
+        try {
+            const conversation = await this.getConversation(conversationId, userId);
+            if (!conversation) return empty;
+
+            const { data, count, error } = await supabase
+                .from('messages')
+                .select('id, role, content, created_at', { count: 'exact' })
+                .eq('conversation_id', conversationId)
+                .order('created_at', { ascending: false })
+                .limit(this.window + 1);
+
+            if (error) throw error;
+
+            const pending = Math.max(count - (conversation.summarized_count || 0), 0);
+            const history = data
+                .slice(0, pending)
+                .filter(message => message.id !== options.exclude)
+                .slice(0, this.window)
+                .reverse()
+                .map(({ role, content }) => ({ role, content }));
+
+            return { summary: conversation.summary || null, history, pending };
+
+        } catch (error) {
+            console.error('Error loading conversation memory:', error);
+            return empty;
+        }
+    }
+
+    /**
+     * Queue a summary job once enough older turns have built up (never throws)
+     * @param {string} userId - Owning user
+     * @param {string} conversationId - Conversation ID
+     * @returns {Object|null} { job, created } when a job was queued or is already pending
+     */
+    static async scheduleSummary(userId, conversationId) {
+        if (!this.isStored(conversationId)) return null;
+
+        try {
+            const { pending } = await this.load(conversationId, userId);
+            if (pending < this.window) return null;
+
+            return await JobService.enqueue(userId, JOB_TYPES.CONVERSATION_SUMMARY, { conversationId }, { dedupe: true, dedupeBy: ['conversationId'] });
+        } catch (error) {
+            console.error('Error scheduling conversation summary:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Fold the turns older than the recent window into the stored summary
+     * @param {string} conversationId - Conversation ID
+     * @param {string} userId - Owning user
+     * @returns {Object} { folded: messages added to the summary, summary }
+     */
+    static async summarize(conversationId, userId) {
+        const conversation = await this.getConversation(conversationId, userId);
+        if (!conversation) {
+            throw new Error('Conversation not found');
+        }
+
+        const summarized = conversation.summarized_count || 0;
+        const { data, count, error } = await supabase
+            .from('messages')
+            .select('id, role, content, created_at', { count: 'exact' })
+            .eq('conversation_id', conversationId)
+            .order('created_at', { ascending: true })
+            .range(summarized, summarized + MEMORY_CONFIG.MAX_FOLD - 1);
+
+        if (error) throw error;
+
+        const foldable = Math.min(count - summarized - MEMORY_CONFIG.RECENT_MESSAGES, data.length);
+        if (count - summarized < this.window || foldable <= 0) {
+            return { folded: 0, summary: conversation.summary || null };
+        }
+
+        const turns = data.slice(0, foldable);
+        const summary = await this.writeSummary(conversation.summary, turns);
+
+        // Only replace the summary nobody else changed meanwhile (an edit or another fold)
+        let update = supabase
+            .from('conversations')
+            .update({
+                summary,
+                summarized_count: summarized + turns.length,
+                summary_edited: false,
+                summary_updated_at: new Date().toISOString()
+            })
+            .eq('id', conversationId);
+        update = conversation.summary_updated_at
+            ? update.eq('summary_updated_at', conversation.summary_updated_at)
+            : update.is('summary_updated_at', null);
+
+        const { data: saved, error: saveError } = await update.select('id');
+        if (saveError) throw saveError;
+        if (saved.length === 0) {
+            console.log(`🧠 Summary of conversation ${conversationId} changed while folding; skipped`);
+            return { folded: 0, summary: conversation.summary || null };
+        }
+
+        console.log(`🧠 Folded ${turns.length} messages into the summary of conversation ${conversationId}`);
+        return { folded: turns.length, summary };
+    }
+
+    /**
+     * Ask the summary LLM task to extend a summary with more turns
+     * @param {string|null} previous - Summary so far
+     * @param {Array} turns - [{ role, content }] oldest first
+     * @returns {string} New summary
+     */
+    static async writeSummary(previous, turns) {
+        const transcript = turns.map(turn => {
+            const speaker = turn.role === 'assistant' ? 'Claryfy' : 'Student';
+            return `${speaker}: ${truncateToTokens(turn.content, MEMORY_CONFIG.MESSAGE_MAX_TOKENS)}`;
+        }).join('\n\n');
+
+        const response = await LLMService.chat(LLM_TASKS.SUMMARY, [
+            {
+                role: 'system',
+                content: 'You keep the running summary of a conversation between a student and Claryfy, a Canvas LMS study assistant. Rewrite the summary so it also covers the new turns. Keep the courses, assignments, deadlines and topics discussed, what the student asked and was told, decisions and plans, and anything the student said about themselves. Drop small talk. Write plain prose in the third person, under 200 words. Reply with the summary only.'
+            },
+            {
+                role: 'user',
+                content: `Summary so far:\n${previous || '(none yet)'}\n\nNew turns:\n\n${transcript}`
+            }
+        ], { temperature: 0.3, max_tokens: MEMORY_CONFIG.SUMMARY_MAX_TOKENS });
+
+        const summary = response.choices[0]?.message?.content?.trim();
+        if (!summary) {
+            throw new Error('The summary model returned no text');
+        }
+        return summary;
+    }
+
+    /**
+     * Stored summary of a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {string} userId - Owning user
+     * @returns {Object|null} Summary, or null when the conversation is missing or someone else's
+     */
+    static async getSummary(conversationId, userId) {
+        const conversation = await this.getConversation(conversationId, userId);
+        return conversation && this.toSummary(conversation);
+    }
+
+    /**
+     * Replace the summary with the student's own version, or clear it to have the whole conversation summarized again
+     * @param {string} conversationId - Conversation ID
+     * @param {string} userId - Owning user
+     * @param {string|null} text - New summary; empty or null clears it
+     * @returns {Object|null} Saved summary, or null when the conversation is missing or someone else's
+     */
+    static async updateSummary(conversationId, userId, text) {
+        if (text !== null && text !== undefined && typeof text !== 'string') {
+            throw new MemoryRequestError('summary must be a string or null');
+        }
+        const summary = (text || '').trim();
+        if (summary.length > MEMORY_CONFIG.MAX_EDITED_CHARS) {
+            throw new MemoryRequestError(`summary must be at most ${MEMORY_CONFIG.MAX_EDITED_CHARS} characters`);
+        }
+
+        const conversation = await this.getConversation(conversationId, userId);
+        if (!conversation) return null;
+
+        const fields = summary
+            ? { summary, summary_edited: true }
+            : { summary: null, summarized_count: 0, summary_edited: false };
+
+        const { data, error } = await supabase
+            .from('conversations')
+            .update({ ...fields, summary_updated_at: new Date().toISOString() })
+            .eq('id', conversationId)
+            .eq('user_id', userId)
+            .select(SUMMARY_FIELDS)
+            .single();
+
+        if (error) throw error;
+
+        console.log(`🧠 ${summary ? 'Saved edited' : 'Cleared'} summary of conversation ${conversationId}`);
+        return this.toSummary(data);
+    }
+
+    // Conversation row with its summary fields, if the user owns it
+    static async getConversation(conversationId, userId) {
+        if (!this.isStored(conversationId)) return null;
+
+        const { data, error } = await supabase
+            .from('conversations')
+            .select(SUMMARY_FIELDS)
+            .eq('id', conversationId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    static toSummary(conversation) {
+        return {
+            conversationId: conversation.id,
+            summary: conversation.summary || null,
+            summarizedMessages: conversation.summarized_count || 0,
+            edited: Boolean(conversation.summary_edited),
+            updatedAt: conversation.summary_updated_at || null
+        };
+    }
+}
+
+export default ConversationMemoryService;
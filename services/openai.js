@@ -2,29 +2,33 @@
 // CLARYFY OPENAI SERVICE
 // =============================================
 
-import OpenAI from 'openai';
 import * as dotenv from 'dotenv';
+import { LLMService, LLM_TASKS } from './llm/index.js';
 import { WeaviateSearchService } from './weaviate.js';
 import { GeminiQueryService } from './gemini.js';
 import { ConversationService } from './conversation.js';
+import { ConversationMemoryService } from './memory.js';
+import { CitationService, CITATION_INSTRUCTIONS } from './citations.js';
+import { CanvasToolService } from './canvas-tools.js';
+import { QueryPlanService } from './query-plan.js';
+import { RetrievalService } from './retrieval.js';
+import { PromptBuilder } from './prompt-builder.js';
+import { collapseChunks, CHUNK_CONFIG } from './chunker.js';
+import { countTokens, truncateToTokens } from './tokens.js';
+import { searchQueries } from '../weaviate-schema.js';
 
 dotenv.config();
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-});
-
-if (!process.env.OPENAI_API_KEY) {
-    throw new Error('Missing OpenAI API key. Please set OPENAI_API_KEY environment variable.');
+// Models and providers are configured per task in ./llm (LLM_PROVIDER, LLM_<TASK>_PROVIDER, ...)
+if (!LLMService.isConfigured(LLM_TASKS.CHAT)) {
+    console.log(`⚠️ Chat LLM provider "${LLMService.getTaskConfig(LLM_TASKS.CHAT).provider}" is not configured. Chat requests will fail.`);
+    console.log('   Set OPENAI_API_KEY, or choose another provider with LLM_PROVIDER (openai, gemini, local, fake).');
 }
 
 // Configuration
 const CONFIG = {
-    MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
     MAX_TOKENS: parseInt(process.env.OPENAI_MAX_TOKENS) || 1000,
-    TEMPERATURE: 0.7,
-    WHISPER_MODEL: 'whisper-1'
+    TEMPERATURE: 0.7
 };
 
 // =============================================
@@ -33,16 +37,14 @@ const CONFIG = {
 
 export class OpenAIChatService {
 
-    // Generate chat completion with streaming
+    // Generate chat completion (options.task selects the LLM task, default chat)
     static async generateChatResponse(messages, options = {}) {
         try {
-            const response = await openai.chat.completions.create({
-                model: options.model || CONFIG.MODEL,
-                messages: messages,
+            const { task = LLM_TASKS.CHAT, ...params } = options;
+            const response = await LLMService.chat(task, messages, {
                 max_tokens: options.max_tokens || options.maxTokens || CONFIG.MAX_TOKENS,
-                temperature: options.temperature || CONFIG.TEMPERATURE,
-                stream: options.stream || false,
-                ...options
+                temperature: options.temperature ?? CONFIG.TEMPERATURE,
+                ...params
             });
 
             return response;
@@ -55,13 +57,11 @@ export class OpenAIChatService {
     // Generate streaming chat response
     static async generateStreamingChatResponse(messages, options = {}) {
         try {
-            const stream = await openai.chat.completions.create({
-                model: options.model || CONFIG.MODEL,
-                messages: messages,
+            const { task = LLM_TASKS.CHAT, ...params } = options;
+            const stream = await LLMService.streamChat(task, messages, {
                 max_tokens: options.max_tokens || options.maxTokens || CONFIG.MAX_TOKENS,
-                temperature: options.temperature || CONFIG.TEMPERATURE,
-                stream: true,
-                ...options
+                temperature: options.temperature ?? CONFIG.TEMPERATURE,
+                ...params
             });
 
             return stream;
@@ -86,6 +86,7 @@ export class OpenAIChatService {
             ];
 
             const response = await this.generateChatResponse(messages, {
+                task: LLM_TASKS.SUMMARY,
                 max_tokens: options.maxTokens || 500,
                 temperature: 0.3 // Lower temperature for more focused summaries
             });
@@ -157,18 +158,13 @@ Context Guidelines:
 
 export class OpenAIAudioService {
 
-    // Transcribe audio using Whisper
+    // Transcribe audio with the configured transcription provider (Whisper by default)
     static async transcribeAudio(audioFile, options = {}) {
         try {
-            const response = await openai.audio.transcriptions.create({
-                file: audioFile,
-                model: CONFIG.WHISPER_MODEL,
+            return await LLMService.transcribe(audioFile, {
                 language: options.language || 'en',
-                response_format: options.responseFormat || 'text',
                 temperature: options.temperature || 0.0
             });
-
-            return response;
         } catch (error) {
             console.error('Error transcribing audio:', error);
             throw error;
@@ -204,6 +200,7 @@ ${transcription}`;
             ];
 
             const response = await OpenAIChatService.generateChatResponse(messages, {
+                task: LLM_TASKS.SUMMARY,
                 max_tokens: 800,
                 temperature: 0.3
             });
@@ -229,10 +226,17 @@ export class OpenAIRAGService {
      * @param {number} courseId - Canvas course ID (optional)
      * @param {Object} weaviateClient - Weaviate client
      * @param {Object} supabaseClient - Supabase client
-     * @param {string} conversationId - Existing conversation ID (optional)
-     * @returns {ReadableStream} Streaming response
+     * @param {string} conversationId - Existing conversation ID, already checked to be the user's (optional)
+     * @param {Object} options - { canvasDomain, canvasClient, onToolStatus } (optional).
+     *   canvasDomain links citations back to Canvas; canvasClient enables live Canvas tools,
+     *   whose progress is reported through onToolStatus({ id, name, label, status, error })
+     * @returns {Object} { stream, completion, conversationId, queryParams, searchSummary, sources }
+     * @throws {Error} Pipeline failure, carrying conversationId and userMessageSaved for the caller's fallback
      */
-    static async handleChatMessage(userId, message, courseId, weaviateClient, supabaseClient, conversationId = null) {
+    static async handleChatMessage(userId, message, courseId, weaviateClient, supabaseClient, conversationId = null, options = {}) {
+        let conversation = null;
+        let userMessage = null;
+
         try {
             console.log('🚀 Enhanced RAG pipeline starting...');
 
@@ -252,38 +256,39 @@ export class OpenAIRAGService {
 
             // 4. Get or create conversation
             const conversationTitle = ConversationService.generateTitle(message);
-            const conversation = conversationId
+            conversation = conversationId
                 ? { id: conversationId }
                 : await ConversationService.getOrCreateConversation(userId, conversationTitle, courseId);
 
             console.log('💬 Using conversation:', conversation.id);
 
             // 5. Add user message to conversation history
-            await ConversationService.addMessage(conversation.id, message, 'user', {
+            userMessage = await ConversationService.addMessage(conversation.id, message, 'user', {
                 queryParams: queryParams,
                 searchConfig: searchConfig
             });
 
-            // 6. Get conversation context from Supabase
-            const conversationContext = await ConversationService.getRecentContext(userId, courseId, 6);
-            console.log('📜 Conversation context:', conversationContext.length, 'messages');
+            // 6. Get the conversation's summary and the turns it does not cover yet
+            const memory = await ConversationMemoryService.load(conversation.id, userId, { exclude: userMessage.id });
+            console.log(`📜 Conversation context: ${memory.history.length} messages${memory.summary ? ' and a summary' : ''}`);
 
-            // 7. Search Canvas content with enhanced query
+            // 7. Search Canvas content with enhanced query, over-fetching candidates for re-ranking
+            const canvasLimit = queryParams.searchType !== 'general' ? searchConfig.limit : 5;
             let canvasContext = [];
             try {
                 if (queryParams.searchType !== 'general') {
                     // Use enhanced search query
                     canvasContext = await this.searchCanvasContextEnhanced(
                         weaviateClient,
-                        searchConfig.query,
+                        { ...searchConfig, limit: RetrievalService.candidateLimit(canvasLimit) },
                         userId,
                         this.determineCourseId(queryParams, courseId, userCourses),
-                        searchConfig.limit
+                        queryParams.intent
                     );
                     console.log('📝 Found Canvas content:', canvasContext.length, 'items');
                 } else {
                     // Fall back to original search for general queries
-                    canvasContext = await this.searchCanvasContext(weaviateClient, message, userId, courseId);
+                    canvasContext = await this.searchCanvasContext(weaviateClient, message, userId, courseId, RetrievalService.candidateLimit(canvasLimit));
                 }
             } catch (error) {
                 console.error('Error searching Canvas context:', error);
@@ -292,7 +297,7 @@ export class OpenAIRAGService {
             // 8. Search chat history (Weaviate)
             let chatHistory = [];
             try {
-                chatHistory = await this.searchChatHistory(weaviateClient, searchConfig.query, userId, courseId);
+                chatHistory = await this.searchChatHistory(weaviateClient, searchConfig.query, userId, courseId, RetrievalService.candidateLimit(3));
                 console.log('💭 Found chat history:', chatHistory.length, 'items');
             } catch (error) {
                 console.error('Error searching chat history:', error);
@@ -309,76 +314,72 @@ export class OpenAIRAGService {
                 console.error('Error getting course info:', error);
             }
 
-            // 10. Combine all context
-            const allContext = [...canvasContext, ...chatHistory];
+            // 10. Re-rank the candidates against the question, dropping near-duplicates and what does not fit the budget
+            const retrieval = await RetrievalService.select(message, { canvas: canvasContext, history: chatHistory }, {
+                limits: { canvas: canvasLimit, history: 3 }
+            });
+
+            // 11. Number Canvas sources for citation and combine all context
+            const numberedSources = CitationService.numberSources(retrieval.canvas, options.canvasDomain);
+            const allContext = [...numberedSources, ...retrieval.history];
 
-            // 11. Build enhanced context-aware prompt
-            const messages = this.buildEnhancedContextPrompt(
+            // 12. Build enhanced context-aware prompt within the chat model's token budget
+            const useTools = Boolean(options.canvasClient) && LLMService.supportsTools(LLM_TASKS.CHAT);
+            const { messages, sources, breakdown } = this.buildEnhancedContextPrompt(
                 message,
                 allContext,
-                conversationContext,
+                memory.history,
                 courseInfo,
                 queryParams,
-                searchSummary
+                searchSummary,
+                {
+                    model: LLMService.getModel(LLM_TASKS.CHAT),
+                    instructions: useTools ? CanvasToolService.buildInstructions(userCourses) : null,
+                    historySummary: memory.summary
+                }
             );
 
-            // 12. Generate streaming response
+            // 13. Generate streaming response, letting the model query live Canvas when a client is available
             console.log('🤖 Generating enhanced AI response...');
-            const stream = await OpenAIChatService.generateStreamingChatResponse(messages, {
-                stream: true
-            });
+            const toolCalls = [];
+            let modelStream;
 
-            // 13. Save assistant response to conversation (done after streaming)
-            this.saveAssistantResponse(conversation.id, stream);
+            if (useTools) {
+                modelStream = this.runToolLoop(messages, options.canvasClient, {
+                    onToolStatus: options.onToolStatus,
+                    toolCalls
+                });
+            } else {
+                modelStream = await OpenAIChatService.generateStreamingChatResponse(messages, {
+                    stream: true,
+                    stream_options: { include_usage: true }
+                });
+            }
+
+            // 14. Tee the stream so the full reply is saved once streaming finishes
+            const { stream, completion } = this.captureAssistantResponse(
+                conversation.id,
+                modelStream,
+                { queryParams, searchSummary, toolCalls, retrieval: retrieval.stats, prompt: breakdown },
+                content => ({ citations: CitationService.extractCitations(content, sources) })
+            );
 
             return {
                 stream,
+                completion,
                 conversationId: conversation.id,
                 queryParams,
-                searchSummary
+                searchSummary,
+                sources: sources.map(source => CitationService.toReference(source))
             };
 
         } catch (error) {
             console.error('Error in enhanced RAG pipeline:', error);
 
-            // Enhanced fallback with conversation tracking
-            try {
-                const fallbackConversation = conversationId
-                    ? { id: conversationId }
-                    : await ConversationService.getOrCreateConversation(userId, 'Fallback Chat', courseId);
-
-                await ConversationService.addMessage(fallbackConversation.id, message, 'user', {
-                    error: 'Enhanced pipeline failed, using fallback'
-                });
-
-                const fallbackMessages = [
-                    {
-                        role: 'system',
-                        content: 'You are Claryfy, a helpful AI assistant for students. Provide a helpful response even though context is limited.'
-                    },
-                    {
-                        role: 'user',
-                        content: message
-                    }
-                ];
-
-                const fallbackStream = await OpenAIChatService.generateStreamingChatResponse(fallbackMessages, {
-                    stream: true
-                });
-
-                this.saveAssistantResponse(fallbackConversation.id, fallbackStream);
-
-                return {
-                    stream: fallbackStream,
-                    conversationId: fallbackConversation.id,
-                    queryParams: null,
-                    searchSummary: 'Fallback response'
-                };
-
-            } catch (fallbackError) {
-                console.error('Both enhanced and fallback pipelines failed:', fallbackError);
-                throw new Error('All AI response methods failed');
-            }
+            // The route falls back from here; tell it where the question was already saved
+            error.conversationId = conversation?.id || conversationId;
+            error.userMessageSaved = Boolean(userMessage);
+            throw error;
         }
     }
 
@@ -404,30 +405,41 @@ export class OpenAIRAGService {
     }
 
     /**
-     * Enhanced Canvas context search with better query
+     * Canvas context search driven by the query plan: its types, course and time window
+     * become Weaviate filters and the hits are re-ranked by due date and recency
      * @param {Object} weaviateClient - Weaviate client
-     * @param {string} query - Enhanced search query
+     * @param {Object} searchConfig - Search plan from GeminiQueryService.buildSearchQuery()
      * @param {string} userId - User ID
-     * @param {number} courseId - Course ID
-     * @param {number} limit - Results limit
+     * @param {number} courseId - Course resolved from the plan or the request
+     * @param {string} intent - Intent from GeminiQueryService.processQuery()
      * @returns {Array} Search results
      */
-    static async searchCanvasContextEnhanced(weaviateClient, query, userId, courseId, limit = 5) {
-        // Use the existing search method but with enhanced query
-        return await this.searchCanvasContext(weaviateClient, query, userId, courseId, limit);
+    static async searchCanvasContextEnhanced(weaviateClient, searchConfig, userId, courseId, intent = null) {
+        const plan = QueryPlanService.compile(searchConfig, { courseId, intent });
+        let results = await this.searchCanvasContext(weaviateClient, plan.query, userId, plan.courseId, plan.limit, plan.filters);
+
+        // A plan that filters everything out (misread type, nothing due) falls back to the plain query
+        const filtered = plan.filters.types.length > 0 || plan.filters.dueAfter || plan.filters.dueBefore || plan.filters.createdAfter;
+        if (results.length === 0 && filtered) {
+            console.log('⚠️ Query plan filters matched nothing, searching without them');
+            results = await this.searchCanvasContext(weaviateClient, plan.query, userId, plan.courseId, plan.limit);
+        }
+
+        return QueryPlanService.rerank(results, plan.boost);
     }
 
     /**
      * Build enhanced context prompt with conversation history
      * @param {string} userMessage - User message
-     * @param {Array} canvasContext - Canvas content context
-     * @param {Array} conversationContext - Recent conversation messages
+     * @param {Array} canvasContext - Numbered Canvas sources followed by related chat history
+     * @param {Array} conversationContext - Conversation turns not covered by the summary
      * @param {Object} courseInfo - Course information
      * @param {Object} queryParams - Processed query parameters
      * @param {string} searchSummary - Search summary
-     * @returns {Array} Messages array for OpenAI
+     * @param {Object} options - { model, maxOutputTokens, instructions: extra system prompt text, historySummary: stored conversation summary }
+     * @returns {Object} { messages, sources: the numbered sources that fit, breakdown: token use by part }
      */
-    static buildEnhancedContextPrompt(userMessage, canvasContext, conversationContext, courseInfo, queryParams, searchSummary) {
+    static buildEnhancedContextPrompt(userMessage, canvasContext, conversationContext, courseInfo, queryParams, searchSummary, options = {}) {
         let systemPrompt = `You are Claryfy, an intelligent AI assistant for Canvas LMS. You help students with their coursework, assignments, and learning materials.
 
 Query Analysis: ${searchSummary}
@@ -438,7 +450,9 @@ Context Guidelines:
 - Provide actionable advice and study tips
 - Keep responses focused and concise
 - If you don't have enough context, ask clarifying questions
-- Maintain conversation continuity using chat history`;
+- Maintain conversation continuity using chat history
+
+${CITATION_INSTRUCTIONS}`;
 
         if (courseInfo) {
             systemPrompt += `\n\nCurrent Course: ${courseInfo.name} (${courseInfo.code})`;
@@ -448,62 +462,219 @@ Context Guidelines:
             systemPrompt += `\n\nUser Intent: ${queryParams.intent.replace('_', ' ')}`;
         }
 
-        const messages = [{ role: 'system', content: systemPrompt }];
+        if (options.instructions) {
+            systemPrompt += `\n\n${options.instructions}`;
+        }
 
-        // Add conversation history for context (last 4 messages)
-        if (conversationContext && conversationContext.length > 0) {
-            const recentMessages = conversationContext.slice(-4);
-            for (const msg of recentMessages) {
-                if (msg.role === 'user' || msg.role === 'assistant') {
-                    messages.push({
-                        role: msg.role,
-                        content: msg.content
-                    });
+        // Numbered Canvas sources, and related past conversations from Weaviate
+        const sources = (canvasContext || []).filter(item => item.index);
+        const pastConversations = (canvasContext || []).filter(item => !item.index && item.message);
+
+        // Fit everything to the chat model's token budget; sources are cut from the end so numbering holds
+        const { messages, kept, breakdown } = PromptBuilder.build({
+            system: systemPrompt,
+            history: (conversationContext || []).filter(msg => msg.role === 'user' || msg.role === 'assistant'),
+            historySummary: options.historySummary,
+            context: [
+                {
+                    header: 'Relevant Canvas Content (cite by number):',
+                    items: sources.map(source => CitationService.formatSourcesForPrompt([source]))
+                },
+                {
+                    header: 'Related Past Conversations (not citable):',
+                    items: pastConversations.map(item => `Student: ${item.message}\nClaryfy: ${item.response}`)
+                }
+            ],
+            user: userMessage
+        }, {
+            model: options.model,
+            maxOutputTokens: options.maxOutputTokens ?? CONFIG.MAX_TOKENS
+        });
+
+        console.log(`📝 Built ${messages.length} messages for enhanced AI context (${breakdown.total}/${breakdown.budget} tokens)`);
+        return { messages, sources: sources.slice(0, kept[0]), breakdown };
+    }
+
+    /**
+     * Stream a reply while letting the model call read-only Canvas tools.
+     * Each step streams a completion with the tools attached; when it ends in tool calls,
+     * the allowlisted tools run and their results are fed back for the next step.
+     * The final step has tools disabled so the loop always ends in an answer.
+     * Yields OpenAI chunks, with usage summed over all steps in one final chunk.
+     * @param {Array} messages - Prompt messages (extended in place with tool turns)
+     * @param {CanvasClient} canvasClient - The user's Canvas client
+     * @param {Object} options - { onToolStatus, toolCalls } where toolCalls collects a log of the calls
+     */
+    static async *runToolLoop(messages, canvasClient, options = {}) {
+        const { onToolStatus = () => {}, toolCalls = [] } = options;
+        const tools = CanvasToolService.getToolDefinitions();
+        const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+        let model = null;
+
+        for (let step = 0; step <= CanvasToolService.maxSteps; step++) {
+            const lastStep = step === CanvasToolService.maxSteps;
+            const modelStream = await OpenAIChatService.generateStreamingChatResponse(messages, {
+                stream: true,
+                stream_options: { include_usage: true },
+                tools,
+                tool_choice: lastStep ? 'none' : 'auto'
+            });
+
+            // Tool call arguments arrive in fragments keyed by index
+            const pendingCalls = [];
+            let content = '';
+
+            for await (const chunk of modelStream) {
+                if (chunk.model) model = chunk.model;
+                if (chunk.usage) {
+                    usage.prompt_tokens += chunk.usage.prompt_tokens || 0;
+                    usage.completion_tokens += chunk.usage.completion_tokens || 0;
+                    usage.total_tokens += chunk.usage.total_tokens || 0;
+                }
+
+                const choice = chunk.choices?.[0];
+                if (!choice) continue;
+
+                for (const fragment of choice.delta?.tool_calls || []) {
+                    const call = pendingCalls[fragment.index] ||= { id: null, name: '', arguments: '' };
+                    if (fragment.id) call.id = fragment.id;
+                    if (fragment.function?.name) call.name += fragment.function.name;
+                    if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+                }
+
+                if (choice.delta?.content) content += choice.delta.content;
+
+                // Pass text and the final finish reason through; tool call plumbing stays internal
+                if (choice.delta?.content || (choice.finish_reason && choice.finish_reason !== 'tool_calls')) {
+                    yield { ...chunk, choices: [{ ...choice, delta: { content: choice.delta?.content } }] };
                 }
             }
-        }
 
-        // Add Canvas context
-        if (canvasContext && canvasContext.length > 0) {
-            const contextText = canvasContext.map(item => {
-                const typeLabel = item.type ? `[${item.type.toUpperCase()}]` : '[CONTENT]';
-                return `${typeLabel} ${item.title}: ${item.content}`;
-            }).join('\n\n');
+            const calls = pendingCalls.filter(Boolean);
+            if (calls.length === 0) break;
 
             messages.push({
-                role: 'system',
-                content: `Relevant Canvas Content:\n\n${contextText}`
+                role: 'assistant',
+                content: content || null,
+                tool_calls: calls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: call.arguments }
+                }))
             });
-        }
 
-        // Add current user message
-        messages.push({
-            role: 'user',
-            content: userMessage
-        });
+            for (const call of calls) {
+                const args = CanvasToolService.parseArguments(call.arguments);
+                const label = CanvasToolService.describe(call.name, args);
 
-        console.log('📝 Built', messages.length, 'messages for enhanced AI context');
-        return messages;
+                console.log(`🛠️ Tool call ${call.name}:`, args);
+                onToolStatus({ id: call.id, name: call.name, label, status: 'running' });
+
+                const startTime = Date.now();
+                const outcome = await CanvasToolService.execute(canvasClient, call.name, args);
+
+                toolCalls.push({
+                    name: call.name,
+                    arguments: args,
+                    ok: outcome.ok,
+                    ...(outcome.ok ? {} : { error: outcome.error }),
+                    latencyMs: Date.now() - startTime
+                });
+                onToolStatus({
+                    id: call.id,
+                    name: call.name,
+                    label,
+                    status: outcome.ok ? 'done' : 'error',
+                    ...(outcome.ok ? {} : { error: outcome.error })
+                });
+
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: call.id,
+                    content: CanvasToolService.serializeResult(outcome)
+                });
+            }
+        }
+
+        yield { choices: [], model, usage };
     }
 
     /**
-     * Save assistant response to conversation history
+     * Tee a completion stream so the assistant reply is saved exactly once when it ends.
+     * The caller must iterate the returned stream to the end (even if its client has gone)
+     * for the full reply to be captured; an error or early exit saves what arrived so far.
      * @param {string} conversationId - Conversation ID
-     * @param {ReadableStream} stream - Response stream
+     * @param {AsyncIterable} modelStream - Streaming chat completion
+     * @param {Object} metadata - Extra metadata to store with the message
+     * @param {Function} enrich - Derives more metadata from the final reply text (optional)
+     * @returns {Object} { stream, completion } - the stream to consume, and a promise of the saved result
      */
-    static async saveAssistantResponse(conversationId, stream) {
-        // This will collect the streamed response and save it
-        // Implementation would require stream cloning or post-processing
-        setTimeout(async () => {
+    static captureAssistantResponse(conversationId, modelStream, metadata = {}, enrich = null) {
+        const startTime = Date.now();
+        let resolveCompletion;
+        const completion = new Promise(resolve => {
+            resolveCompletion = resolve;
+        });
+
+        async function* tee() {
+            let content = '';
+            let usage = null;
+            let finishReason = null;
+            let model = null;
+            let firstTokenMs = null;
+            let streamError = null;
+
             try {
-                // For now, save a placeholder - in production you'd capture the actual response
-                await ConversationService.addMessage(conversationId, '[Response generated]', 'assistant', {
-                    timestamp: new Date().toISOString()
-                });
+                for await (const chunk of modelStream) {
+                    const choice = chunk.choices?.[0];
+                    const delta = choice?.delta?.content;
+
+                    if (delta) {
+                        if (firstTokenMs === null) firstTokenMs = Date.now() - startTime;
+                        content += delta;
+                    }
+                    if (choice?.finish_reason) finishReason = choice.finish_reason;
+                    if (chunk.usage) usage = chunk.usage;
+                    if (chunk.model) model = chunk.model;
+
+                    yield chunk;
+                }
             } catch (error) {
-                console.error('Error saving assistant response:', error);
+                streamError = error;
+                throw error;
+            } finally {
+                const stats = {
+                    usage: usage && {
+                        promptTokens: usage.prompt_tokens,
+                        completionTokens: usage.completion_tokens,
+                        totalTokens: usage.total_tokens
+                    },
+                    finishReason,
+                    model,
+                    latencyMs: Date.now() - startTime,
+                    firstTokenMs,
+                    interrupted: !finishReason,
+                    ...(enrich ? enrich(content) : {})
+                };
+
+                let message = null;
+                if (content) {
+                    try {
+                        message = await ConversationService.addMessage(conversationId, content, 'assistant', {
+                            ...metadata,
+                            ...stats,
+                            ...(streamError ? { error: streamError.message } : {})
+                        });
+                    } catch (error) {
+                        console.error('Error saving assistant response:', error);
+                    }
+                }
+
+                resolveCompletion({ content, ...stats, messageId: message?.id || null });
             }
-        }, 1000);
+        }
+
+        return { stream: tee(), completion };
     }
 
     /**
@@ -518,49 +689,27 @@ Context Guidelines:
                 .from('canvas_data')
                 .select('content')
                 .eq('user_id', userId)
-                .eq('data_type', 'courses')
-                .single();
+                .eq('data_type', 'courses');
 
-            return data?.content || [];
+            // One row per course, in dashboard order
+            return (data || [])
+                .map(row => row.content)
+                .sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
         } catch (error) {
             console.error('Error getting user courses:', error);
             return [];
         }
     }
 
-    // Search Canvas context
-    static async searchCanvasContext(weaviateClient, query, userId, courseId, limit = 5) {
+    // Search Canvas context (hybrid keyword + vector), filters as in canvasContentWhere
+    static async searchCanvasContext(weaviateClient, query, userId, courseId, limit = 5, filters = {}) {
         try {
-            let whereClause;
-
-            if (courseId && courseId !== null) {
-                // Search within specific course
-                whereClause = {
-                    operator: 'And',
-                    operands: [
-                        { path: ['userId'], operator: 'Equal', valueString: userId },
-                        { path: ['courseId'], operator: 'Equal', valueInt: courseId }
-                    ]
-                };
-            } else {
-                // Search across all courses for this user
-                whereClause = {
-                    operator: 'Equal',
-                    path: ['userId'],
-                    valueString: userId
-                };
-            }
-
-            const response = await weaviateClient.graphql
-                .get()
-                .withClassName('CanvasContent')
-                .withFields('title content type courseId canvasId')
-                .withNearText({ concepts: [query] })
-                .withWhere(whereClause)
-                .withLimit(limit)
-                .do();
+            const response = await searchQueries.searchCanvasContent(
+                weaviateClient, query, userId, courseId, limit * CHUNK_CONFIG.SEARCH_OVERFETCH, filters
+            );
 
-            return response.data?.Get?.CanvasContent || [];
+            // One source per item, however many of its chunks matched
+            return collapseChunks(response.data?.Get?.CanvasContent, { limit });
         } catch (error) {
             console.error('Error searching Canvas context:', error);
             return [];
@@ -570,35 +719,7 @@ Context Guidelines:
     // Search chat history
     static async searchChatHistory(weaviateClient, query, userId, courseId, limit = 3) {
         try {
-            let whereClause;
-
-            if (courseId && courseId !== null) {
-                // Search within specific course
-                whereClause = {
-                    operator: 'And',
-                    operands: [
-                        { path: ['userId'], operator: 'Equal', valueString: userId },
-                        { path: ['courseId'], operator: 'Equal', valueInt: courseId }
-                    ]
-                };
-            } else {
-                // Search across all courses for this user
-                whereClause = {
-                    operator: 'Equal',
-                    path: ['userId'],
-                    valueString: userId
-                };
-            }
-
-            const response = await weaviateClient.graphql
-                .get()
-                .withClassName('ChatHistory')
-                .withFields('message response context conversationId')
-                .withNearText({ concepts: [query] })
-                .withWhere(whereClause)
-                .withLimit(limit)
-                .do();
-
+            const response = await searchQueries.searchChatHistory(weaviateClient, query, userId, courseId, limit);
             return response.data?.Get?.ChatHistory || [];
         } catch (error) {
             console.error('Error searching chat history:', error);
@@ -631,35 +752,30 @@ Context Guidelines:
 
 export class OpenAIUtils {
 
-    // Count tokens in text (approximate)
+    // Count tokens in text with the model tokenizer
     static countTokens(text) {
-        // Rough approximation: 1 token ≈ 4 characters for English
-        return Math.ceil(text.length / 4);
+        return countTokens(text);
     }
 
     // Truncate text to fit within token limit
     static truncateToTokenLimit(text, maxTokens) {
-        const estimatedTokens = this.countTokens(text);
-        if (estimatedTokens <= maxTokens) {
+        if (countTokens(text) <= maxTokens) {
             return text;
         }
 
-        const ratio = maxTokens / estimatedTokens;
-        const truncatedLength = Math.floor(text.length * ratio * 0.9); // 90% safety margin
-        return text.substring(0, truncatedLength) + '...';
+        return truncateToTokens(text, maxTokens - 1) + '...';
     }
 
-    // Validate API key
+    // Validate the chat provider's credentials with a minimal request
     static async validateApiKey() {
         try {
-            await openai.models.list();
+            await LLMService.chat(LLM_TASKS.CHAT, [{ role: 'user', content: 'ping' }], { max_tokens: 1 });
             return true;
         } catch (error) {
-            console.error('Invalid OpenAI API key:', error);
+            console.error('Invalid chat LLM credentials:', error);
             return false;
         }
     }
 }
 
-// Export OpenAI client for direct use if needed
-export default openai; 
\ No newline at end of file
+export default LLMService; 
\ No newline at end of file
@@ -0,0 +1,233 @@
+// =============================================
+// CLARYFY PROMPT BUILDER
+// =============================================
+//
+// Assembles chat prompts within a token budget, counted with the chat model's
+// own tokenizer. The system prompt is always kept whole; the user message may
+// take up to a quarter of the budget; history and retrieved context share the
+// rest, each able to use what the other leaves. What does not fit is cut:
+// context items from the lowest ranked, history from the oldest turns, which
+// are replaced by a short summary. A stored conversation summary (see
+// services/memory.js) always leads the history, ahead of the oldest turns.
+
+import * as dotenv from 'dotenv';
+import { countTokens, countMessageTokens, truncateToTokens, encodingForModel, MESSAGE_OVERHEAD_TOKENS, REPLY_OVERHEAD_TOKENS } from './tokens.js';
+
+dotenv.config();
+
+// Configuration
+export const PROMPT_CONFIG = {
+    MAX_PROMPT_TOKENS: parseInt(process.env.CHAT_PROMPT_MAX_TOKENS) || 12000,   // Cost cap, below the model's window
+    USER_SHARE: 0.25,              // Most of the budget the user message may take
+    HISTORY_SHARE: 0.3,            // History's share of what is left when context needs the rest
+    HISTORY_SUMMARY_TOKENS: 300,   // Summary standing in for dropped or older turns
+    MIN_TRUNCATED_TOKENS: 40       // Smaller leftovers are not worth a cut-down item
+};
+
+// Context window by model name prefix, most specific first
+export const MODEL_CONTEXT_WINDOWS = [
+    ['gpt-4o', 128000],
+    ['gpt-4.1', 1047576],
+    ['gpt-4-turbo', 128000],
+    ['gpt-4', 8192],
+    ['gpt-3.5', 16385],
+    ['gpt-5', 400000],
+    ['o1', 200000],
+    ['o3', 200000],
+    ['o4', 200000],
+    ['gemini', 1048576]
+];
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+const ELLIPSIS = '…';
+const SUMMARY_HEADING = 'Summary of the earlier conversation:';
+
+export class PromptBuilder {
+
+    /**
+     * Prompt token budget for a model: its context window less the reply, capped by CHAT_PROMPT_MAX_TOKENS
+     * @param {string} model - Chat model name
+     * @param {number} maxOutputTokens - Tokens reserved for the reply
+     * @returns {number} Budget
+     */
+    static budgetFor(model, maxOutputTokens = 0) {
+        const name = String(model || '').toLowerCase();
+        const window = MODEL_CONTEXT_WINDOWS.find(([prefix]) => name.startsWith(prefix))?.[1] || DEFAULT_CONTEXT_WINDOW;
+        return Math.min(window - maxOutputTokens, PROMPT_CONFIG.MAX_PROMPT_TOKENS);
+    }
+
+    /**
+     * Build prompt messages that fit the budget
+     * @param {Object} parts - { system, history: [{ role, content }] oldest first, context: [{ header, items: [text] }] best first,
+     *   user, historySummary: summary of the turns before history, sent ahead of them and standing in for any dropped }
+     * @param {Object} options - { model, maxOutputTokens, budget }
+     * @returns {Object} { messages, kept: items kept per context section, breakdown }
+     */
+    static build(parts, options = {}) {
+        const encoding = encodingForModel(options.model);
+        const budget = options.budget ?? this.budgetFor(options.model, options.maxOutputTokens);
+        const count = text => countTokens(text, encoding);
+        const cost = text => count(text) + MESSAGE_OVERHEAD_TOKENS;
+        const truncated = { user: false, history: 0, context: 0 };
+
+        const system = parts.system || '';
+        const fixed = cost(system) + REPLY_OVERHEAD_TOKENS;
+
+        // User message: head and tail of anything longer than its share
+        let user = parts.user || '';
+        const userCap = Math.floor(budget * PROMPT_CONFIG.USER_SHARE);
+        if (count(user) > userCap) {
+            user = this.truncateMiddle(user, userCap - 2, encoding);
+            truncated.user = true;
+        }
+
+        const remaining = Math.max(budget - fixed - cost(user), 0);
+        const history = (parts.history || []).filter(message => message.content);
+        const historyNeeded = history.reduce((total, message) => total + cost(message.content), parts.historySummary ? cost(parts.historySummary) : 0);
+
+        // Context gets what history does not need of its share, then history gets what context leaves
+        const context = this.fitContext(parts.context || [], remaining - Math.min(historyNeeded, Math.floor(remaining * PROMPT_CONFIG.HISTORY_SHARE)), encoding, truncated);
+        const keptHistory = this.fitHistory(history, remaining - context.tokens, parts.historySummary, encoding, truncated);
+
+        const messages = [
+            { role: 'system', content: system, part: 'system' },
+            ...keptHistory.messages,
+            ...context.messages,
+            { role: 'user', content: user, part: 'user' }
+        ].filter(message => message.content);
+
+        const breakdown = {
+            model: options.model || null,
+            encoding,
+            budget,
+            system: 0,
+            history: 0,
+            context: 0,
+            user: 0,
+            total: countMessageTokens(messages, encoding),
+            dropped: { history: keptHistory.dropped, context: context.dropped },
+            truncated,
+            summarizedHistory: keptHistory.summarized
+        };
+        for (const message of messages) {
+            breakdown[message.part] += cost(message.content);
+        }
+
+        return {
+            messages: messages.map(({ role, content }) => ({ role, content })),
+            kept: context.kept,
+            breakdown
+        };
+    }
+
+    // Context sections in order, items best first. The first item that does not fit is cut down if
+    // enough room is left and the rest of its section is dropped, so kept items stay a prefix
+    static fitContext(sections, room, encoding, truncated) {
+        const count = text => countTokens(text, encoding);
+        const messages = [];
+        const kept = [];
+        let tokens = 0;
+        let dropped = 0;
+
+        for (const { header, items } of sections) {
+            const texts = [];
+            let sectionTokens = count(header) + MESSAGE_OVERHEAD_TOKENS;
+            let full = false;
+
+            for (const item of items || []) {
+                const itemTokens = count(item) + 1;   // plus the blank line before it
+                const left = room - tokens - sectionTokens;
+
+                if (!full && itemTokens <= left) {
+                    texts.push(item);
+                    sectionTokens += itemTokens;
+                    continue;
+                }
+                if (!full && left - 2 >= PROMPT_CONFIG.MIN_TRUNCATED_TOKENS) {
+                    const cut = `${truncateToTokens(item, left - 2, { encoding })}${ELLIPSIS}`;
+                    texts.push(cut);
+                    sectionTokens += count(cut) + 1;
+                    truncated.context++;
+                } else {
+                    dropped++;
+                }
+                full = true;
+            }
+
+            kept.push(texts.length);
+            if (texts.length > 0) {
+                messages.push({ role: 'system', content: `${header}\n\n${texts.join('\n\n')}`, part: 'context' });
+                tokens += sectionTokens;
+            }
+        }
+
+        return { messages, kept, tokens, dropped };
+    }
+
+    // Newest turns first; older ones that do not fit are replaced by a summary. A given summary
+    // is always sent, so its room is set aside before the turns
+    static fitHistory(history, room, summary, encoding, truncated) {
+        const count = text => countTokens(text, encoding);
+        const kept = [];
+        let tokens = 0;
+        let index = history.length - 1;
+
+        const summaryNeeded = summary ? Math.min(count(`${SUMMARY_HEADING} ${summary}`) + 2, PROMPT_CONFIG.HISTORY_SUMMARY_TOKENS) : 0;
+        const turnRoom = room - (summary ? summaryNeeded + MESSAGE_OVERHEAD_TOKENS : 0);
+
+        for (; index >= 0; index--) {
+            const message = history[index];
+            const messageTokens = count(message.content) + MESSAGE_OVERHEAD_TOKENS;
+            if (tokens + messageTokens <= turnRoom) {
+                kept.unshift({ role: message.role, content: message.content, part: 'history' });
+                tokens += messageTokens;
+                continue;
+            }
+            // A long latest turn is cut rather than lost
+            if (kept.length === 0 && turnRoom - MESSAGE_OVERHEAD_TOKENS - 1 >= PROMPT_CONFIG.MIN_TRUNCATED_TOKENS) {
+                const content = `${truncateToTokens(message.content, turnRoom - MESSAGE_OVERHEAD_TOKENS - 1, { encoding })}${ELLIPSIS}`;
+                kept.unshift({ role: message.role, content, part: 'history' });
+                tokens += count(content) + MESSAGE_OVERHEAD_TOKENS;
+                truncated.history++;
+                index--;
+            }
+            break;
+        }
+
+        const dropped = index + 1;
+        let summarized = false;
+        const summaryRoom = Math.min(room - tokens - MESSAGE_OVERHEAD_TOKENS, PROMPT_CONFIG.HISTORY_SUMMARY_TOKENS);
+        const minimum = summary ? Math.min(summaryNeeded, PROMPT_CONFIG.MIN_TRUNCATED_TOKENS) : PROMPT_CONFIG.MIN_TRUNCATED_TOKENS;
+
+        if ((dropped > 0 || summary) && summaryRoom >= minimum) {
+            const text = summary || history.slice(0, dropped)
+                .filter(message => message.role === 'user')
+                .map(message => `"${message.content.replace(/\s+/g, ' ').trim()}"`)
+                .join('; ');
+            if (text) {
+                const heading = summary ? SUMMARY_HEADING : 'Earlier in this conversation the student asked:';
+                const content = `${heading} ${truncateToTokens(text, summaryRoom - count(heading) - 2, { encoding })}`;
+                kept.unshift({ role: 'system', content, part: 'history' });
+                summarized = true;
+            }
+        }
+
+        return { messages: kept, dropped, summarized };
+    }
+
+    /**
+     * Keep the start and end of a text within maxTokens, marking the cut
+     * @param {string} text - Text to cut
+     * @param {number} maxTokens - Token budget
+     * @param {string} encoding - Tiktoken encoding name
+     * @returns {string} Shortened text
+     */
+    static truncateMiddle(text, maxTokens, encoding) {
+        const half = Math.max(Math.floor((maxTokens - 3) / 2), 0);
+        const head = truncateToTokens(text, half, { encoding });
+        const tail = truncateToTokens(text, half, { fromEnd: true, encoding });
+        return `${head}\n${ELLIPSIS}\n${tail}`;
+    }
+}
+
+export default PromptBuilder;
@@ -0,0 +1,130 @@
+// =============================================
+// CLARYFY QUERY PLANS
+// =============================================
+//
+// Compiles the search plan GeminiQueryService.buildSearchQuery() makes from a
+// question (content types, course, time window, priority) into the filters
+// the Weaviate search applies, and re-ranks the hits by due date and recency
+// when the question is about deadlines or recent news.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Types with a dueDate, and the ones a time window means "posted" for
+export const DUE_TYPES = ['assignment', 'quiz', 'discussion'];
+export const POSTED_TYPES = ['announcement'];
+
+// Re-ranking weights
+export const RERANK_CONFIG = {
+    BOOST_WEIGHT: 0.4,            // Share of the final score that comes from due date / recency
+    DUE_HORIZON_DAYS: 7,          // Something due this many days out gets half the due-date boost
+    RECENCY_HALF_LIFE_DAYS: 14    // Something posted this long ago gets half the recency boost
+};
+
+function startOfDay(now) {
+    const day = new Date(now);
+    day.setUTCHours(0, 0, 0, 0);
+    return day.getTime();
+}
+
+// Due windows are rolling from today; posted windows look back the same span
+const TIME_WINDOWS = {
+    this_week: now => ({ due: [startOfDay(now), now.getTime() + 7 * DAY_MS], posted: [now.getTime() - 7 * DAY_MS, null] }),
+    next_week: now => ({ due: [now.getTime() + 7 * DAY_MS, now.getTime() + 14 * DAY_MS], posted: null }),
+    this_month: now => ({ due: [startOfDay(now), now.getTime() + 30 * DAY_MS], posted: [now.getTime() - 30 * DAY_MS, null] }),
+    past_due: now => ({ due: [null, now.getTime()], posted: null })
+};
+
+const iso = time => (time === null ? undefined : new Date(time).toISOString());
+
+export class QueryPlanService {
+
+    /**
+     * Turn a search plan into Weaviate search arguments
+     * @param {Object} searchConfig - From GeminiQueryService.buildSearchQuery()
+     * @param {Object} context - { courseId: course resolved from filters.courseCode, intent, now }
+     * @returns {Object} { query, courseId, limit, filters: { types, dueAfter, dueBefore, createdAfter }, boost }
+     */
+    static compile(searchConfig, context = {}) {
+        const now = context.now || new Date();
+        const planFilters = searchConfig.filters || {};
+        const filters = { types: [...(planFilters.types || [])] };
+        const window = TIME_WINDOWS[planFilters.timeWindow]?.(now);
+
+        // A deadline question without a type is about things that have deadlines
+        if (window && filters.types.length === 0 && (context.intent === 'check_deadlines' || context.intent === 'find_assignments')) {
+            filters.types = [...DUE_TYPES];
+        }
+
+        // A window only narrows types it has a date for; "week 7 module" keeps every module
+        if (window?.due && filters.types.length > 0 && filters.types.every(type => DUE_TYPES.includes(type))) {
+            filters.dueAfter = iso(window.due[0]);
+            filters.dueBefore = iso(window.due[1]);
+        } else if (window?.posted && filters.types.length > 0 && filters.types.every(type => POSTED_TYPES.includes(type))) {
+            filters.createdAfter = iso(window.posted[0]);
+        }
+
+        return {
+            query: searchConfig.query,
+            courseId: context.courseId ?? null,
+            limit: searchConfig.limit,
+            filters,
+            boost: searchConfig.boost || {}
+        };
+    }
+
+    /**
+     * Re-rank search hits, mixing relevance with how soon they are due and how recently they were posted
+     * @param {Array} results - Hits with score (or _additional.score / distance), dueDate and createdAt
+     * @param {Object} boost - { dueDate, overdue, recent } from the search plan
+     * @param {Date} now - Reference time
+     * @returns {Array} Results in the new order, unchanged when nothing is boosted
+     */
+    static rerank(results, boost = {}, now = new Date()) {
+        if (!results?.length || !(boost.dueDate || boost.overdue || boost.recent)) return results || [];
+
+        const relevance = results.map(result => this.relevance(result));
+        const best = Math.max(...relevance);
+
+        return results
+            .map((result, position) => {
+                const normalized = best > 0 ? relevance[position] / best : 0;
+                const score = (1 - RERANK_CONFIG.BOOST_WEIGHT) * normalized + RERANK_CONFIG.BOOST_WEIGHT * this.boostScore(result, boost, now);
+                return { result, score, position };
+            })
+            .sort((a, b) => b.score - a.score || a.position - b.position)
+            .map(({ result, score }) => ({ ...result, rerankScore: Number(score.toFixed(4)) }));
+    }
+
+    // Search relevance, higher is better: hybrid score, else certainty from distance
+    static relevance(result) {
+        const score = result.score ?? result._additional?.score;
+        if (score !== null && score !== undefined) return Number(score) || 0;
+
+        const distance = result.distance ?? result._additional?.distance;
+        return distance !== null && distance !== undefined ? Math.max(0, 1 - distance) : 0;
+    }
+
+    // Strongest enabled boost in [0, 1]
+    static boostScore(result, boost, now) {
+        const scores = [0];
+        const due = result.dueDate ? Date.parse(result.dueDate) : NaN;
+        const created = result.createdAt ? Date.parse(result.createdAt) : NaN;
+
+        if (!Number.isNaN(due)) {
+            const days = (due - now.getTime()) / DAY_MS;
+            const horizon = RERANK_CONFIG.DUE_HORIZON_DAYS;
+            // Due soonest first; overdue items count only when the question asks about them
+            if (days >= 0 && boost.dueDate) scores.push(horizon / (horizon + days));
+            if (days < 0 && boost.overdue) scores.push(horizon / (horizon - days));
+        }
+
+        if (!Number.isNaN(created) && boost.recent) {
+            const age = Math.max(0, (now.getTime() - created) / DAY_MS);
+            scores.push(Math.pow(0.5, age / RERANK_CONFIG.RECENCY_HALF_LIFE_DAYS));
+        }
+
+        return Math.max(...scores);
+    }
+}
+
+export default QueryPlanService;
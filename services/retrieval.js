@@ -0,0 +1,255 @@
+// =============================================
+// CLARYFY RETRIEVAL RE-RANKING
+// =============================================
+//
+// Second stage of RAG retrieval. The searches over-fetch candidates; this
+// stage scores every candidate against the question with a pluggable
+// re-ranker (lexical BM25 by default, an LLM optionally), drops near-duplicates
+// and keeps the best ones that fit the context token budget, measured with the
+// model's tokenizer.
+
+import * as dotenv from 'dotenv';
+import { LLMService, LLM_TASKS } from './llm/index.js';
+import { countTokens, truncateToTokens } from './tokens.js';
+
+dotenv.config();
+
+// Configuration
+export const RETRIEVAL_CONFIG = {
+    RERANKER: process.env.RAG_RERANKER || 'lexical',
+    CANDIDATE_MULTIPLIER: parseInt(process.env.RAG_CANDIDATE_MULTIPLIER) || 3,   // Candidates fetched per item kept
+    CONTEXT_TOKENS: parseInt(process.env.RAG_CONTEXT_TOKENS) || 3000,            // Budget for retrieved text in the prompt
+    ITEM_MAX_TOKENS: 800,            // Longer items are cut to this so one item cannot take the whole budget
+    PRIOR_WEIGHT: 0.3,               // Share of the score kept from the search order (and its due-date / recency boosts)
+    DUPLICATE_SIMILARITY: 0.85,      // Word-shingle Jaccard similarity above which two items count as the same
+    LLM_CANDIDATE_TOKENS: 200        // Text of each candidate shown to the LLM re-ranker
+};
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+    'me', 'my', 'of', 'on', 'or', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'will', 'with']);
+
+function terms(text) {
+    return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []).filter(term => !STOPWORDS.has(term));
+}
+
+// Scale scores to [0, 1] by the best one
+function normalize(scores) {
+    const best = Math.max(0, ...scores);
+    return scores.map(score => (best > 0 ? Math.max(0, score) / best : 0));
+}
+
+/**
+ * BM25 over the candidate set itself, with titles counted twice
+ * @param {string} query - The question
+ * @param {Array} candidates - [{ title, text }]
+ * @returns {Array} Scores in [0, 1]
+ */
+function lexicalReranker(query, candidates) {
+    const k1 = 1.2;
+    const b = 0.75;
+    const queryTerms = [...new Set(terms(query))];
+    const documents = candidates.map(candidate => terms(`${candidate.title || ''} ${candidate.title || ''} ${candidate.text}`));
+    const averageLength = documents.reduce((sum, document) => sum + document.length, 0) / Math.max(documents.length, 1) || 1;
+
+    const documentFrequency = new Map();
+    for (const document of documents) {
+        for (const term of new Set(document)) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+    }
+
+    return normalize(documents.map(document => {
+        const frequencies = new Map();
+        for (const term of document) frequencies.set(term, (frequencies.get(term) || 0) + 1);
+
+        return queryTerms.reduce((score, term) => {
+            const frequency = frequencies.get(term) || 0;
+            if (frequency === 0) return score;
+            const df = documentFrequency.get(term);
+            const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+            return score + idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * document.length / averageLength));
+        }, 0);
+    }));
+}
+
+/**
+ * Ask the rerank LLM task to grade each candidate 0-10 for the question
+ * @param {string} query - The question
+ * @param {Array} candidates - [{ title, text }]
+ * @returns {Array} Scores in [0, 1]
+ */
+async function llmReranker(query, candidates) {
+    const listing = candidates.map((candidate, index) => {
+        const text = truncateToTokens(candidate.text, RETRIEVAL_CONFIG.LLM_CANDIDATE_TOKENS);
+        return `[${index}] ${candidate.title ? `${candidate.title}\n` : ''}${text}`;
+    }).join('\n\n');
+
+    const response = await LLMService.chat(LLM_TASKS.RERANK, [
+        {
+            role: 'system',
+            content: 'You grade how useful each numbered passage is for answering a student\'s question. Reply with ONLY a JSON object {"scores": [...]} holding one number from 0 (useless) to 10 (answers it) per passage, in order.'
+        },
+        { role: 'user', content: `Question: ${query}\n\nPassages:\n\n${listing}` }
+    ], { temperature: 0, max_tokens: 20 + candidates.length * 4 });
+
+    const text = response.choices[0]?.message?.content || '';
+    const scores = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] || 'null')?.scores;
+    if (!Array.isArray(scores) || scores.length !== candidates.length) {
+        throw new Error(`Expected ${candidates.length} scores from the re-ranker`);
+    }
+
+    return scores.map(score => Math.min(Math.max(Number(score) || 0, 0), 10) / 10);
+}
+
+// Re-rankers by name: (query, [{ title, text }]) => scores, higher is better, sync or async
+const RERANKERS = new Map([
+    ['lexical', lexicalReranker],
+    ['llm', llmReranker]
+]);
+
+// Set of word 3-shingles, for near-duplicate detection
+function shingles(text) {
+    const words = terms(text);
+    const set = new Set();
+    for (let i = 0; i + 3 <= words.length; i++) set.add(words.slice(i, i + 3).join(' '));
+    if (set.size === 0 && words.length > 0) set.add(words.join(' '));
+    return set;
+}
+
+function jaccard(left, right) {
+    if (left.size === 0 || right.size === 0) return 0;
+    let shared = 0;
+    for (const item of left) if (right.has(item)) shared++;
+    return shared / (left.size + right.size - shared);
+}
+
+export class RetrievalService {
+
+    /**
+     * Add or replace a re-ranker
+     * @param {string} name - Name to select it by (RAG_RERANKER or options.reranker)
+     * @param {Function} reranker - (query, [{ title, text }]) => scores, higher is better (sync or async)
+     */
+    static registerReranker(name, reranker) {
+        RERANKERS.set(name, reranker);
+    }
+
+    // Names of the registered re-rankers
+    static get rerankers() {
+        return [...RERANKERS.keys()];
+    }
+
+    // How many candidates to fetch for a search that keeps limit items
+    static candidateLimit(limit) {
+        return limit * RETRIEVAL_CONFIG.CANDIDATE_MULTIPLIER;
+    }
+
+    // Field holding the body of a Canvas item or a past conversation
+    static textField(item) {
+        return item.message !== undefined ? 'response' : 'content';
+    }
+
+    // Tokens an item takes in the prompt, title or question included
+    static countItemTokens(item) {
+        const { title, text } = this.candidateText(item);
+        return countTokens(title ? `${title}\n${text}` : text);
+    }
+
+    // What the re-ranker reads: { title, text }
+    static candidateText(item) {
+        if (item.message !== undefined) {
+            return { title: '', text: `${item.message || ''}\n${item.response || ''}` };
+        }
+        return { title: item.title || '', text: item.content || '' };
+    }
+
+    /**
+     * Score candidates with the chosen re-ranker, falling back to lexical when it fails
+     * @param {string} query - The question
+     * @param {Array} candidates - [{ title, text }]
+     * @param {string} name - Re-ranker name
+     * @returns {Object} { scores: scaled to [0, 1] by the best, reranker: name of the re-ranker that produced them }
+     */
+    static async score(query, candidates, name = RETRIEVAL_CONFIG.RERANKER) {
+        const reranker = RERANKERS.get(name);
+        if (!reranker) {
+            console.error(`⚠️ Unknown re-ranker "${name}", using lexical`);
+        } else {
+            try {
+                return { scores: normalize(await reranker(query, candidates)), reranker: name };
+            } catch (error) {
+                console.error(`Error re-ranking with ${name}, using lexical:`, error.message);
+            }
+        }
+        return { scores: lexicalReranker(query, candidates), reranker: 'lexical' };
+    }
+
+    /**
+     * Re-rank over-fetched candidates from several searches and keep the best that fit the budget
+     * @param {string} query - The question
+     * @param {Object} lists - Candidates by list in search order, e.g. { canvas: [...], history: [...] }
+     * @param {Object} options - { limits: max items per list, budget: total tokens, reranker }
+     * @returns {Object} { <list>: kept items in score order, stats: { reranker, candidates, kept, duplicates, overBudget, tokens } }
+     */
+    static async select(query, lists, options = {}) {
+        const budget = options.budget ?? RETRIEVAL_CONFIG.CONTEXT_TOKENS;
+        const candidates = Object.entries(lists).flatMap(([list, items]) => (items || []).map((item, position, all) => ({
+            list,
+            item,
+            prior: 1 - position / all.length
+        })));
+
+        const selection = Object.fromEntries(Object.keys(lists).map(list => [list, []]));
+        const stats = { reranker: null, candidates: candidates.length, kept: 0, duplicates: 0, overBudget: 0, tokens: 0 };
+        if (candidates.length === 0) return { ...selection, stats };
+
+        const texts = candidates.map(candidate => this.candidateText(candidate.item));
+        const { scores, reranker } = await this.score(query, texts, options.reranker);
+        stats.reranker = reranker;
+
+        const ranked = candidates
+            .map((candidate, index) => ({
+                ...candidate,
+                text: texts[index],
+                score: (1 - RETRIEVAL_CONFIG.PRIOR_WEIGHT) * scores[index] + RETRIEVAL_CONFIG.PRIOR_WEIGHT * candidate.prior
+            }))
+            .sort((a, b) => b.score - a.score);
+
+        const seen = [];
+        for (const candidate of ranked) {
+            const limit = options.limits?.[candidate.list];
+            if (limit !== undefined && selection[candidate.list].length >= limit) continue;
+
+            const fingerprint = shingles(`${candidate.text.title} ${candidate.text.text}`);
+            if (seen.some(other => jaccard(fingerprint, other) >= RETRIEVAL_CONFIG.DUPLICATE_SIMILARITY)) {
+                stats.duplicates++;
+                continue;
+            }
+
+            // Long items are cut so several sources fit
+            const item = { ...candidate.item, rerankScore: Number(candidate.score.toFixed(4)) };
+            const field = this.textField(item);
+            let tokens = this.countItemTokens(item);
+            if (tokens > RETRIEVAL_CONFIG.ITEM_MAX_TOKENS) {
+                const room = RETRIEVAL_CONFIG.ITEM_MAX_TOKENS - (tokens - countTokens(item[field]));
+                item[field] = `${truncateToTokens(item[field], Math.max(room - 1, 0))}…`;
+                tokens = this.countItemTokens(item);
+            }
+
+            if (stats.tokens + tokens > budget) {
+                stats.overBudget++;
+                continue;
+            }
+
+            seen.push(fingerprint);
+            selection[candidate.list].push(item);
+            stats.tokens += tokens;
+            stats.kept++;
+        }
+
+        console.log(`🏅 Re-ranked ${stats.candidates} candidates with ${reranker}: kept ${stats.kept} (${stats.tokens} tokens), ${stats.duplicates} duplicates, ${stats.overBudget} over budget`);
+        return { ...selection, stats };
+    }
+}
+
+export default RetrievalService;
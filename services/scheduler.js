@@ -0,0 +1,233 @@
+// =============================================
+// CLARYFY CANVAS REFRESH SCHEDULER
+// =============================================
+//
+// Periodically looks for users whose cached canvas_data is older than its
+// freshness policy and queues a canvas_sync job for them. Jobs are spread out
+// with jitter and nothing is queued during quiet hours.
+
+import * as dotenv from 'dotenv';
+import { SupabaseCanvasDataService } from './supabase.js';
+import { JobService, JOB_STATUS, JOB_TYPES } from './jobs.js';
+
+dotenv.config();
+
+const MINUTE = 60 * 1000;
+
+function minutes(name, fallback) {
+    return (parseInt(process.env[name]) || fallback) * MINUTE;
+}
+
+// Parse "22-6" into { start: 22, end: 6 } (local hours, end exclusive)
+function parseQuietHours(value) {
+    const match = /^\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/.exec(value || '');
+    if (!match) return null;
+
+    const [start, end] = [Number(match[1]), Number(match[2])];
+    return start < 24 && end <= 24 && start !== end ? { start, end } : null;
+}
+
+// Configuration
+const SCHEDULER_CONFIG = {
+    ENABLED: process.env.CANVAS_REFRESH_ENABLED !== 'false',
+    INTERVAL_MS: minutes('CANVAS_REFRESH_INTERVAL_MINUTES', 5),
+    JITTER_MS: minutes('CANVAS_REFRESH_JITTER_MINUTES', 3), // Random delay added to each queued job
+    QUIET_HOURS: parseQuietHours(process.env.CANVAS_REFRESH_QUIET_HOURS ?? '2-6'),
+    TIMEZONE: process.env.CANVAS_REFRESH_TIMEZONE || 'America/New_York',
+    MAX_USERS_PER_RUN: parseInt(process.env.CANVAS_REFRESH_MAX_USERS) || 50,
+    FAILURE_COOLDOWN_MS: 6 * 60 * MINUTE // Leave users alone for a while after their sync failed for good
+};
+
+// How old each canvas_data type may get before a scheduled refresh
+export const FRESHNESS_POLICIES = {
+    assignments: minutes('CANVAS_REFRESH_ASSIGNMENTS_MINUTES', 15),
+    announcements: minutes('CANVAS_REFRESH_ANNOUNCEMENTS_MINUTES', 30),
+    courses: minutes('CANVAS_REFRESH_COURSES_MINUTES', 6 * 60),
+    files: minutes('CANVAS_REFRESH_FILES_MINUTES', 24 * 60)
+};
+
+const schedulerState = {
+    timer: null,
+    running: false,
+    nextRunAt: null,
+    lastRun: null
+};
+
+// =============================================
+// CANVAS REFRESH SCHEDULER
+// =============================================
+
+export class CanvasRefreshScheduler {
+
+    /**
+     * Hour of day in the scheduler's timezone
+     * @param {Date} date - Moment to check
+     * @returns {number} 0-23
+     */
+    static localHour(date) {
+        const hour = new Intl.DateTimeFormat('en-US', {
+            hour: 'numeric',
+            hourCycle: 'h23',
+            timeZone: SCHEDULER_CONFIG.TIMEZONE
+        }).format(date);
+        return Number(hour);
+    }
+
+    /**
+     * Whether scheduled refreshes are paused at this moment
+     * @param {Date} date - Moment to check
+     * @param {Object} quietHours - { start, end } (defaults to CANVAS_REFRESH_QUIET_HOURS)
+     * @returns {boolean} True inside quiet hours
+     */
+    static isQuietTime(date = new Date(), quietHours = SCHEDULER_CONFIG.QUIET_HOURS) {
+        if (!quietHours) return false;
+
+        const hour = this.localHour(date);
+        const { start, end } = quietHours;
+
+        // Windows may wrap past midnight (22-6)
+        return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+    }
+
+    /**
+     * Start the periodic scan (idempotent)
+     */
+    static start() {
+        if (schedulerState.timer || !SCHEDULER_CONFIG.ENABLED || !JobService.isAvailable()) return;
+
+        console.log(`⏰ Canvas refresh scheduler started (every ${SCHEDULER_CONFIG.INTERVAL_MS / MINUTE} min)`);
+
+        const schedule = () => {
+            schedulerState.nextRunAt = new Date(Date.now() + SCHEDULER_CONFIG.INTERVAL_MS).toISOString();
+            schedulerState.timer = setTimeout(async () => {
+                await this.runOnce();
+                if (schedulerState.timer) schedule();
+            }, SCHEDULER_CONFIG.INTERVAL_MS);
+            schedulerState.timer.unref?.();
+        };
+
+        schedule();
+    }
+
+    static stop() {
+        clearTimeout(schedulerState.timer);
+        schedulerState.timer = null;
+        schedulerState.nextRunAt = null;
+    }
+
+    /**
+     * Queue syncs for every user with stale data
+     * @param {Object} options - { now, random } injectable clock and jitter source
+     * @returns {Object} Run summary { startedAt, quiet, candidates, enqueued, skipped }
+     */
+    static async runOnce(options = {}) {
+        const now = options.now || new Date();
+        const random = options.random || Math.random;
+
+        if (schedulerState.running) {
+            return schedulerState.lastRun;
+        }
+
+        const run = { startedAt: now.toISOString(), quiet: false, candidates: 0, enqueued: 0, skipped: {}, error: null };
+        const skip = reason => {
+            run.skipped[reason] = (run.skipped[reason] || 0) + 1;
+        };
+
+        schedulerState.running = true;
+
+        try {
+            if (this.isQuietTime(now)) {
+                run.quiet = true;
+                return run;
+            }
+
+            // userId -> data types past their policy
+            const staleUsers = new Map();
+            for (const [dataType, maxAgeMs] of Object.entries(FRESHNESS_POLICIES)) {
+                const users = await SupabaseCanvasDataService.findStaleUsers(dataType, maxAgeMs, SCHEDULER_CONFIG.MAX_USERS_PER_RUN);
+                for (const { userId } of users) {
+                    if (!staleUsers.has(userId)) staleUsers.set(userId, []);
+                    staleUsers.get(userId).push(dataType);
+                }
+            }
+
+            run.candidates = staleUsers.size;
+
+            for (const [userId, staleTypes] of [...staleUsers].slice(0, SCHEDULER_CONFIG.MAX_USERS_PER_RUN)) {
+                const latest = await JobService.getLatestJob(userId, JOB_TYPES.CANVAS_SYNC);
+
+                if (latest?.status === JOB_STATUS.FAILED
+                    && now - new Date(latest.finished_at) < SCHEDULER_CONFIG.FAILURE_COOLDOWN_MS) {
+                    skip('recentFailure');
+                    continue;
+                }
+
+                const { created } = await JobService.enqueue(userId, JOB_TYPES.CANVAS_SYNC, {
+                    reason: 'scheduled',
+                    staleTypes
+                }, {
+                    dedupe: true,
+                    runAt: new Date(now.getTime() + Math.floor(random() * SCHEDULER_CONFIG.JITTER_MS)).toISOString()
+                });
+
+                if (created) {
+                    run.enqueued++;
+                } else {
+                    skip('alreadyQueued');
+                }
+            }
+
+            if (run.enqueued > 0) {
+                console.log(`⏰ Scheduled Canvas refresh for ${run.enqueued}/${run.candidates} users with stale data`);
+            }
+
+            return run;
+        } catch (error) {
+            console.error('Scheduled Canvas refresh failed:', error.message);
+            run.error = error.message;
+            return run;
+        } finally {
+            run.finishedAt = new Date().toISOString();
+            schedulerState.lastRun = run;
+            schedulerState.running = false;
+        }
+    }
+
+    /**
+     * Describe the schedule for operators
+     * @param {Object} options - { includeDue } also count users currently past each policy
+     * @returns {Object} Configuration, state, last run and (optionally) due users per type
+     */
+    static async getSchedule(options = {}) {
+        const now = new Date();
+
+        const schedule = {
+            enabled: SCHEDULER_CONFIG.ENABLED,
+            active: schedulerState.timer !== null,
+            intervalMinutes: SCHEDULER_CONFIG.INTERVAL_MS / MINUTE,
+            jitterMinutes: SCHEDULER_CONFIG.JITTER_MS / MINUTE,
+            maxUsersPerRun: SCHEDULER_CONFIG.MAX_USERS_PER_RUN,
+            quietHours: SCHEDULER_CONFIG.QUIET_HOURS && {
+                ...SCHEDULER_CONFIG.QUIET_HOURS,
+                timezone: SCHEDULER_CONFIG.TIMEZONE,
+                now: this.isQuietTime(now)
+            },
+            policies: Object.entries(FRESHNESS_POLICIES).map(([dataType, maxAgeMs]) => ({
+                dataType,
+                maxAgeMinutes: maxAgeMs / MINUTE
+            })),
+            nextRunAt: schedulerState.nextRunAt,
+            lastRun: schedulerState.lastRun
+        };
+
+        if (options.includeDue) {
+            schedule.due = {};
+            for (const [dataType, maxAgeMs] of Object.entries(FRESHNESS_POLICIES)) {
+                const users = await SupabaseCanvasDataService.findStaleUsers(dataType, maxAgeMs, SCHEDULER_CONFIG.MAX_USERS_PER_RUN);
+                schedule.due[dataType] = users.length;
+            }
+        }
+
+        return schedule;
+    }
+}
@@ -0,0 +1,305 @@
+// =============================================
+// CLARYFY CANVAS SESSION SERVICE
+// =============================================
+
+import crypto from 'crypto';
+import * as dotenv from 'dotenv';
+import { createCanvasClient } from './canvas-client.js';
+
+dotenv.config();
+
+// Configuration
+export const SESSION_CONFIG = {
+    COOKIE_NAME: process.env.SESSION_COOKIE_NAME || 'claryfy_session',
+    HEADER_NAME: 'x-claryfy-session',
+    IDLE_TIMEOUT_MS: parseInt(process.env.SESSION_IDLE_TIMEOUT_MS) || 2 * 60 * 60 * 1000, // 2 hours
+    SWEEP_INTERVAL_MS: 5 * 60 * 1000, // 5 minutes
+    MAX_SESSIONS: parseInt(process.env.SESSION_MAX_SESSIONS) || 5000
+};
+
+let sessionSecret = process.env.SESSION_SECRET;
+
+if (!sessionSecret) {
+    // Sessions still work, but they will not survive a restart or be shared between dynos
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+    console.log('⚠️ SESSION_SECRET missing. Using a random per-process secret for Canvas sessions.');
+}
+
+// Active sessions keyed by raw session ID
+const sessions = new Map();
+let sweepTimer = null;
+
+// =============================================
+// SESSION ID SIGNING
+// =============================================
+
+function sign(value) {
+    return crypto.createHmac('sha256', sessionSecret).update(value).digest('base64url');
+}
+
+function unsign(signedValue) {
+    if (typeof signedValue !== 'string') return null;
+
+    const separator = signedValue.lastIndexOf('.');
+    if (separator <= 0) return null;
+
+    const value = signedValue.slice(0, separator);
+    const expected = Buffer.from(sign(value));
+    const actual = Buffer.from(signedValue.slice(separator + 1));
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    return value;
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch {
+            cookies[name] = value;
+        }
+    }
+
+    return cookies;
+}
+
+// =============================================
+// CANVAS SESSION SERVICE
+// =============================================
+
+export class CanvasSessionService {
+
+    /**
+     * Validate Canvas credentials and open a session for them
+     * @param {string} token - Canvas access token
+     * @param {string} domain - Canvas domain (e.g. umd.instructure.com)
+     * @returns {Object|null} New session, or null if Canvas rejected the credentials
+     */
+    static async authenticate(token, domain) {
+        const client = createCanvasClient(token, domain);
+        const health = await client.healthCheck();
+
+        if (health.status !== 'ok') {
+            return null;
+        }
+
+        return this.createSession(token, domain, client);
+    }
+
+    /**
+     * Create a session holding a dedicated Canvas client
+     * @param {string} token - Canvas access token
+     * @param {string} domain - Canvas domain
+     * @param {CanvasClient} client - Already constructed client (optional)
+     * @returns {Object} Created session
+     */
+    static createSession(token, domain, client = null) {
+        const id = crypto.randomBytes(24).toString('base64url');
+        const now = Date.now();
+
+        const session = {
+            id,
+            signedId: `${id}.${sign(id)}`,
+            token,
+            domain,
+            client: client || createCanvasClient(token, domain),
+            refreshToken: null,
+            userId: null,
+            createdAt: now,
+            lastUsedAt: now
+        };
+
+        sessions.set(id, session);
+        this.enforceCapacity();
+        this.startSweeper();
+
+        return session;
+    }
+
+    /**
+     * Look up a session by its signed ID and mark it as used
+     * @param {string} signedId - Signed session ID from cookie or header
+     * @returns {Object|null} Session, or null if unknown, tampered or idle too long
+     */
+    static getSession(signedId) {
+        const id = unsign(signedId);
+        if (!id) return null;
+
+        const session = sessions.get(id);
+        if (!session) return null;
+
+        if (Date.now() - session.lastUsedAt > SESSION_CONFIG.IDLE_TIMEOUT_MS) {
+            sessions.delete(id);
+            return null;
+        }
+
+        session.lastUsedAt = Date.now();
+        return session;
+    }
+
+    /**
+     * Remove a session and drop its Canvas client
+     * @param {string} signedId - Signed session ID
+     * @returns {boolean} Whether a session was removed
+     */
+    static destroySession(signedId) {
+        const id = unsign(signedId);
+        return id ? sessions.delete(id) : false;
+    }
+
+    /**
+     * Read the caller's signed session ID from the cookie or the session header
+     * @param {Object} req - Express request
+     * @returns {string|null} Signed session ID
+     */
+    static readSessionId(req) {
+        const cookies = parseCookies(req.headers.cookie);
+        return cookies[SESSION_CONFIG.COOKIE_NAME] || req.get(SESSION_CONFIG.HEADER_NAME) || null;
+    }
+
+    /**
+     * Resolve the caller's session from the request
+     * @param {Object} req - Express request
+     * @returns {Object|null} Session
+     */
+    static getRequestSession(req) {
+        const signedId = this.readSessionId(req);
+        return signedId ? this.getSession(signedId) : null;
+    }
+
+    // Set the session cookie on a response
+    static setSessionCookie(res, session) {
+        res.append('Set-Cookie', this.serializeCookie(session.signedId, SESSION_CONFIG.IDLE_TIMEOUT_MS / 1000));
+    }
+
+    // Expire the session cookie on a response
+    static clearSessionCookie(res) {
+        res.append('Set-Cookie', this.serializeCookie('', 0));
+    }
+
+    /**
+     * Sign a value with the session secret, for other short-lived cookies
+     * @param {string} value - Value to sign
+     * @returns {string} value.signature
+     */
+    static signValue(value) {
+        return `${value}.${sign(value)}`;
+    }
+
+    /**
+     * Check a value signed with signValue()
+     * @param {string} signedValue - value.signature
+     * @returns {string|null} The value, or null if missing or tampered
+     */
+    static unsignValue(signedValue) {
+        return unsign(signedValue);
+    }
+
+    // Read one cookie from the request
+    static readCookie(req, name) {
+        return parseCookies(req.headers.cookie)[name] || null;
+    }
+
+    /**
+     * Serialize an HttpOnly cookie
+     * @param {string} value - Cookie value
+     * @param {number} maxAgeSeconds - Lifetime (0 expires it)
+     * @param {Object} options - { name, path } (defaults to the session cookie)
+     * @returns {string} Set-Cookie header value
+     */
+    static serializeCookie(value, maxAgeSeconds, options = {}) {
+        // The frontend lives on a different origin, so production cookies must be cross-site
+        const crossSite = process.env.NODE_ENV === 'production';
+
+        return [
+            `${options.name || SESSION_CONFIG.COOKIE_NAME}=${encodeURIComponent(value)}`,
+            `Path=${options.path || '/'}`,
+            'HttpOnly',
+            `Max-Age=${Math.floor(maxAgeSeconds)}`,
+            crossSite ? 'SameSite=None' : 'SameSite=Lax',
+            ...(crossSite ? ['Secure'] : [])
+        ].join('; ');
+    }
+
+    // Drop sessions that have been idle longer than the timeout
+    static sweepIdleSessions() {
+        const cutoff = Date.now() - SESSION_CONFIG.IDLE_TIMEOUT_MS;
+        let evicted = 0;
+
+        for (const [id, session] of sessions) {
+            if (session.lastUsedAt < cutoff) {
+                sessions.delete(id);
+                evicted++;
+            }
+        }
+
+        if (evicted > 0) {
+            console.log(`🧹 Evicted ${evicted} idle Canvas sessions (${sessions.size} active)`);
+        }
+
+        return evicted;
+    }
+
+    // Evict least recently used sessions when over capacity
+    static enforceCapacity() {
+        if (sessions.size <= SESSION_CONFIG.MAX_SESSIONS) return;
+
+        const byLastUse = [...sessions.values()].sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+        const excess = sessions.size - SESSION_CONFIG.MAX_SESSIONS;
+
+        for (const session of byLastUse.slice(0, excess)) {
+            sessions.delete(session.id);
+        }
+    }
+
+    static startSweeper() {
+        if (sweepTimer) return;
+
+        sweepTimer = setInterval(() => this.sweepIdleSessions(), SESSION_CONFIG.SWEEP_INTERVAL_MS);
+        // Never keep the process alive just for the sweeper
+        sweepTimer.unref();
+    }
+
+    // Session registry statistics
+    static getStats() {
+        return {
+            activeSessions: sessions.size,
+            idleTimeoutMs: SESSION_CONFIG.IDLE_TIMEOUT_MS,
+            maxSessions: SESSION_CONFIG.MAX_SESSIONS
+        };
+    }
+}
+
+// =============================================
+// EXPRESS MIDDLEWARE
+// =============================================
+
+/**
+ * Require a Canvas session and expose it as req.canvasSession
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function requireCanvasSession(req, res, next) {
+    const session = CanvasSessionService.getRequestSession(req);
+
+    if (!session) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    req.canvasSession = session;
+    next();
+}
+
+export default CanvasSessionService;
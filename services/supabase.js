@@ -4,23 +4,38 @@
 
 import { createClient } from '@supabase/supabase-js';
 import * as dotenv from 'dotenv';
+import crypto from 'crypto';
+import { TokenVault } from './vault.js';
 
 dotenv.config();
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY; // Use service key for backend operations
+// Use service key for backend operations
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-if (!supabaseUrl || !supabaseServiceKey) {
-    throw new Error('Missing Supabase configuration. Please check SUPABASE_URL and SUPABASE_SERVICE_KEY environment variables.');
+// Live binding: importers see the client installed by setSupabaseClient()
+export let supabase = null;
+
+if (supabaseUrl && supabaseServiceKey) {
+    supabase = createClient(supabaseUrl, supabaseServiceKey, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false
+        }
+    });
+} else {
+    console.log('⚠️ Supabase configuration missing. Database features will fail until it is set.');
+    console.log('   Set SUPABASE_URL and SUPABASE_SERVICE_KEY environment variables.');
 }
 
-export const supabase = createClient(supabaseUrl, supabaseServiceKey, {
-    auth: {
-        autoRefreshToken: false,
-        persistSession: false
-    }
-});
+/**
+ * Replace the Supabase client used by every service (tests, scripts)
+ * @param {Object} client - Supabase client or compatible stand-in
+ */
+export function setSupabaseClient(client) {
+    supabase = client;
+}
 
 // =============================================
 // USER MANAGEMENT
@@ -66,22 +81,77 @@ export class SupabaseUserService {
         }
     }
 
-    // Get user's Canvas credentials
+    // Get user's Canvas credentials (token decrypted from the vault)
     static async getCanvasCredentials(userId) {
         try {
             const { data, error } = await supabase
                 .from('users')
-                .select('canvas_token, canvas_domain')
+                .select('canvas_token, canvas_refresh_token, canvas_token_expires_at, canvas_domain')
                 .eq('id', userId)
                 .single();
 
             if (error) throw error;
-            return data;
+            return {
+                canvas_token: TokenVault.decrypt(data.canvas_token, userId),
+                canvas_refresh_token: TokenVault.decrypt(data.canvas_refresh_token, userId),
+                canvas_token_expires_at: data.canvas_token_expires_at,
+                canvas_domain: data.canvas_domain
+            };
         } catch (error) {
             console.error('Error fetching Canvas credentials:', error);
             throw error;
         }
     }
+
+    // Store user's Canvas credentials (token encrypted with the vault)
+    static async saveCanvasCredentials(userId, token, domain) {
+        try {
+            const { error } = await supabase
+                .from('users')
+                .update({
+                    canvas_token: TokenVault.encrypt(token, userId),
+                    // Pasted personal access tokens do not expire or refresh
+                    canvas_refresh_token: null,
+                    canvas_token_expires_at: null,
+                    canvas_domain: domain,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', userId);
+
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('Error saving Canvas credentials:', error);
+            throw error;
+        }
+    }
+
+    // Store tokens from the Canvas OAuth2 flow (both tokens encrypted with the vault)
+    static async saveCanvasOAuthTokens(userId, domain, tokens) {
+        try {
+            const updates = {
+                canvas_token: TokenVault.encrypt(tokens.accessToken, userId),
+                canvas_token_expires_at: tokens.expiresAt,
+                canvas_domain: domain,
+                updated_at: new Date().toISOString()
+            };
+
+            if (tokens.refreshToken) {
+                updates.canvas_refresh_token = TokenVault.encrypt(tokens.refreshToken, userId);
+            }
+
+            const { error } = await supabase
+                .from('users')
+                .update(updates)
+                .eq('id', userId);
+
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('Error saving Canvas OAuth tokens:', error);
+            throw error;
+        }
+    }
 }
 
 // =============================================
@@ -282,14 +352,14 @@ export class SupabaseRecordingService {
         }
     }
 
-    // Get specific recording
+    // Get specific recording (null when it does not exist)
     static async getRecording(recordingId) {
         try {
             const { data, error } = await supabase
                 .from('recordings')
                 .select('*')
                 .eq('id', recordingId)
-                .single();
+                .maybeSingle();
 
             if (error) throw error;
             return data;
@@ -320,6 +390,48 @@ export class SupabaseRecordingService {
 // CANVAS DATA CACHE
 // =============================================
 
+// canvas_data content list for each Canvas item type
+export const CANVAS_DATA_TYPES = {
+    assignment: 'assignments',
+    announcement: 'announcements',
+    file: 'files'
+};
+
+// Rows are unique per user, data type and course
+const CANVAS_DATA_CONFLICT = 'user_id,data_type,course_id';
+
+// Change log rows are unique per item; each holds the item's latest state or a tombstone
+const CANVAS_CHANGE_CONFLICT = 'user_id,data_type,item_id';
+
+// Tombstones older than this are dropped, so older cursors must reload the dashboard
+export const CANVAS_CHANGE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+function itemHash(item) {
+    return crypto.createHash('sha256').update(JSON.stringify(item)).digest('hex');
+}
+
+// Items held by a canvas_data row: the course itself, or the course's list
+function rowItems(row) {
+    return row.data_type === 'courses' ? [row.content] : row.content || [];
+}
+
+// Oldest sync per type (a type is only as fresh as its stalest course) and overall
+function summarizeSyncTimes(rows) {
+    const summary = { lastSynced: null, syncedByType: {} };
+
+    for (const row of rows) {
+        const oldest = summary.syncedByType[row.data_type];
+        if (!oldest || row.last_synced < oldest) {
+            summary.syncedByType[row.data_type] = row.last_synced;
+        }
+        if (!summary.lastSynced || row.last_synced < summary.lastSynced) {
+            summary.lastSynced = row.last_synced;
+        }
+    }
+
+    return summary;
+}
+
 export class SupabaseCanvasDataService {
 
     // Cache Canvas data
@@ -333,7 +445,7 @@ export class SupabaseCanvasDataService {
                     course_id: courseId,
                     content: content,
                     last_synced: new Date().toISOString()
-                })
+                }, { onConflict: CANVAS_DATA_CONFLICT })
                 .select()
                 .single();
 
@@ -345,6 +457,275 @@ export class SupabaseCanvasDataService {
         }
     }
 
+    /**
+     * Persist freshly fetched Canvas data: one 'courses' row per course and one row
+     * per course for each content list that loaded. Courses no longer shown are removed,
+     * and every item that appeared, changed or vanished is written to the change log.
+     * @param {string} userId - User ID
+     * @param {Object} snapshot - { courses, assignments, announcements, files, fetched: [{ type, courseId }], syncedAt }
+     * @returns {Object} { saved, pruned, changed } row and item counts
+     */
+    static async saveCanvasSnapshot(userId, snapshot) {
+        try {
+            const lastSynced = snapshot.syncedAt || new Date().toISOString();
+
+            const rows = snapshot.courses.map((course, position) => ({
+                user_id: userId,
+                data_type: 'courses',
+                course_id: course.id,
+                // Dashboard card plus the name/course_code fields the RAG lookup and recording_summary read
+                content: {
+                    ...course,
+                    name: course.name || course.originalName || course.shortName,
+                    course_code: course.course_code || course.courseCode || course.shortName,
+                    position
+                },
+                last_synced: lastSynced
+            }));
+
+            // Lists that failed to load keep their previous rows (and stay stale)
+            for (const { type, courseId } of snapshot.fetched || []) {
+                const dataType = CANVAS_DATA_TYPES[type];
+                if (!dataType) continue; // Not part of the dashboard cache
+
+                rows.push({
+                    user_id: userId,
+                    data_type: dataType,
+                    course_id: courseId,
+                    content: (snapshot[dataType] || []).filter(item => item.course_id === courseId),
+                    last_synced: lastSynced
+                });
+            }
+
+            const { data: previousRows, error: previousError } = await supabase
+                .from('canvas_data')
+                .select('data_type, course_id, content')
+                .eq('user_id', userId);
+
+            if (previousError) throw previousError;
+
+            if (rows.length > 0) {
+                const { error } = await supabase
+                    .from('canvas_data')
+                    .upsert(rows, { onConflict: CANVAS_DATA_CONFLICT });
+
+                if (error) throw error;
+            }
+
+            let prune = supabase
+                .from('canvas_data')
+                .delete()
+                .eq('user_id', userId);
+
+            if (snapshot.courses.length > 0) {
+                prune = prune.not('course_id', 'in', `(${snapshot.courses.map(course => course.id).join(',')})`);
+            }
+
+            const { data: pruned, error: pruneError } = await prune.select('id');
+            if (pruneError) throw pruneError;
+
+            const courseIds = new Set(snapshot.courses.map(course => String(course.id)));
+            const changed = await this.recordChanges(userId, previousRows || [], rows, courseIds, lastSynced);
+
+            return { saved: rows.length, pruned: pruned?.length || 0, changed };
+        } catch (error) {
+            console.error('Error saving Canvas snapshot:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Diff rewritten canvas_data rows item by item and upsert the change log
+     * @param {string} userId - User ID
+     * @param {Array} previousRows - Rows before the snapshot was saved
+     * @param {Array} rows - Rows the snapshot wrote
+     * @param {Set} courseIds - Courses still cached (as strings); rows of other courses were pruned
+     * @param {string} changedAt - Snapshot timestamp
+     * @returns {number} Items created, updated or deleted
+     */
+    static async recordChanges(userId, previousRows, rows, courseIds, changedAt) {
+        const rowKey = row => `${row.data_type}:${row.course_id}`;
+        const written = new Set(rows.map(rowKey));
+        const changes = new Map(); // data_type:item_id -> change row
+
+        // Previous items of every rewritten or pruned row, by identity
+        const previous = new Map();
+        for (const row of previousRows) {
+            if (!written.has(rowKey(row)) && courseIds.has(String(row.course_id))) continue;
+
+            for (const item of rowItems(row)) {
+                previous.set(`${row.data_type}:${item.id}`, { row, item, hash: itemHash(item) });
+            }
+        }
+
+        const current = new Set();
+        for (const row of rows) {
+            for (const item of rowItems(row)) {
+                const key = `${row.data_type}:${item.id}`;
+                const hash = itemHash(item);
+                current.add(key);
+
+                if (previous.get(key)?.hash === hash) continue;
+
+                changes.set(key, {
+                    user_id: userId,
+                    data_type: row.data_type,
+                    item_id: String(item.id),
+                    course_id: row.course_id,
+                    operation: 'upsert',
+                    content: item,
+                    content_hash: hash,
+                    changed_at: changedAt
+                });
+            }
+        }
+
+        // Tombstones for items that vanished (including every item of a removed course)
+        for (const [key, { row, item }] of previous) {
+            if (current.has(key)) continue;
+
+            changes.set(key, {
+                user_id: userId,
+                data_type: row.data_type,
+                item_id: String(item.id),
+                course_id: row.course_id,
+                operation: 'delete',
+                content: null,
+                content_hash: null,
+                changed_at: changedAt
+            });
+        }
+
+        if (changes.size > 0) {
+            const { error } = await supabase
+                .from('canvas_data_changes')
+                .upsert([...changes.values()], { onConflict: CANVAS_CHANGE_CONFLICT });
+
+            if (error) throw error;
+        }
+
+        const { error: expireError } = await supabase
+            .from('canvas_data_changes')
+            .delete()
+            .eq('user_id', userId)
+            .eq('operation', 'delete')
+            .lt('changed_at', new Date(Date.now() - CANVAS_CHANGE_RETENTION_MS).toISOString());
+
+        if (expireError) throw expireError;
+
+        return changes.size;
+    }
+
+    /**
+     * Items created, updated or deleted after a cursor, grouped by data type
+     * @param {string} userId - User ID
+     * @param {string} since - ISO timestamp cursor (exclusive)
+     * @returns {Object} { cursor, changes: { [dataType]: { changed: [items], deleted: [{ id, course_id, deleted_at }] } } }
+     */
+    static async getChangesSince(userId, since) {
+        try {
+            const { data, error } = await supabase
+                .from('canvas_data_changes')
+                .select('*')
+                .eq('user_id', userId)
+                .gt('changed_at', since)
+                .order('changed_at', { ascending: true });
+
+            if (error) throw error;
+
+            const changes = {};
+            for (const dataType of ['courses', ...Object.values(CANVAS_DATA_TYPES)]) {
+                changes[dataType] = { changed: [], deleted: [] };
+            }
+
+            let cursor = since;
+            for (const row of data || []) {
+                if (row.operation === 'delete') {
+                    changes[row.data_type].deleted.push({ id: row.item_id, course_id: row.course_id, deleted_at: row.changed_at });
+                } else {
+                    changes[row.data_type].changed.push(row.content);
+                }
+                if (Date.parse(row.changed_at) > Date.parse(cursor)) cursor = row.changed_at;
+            }
+
+            return { cursor, changes };
+        } catch (error) {
+            console.error('Error fetching Canvas changes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Newest change log timestamp for a user: the cursor to poll changes from
+     * @param {string} userId - User ID
+     * @returns {string|null} ISO timestamp, or null before anything was cached
+     */
+    static async getLatestChange(userId) {
+        try {
+            const { data, error } = await supabase
+                .from('canvas_data_changes')
+                .select('changed_at')
+                .eq('user_id', userId)
+                .order('changed_at', { ascending: false })
+                .limit(1);
+
+            if (error) throw error;
+            return data?.[0]?.changed_at || null;
+        } catch (error) {
+            console.error('Error fetching latest Canvas change:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * When a user's cached data was last synced, without loading its content
+     * @param {string} userId - User ID
+     * @returns {Object|null} { lastSynced, syncedByType } or null when nothing is cached
+     */
+    static async getSyncStatus(userId) {
+        try {
+            const { data, error } = await supabase
+                .from('canvas_data')
+                .select('data_type, last_synced')
+                .eq('user_id', userId);
+
+            if (error) throw error;
+            return data && data.length > 0 ? summarizeSyncTimes(data) : null;
+        } catch (error) {
+            console.error('Error fetching Canvas sync status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Everything cached for a user, reassembled into dashboard collections
+     * @param {string} userId - User ID
+     * @returns {Object|null} { courses, assignments, announcements, files, lastSynced, syncedByType } or null when nothing is cached
+     */
+    static async getCanvasSnapshot(userId) {
+        try {
+            const { data, error } = await supabase
+                .from('canvas_data')
+                .select('*')
+                .eq('user_id', userId);
+
+            if (error) throw error;
+            if (!data || data.length === 0) return null;
+
+            const snapshot = { courses: [], assignments: [], announcements: [], files: [], ...summarizeSyncTimes(data) };
+
+            for (const row of data) {
+                snapshot[row.data_type].push(...rowItems(row));
+            }
+
+            snapshot.courses.sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+            return snapshot;
+        } catch (error) {
+            console.error('Error loading Canvas snapshot:', error);
+            throw error;
+        }
+    }
+
     // Get cached Canvas data
     static async getCachedCanvasData(userId, dataType, courseId = null) {
         try {
@@ -368,17 +749,23 @@ export class SupabaseCanvasDataService {
         }
     }
 
-    // Check if data needs refresh (older than 1 hour)
-    static async needsRefresh(userId, dataType, courseId = null) {
+    /**
+     * Check if cached data is missing or older than maxAgeMs
+     * @param {string} userId - User ID
+     * @param {string} dataType - courses, assignments, announcements or files
+     * @param {number} courseId - Canvas course ID (optional)
+     * @param {number} maxAgeMs - Freshness window (default 1 hour)
+     * @returns {boolean} Whether the data should be re-fetched
+     */
+    static async needsRefresh(userId, dataType, courseId = null, maxAgeMs = 60 * 60 * 1000) {
         try {
-            const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+            const cutoff = new Date(Date.now() - maxAgeMs).toISOString();
 
             let query = supabase
                 .from('canvas_data')
                 .select('last_synced')
                 .eq('user_id', userId)
-                .eq('data_type', dataType)
-                .lt('last_synced', oneHourAgo);
+                .eq('data_type', dataType);
 
             if (courseId) {
                 query = query.eq('course_id', courseId);
@@ -387,12 +774,42 @@ export class SupabaseCanvasDataService {
             const { data, error } = await query;
 
             if (error) throw error;
-            return data && data.length > 0;
+            return !data || data.length === 0 || data.some(row => row.last_synced < cutoff);
         } catch (error) {
             console.error('Error checking refresh status:', error);
             return true; // Default to refresh on error
         }
     }
+
+    /**
+     * Users with cached data of a type older than maxAgeMs, stalest first
+     * @param {string} dataType - courses, assignments, announcements or files
+     * @param {number} maxAgeMs - Freshness window
+     * @param {number} limit - Maximum users
+     * @returns {Array} [{ userId, lastSynced }]
+     */
+    static async findStaleUsers(dataType, maxAgeMs, limit = 50) {
+        const cutoff = new Date(Date.now() - maxAgeMs).toISOString();
+
+        // Rows are per course, so over-fetch before collapsing to users
+        const { data, error } = await supabase
+            .from('canvas_data')
+            .select('user_id, last_synced')
+            .eq('data_type', dataType)
+            .lt('last_synced', cutoff)
+            .order('last_synced', { ascending: true })
+            .limit(limit * 20);
+
+        if (error) throw error;
+
+        const users = new Map();
+        for (const row of data) {
+            if (!users.has(row.user_id)) {
+                users.set(row.user_id, { userId: row.user_id, lastSynced: row.last_synced });
+            }
+        }
+        return [...users.values()].slice(0, limit);
+    }
 }
 
 // =============================================
@@ -456,4 +873,4 @@ export class SupabaseStorageService {
 }
 
 // Export the main client for direct use if needed
-export default supabase; 
\ No newline at end of file
+export { supabase as default }; 
\ No newline at end of file
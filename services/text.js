@@ -0,0 +1,63 @@
+// =============================================
+// CLARYFY TEXT HELPERS
+// =============================================
+//
+// Plain-text conversion for Canvas rich content (pages, syllabus, descriptions)
+// before it is embedded or handed to the model.
+
+const HTML_ENTITIES = {
+    nbsp: ' ',
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    ndash: '–',
+    mdash: '—',
+    hellip: '…'
+};
+
+// Closing these tags ends a line of text
+const BLOCK_TAGS = /<\/?(p|div|br|li|ul|ol|tr|table|h[1-6]|section|article|blockquote|pre)\b[^>]*>/gi;
+
+/**
+ * Decode named and numeric character references
+ * @param {string} text - HTML or XML text
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+    return (text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return point >= 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+        }
+        return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Collapse runs of spaces and blank lines
+ * @param {string} text - Extracted text
+ * @returns {string} Text with single spaces and single line breaks
+ */
+export function normalizeWhitespace(text) {
+    return (text || '')
+        .replace(/[ \t\f\v ]+/g, ' ')
+        .replace(/ *\n[\s]*/g, '\n')
+        .trim();
+}
+
+/**
+ * Strip HTML tags and decode entities, keeping block boundaries as line breaks
+ * @param {string} html - Canvas HTML (or plain text)
+ * @returns {string} Plain text
+ */
+export function stripHtml(html) {
+    const text = (html || '')
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(BLOCK_TAGS, '\n')
+        .replace(/<[^>]+>/g, ' ');
+
+    return normalizeWhitespace(decodeEntities(text));
+}
@@ -0,0 +1,89 @@
+// =============================================
+// CLARYFY TOKEN COUNTING
+// =============================================
+//
+// Token counts with the tokenizer OpenAI models actually use (js-tiktoken,
+// pure JS), picked per model. Encoders are loaded on first use and shared.
+
+import { getEncoding } from 'js-tiktoken';
+
+// text-embedding-3-small and the GPT-4 family
+export const DEFAULT_ENCODING = 'cl100k_base';
+
+// Encoding by model name prefix, most specific first. Models of other vendors
+// (Gemini, Llama) use their own tokenizers; cl100k_base is a close estimate.
+export const MODEL_ENCODINGS = [
+    ['gpt-4o', 'o200k_base'],
+    ['gpt-4.1', 'o200k_base'],
+    ['gpt-4.5', 'o200k_base'],
+    ['gpt-5', 'o200k_base'],
+    ['chatgpt-4o', 'o200k_base'],
+    ['o1', 'o200k_base'],
+    ['o3', 'o200k_base'],
+    ['o4', 'o200k_base'],
+    ['gpt-4', 'cl100k_base'],
+    ['gpt-3.5', 'cl100k_base'],
+    ['text-embedding-3', 'cl100k_base']
+];
+
+// Chat format overhead per message (role and separators) and for priming the reply
+export const MESSAGE_OVERHEAD_TOKENS = 3;
+export const REPLY_OVERHEAD_TOKENS = 3;
+
+const encoders = new Map();
+
+function encoder(encoding = DEFAULT_ENCODING) {
+    if (!encoders.has(encoding)) {
+        encoders.set(encoding, getEncoding(encoding));
+    }
+    return encoders.get(encoding);
+}
+
+/**
+ * Count the tokens in a piece of text
+ * @param {string} text - Text to measure
+ * @param {string} encoding - Tiktoken encoding name (default cl100k_base)
+ * @returns {number} Token count
+ */
+export function countTokens(text, encoding = DEFAULT_ENCODING) {
+    return text ? encoder(encoding).encode(text).length : 0;
+}
+
+/**
+ * Cut text to at most maxTokens tokens, from the start or the end
+ * @param {string} text - Text to cut
+ * @param {number} maxTokens - Token budget
+ * @param {Object} options - { fromEnd: keep the last tokens instead of the first, encoding }
+ * @returns {string} Text that fits the budget
+ */
+export function truncateToTokens(text, maxTokens, options = {}) {
+    const tokenizer = encoder(options.encoding);
+    const tokens = tokenizer.encode(text || '');
+    if (tokens.length <= maxTokens) return text || '';
+
+    const kept = options.fromEnd ? tokens.slice(tokens.length - maxTokens) : tokens.slice(0, Math.max(maxTokens, 0));
+    return tokenizer.decode(kept);
+}
+
+/**
+ * Tokenizer encoding a model uses
+ * @param {string} model - Model name (gpt-4o-mini, gpt-4-turbo, gemini-2.0-flash, ...)
+ * @returns {string} Tiktoken encoding name
+ */
+export function encodingForModel(model) {
+    const name = String(model || '').toLowerCase();
+    return MODEL_ENCODINGS.find(([prefix]) => name.startsWith(prefix))?.[1] || DEFAULT_ENCODING;
+}
+
+/**
+ * Count the tokens a chat prompt takes, message overhead included
+ * @param {Array} messages - [{ role, content }]
+ * @param {string} encoding - Tiktoken encoding name
+ * @returns {number} Token count
+ */
+export function countMessageTokens(messages, encoding = DEFAULT_ENCODING) {
+    return (messages || []).reduce(
+        (total, message) => total + MESSAGE_OVERHEAD_TOKENS + countTokens(typeof message.content === 'string' ? message.content : '', encoding),
+        REPLY_OVERHEAD_TOKENS
+    );
+}
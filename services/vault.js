@@ -0,0 +1,199 @@
+// =============================================
+// CLARYFY CANVAS TOKEN VAULT
+// =============================================
+
+import crypto from 'crypto';
+import * as dotenv from 'dotenv';
+
+dotenv.config();
+
+// Sealed values look like: v1:<keyId>:<wrapIv>:<wrappedDataKey>:<iv>:<ciphertext>
+// Each token gets its own random data key; only the data key is encrypted with the master key,
+// so rotating master keys re-wraps 32 bytes per row and never touches the token ciphertext.
+const VAULT_VERSION = 'v1';
+const CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * Parse master keys from CANVAS_TOKEN_KEYS ("keyId:base64Key,keyId:base64Key")
+ * @returns {Map<string, Buffer>} Master keys by key ID
+ */
+function loadMasterKeys() {
+    const keys = new Map();
+    const raw = process.env.CANVAS_TOKEN_KEYS || '';
+
+    for (const entry of raw.split(',').map(part => part.trim()).filter(Boolean)) {
+        const [keyId, encodedKey] = entry.split(':');
+        const key = Buffer.from(encodedKey || '', 'base64');
+
+        if (!keyId || key.length !== 32) {
+            throw new Error(`Invalid CANVAS_TOKEN_KEYS entry "${keyId}": expected keyId:<32-byte base64 key>`);
+        }
+
+        keys.set(keyId, key);
+    }
+
+    return keys;
+}
+
+const masterKeys = loadMasterKeys();
+const activeKeyId = process.env.CANVAS_TOKEN_ACTIVE_KEY || masterKeys.keys().next().value || null;
+
+if (masterKeys.size === 0) {
+    console.log('⚠️ CANVAS_TOKEN_KEYS missing. Canvas tokens cannot be stored or loaded from Supabase.');
+    console.log('   Generate a key with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'base64\'))"');
+} else if (!masterKeys.has(activeKeyId)) {
+    throw new Error(`CANVAS_TOKEN_ACTIVE_KEY "${activeKeyId}" is not listed in CANVAS_TOKEN_KEYS`);
+}
+
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(aad);
+
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    return { iv, ciphertext };
+}
+
+function open(key, iv, sealed, aad) {
+    const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+    decipher.setAAD(aad);
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+
+    return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_BYTES)), decipher.final()]);
+}
+
+function getMasterKey(keyId) {
+    const key = masterKeys.get(keyId);
+    if (!key) {
+        throw new Error(`Unknown Canvas token key ID: ${keyId}`);
+    }
+    return key;
+}
+
+// =============================================
+// TOKEN VAULT
+// =============================================
+
+export class TokenVault {
+
+    /**
+     * Check if the vault has master keys configured
+     * @returns {boolean} Whether tokens can be encrypted
+     */
+    static isAvailable() {
+        return masterKeys.size > 0;
+    }
+
+    /**
+     * Check if a stored value was produced by the vault (as opposed to a legacy plaintext token)
+     * @param {string} value - Stored column value
+     * @returns {boolean} Whether the value is sealed
+     */
+    static isSealed(value) {
+        return typeof value === 'string' && value.startsWith(`${VAULT_VERSION}:`);
+    }
+
+    /**
+     * Encrypt a token for storage
+     * @param {string} plaintext - Canvas token
+     * @param {string} context - Value the ciphertext is bound to (the owning user ID)
+     * @returns {string} Sealed value
+     */
+    static encrypt(plaintext, context) {
+        if (!this.isAvailable()) {
+            throw new Error('Token vault is not configured. Set CANVAS_TOKEN_KEYS.');
+        }
+
+        const aad = Buffer.from(context);
+        const dataKey = crypto.randomBytes(32);
+        const wrapped = seal(getMasterKey(activeKeyId), dataKey, aad);
+        const body = seal(dataKey, Buffer.from(plaintext, 'utf8'), aad);
+
+        return [
+            VAULT_VERSION,
+            activeKeyId,
+            wrapped.iv.toString('base64url'),
+            wrapped.ciphertext.toString('base64url'),
+            body.iv.toString('base64url'),
+            body.ciphertext.toString('base64url')
+        ].join(':');
+    }
+
+    /**
+     * Decrypt a stored token. Legacy plaintext values are returned unchanged.
+     * @param {string} value - Stored column value
+     * @param {string} context - Value the ciphertext is bound to (the owning user ID)
+     * @returns {string|null} Canvas token
+     */
+    static decrypt(value, context) {
+        if (!value) return null;
+        if (!this.isSealed(value)) return value;
+
+        const { keyId, wrapIv, wrappedKey, iv, ciphertext } = this.parse(value);
+        const aad = Buffer.from(context);
+        const dataKey = open(getMasterKey(keyId), wrapIv, wrappedKey, aad);
+
+        return open(dataKey, iv, ciphertext, aad).toString('utf8');
+    }
+
+    /**
+     * Check if a stored value should be re-encrypted under the active key
+     * @param {string} value - Stored column value
+     * @returns {boolean} Whether rotation is needed
+     */
+    static needsRotation(value) {
+        if (!value) return false;
+        return !this.isSealed(value) || this.parse(value).keyId !== activeKeyId;
+    }
+
+    /**
+     * Re-encrypt a stored value under the active key. Sealed values only have their data key re-wrapped.
+     * @param {string} value - Stored column value
+     * @param {string} context - Value the ciphertext is bound to (the owning user ID)
+     * @returns {string} Sealed value under the active key
+     */
+    static rotate(value, context) {
+        if (!this.isSealed(value)) {
+            return this.encrypt(value, context);
+        }
+
+        const { keyId, wrapIv, wrappedKey, iv, ciphertext } = this.parse(value);
+        const aad = Buffer.from(context);
+        const dataKey = open(getMasterKey(keyId), wrapIv, wrappedKey, aad);
+        const rewrapped = seal(getMasterKey(activeKeyId), dataKey, aad);
+
+        return [
+            VAULT_VERSION,
+            activeKeyId,
+            rewrapped.iv.toString('base64url'),
+            rewrapped.ciphertext.toString('base64url'),
+            iv.toString('base64url'),
+            ciphertext.toString('base64url')
+        ].join(':');
+    }
+
+    static parse(value) {
+        const parts = value.split(':');
+        if (parts.length !== 6 || parts[0] !== VAULT_VERSION) {
+            throw new Error('Malformed sealed token');
+        }
+
+        const [, keyId, wrapIv, wrappedKey, iv, ciphertext] = parts;
+        return {
+            keyId,
+            wrapIv: Buffer.from(wrapIv, 'base64url'),
+            wrappedKey: Buffer.from(wrappedKey, 'base64url'),
+            iv: Buffer.from(iv, 'base64url'),
+            ciphertext: Buffer.from(ciphertext, 'base64url')
+        };
+    }
+
+    // ID of the key new tokens are encrypted with
+    static getActiveKeyId() {
+        return activeKeyId;
+    }
+}
+
+export default TokenVault;
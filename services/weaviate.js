@@ -2,30 +2,41 @@
 // CLARYFY WEAVIATE SERVICE
 // =============================================
 
-import weaviate, { ApiKey } from 'weaviate-ts-client';
+import crypto from 'crypto';
+import weaviate, { ApiKey, generateUuid5 } from 'weaviate-ts-client';
 import * as dotenv from 'dotenv';
-import { createWeaviateSchemas, searchQueries } from '../weaviate-schema.js';
+import { createWeaviateSchemas, searchQueries, embedTexts, vectorText } from '../weaviate-schema.js';
+import { stripHtml } from './text.js';
+import { chunkText, collapseChunks, CHUNK_CONFIG } from './chunker.js';
+import { countTokens } from './tokens.js';
 
 dotenv.config();
 
 // Initialize Weaviate client
 const weaviateUrl = process.env.WEAVIATE_URL;
 const weaviateApiKey = process.env.WEAVIATE_API_KEY;
-const openaiApiKey = process.env.OPENAI_API_KEY;
 
 if (!weaviateUrl || !weaviateApiKey) {
     console.log('⚠️ Weaviate configuration missing. Vector search features will be disabled.');
     console.log('   Set WEAVIATE_URL and WEAVIATE_API_KEY environment variables to enable vector search.');
 }
 
-export const weaviateClient = weaviate.client({
-    scheme: 'https',
-    host: weaviateUrl.replace('https://', ''),
-    apiKey: new ApiKey(weaviateApiKey),
-    headers: {
-        'X-OpenAI-Api-Key': openaiApiKey,
-    },
-});
+// Live binding: importers see the client installed by setWeaviateClient()
+export let weaviateClient = weaviateUrl && weaviateApiKey
+    ? weaviate.client({
+        scheme: 'https',
+        host: weaviateUrl.replace('https://', ''),
+        apiKey: new ApiKey(weaviateApiKey),
+    })
+    : null;
+
+/**
+ * Replace the Weaviate client used by every service (tests, scripts)
+ * @param {Object} client - Weaviate client or compatible stand-in
+ */
+export function setWeaviateClient(client) {
+    weaviateClient = client;
+}
 
 // =============================================
 // WEAVIATE MANAGEMENT SERVICE
@@ -88,160 +99,336 @@ export class WeaviateManagementService {
 // CANVAS CONTENT VECTORIZATION SERVICE
 // =============================================
 
+const SYNC_CONFIG = {
+    BATCH_SIZE: 100, // Weaviate batch limit
+    PAGE_SIZE: 500 // Existing objects fetched per query while diffing
+};
+
+// How each canvasData list becomes CanvasContent properties. Rich text is
+// embedded as plain text; canvasId defaults to the item's id. Content too long
+// for one embedding is chunked (from the richText HTML when there is one, so
+// headings are kept). Lists marked derivedFrom are produced by the sync from
+// another list instead of being collected from Canvas; parent names the object
+// their items belong to.
+const CANVAS_OBJECT_BUILDERS = {
+    assignments: {
+        type: 'assignment',
+        richText: assignment => assignment.description,
+        build: assignment => ({
+            content: stripHtml(assignment.description) || assignment.name,
+            title: assignment.name,
+            metadata: {
+                dueDate: assignment.due_at,
+                points: assignment.points_possible,
+                submissionTypes: assignment.submission_types
+            }
+        })
+    },
+    announcements: {
+        type: 'announcement',
+        richText: announcement => announcement.message,
+        build: announcement => ({
+            content: stripHtml(announcement.message) || announcement.title,
+            title: announcement.title,
+            metadata: {
+                author: announcement.author,
+                postedAt: announcement.posted_at
+            }
+        })
+    },
+    files: {
+        type: 'file',
+        build: file => ({
+            content: `${file.display_name} ${file.filename || ''} ${file.description || ''}`.trim(),
+            title: file.display_name,
+            metadata: {
+                filename: file.filename,
+                contentType: file.content_type,
+                size: file.size,
+                url: file.url
+            }
+        })
+    },
+    pages: {
+        type: 'page',
+        canvasId: page => page.page_id ?? page.id,
+        richText: page => page.body,
+        build: page => ({
+            content: stripHtml(page.body) || page.title,
+            title: page.title,
+            metadata: {
+                url: page.url,
+                updatedAt: page.updated_at
+            }
+        })
+    },
+    modules: {
+        type: 'module',
+        // The module's outline: what students will find in it, in order
+        build: module => ({
+            content: [module.name, ...(module.items || []).map(item => `- ${item.title}${item.type ? ` (${item.type})` : ''}`)].join('\n'),
+            title: module.name,
+            metadata: {
+                position: module.position,
+                unlockAt: module.unlock_at,
+                itemCount: module.items_count ?? module.items?.length
+            }
+        })
+    },
+    syllabus: {
+        type: 'syllabus',
+        richText: syllabus => syllabus.syllabus_body,
+        build: syllabus => ({
+            content: stripHtml(syllabus.syllabus_body),
+            title: `${syllabus.course_name || 'Course'} Syllabus`,
+            metadata: {}
+        })
+    },
+    discussions: {
+        type: 'discussion',
+        richText: discussion => discussion.message,
+        build: discussion => ({
+            content: stripHtml(discussion.message) || discussion.title,
+            title: discussion.title,
+            metadata: {
+                author: discussion.author?.display_name,
+                postedAt: discussion.posted_at,
+                dueDate: discussion.assignment?.due_at
+            }
+        })
+    },
+    quizzes: {
+        type: 'quiz',
+        richText: quiz => quiz.description,
+        build: quiz => ({
+            content: stripHtml(quiz.description) || quiz.title,
+            title: quiz.title,
+            metadata: {
+                dueDate: quiz.due_at,
+                points: quiz.points_possible,
+                questionCount: quiz.question_count,
+                timeLimit: quiz.time_limit
+            }
+        })
+    },
+    fileChunks: {
+        type: 'file_chunk',
+        derivedFrom: 'files',
+        // Extracted file text (see DocumentService.ingestFiles), already chunked page by page
+        canvasId: chunk => `${chunk.file_id}:${chunk.chunk_index}`,
+        parent: chunk => ({ type: 'file', canvasId: chunk.file_id }),
+        build: chunk => ({
+            content: chunk.text,
+            title: chunk.page_count > 1 ? `${chunk.display_name}, ${chunk.page_label}` : chunk.display_name,
+            fileId: chunk.file_id,
+            pageNumber: chunk.page,
+            chunkIndex: chunk.chunk_index,
+            chunkCount: chunk.chunk_count,
+            metadata: {
+                format: chunk.format,
+                pageCount: chunk.page_count
+            }
+        })
+    }
+};
+
+// Every CanvasContent type, for validating search filters
+export const CANVAS_CONTENT_TYPES = Object.values(CANVAS_OBJECT_BUILDERS).map(builder => builder.type);
+
+// CanvasCollector collections that the Canvas sync embeds
+export const VECTORIZED_COLLECTIONS = Object.keys(CANVAS_OBJECT_BUILDERS)
+    .filter(key => !CANVAS_OBJECT_BUILDERS[key].derivedFrom);
+
+function emptySyncCounts() {
+    return { added: 0, updated: 0, deleted: 0, unchanged: 0, failed: 0 };
+}
+
 export class WeaviateCanvasService {
 
-    // Vectorize Canvas assignments
-    static async vectorizeAssignments(userId, assignments) {
-        try {
-            console.log(`📝 Vectorizing ${assignments.length} assignments...`);
-
-            // Prepare all assignment data in parallel
-            const assignmentData = assignments.map(assignment => ({
-                content: assignment.description || assignment.name,
-                title: assignment.name,
-                type: 'assignment',
-                courseId: assignment.course_id,
-                userId: userId,
-                canvasId: assignment.id.toString(),
-                metadata: {
-                    dueDate: assignment.due_at,
-                    points: assignment.points_possible,
-                    submissionTypes: assignment.submission_types
-                },
-                createdAt: assignment.created_at
-            }));
-
-            // Use batch operation for faster vectorization
-            const results = await this.batchCreateObjects('CanvasContent', assignmentData);
-
-            console.log(`✅ Vectorized ${results.length}/${assignments.length} assignments`);
-            return results;
-        } catch (error) {
-            console.error('Error vectorizing assignments:', error);
-            throw error;
-        }
+    /**
+     * Deterministic Weaviate UUID for a Canvas item, so re-syncs overwrite instead of duplicating
+     * @param {string} userId - Supabase user ID
+     * @param {string} type - Content type (assignment, announcement, file, file_chunk, page, module, syllabus, discussion, quiz)
+     * @param {string|number} canvasId - Canvas item ID
+     * @returns {string} UUID v5
+     */
+    static objectId(userId, type, canvasId) {
+        return generateUuid5(`${userId}:${type}:${canvasId}`);
     }
 
-    // Vectorize Canvas announcements
-    static async vectorizeAnnouncements(userId, announcements) {
-        try {
-            console.log(`📢 Vectorizing ${announcements.length} announcements...`);
-
-            // Prepare all announcement data in parallel
-            const announcementData = announcements.map(announcement => ({
-                content: announcement.message || announcement.title,
-                title: announcement.title,
-                type: 'announcement',
-                courseId: announcement.course_id,
-                userId: userId,
-                canvasId: announcement.id.toString(),
-                metadata: {
-                    author: announcement.author,
-                    postedAt: announcement.posted_at
-                },
-                createdAt: announcement.created_at
-            }));
-
-            // Use batch operation for faster vectorization
-            const results = await this.batchCreateObjects('CanvasContent', announcementData);
-
-            console.log(`✅ Vectorized ${results.length}/${announcements.length} announcements`);
-            return results;
-        } catch (error) {
-            console.error('Error vectorizing announcements:', error);
-            throw error;
-        }
+    /**
+     * Hash of the properties that get embedded or returned, used to skip unchanged items
+     * @param {Object} properties - CanvasContent properties (without contentHash)
+     * @returns {string} SHA-256 hex digest
+     */
+    static contentHash(properties) {
+        return crypto.createHash('sha256').update(JSON.stringify(properties)).digest('hex');
     }
 
-    // Vectorize Canvas files
-    static async vectorizeFiles(userId, files) {
-        try {
-            console.log(`📁 Vectorizing ${files.length} files...`);
-
-            // Prepare all file data in parallel
-            const fileData = files.map(file => {
-                const content = `${file.display_name} ${file.filename || ''} ${file.description || ''}`.trim();
-
-                return {
-                    content: content,
-                    title: file.display_name,
-                    type: 'file',
-                    courseId: file.course_id,
-                    userId: userId,
-                    canvasId: file.id.toString(),
-                    metadata: {
-                        filename: file.filename,
-                        contentType: file.content_type,
-                        size: file.size,
-                        url: file.url
-                    },
-                    createdAt: file.created_at
+    // Build { id, properties } for every item in canvasData, keyed by deterministic ID.
+    // A long item becomes its first chunk (under the item's own ID) plus sibling
+    // objects for the rest, each linked to the first through parentId.
+    static buildCanvasObjects(userId, canvasData) {
+        const objects = new Map();
+        const add = (id, properties) => {
+            properties.contentHash = this.contentHash(properties);
+            objects.set(id, { id, properties });
+        };
+
+        for (const [key, { type, build, canvasId, richText, parent }] of Object.entries(CANVAS_OBJECT_BUILDERS)) {
+            for (const item of canvasData[key] || []) {
+                const built = build(item);
+                const properties = {
+                    ...built,
+                    // Top-level copy so searches can filter on it
+                    ...(built.metadata?.dueDate ? { dueDate: built.metadata.dueDate } : {}),
+                    type,
+                    courseId: item.course_id,
+                    userId,
+                    canvasId: String(canvasId ? canvasId(item) : item.id),
+                    createdAt: item.created_at
                 };
-            });
+                const id = this.objectId(userId, type, properties.canvasId);
 
-            // Use batch operation for faster vectorization
-            const results = await this.batchCreateObjects('CanvasContent', fileData);
+                if (parent) {
+                    const { type: parentType, canvasId: parentCanvasId } = parent(item);
+                    add(id, { ...properties, parentId: this.objectId(userId, parentType, parentCanvasId) });
+                    continue;
+                }
 
-            console.log(`✅ Vectorized ${results.length}/${files.length} files`);
-            return results;
-        } catch (error) {
-            console.error('Error vectorizing files:', error);
-            throw error;
+                const chunks = countTokens(properties.content) > CHUNK_CONFIG.MAX_TOKENS
+                    ? chunkText((richText && richText(item)) || properties.content)
+                    : [];
+
+                if (chunks.length < 2) {
+                    add(id, properties);
+                    continue;
+                }
+
+                chunks.forEach((chunk, index) => {
+                    const chunkProperties = { ...properties, content: chunk.text, chunkIndex: index, chunkCount: chunks.length };
+                    if (index === 0) {
+                        add(id, chunkProperties);
+                    } else {
+                        add(this.objectId(userId, type, `${properties.canvasId}#${index}`), { ...chunkProperties, parentId: id });
+                    }
+                });
+            }
         }
-    }
 
-    // Vectorize all Canvas data for a user (now with parallel processing)
-    static async vectorizeAllCanvasData(userId, canvasData) {
-        try {
-            console.log('🚀 Starting full Canvas data vectorization...');
+        return objects;
+    }
 
-            // Clear existing data for user first
-            await this.clearUserData(userId);
+    // Every CanvasContent object currently stored for a user. Offsets stop at
+    // QUERY_MAXIMUM_RESULTS and the cursor API cannot be combined with a where
+    // filter, so this pages the user's objects by ID (keyset pagination).
+    static async getSyncedObjects(userId) {
+        const objects = [];
+        let after = null;
 
-            // Process all types in parallel for maximum speed
-            const vectorizationPromises = [];
+        for (;;) {
+            const owned = { path: ['userId'], operator: 'Equal', valueString: userId };
+            const where = after
+                ? { operator: 'And', operands: [owned, { path: ['id'], operator: 'GreaterThan', valueText: after }] }
+                : owned;
 
-            if (canvasData.assignments && canvasData.assignments.length > 0) {
-                vectorizationPromises.push(
-                    this.vectorizeAssignments(userId, canvasData.assignments)
-                        .then(results => ({ type: 'assignments', results }))
-                );
+            const page = (await weaviateClient.graphql.get()
+                .withClassName('CanvasContent')
+                .withFields('type courseId canvasId contentHash _additional { id }')
+                .withWhere(where)
+                .withSort([{ path: ['_id'], order: 'asc' }])
+                .withLimit(SYNC_CONFIG.PAGE_SIZE)
+                .do()).data?.Get?.CanvasContent || [];
+
+            for (const { _additional, ...properties } of page) {
+                objects.push({ id: _additional.id, ...properties });
             }
 
-            if (canvasData.announcements && canvasData.announcements.length > 0) {
-                vectorizationPromises.push(
-                    this.vectorizeAnnouncements(userId, canvasData.announcements)
-                        .then(results => ({ type: 'announcements', results }))
-                );
+            if (page.length < SYNC_CONFIG.PAGE_SIZE) {
+                return objects;
             }
+            after = page[page.length - 1]._additional.id;
+        }
+    }
 
-            if (canvasData.files && canvasData.files.length > 0) {
-                vectorizationPromises.push(
-                    this.vectorizeFiles(userId, canvasData.files)
-                        .then(results => ({ type: 'files', results }))
-                );
-            }
+    /**
+     * Bring a user's CanvasContent in line with freshly fetched Canvas data.
+     * Only new or changed items are (re-)embedded; items that vanished from Canvas are deleted.
+     * @param {string} userId - Supabase user ID
+     * @param {Object} canvasData - CanvasCollector result ({ assignments, announcements, files, pages, ... }) plus fileChunks
+     * @param {Object} options - Deletion scope (optional):
+     *   fetched: [{ type, courseId }] lists that loaded completely (default: every type present in canvasData)
+     *   courseIds: courses the user still has; anything stored for other courses is removed
+     *   onBatch(): awaited after each embedded batch (e.g. a job heartbeat)
+     * @returns {Object} { added, updated, deleted, unchanged, failed: objects Weaviate rejected, byType }
+     */
+    static async syncCanvasData(userId, canvasData, options = {}) {
+        try {
+            console.log('🔄 Starting incremental Canvas sync...');
+
+            const presentTypes = new Set(Object.entries(CANVAS_OBJECT_BUILDERS)
+                .filter(([key]) => Array.isArray(canvasData[key]))
+                .map(([, { type }]) => type));
+            const fetched = options.fetched
+                ? new Set(options.fetched.map(({ type, courseId }) => `${type}:${courseId}`))
+                : null;
+            const courseIds = options.courseIds ? new Set(options.courseIds) : null;
+
+            // A missing item only means "deleted" if its list actually loaded this time
+            const isDeletable = object => {
+                if (courseIds && !courseIds.has(object.courseId)) return true;
+                return fetched ? fetched.has(`${object.type}:${object.courseId}`) : presentTypes.has(object.type);
+            };
 
-            // Wait for all vectorization to complete in parallel
-            const completedResults = await Promise.all(vectorizationPromises);
+            const desired = this.buildCanvasObjects(userId, canvasData);
+            const existing = await this.getSyncedObjects(userId);
 
-            // Organize results
-            const results = {
-                assignments: [],
-                announcements: [],
-                files: []
+            const byType = {};
+            const count = (type, outcome) => {
+                byType[type] ||= emptySyncCounts();
+                byType[type][outcome]++;
             };
 
-            completedResults.forEach(({ type, results: typeResults }) => {
-                results[type] = typeResults;
-            });
+            const existingById = new Map(existing.map(object => [object.id, object]));
+            const upserts = [];
+            const outcomes = new Map();
+
+            for (const object of desired.values()) {
+                const current = existingById.get(object.id);
+
+                if (!current) {
+                    upserts.push(object);
+                    outcomes.set(object.id, 'added');
+                } else if (current.contentHash !== object.properties.contentHash) {
+                    upserts.push(object);
+                    outcomes.set(object.id, 'updated');
+                } else {
+                    count(object.properties.type, 'unchanged');
+                }
+            }
 
-            const totalVectorized = results.assignments.length + results.announcements.length + results.files.length;
-            console.log(`🎉 Canvas vectorization complete! Total items: ${totalVectorized}`);
+            const vanished = existing.filter(object => !desired.has(object.id) && isDeletable(object));
+            vanished.forEach(object => count(object.type, 'deleted'));
 
-            return results;
+            // Rejected objects keep their old hash (or stay missing), so the next sync retries them
+            const { failed } = await this.batchUpsertObjects('CanvasContent', upserts, { onBatch: options.onBatch });
+            const failedIds = new Set(failed.map(failure => failure.id));
+            for (const object of upserts) {
+                count(object.properties.type, failedIds.has(object.id) ? 'failed' : outcomes.get(object.id));
+            }
+
+            await this.deleteObjectsById('CanvasContent', vanished.map(object => object.id));
+
+            const totals = Object.values(byType).reduce((sum, counts) => {
+                for (const outcome of Object.keys(sum)) sum[outcome] += counts[outcome];
+                return sum;
+            }, emptySyncCounts());
+
+            console.log(`🎉 Canvas sync complete: ${totals.added} added, ${totals.updated} updated, ${totals.deleted} deleted, ${totals.unchanged} unchanged, ${totals.failed} failed`);
+
+            return { ...totals, byType };
         } catch (error) {
-            console.error('Error in full Canvas vectorization:', error);
+            console.error('Error in incremental Canvas sync:', error);
             throw error;
         }
     }
@@ -267,26 +454,33 @@ export class WeaviateCanvasService {
         }
     }
 
-    // Optimized batch creation method
-    static async batchCreateObjects(className, objects) {
+    /**
+     * Batch create-or-replace objects with known IDs, embedding each batch first
+     * @param {string} className - Weaviate class
+     * @param {Array} objects - [{ id, properties }]
+     * @param {Object} options - { onBatch(): awaited after each batch is stored }
+     * @returns {Object} { upserted: count stored, failed: [{ id, errors }] objects Weaviate rejected }
+     */
+    static async batchUpsertObjects(className, objects, options = {}) {
         try {
-            if (!objects || objects.length === 0) return [];
+            if (!objects || objects.length === 0) return { upserted: 0, failed: [] };
 
-            console.log(`📦 Batch creating ${objects.length} objects in ${className}...`);
+            console.log(`📦 Batch upserting ${objects.length} objects in ${className}...`);
 
-            // Process in chunks for very large datasets
-            const CHUNK_SIZE = 100; // Weaviate batch limit
             const results = [];
 
-            for (let i = 0; i < objects.length; i += CHUNK_SIZE) {
-                const chunk = objects.slice(i, i + CHUNK_SIZE);
+            for (let i = 0; i < objects.length; i += SYNC_CONFIG.BATCH_SIZE) {
+                const chunk = objects.slice(i, i + SYNC_CONFIG.BATCH_SIZE);
+                const vectors = await embedTexts(chunk.map(({ properties }) => vectorText(className, properties)));
 
                 const batcher = weaviateClient.batch.objectsBatcher();
 
-                chunk.forEach(obj => {
+                chunk.forEach(({ id, properties }, index) => {
                     batcher.withObject({
                         class: className,
-                        properties: obj
+                        id,
+                        properties,
+                        vector: vectors[index]
                     });
                 });
 
@@ -295,12 +489,45 @@ export class WeaviateCanvasService {
                 if (batchResult && batchResult.length > 0) {
                     results.push(...batchResult);
                 }
+                if (options.onBatch) {
+                    await options.onBatch();
+                }
             }
 
-            console.log(`✅ Batch created ${results.length} objects`);
-            return results;
+            const failed = results
+                .filter(result => result.result?.errors)
+                .map(result => ({
+                    id: result.id,
+                    errors: (result.result.errors.error || []).map(error => error.message)
+                }));
+            if (failed.length > 0) {
+                console.warn(`⚠️ ${failed.length} objects failed to upsert:`, failed[0].errors);
+            }
+
+            console.log(`✅ Batch upserted ${results.length - failed.length} objects`);
+            return { upserted: results.length - failed.length, failed };
         } catch (error) {
-            console.error('Error in batch creation:', error);
+            console.error('Error in batch upsert:', error);
+            throw error;
+        }
+    }
+
+    // Batch delete objects by UUID
+    static async deleteObjectsById(className, ids) {
+        try {
+            for (let i = 0; i < ids.length; i += SYNC_CONFIG.BATCH_SIZE) {
+                const chunk = ids.slice(i, i + SYNC_CONFIG.BATCH_SIZE);
+
+                await weaviateClient.batch.objectsBatchDeleter()
+                    .withClassName(className)
+                    .withWhere({
+                        operator: 'Or',
+                        operands: chunk.map(id => ({ path: ['id'], operator: 'Equal', valueText: id }))
+                    })
+                    .do();
+            }
+        } catch (error) {
+            console.error('Error deleting objects by ID:', error);
             throw error;
         }
     }
@@ -337,12 +564,14 @@ export class WeaviateChatService {
             }
 
             // Vectorize each conversation pair
+            const vectors = await embedTexts(conversationPairs.map(pair => vectorText('ChatHistory', pair)));
             const results = [];
-            for (const pair of conversationPairs) {
+            for (const [index, pair] of conversationPairs.entries()) {
                 try {
                     const result = await weaviateClient.data.creator()
                         .withClassName('ChatHistory')
                         .withProperties(pair)
+                        .withVector(vectors[index])
                         .do();
 
                     results.push(result);
@@ -377,7 +606,13 @@ export class WeaviateChatService {
 
 export class WeaviateRecordingService {
 
-    // Vectorize recording
+    // Deterministic Weaviate UUID for a recording (or one of its transcript chunks)
+    static objectId(userId, recordingId, chunkIndex = 0) {
+        return generateUuid5(`${userId}:recording:${recordingId}${chunkIndex ? `#${chunkIndex}` : ''}`);
+    }
+
+    // Vectorize recording. Long transcripts are chunked: the first object holds the
+    // summary and first chunk, the rest link back to it through parentId.
     static async vectorizeRecording(userId, recordingId, title, summary, transcription, courseId, duration) {
         try {
             console.log(`🎙️ Vectorizing recording ${recordingId}...`);
@@ -393,12 +628,26 @@ export class WeaviateRecordingService {
                 createdAt: new Date()
             };
 
-            const result = await weaviateClient.data.creator()
-                .withClassName('RecordingSummary')
-                .withProperties(data)
-                .do();
+            const parentId = this.objectId(userId, recordingId);
+            const chunks = countTokens(transcription) > CHUNK_CONFIG.MAX_TOKENS ? chunkText(transcription, { html: false }) : [];
+
+            const objects = chunks.length < 2
+                ? [{ id: parentId, properties: data }]
+                : chunks.map((chunk, index) => {
+                    const properties = { ...data, transcription: chunk.text, chunkIndex: index, chunkCount: chunks.length };
+                    if (index > 0) {
+                        delete properties.summary; // Kept once, on the first object
+                        properties.parentId = parentId;
+                    }
+                    return { id: this.objectId(userId, recordingId, index), properties };
+                });
+
+            const result = await WeaviateCanvasService.batchUpsertObjects('RecordingSummary', objects);
+            if (result.failed.length > 0) {
+                throw new Error(`${result.failed.length} of ${objects.length} recording objects failed to upsert: ${result.failed[0].errors.join('; ')}`);
+            }
 
-            console.log('✅ Recording vectorized successfully');
+            console.log(`✅ Recording vectorized successfully (${objects.length} objects)`);
             return result;
         } catch (error) {
             console.error('Error vectorizing recording:', error);
@@ -409,8 +658,8 @@ export class WeaviateRecordingService {
     // Search recordings
     static async searchRecordings(query, userId, courseId = null, limit = 3) {
         try {
-            const result = await searchQueries.searchRecordings(weaviateClient, query, userId, courseId, limit);
-            return result.data?.Get?.RecordingSummary || [];
+            const result = await searchQueries.searchRecordings(weaviateClient, query, userId, courseId, limit * CHUNK_CONFIG.SEARCH_OVERFETCH);
+            return collapseChunks(result.data?.Get?.RecordingSummary, { textField: 'transcription', limit });
         } catch (error) {
             console.error('Error searching recordings:', error);
             return [];
@@ -422,17 +671,112 @@ export class WeaviateRecordingService {
 // SEARCH SERVICE
 // =============================================
 
+// Search defaults and bounds
+export const SEARCH_CONFIG = {
+    DEFAULT_LIMIT: 5,
+    MAX_LIMIT: 25,
+    DEFAULT_ALPHA: 0.5     // Hybrid weighting: 0 = BM25 only, 1 = vector only
+};
+
+export class SearchRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SearchRequestError';
+    }
+}
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// ISO timestamp for a date filter; a bare date as an upper bound covers that whole day
+function parseDateParam(value, name, endOfDay = false) {
+    const text = String(value).trim();
+    const time = Date.parse(text);
+    if (Number.isNaN(time)) {
+        throw new SearchRequestError(`${name} must be an ISO 8601 date`);
+    }
+    return new Date(endOfDay && DATE_ONLY.test(text) ? time + 24 * 60 * 60 * 1000 - 1 : time).toISOString();
+}
+
 export class WeaviateSearchService {
 
-    // Search Canvas content
-    static async searchCanvasContent(query, userId, courseId = null, limit = 5) {
-        try {
-            const result = await searchQueries.searchCanvasContent(weaviateClient, query, userId, courseId, limit);
-            return result.data?.Get?.CanvasContent || [];
-        } catch (error) {
-            console.error('Error searching Canvas content:', error);
-            return [];
+    /**
+     * Validate and type Canvas search parameters from a query string or JSON body
+     * @param {Object} params - { query|q, courseId, limit, alpha, type, dueAfter, dueBefore, createdAfter, createdBefore }
+     * @returns {Object} { query, courseId, limit, alpha, types, dueAfter, dueBefore, createdAfter, createdBefore }
+     */
+    static parseCanvasSearchParams(params = {}) {
+        const query = typeof (params.query ?? params.q) === 'string' ? (params.query ?? params.q).trim() : '';
+        if (!query) {
+            throw new SearchRequestError('Query is required');
+        }
+
+        const options = { query, courseId: null, limit: SEARCH_CONFIG.DEFAULT_LIMIT, alpha: SEARCH_CONFIG.DEFAULT_ALPHA, types: [] };
+
+        if (params.courseId !== undefined && params.courseId !== null && params.courseId !== '') {
+            options.courseId = Number(params.courseId);
+            if (!Number.isInteger(options.courseId) || options.courseId < 1) {
+                throw new SearchRequestError('courseId must be a positive integer');
+            }
+        }
+
+        if (params.limit !== undefined) {
+            options.limit = Number(params.limit);
+            if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > SEARCH_CONFIG.MAX_LIMIT) {
+                throw new SearchRequestError(`limit must be an integer between 1 and ${SEARCH_CONFIG.MAX_LIMIT}`);
+            }
+        }
+
+        if (params.alpha !== undefined) {
+            options.alpha = params.alpha === '' ? NaN : Number(params.alpha);
+            if (!Number.isFinite(options.alpha) || options.alpha < 0 || options.alpha > 1) {
+                throw new SearchRequestError('alpha must be a number between 0 and 1');
+            }
+        }
+
+        // type=assignment,quiz or repeated type=... (types is accepted as an alias)
+        const types = [].concat(params.type ?? params.types ?? []).flatMap(value => String(value).split(','))
+            .map(value => value.trim()).filter(Boolean);
+        const unknown = types.filter(type => !CANVAS_CONTENT_TYPES.includes(type));
+        if (unknown.length > 0) {
+            throw new SearchRequestError(`Unknown content type: ${unknown.join(', ')}. Expected one of: ${CANVAS_CONTENT_TYPES.join(', ')}`);
+        }
+        options.types = [...new Set(types)];
+
+        for (const name of ['dueAfter', 'dueBefore', 'createdAfter', 'createdBefore']) {
+            if (params[name] !== undefined && params[name] !== '') {
+                options[name] = parseDateParam(params[name], name, name.endsWith('Before'));
+            }
         }
+        if (options.dueAfter && options.dueBefore && options.dueAfter > options.dueBefore) {
+            throw new SearchRequestError('dueAfter must not be later than dueBefore');
+        }
+        if (options.createdAfter && options.createdBefore && options.createdAfter > options.createdBefore) {
+            throw new SearchRequestError('createdAfter must not be later than createdBefore');
+        }
+
+        return options;
+    }
+
+    /**
+     * Hybrid search over Canvas content, one result per item however many of its chunks matched
+     * @param {string} query - Search text
+     * @param {string} userId - Supabase user ID
+     * @param {number} courseId - Canvas course ID (optional)
+     * @param {number} limit - Results limit
+     * @param {Object} options - { alpha, types, dueAfter, dueBefore, createdAfter, createdBefore }
+     * @returns {Array} Results with their hybrid score (higher is better)
+     * @throws {Error} When Weaviate or the query embedding fails, so callers can tell an outage from no matches
+     */
+    static async searchCanvasContent(query, userId, courseId = null, limit = 5, options = {}) {
+        if (!weaviateClient) {
+            throw new Error('Weaviate is not configured');
+        }
+
+        const result = await searchQueries.searchCanvasContent(weaviateClient, query, userId, courseId, limit * CHUNK_CONFIG.SEARCH_OVERFETCH, options);
+        return collapseChunks(result.data?.Get?.CanvasContent, { limit }).map(item => ({
+            ...item,
+            score: item._additional?.score != null ? Number(item._additional.score) : null
+        }));
     }
 
     // Search all content types
@@ -491,12 +835,14 @@ export class WeaviateUtils {
     // Batch operations
     static async batchCreateObjects(className, objects) {
         try {
+            const vectors = await embedTexts(objects.map(obj => vectorText(className, obj)));
             const batcher = weaviateClient.batch.objectsBatcher();
 
-            objects.forEach(obj => {
+            objects.forEach((obj, index) => {
                 batcher.withObject({
                     class: className,
-                    properties: obj
+                    properties: obj,
+                    vector: vectors[index]
                 });
             });
 
@@ -544,4 +890,4 @@ export class WeaviateUtils {
 }
 
 // Export the main client for direct use if needed
-export default weaviateClient; 
\ No newline at end of file
+export { weaviateClient as default }; 
\ No newline at end of file
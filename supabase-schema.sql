@@ -1,6 +1,9 @@
 -- =============================================
 -- CLARYFY SUPABASE DATABASE SCHEMA
 -- =============================================
+--
+-- For new projects. Databases created from an older version are brought up to
+-- date with supabase-upgrade.sql; add every change to existing tables there too.
 
 -- Enable required extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
@@ -12,7 +15,9 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE TABLE public.users (
   id UUID REFERENCES auth.users ON DELETE CASCADE PRIMARY KEY,
   email TEXT NOT NULL,
-  canvas_token TEXT, -- Encrypted Canvas token
+  canvas_token TEXT, -- Envelope-encrypted Canvas token (see services/vault.js)
+  canvas_refresh_token TEXT, -- Envelope-encrypted OAuth2 refresh token (NULL for pasted tokens)
+  canvas_token_expires_at TIMESTAMP WITH TIME ZONE, -- OAuth2 access token expiry
   canvas_domain TEXT DEFAULT 'umd.instructure.com',
   full_name TEXT,
   avatar_url TEXT,
@@ -29,6 +34,10 @@ CREATE TABLE public.conversations (
   user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
   course_id INTEGER, -- Canvas course ID
   title TEXT NOT NULL,
+  summary TEXT, -- Rolling summary of the older turns (see services/memory.js)
+  summarized_count INTEGER DEFAULT 0, -- Oldest messages folded into the summary
+  summary_edited BOOLEAN DEFAULT FALSE, -- Last changed by the student rather than the model
+  summary_updated_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -75,7 +84,86 @@ CREATE TABLE public.canvas_data (
   course_id INTEGER, -- Canvas course ID (can be NULL for user-level data)
   content JSONB NOT NULL,
   last_synced TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (user_id, data_type, course_id) -- One cached row per course and data type
+);
+
+-- =============================================
+-- CANVAS DATA CHANGE LOG
+-- =============================================
+
+-- Latest state of every cached Canvas item, or a tombstone once it disappears.
+-- Clients poll /api/dashboard/changes?since= against changed_at.
+CREATE TABLE public.canvas_data_changes (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  data_type TEXT NOT NULL CHECK (data_type IN ('courses', 'assignments', 'announcements', 'files')),
+  item_id TEXT NOT NULL, -- Canvas ID of the course, assignment, announcement or file
+  course_id INTEGER,
+  operation TEXT NOT NULL CHECK (operation IN ('upsert', 'delete')),
+  content JSONB, -- NULL for tombstones
+  content_hash TEXT,
+  changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, data_type, item_id)
+);
+
+-- =============================================
+-- DOCUMENT EXTRACTS TABLE
+-- =============================================
+
+-- Text extracted from Canvas files, reused until the file changes (see services/documents.js)
+CREATE TABLE public.document_extracts (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  file_id INTEGER NOT NULL, -- Canvas file ID
+  course_id INTEGER,
+  file_version TEXT NOT NULL, -- Canvas updated_at and size when extracted
+  format TEXT, -- pdf, docx, pptx or txt
+  pages JSONB DEFAULT '[]'::jsonb, -- [{"page": 1, "text": "..."}]
+  error TEXT, -- Why the file could not be read; retried once the file changes
+  extracted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, file_id)
+);
+
+-- =============================================
+-- DASHBOARD PREFERENCES TABLE
+-- =============================================
+
+CREATE TABLE public.dashboard_preferences (
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE PRIMARY KEY,
+  included_course_ids INTEGER[], -- NULL shows every Canvas dashboard course
+  hidden_course_ids INTEGER[] DEFAULT '{}',
+  limits JSONB DEFAULT '{}'::jsonb, -- Page size per collection, e.g. {"assignments": 50}
+  sort_order JSONB DEFAULT '{}'::jsonb, -- Sort per collection, e.g. {"assignments": "due_at:asc"}
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =============================================
+-- BACKGROUND JOBS TABLE
+-- =============================================
+
+CREATE TABLE public.jobs (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  type TEXT NOT NULL, -- e.g. 'canvas_sync', 'conversation_summary' (see services/jobs.js)
+  status TEXT DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+  payload JSONB DEFAULT '{}'::jsonb,
+  dedupe_key TEXT, -- Set when enqueued with dedupe: payload fields that identify the job, '' for one per user and type
+  progress JSONB DEFAULT '{}'::jsonb, -- Handler-defined, e.g. per-course sync status
+  result JSONB,
+  error TEXT, -- Last failure message
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 3,
+  run_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- Not claimed before this (retry backoff)
+  locked_by TEXT, -- Worker running the job
+  locked_at TIMESTAMP WITH TIME ZONE, -- Worker heartbeat; stale locks are requeued
+  cancel_requested BOOLEAN DEFAULT FALSE,
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- =============================================
@@ -101,6 +189,14 @@ CREATE INDEX idx_recordings_created_at ON public.recordings(created_at DESC);
 CREATE INDEX idx_canvas_data_user_id ON public.canvas_data(user_id);
 CREATE INDEX idx_canvas_data_type_course ON public.canvas_data(data_type, course_id);
 CREATE INDEX idx_canvas_data_last_synced ON public.canvas_data(last_synced);
+CREATE INDEX idx_canvas_data_changes_user_changed_at ON public.canvas_data_changes(user_id, changed_at);
+
+-- Jobs indexes
+CREATE INDEX idx_jobs_status_run_at ON public.jobs(status, run_at);
+CREATE INDEX idx_jobs_user_id_created_at ON public.jobs(user_id, created_at DESC);
+-- At most one unfinished deduplicated job per user, type and key (e.g. one Canvas sync, one summary per conversation)
+CREATE UNIQUE INDEX idx_jobs_pending_dedupe ON public.jobs(user_id, type, dedupe_key)
+  WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running');
 
 -- =============================================
 -- ROW LEVEL SECURITY (RLS) POLICIES
@@ -112,6 +208,10 @@ ALTER TABLE public.conversations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.messages ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.recordings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.canvas_data ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.canvas_data_changes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.document_extracts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.dashboard_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.jobs ENABLE ROW LEVEL SECURITY;
 
 -- Users policies
 CREATE POLICY "Users can view their own profile" 
@@ -198,6 +298,34 @@ CREATE POLICY "Users can delete their own canvas data"
   ON public.canvas_data FOR DELETE 
   USING (auth.uid() = user_id);
 
+-- Canvas change log policies (written by the server's service role)
+CREATE POLICY "Users can view their own canvas data changes" 
+  ON public.canvas_data_changes FOR SELECT 
+  USING (auth.uid() = user_id);
+
+-- Document extracts policies (written by the server during Canvas sync)
+CREATE POLICY "Users can view their own document extracts" 
+  ON public.document_extracts FOR SELECT 
+  USING (auth.uid() = user_id);
+
+-- Dashboard preferences policies
+CREATE POLICY "Users can view their own dashboard preferences" 
+  ON public.dashboard_preferences FOR SELECT 
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can create their own dashboard preferences" 
+  ON public.dashboard_preferences FOR INSERT 
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own dashboard preferences" 
+  ON public.dashboard_preferences FOR UPDATE 
+  USING (auth.uid() = user_id);
+
+-- Jobs policies (the server's service role enqueues and runs jobs)
+CREATE POLICY "Users can view their own jobs" 
+  ON public.jobs FOR SELECT 
+  USING (auth.uid() = user_id);
+
 -- =============================================
 -- FUNCTIONS AND TRIGGERS
 -- =============================================
@@ -220,6 +348,14 @@ CREATE TRIGGER update_conversations_updated_at
   BEFORE UPDATE ON public.conversations 
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_dashboard_preferences_updated_at 
+  BEFORE UPDATE ON public.dashboard_preferences 
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_jobs_updated_at 
+  BEFORE UPDATE ON public.jobs 
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Function to create user profile on signup
 CREATE OR REPLACE FUNCTION public.handle_new_user()
 RETURNS TRIGGER AS $$
@@ -0,0 +1,170 @@
+-- =============================================
+-- CLARYFY SUPABASE SCHEMA UPGRADE
+-- =============================================
+--
+-- Brings a database created from an older supabase-schema.sql up to date.
+-- Every statement is idempotent, so it is safe to run again after each
+-- deploy. New installs only need supabase-schema.sql.
+
+-- =============================================
+-- NEW COLUMNS ON EXISTING TABLES
+-- =============================================
+
+-- OAuth2 sign-in (see services/canvas-oauth.js)
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS canvas_refresh_token TEXT;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS canvas_token_expires_at TIMESTAMP WITH TIME ZONE;
+
+-- Rolling conversation summaries (see services/memory.js)
+ALTER TABLE public.conversations ADD COLUMN IF NOT EXISTS summary TEXT;
+ALTER TABLE public.conversations ADD COLUMN IF NOT EXISTS summarized_count INTEGER DEFAULT 0;
+ALTER TABLE public.conversations ADD COLUMN IF NOT EXISTS summary_edited BOOLEAN DEFAULT FALSE;
+ALTER TABLE public.conversations ADD COLUMN IF NOT EXISTS summary_updated_at TIMESTAMP WITH TIME ZONE;
+
+-- =============================================
+-- CANVAS DATA CACHE: ONE ROW PER COURSE AND DATA TYPE
+-- =============================================
+
+-- Older versions could cache a course twice; keep the most recent copy
+DELETE FROM public.canvas_data older
+USING public.canvas_data newer
+WHERE older.user_id = newer.user_id
+  AND older.data_type = newer.data_type
+  AND older.course_id IS NOT DISTINCT FROM newer.course_id
+  AND (older.last_synced, older.id) < (newer.last_synced, newer.id);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'canvas_data_user_id_data_type_course_id_key') THEN
+    ALTER TABLE public.canvas_data
+      ADD CONSTRAINT canvas_data_user_id_data_type_course_id_key UNIQUE NULLS NOT DISTINCT (user_id, data_type, course_id);
+  END IF;
+END $$;
+
+-- =============================================
+-- NEW TABLES (same definitions as supabase-schema.sql)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.canvas_data_changes (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  data_type TEXT NOT NULL CHECK (data_type IN ('courses', 'assignments', 'announcements', 'files')),
+  item_id TEXT NOT NULL,
+  course_id INTEGER,
+  operation TEXT NOT NULL CHECK (operation IN ('upsert', 'delete')),
+  content JSONB,
+  content_hash TEXT,
+  changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, data_type, item_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.document_extracts (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  file_id INTEGER NOT NULL,
+  course_id INTEGER,
+  file_version TEXT NOT NULL,
+  format TEXT,
+  pages JSONB DEFAULT '[]'::jsonb,
+  error TEXT,
+  extracted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, file_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.dashboard_preferences (
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE PRIMARY KEY,
+  included_course_ids INTEGER[],
+  hidden_course_ids INTEGER[] DEFAULT '{}',
+  limits JSONB DEFAULT '{}'::jsonb,
+  sort_order JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.jobs (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  type TEXT NOT NULL,
+  status TEXT DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+  payload JSONB DEFAULT '{}'::jsonb,
+  dedupe_key TEXT,
+  progress JSONB DEFAULT '{}'::jsonb,
+  result JSONB,
+  error TEXT,
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 3,
+  run_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  locked_by TEXT,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  cancel_requested BOOLEAN DEFAULT FALSE,
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Jobs tables created before job deduplication moved into the database
+ALTER TABLE public.jobs ADD COLUMN IF NOT EXISTS dedupe_key TEXT;
+
+-- =============================================
+-- INDEXES
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_canvas_data_changes_user_changed_at ON public.canvas_data_changes(user_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON public.jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_user_id_created_at ON public.jobs(user_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_pending_dedupe ON public.jobs(user_id, type, dedupe_key)
+  WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running');
+
+-- =============================================
+-- ROW LEVEL SECURITY
+-- =============================================
+
+ALTER TABLE public.canvas_data_changes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.document_extracts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.dashboard_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.jobs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own canvas data changes" ON public.canvas_data_changes;
+CREATE POLICY "Users can view their own canvas data changes"
+  ON public.canvas_data_changes FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can view their own document extracts" ON public.document_extracts;
+CREATE POLICY "Users can view their own document extracts"
+  ON public.document_extracts FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can view their own dashboard preferences" ON public.dashboard_preferences;
+CREATE POLICY "Users can view their own dashboard preferences"
+  ON public.dashboard_preferences FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create their own dashboard preferences" ON public.dashboard_preferences;
+CREATE POLICY "Users can create their own dashboard preferences"
+  ON public.dashboard_preferences FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update their own dashboard preferences" ON public.dashboard_preferences;
+CREATE POLICY "Users can update their own dashboard preferences"
+  ON public.dashboard_preferences FOR UPDATE
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can view their own jobs" ON public.jobs;
+CREATE POLICY "Users can view their own jobs"
+  ON public.jobs FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- =============================================
+-- TRIGGERS
+-- =============================================
+
+DROP TRIGGER IF EXISTS update_dashboard_preferences_updated_at ON public.dashboard_preferences;
+CREATE TRIGGER update_dashboard_preferences_updated_at
+  BEFORE UPDATE ON public.dashboard_preferences
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_jobs_updated_at ON public.jobs;
+CREATE TRIGGER update_jobs_updated_at
+  BEFORE UPDATE ON public.jobs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import http from 'http';
+import { once } from 'events';
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { SupabaseAuthService, AUTH_CONFIG } from '../services/auth.js';
+import { signAccessToken, TEST_USER_ID } from './helpers.js';
+
+const ISSUER = 'https://project.supabase.test/auth/v1';
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Sign claims with any header; sign(input) returns the raw signature
+function signJwt(header, claims, sign) {
+    const input = `${encode(header)}.${encode(claims)}`;
+    return `${input}.${sign(Buffer.from(input)).toString('base64url')}`;
+}
+
+function claimsFor(overrides = {}) {
+    return {
+        sub: TEST_USER_ID,
+        aud: 'authenticated',
+        iss: ISSUER,
+        exp: Math.floor(Date.now() / 1000) + 3600,
+        ...overrides
+    };
+}
+
+const verify = token => SupabaseAuthService.verifyAccessToken(token);
+
+describe('SupabaseAuthService.verifyAccessToken', () => {
+    const defaults = { ...AUTH_CONFIG };
+
+    afterEach(() => {
+        Object.assign(AUTH_CONFIG, defaults);
+    });
+
+    describe('HS256 tokens', () => {
+        it('accepts a token signed with the project secret', async () => {
+            const claims = await verify(signAccessToken());
+            expect(claims.sub).toBe(TEST_USER_ID);
+        });
+
+        it('rejects a bad signature', async () => {
+            const token = signAccessToken();
+            const forged = signAccessToken(TEST_USER_ID, { role: 'service_role' });
+
+            await expect(verify(`${forged.split('.').slice(0, 2).join('.')}.${token.split('.')[2]}`)).rejects.toThrow('Invalid access token signature');
+            await expect(verify(signJwt({ alg: 'HS256' }, claimsFor(), input => crypto.createHmac('sha256', 'wrong-secret').update(input).digest())))
+                .rejects.toThrow('Invalid access token signature');
+        });
+
+        it('rejects unsigned tokens', async () => {
+            await expect(verify(signJwt({ alg: 'none' }, claimsFor(), () => Buffer.alloc(0)))).rejects.toThrow('Unsupported token algorithm: none');
+        });
+
+        it('rejects expired tokens and the wrong audience', async () => {
+            await expect(verify(signAccessToken(TEST_USER_ID, { exp: Math.floor(Date.now() / 1000) - 120 }))).rejects.toThrow('Access token expired');
+            await expect(verify(signAccessToken(TEST_USER_ID, { exp: undefined }))).rejects.toThrow('Access token expired');
+            await expect(verify(signAccessToken(TEST_USER_ID, { aud: 'anon-app' }))).rejects.toThrow('unexpected audience');
+        });
+
+        it('requires the configured issuer', async () => {
+            AUTH_CONFIG.ISSUER = ISSUER;
+
+            expect((await verify(signAccessToken(TEST_USER_ID, { iss: ISSUER }))).sub).toBe(TEST_USER_ID);
+            await expect(verify(signAccessToken(TEST_USER_ID, { iss: 'https://other.supabase.test/auth/v1' }))).rejects.toThrow('unexpected issuer');
+            await expect(verify(signAccessToken())).rejects.toThrow('unexpected issuer');
+        });
+    });
+
+    describe('RS256 tokens from the JWKS', () => {
+        const signing = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const impostor = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const rsaSign = privateKey => input => crypto.sign('sha256', input, privateKey);
+        let jwksServer;
+        let jwksUrl;
+        let jwksRequests = 0;
+
+        beforeAll(async () => {
+            const jwks = { keys: [{ ...signing.publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' }] };
+            jwksServer = http.createServer((req, res) => {
+                jwksRequests++;
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(jwks));
+            }).listen(0);
+            await once(jwksServer, 'listening');
+            jwksUrl = `http://127.0.0.1:${jwksServer.address().port}/auth/v1/.well-known/jwks.json`;
+        });
+
+        afterAll(async () => {
+            jwksServer.close();
+            await once(jwksServer, 'close');
+        });
+
+        it('verifies against the published key and rejects others', async () => {
+            Object.assign(AUTH_CONFIG, { JWKS_URL: jwksUrl, ISSUER });
+
+            const claims = await verify(signJwt({ alg: 'RS256', kid: 'key-1' }, claimsFor(), rsaSign(signing.privateKey)));
+            expect(claims.sub).toBe(TEST_USER_ID);
+
+            await expect(verify(signJwt({ alg: 'RS256', kid: 'key-1' }, claimsFor(), rsaSign(impostor.privateKey))))
+                .rejects.toThrow('Invalid access token signature');
+            await expect(verify(signJwt({ alg: 'RS256', kid: 'key-1' }, claimsFor({ iss: undefined }), rsaSign(signing.privateKey))))
+                .rejects.toThrow('unexpected issuer');
+
+            // Unknown key IDs do not refetch the JWKS on every request
+            await expect(verify(signJwt({ alg: 'RS256', kid: 'key-2' }, claimsFor(), rsaSign(impostor.privateKey))))
+                .rejects.toThrow('Unknown token signing key');
+            expect(jwksRequests).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createFakeCanvas, VALID_CANVAS_TOKEN, CANVAS_DOMAIN } from './fakes/canvas.js';
+import { CanvasCollector, CANVAS_COLLECTIONS, DEFAULT_COLLECTIONS } from '../services/canvas-collector.js';
+
+describe('CanvasCollector', () => {
+    let canvas;
+    let client;
+
+    beforeEach(() => {
+        canvas = createFakeCanvas();
+        client = canvas.factory(VALID_CANVAS_TOKEN, CANVAS_DOMAIN);
+    });
+
+    it('collects the default collections with the client it is given, tagged by course', async () => {
+        const result = await CanvasCollector.collect(client, canvas.data.courses);
+
+        expect(DEFAULT_COLLECTIONS.every(name => Array.isArray(result[name]))).toBe(true);
+        expect(result.assignments.map(item => [item.id, item.course_id, item.course_name])).toEqual(expect.arrayContaining([
+            [1001, 101, 'CMSC422'],
+            [2001, 102, 'HIST200']
+        ]));
+        expect(result.announcements).toHaveLength(1);
+        expect(result.files).toHaveLength(1);
+        expect(result.fetched).toHaveLength(6);
+        expect(result.errors).toEqual([]);
+        expect(result.pages).toBeUndefined();
+    });
+
+    it('runs every declared collection on request', async () => {
+        const result = await CanvasCollector.collect(client, canvas.data.courses.slice(0, 1), {
+            collections: Object.keys(CANVAS_COLLECTIONS)
+        });
+
+        expect(result.pages.map(item => item.title)).toEqual(['Course Policies']);
+        expect(result.modules.map(item => item.name)).toEqual(['Week 7: Optimization']);
+        expect(result.quizzes.map(item => item.title)).toEqual(['Quiz 3: Convexity']);
+        expect(result.discussions.map(item => item.title)).toEqual(['Week 7 questions']);
+        expect(result.syllabus.map(item => item.id)).toEqual([101]);
+        expect(result.calendar_events.map(item => [item.title, item.course_id])).toEqual([['Midterm review session', 101]]);
+        expect(result.fetched.map(entry => entry.type).sort()).toEqual([
+            'announcement', 'assignment', 'calendar_event', 'discussion', 'file', 'module', 'page', 'quiz', 'syllabus'
+        ]);
+    });
+
+    it('reports per-course failures instead of swallowing them', async () => {
+        canvas.fail('listFiles');
+        const done = [];
+
+        const result = await CanvasCollector.collect(client, canvas.data.courses, {
+            onCourseDone: (course, index, summary) => done.push({ id: course.id, ...summary })
+        });
+
+        expect(result.errors).toEqual([
+            { courseId: 101, courseName: 'CMSC422', collection: 'files', type: 'file', status: 500, message: 'Canvas is down' },
+            { courseId: 102, courseName: 'HIST200', collection: 'files', type: 'file', status: 500, message: 'Canvas is down' }
+        ]);
+        expect(result.assignments).toHaveLength(3);
+        expect(result.fetched.some(entry => entry.type === 'file')).toBe(false);
+        expect(done.find(course => course.id === 101).counts).toEqual({ assignments: 2, announcements: 1, files: 0 });
+    });
+
+    it('stops when a course callback throws', async () => {
+        const cancelled = new Error('Job was cancelled');
+
+        await expect(CanvasCollector.collect(client, canvas.data.courses, {
+            onCourseStart: () => {
+                throw cancelled;
+            }
+        })).rejects.toBe(cancelled);
+    });
+
+    it('rejects unknown collections', async () => {
+        await expect(CanvasCollector.collect(client, canvas.data.courses, { collections: ['grades'] }))
+            .rejects.toThrow('Unknown Canvas collection: grades');
+    });
+});
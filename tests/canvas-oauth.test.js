@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { startTestServer, signAccessToken, TEST_USER_ID } from './helpers.js';
+import { OAUTH_CLIENT_ID, OAUTH_CLIENT_SECRET } from './fakes/canvas.js';
+import { OAUTH_CONFIG } from '../services/canvas-oauth.js';
+import { TokenVault } from '../services/vault.js';
+
+const REDIRECT_URI = 'http://localhost:3000/auth/canvas/callback';
+
+describe('Canvas OAuth2 sign-in', () => {
+    let server;
+    let domain;
+    const defaults = { ...OAUTH_CONFIG };
+
+    beforeEach(async () => {
+        server = await startTestServer();
+        domain = server.canvas.fileHostUrl;
+        Object.assign(OAUTH_CONFIG, {
+            CLIENT_ID: OAUTH_CLIENT_ID,
+            CLIENT_SECRET: OAUTH_CLIENT_SECRET,
+            REDIRECT_URI,
+            DOMAINS: [domain]
+        });
+    });
+
+    afterEach(async () => {
+        vi.useRealTimers();
+        Object.assign(OAUTH_CONFIG, defaults);
+        await server.close();
+    });
+
+    // Start a sign-in as the signed-in student; returns the state and the browser's state cookie
+    async function authorize(canvasDomain = domain) {
+        const response = await fetch(`${server.baseUrl}/auth/canvas/authorize?domain=${encodeURIComponent(canvasDomain)}`, {
+            headers: { Authorization: `Bearer ${signAccessToken()}` },
+            redirect: 'manual'
+        });
+        const location = response.headers.get('location');
+        return {
+            response,
+            location,
+            state: location && new URL(location).searchParams.get('state'),
+            cookie: (response.headers.get('set-cookie') || '').split(';')[0]
+        };
+    }
+
+    function callback(query, cookie) {
+        return fetch(`${server.baseUrl}/auth/canvas/callback?${new URLSearchParams(query)}`, {
+            headers: cookie ? { Cookie: cookie } : {},
+            redirect: 'manual'
+        });
+    }
+
+    it('redirects to Canvas and binds the state to the browser', async () => {
+        const { response, location, state, cookie } = await authorize();
+
+        expect(response.status).toBe(302);
+        expect(location.startsWith(`${domain}/login/oauth2/auth?`)).toBe(true);
+        expect(new URL(location).searchParams.get('client_id')).toBe(OAUTH_CLIENT_ID);
+        expect(new URL(location).searchParams.get('redirect_uri')).toBe(REDIRECT_URI);
+        expect(state).toBeTruthy();
+
+        const setCookie = response.headers.get('set-cookie');
+        expect(setCookie).toMatch(/HttpOnly/);
+        expect(setCookie).toMatch(/Path=\/auth\/canvas/);
+        expect(decodeURIComponent(cookie.split('=')[1]).startsWith(`${state}.`)).toBe(true);
+    });
+
+    it('only sends the developer key to configured Canvas domains', async () => {
+        const { response } = await authorize('https://evil.example');
+        expect(response.status).toBe(400);
+
+        const sneaky = await authorize(`${domain}/steal`);
+        expect(sneaky.response.status).toBe(400);
+
+        expect(server.canvas.oauth.requests).toHaveLength(0);
+    });
+
+    it('exchanges the code and stores the tokens encrypted', async () => {
+        const { state, cookie } = await authorize();
+
+        const response = await callback({ state, code: server.canvas.issueOAuthCode() }, cookie);
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.success).toBe(true);
+        expect(server.canvas.oauth.requests[0]).toMatchObject({ grant_type: 'authorization_code', redirect_uri: REDIRECT_URI, client_secret: OAUTH_CLIENT_SECRET });
+
+        const user = server.supabase.table('users').find(row => row.id === TEST_USER_ID);
+        expect(user.canvas_token).not.toMatch(/oauth-access/);
+        expect(TokenVault.decrypt(user.canvas_token, TEST_USER_ID)).toMatch(/^oauth-access-/);
+        expect(TokenVault.decrypt(user.canvas_refresh_token, TEST_USER_ID)).toMatch(/^oauth-refresh-/);
+        expect(user.canvas_domain).toBe(domain);
+        expect(response.headers.get('set-cookie')).toMatch(/claryfy_session=/);
+    });
+
+    it('rejects a callback from a browser that did not start the sign-in', async () => {
+        const { state } = await authorize();
+
+        const response = await callback({ state, code: server.canvas.issueOAuthCode() });
+
+        expect(response.status).toBe(400);
+        expect(server.canvas.oauth.requests).toHaveLength(0);
+        expect(server.supabase.table('users').find(row => row.id === TEST_USER_ID).canvas_token).toBeUndefined();
+    });
+
+    it('accepts each state once and only until it expires', async () => {
+        const first = await authorize();
+        expect((await callback({ state: first.state, code: server.canvas.issueOAuthCode() }, first.cookie)).status).toBe(200);
+        expect((await callback({ state: first.state, code: server.canvas.issueOAuthCode() }, first.cookie)).status).toBe(400);
+
+        vi.useFakeTimers({ toFake: ['Date'] });
+        const second = await authorize();
+        vi.setSystemTime(Date.now() + OAUTH_CONFIG.STATE_TTL_MS + 1000);
+        expect((await callback({ state: second.state, code: server.canvas.issueOAuthCode() }, second.cookie)).status).toBe(400);
+        expect(server.canvas.oauth.requests).toHaveLength(1);
+    });
+
+    it('refreshes an expired access token and retries the request', async () => {
+        const { state, cookie } = await authorize();
+        const signedIn = await callback({ state, code: server.canvas.issueOAuthCode() }, cookie);
+        const sessionCookie = signedIn.headers.get('set-cookie').split(/,\s*(?=claryfy_)/).find(value => value.startsWith('claryfy_session=')).split(';')[0];
+
+        // Canvas expires the access token
+        const user = server.supabase.table('users').find(row => row.id === TEST_USER_ID);
+        const expired = TokenVault.decrypt(user.canvas_token, TEST_USER_ID);
+        server.canvas.validTokens.delete(expired);
+
+        const response = await server.request('GET', '/api/courses', { headers: { Cookie: sessionCookie } });
+
+        expect(response.status).toBe(200);
+        expect(server.canvas.oauth.requests.at(-1)).toMatchObject({ grant_type: 'refresh_token' });
+
+        const refreshed = TokenVault.decrypt(user.canvas_token, TEST_USER_ID);
+        expect(refreshed).not.toBe(expired);
+        expect(server.canvas.validTokens.has(refreshed)).toBe(true);
+        expect(server.canvas.calls.filter(call => call.name === 'listCourses').map(call => call.token)).toEqual([expired]);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { startTestServer, TEST_USER_ID, VALID_CANVAS_TOKEN, CANVAS_DOMAIN } from './helpers.js';
+import { chunkText, collapseChunks } from '../services/chunker.js';
+import { countTokens } from '../services/tokens.js';
+import { WeaviateCanvasService, WeaviateRecordingService } from '../services/weaviate.js';
+import { JobWorker } from '../services/jobs.js';
+
+const filler = topic => `We will discuss ${topic} in detail with worked examples and practice problems. `.repeat(12);
+
+describe('chunkText', () => {
+    it('keeps short text in one chunk', () => {
+        expect(chunkText('Submit a one page proposal.')).toEqual([
+            { index: 0, text: 'Submit a one page proposal.', tokens: 6, heading: null }
+        ]);
+        expect(chunkText('')).toEqual([]);
+    });
+
+    it('splits on headings and repeats the section path in continuation chunks', () => {
+        const html = `<h1>Project 2</h1><p>Overview of the project.</p>
+            <h2>Requirements</h2><p>${filler('gradient descent')}</p>
+            <h2>Grading</h2><ul><li>Code: 60%</li><li>Report: 40%</li></ul>`;
+
+        const chunks = chunkText(html, { maxTokens: 100, overlapTokens: 20 });
+
+        expect(chunks.every(chunk => chunk.tokens <= 100)).toBe(true);
+        expect(chunks[0].text.startsWith('Project 2\nOverview of the project.')).toBe(true);
+        expect(chunks[1]).toMatchObject({ heading: 'Project 2 › Requirements' });
+        expect(chunks[1].text.startsWith('Project 2 › Requirements\n')).toBe(true);
+
+        const grading = chunks[chunks.length - 1];
+        expect(grading).toMatchObject({ heading: 'Project 2 › Grading', text: 'Grading\n- Code: 60%\n- Report: 40%' });
+        expect(chunks.map(chunk => chunk.index)).toEqual(chunks.map((chunk, index) => index));
+    });
+
+    it('overlaps neighbouring chunks of unstructured text such as transcripts', () => {
+        const transcript = Array.from({ length: 40 }, (value, index) => `Sentence number ${index} is about convexity.`).join(' ');
+        const chunks = chunkText(transcript, { maxTokens: 60, overlapTokens: 15 });
+
+        expect(chunks.length).toBeGreaterThan(3);
+        expect(chunks.every(chunk => countTokens(chunk.text) <= 60)).toBe(true);
+        for (let i = 1; i < chunks.length; i++) {
+            const firstSentence = chunks[i].text.split('\n')[0];
+            expect(chunks[i - 1].text).toContain(firstSentence);
+        }
+    });
+});
+
+describe('collapseChunks', () => {
+    it('folds sibling hits into their parent in rank order, chunks in document order', () => {
+        const results = [
+            { title: 'Project 2', content: 'third part', chunkIndex: 2, parentId: 'p1', _additional: { id: 'c2' } },
+            { title: 'Quiz 3', content: 'quiz', _additional: { id: 'q1' } },
+            { title: 'Project 2', content: 'first part', chunkIndex: 0, parentId: null, _additional: { id: 'p1' } }
+        ];
+
+        expect(collapseChunks(results)).toEqual([
+            { title: 'Project 2', content: 'first part\n\nthird part', chunkIndex: 2, parentId: 'p1', _additional: { id: 'c2' }, matchedChunks: [0, 2] },
+            { title: 'Quiz 3', content: 'quiz', _additional: { id: 'q1' } }
+        ]);
+        expect(collapseChunks(results, { limit: 1 })).toHaveLength(1);
+    });
+});
+
+describe('chunked items in Weaviate', () => {
+    let server;
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    it('stores a long description as linked chunks and returns it once from search', async () => {
+        server = await startTestServer();
+        await server.request('POST', '/auth', { body: { token: VALID_CANVAS_TOKEN, domain: CANVAS_DOMAIN } });
+
+        const description = `<h2>Part 1</h2><p>${filler('stochastic gradient descent').repeat(2)}</p><h2>Part 2</h2><p>${filler('momentum').repeat(2)}</p>`;
+        server.canvas.data.assignments[101][0].description = description;
+
+        const { job } = await (await server.request('POST', '/api/weaviate/sync/canvas', { body: {} })).json();
+        await JobWorker.drain();
+        const finished = (await (await server.request('GET', `/api/jobs/${job.id}`)).json()).job;
+        expect(finished.status).toBe('succeeded');
+
+        const parentId = WeaviateCanvasService.objectId(TEST_USER_ID, 'assignment', 1001);
+        const pieces = server.weaviate.objects('CanvasContent', { path: ['canvasId'], operator: 'Equal', valueString: '1001' })
+            .sort((a, b) => a.properties.chunkIndex - b.properties.chunkIndex);
+
+        expect(pieces.length).toBeGreaterThan(1);
+        expect(pieces[0]).toMatchObject({ id: parentId, properties: { chunkIndex: 0, chunkCount: pieces.length } });
+        expect(pieces.slice(1).every(piece => piece.properties.parentId === parentId && piece.properties.type === 'assignment')).toBe(true);
+        expect(pieces.every(piece => countTokens(piece.properties.content) <= 400)).toBe(true);
+
+        const { results } = await (await server.request('POST', '/api/weaviate/search/canvas', {
+            body: { query: 'stochastic gradient descent momentum', limit: 3 }
+        })).json();
+
+        expect(results.filter(result => result.canvasId === '1001')).toHaveLength(1);
+        expect(results.find(result => result.canvasId === '1001').matchedChunks.length).toBeGreaterThan(1);
+
+        // Shrinking the description removes the extra chunks on the next sync
+        server.canvas.data.assignments[101][0].description = 'Now a short description.';
+        await server.request('POST', '/api/weaviate/sync/canvas', { body: {} });
+        await JobWorker.drain();
+        expect(server.weaviate.objects('CanvasContent', { path: ['canvasId'], operator: 'Equal', valueString: '1001' })).toHaveLength(1);
+    });
+
+    it('chunks long lecture transcripts under the recording', async () => {
+        server = await startTestServer();
+        const transcript = filler('the bias variance tradeoff').repeat(3);
+
+        await WeaviateRecordingService.vectorizeRecording(TEST_USER_ID, 'rec-1', 'Lecture 9', 'Bias and variance.', transcript, 101, 3000);
+
+        const objects = server.weaviate.objects('RecordingSummary');
+        const first = objects.find(object => object.properties.chunkIndex === 0);
+        expect(objects.length).toBeGreaterThan(1);
+        expect(first).toMatchObject({ id: WeaviateRecordingService.objectId(TEST_USER_ID, 'rec-1'), properties: { summary: 'Bias and variance.' } });
+        expect(objects.filter(object => object !== first).every(object => object.properties.parentId === first.id && !('summary' in object.properties))).toBe(true);
+
+        const results = await WeaviateRecordingService.searchRecordings('bias variance tradeoff', TEST_USER_ID);
+        expect(results).toHaveLength(1);
+        expect(results[0]).toMatchObject({ recordingId: 'rec-1', title: 'Lecture 9' });
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { startTestServer, TEST_USER_ID, VALID_CANVAS_TOKEN, CANVAS_DOMAIN } from './helpers.js';
+import { defaultCanvasFixtures } from './fakes/canvas.js';
+import { JobWorker } from '../services/jobs.js';
+
+describe('dashboard preferences and pagination', () => {
+    let server;
+
+    async function start(canvasFixtures) {
+        server = await startTestServer({ canvasFixtures });
+        await server.request('POST', '/auth', { body: { token: VALID_CANVAS_TOKEN, domain: CANVAS_DOMAIN } });
+    }
+
+    async function syncCanvas() {
+        await server.request('POST', '/api/refresh-canvas-data', { body: {} });
+        await JobWorker.drain();
+    }
+
+    const savePreferences = body => server.request('PUT', '/api/dashboard/preferences', { body });
+    const dashboard = async () => (await server.request('GET', '/api/dashboard')).json();
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    describe('preferences', () => {
+        beforeEach(async () => {
+            await start();
+        });
+
+        it('starts from defaults and validates updates', async () => {
+            const { preferences, options } = await (await server.request('GET', '/api/dashboard/preferences')).json();
+
+            expect(preferences).toEqual({
+                included_course_ids: null,
+                hidden_course_ids: [],
+                limits: { courses: 50, assignments: 50, announcements: 30, files: 100 },
+                sort: { courses: 'position', assignments: 'due_at:asc', announcements: 'posted_at:desc', files: 'updated_at:desc' }
+            });
+            expect(options.assignments.sorts).toContain('name:asc');
+
+            expect((await savePreferences({ sort: { assignments: 'random' } })).status).toBe(400);
+            expect((await savePreferences({ limits: { files: 0 } })).status).toBe(400);
+            expect((await savePreferences({ hidden_course_ids: ['101'] })).status).toBe(400);
+            expect(server.supabase.table('dashboard_preferences')).toHaveLength(0);
+
+            const saved = await (await savePreferences({ limits: { files: 10 } })).json();
+            expect(saved.preferences.limits.files).toBe(10);
+            expect(saved.refreshJobId).toBeNull();
+
+            // Partial updates keep earlier choices
+            await savePreferences({ sort: { files: 'name:asc' } });
+            const { preferences: stored } = await (await server.request('GET', '/api/dashboard/preferences')).json();
+            expect(stored).toMatchObject({ limits: { files: 10 }, sort: { files: 'name:asc' } });
+        });
+
+        it('hides courses from the dashboard and drops them from the cache on the next sync', async () => {
+            await syncCanvas();
+
+            const saved = await (await savePreferences({ hidden_course_ids: [102] })).json();
+            expect(saved.refreshJobId).toEqual(expect.any(String));
+
+            // Applied to the cache straight away
+            const body = await dashboard();
+            expect(body.courses.map(course => course.id)).toEqual([101]);
+            expect(body.assignments.map(assignment => assignment.course_id)).toEqual([101, 101]);
+
+            await JobWorker.drain();
+
+            const cachedCourses = new Set(server.supabase.table('canvas_data').map(row => row.course_id));
+            expect([...cachedCourses]).toEqual([101]);
+            expect(server.weaviate.objects('CanvasContent').every(object => object.properties.courseId === 101)).toBe(true);
+        });
+    });
+
+    describe('pagination', () => {
+        beforeEach(async () => {
+            await start();
+            await syncCanvas();
+        });
+
+        it('returns the first page with a cursor for the rest', async () => {
+            await savePreferences({ limits: { assignments: 2 }, sort: { assignments: 'name:asc' } });
+
+            const body = await dashboard();
+            expect(body.assignments.map(assignment => assignment.name)).toEqual(['Essay on Trade Routes', 'Project Proposal']);
+            expect(body.pagination.assignments).toMatchObject({ limit: 2, total: 3, sort: 'name:asc', next_cursor: expect.any(String) });
+
+            const next = await (await server.request('GET', `/api/dashboard/assignments?cursor=${body.pagination.assignments.next_cursor}`)).json();
+            expect(next.assignments.map(assignment => assignment.name)).toEqual(['PS5 Gradient Descent']);
+            expect(next.pagination).toMatchObject({ total: 3, next_cursor: null });
+        });
+
+        it('keeps a cursor\'s sort even if the preference changes mid-scroll', async () => {
+            await savePreferences({ limits: { assignments: 1 } });
+            const { pagination } = await dashboard();
+
+            await savePreferences({ sort: { assignments: 'name:asc' } });
+
+            const next = await (await server.request('GET', `/api/dashboard/assignments?cursor=${pagination.assignments.next_cursor}`)).json();
+            expect(next.pagination.sort).toBe('due_at:asc');
+            expect(next.assignments.map(assignment => assignment.name)).toEqual(['Essay on Trade Routes']);
+        });
+
+        it('rejects bad cursors, limits and collections', async () => {
+            expect((await server.request('GET', '/api/dashboard/assignments?cursor=nonsense')).status).toBe(400);
+            expect((await server.request('GET', '/api/dashboard/assignments?limit=5000')).status).toBe(400);
+            expect((await server.request('GET', '/api/dashboard/grades')).status).toBe(404);
+        });
+
+        it('rejects names inherited from Object.prototype', async () => {
+            const cursor = sort => Buffer.from(JSON.stringify({ offset: 0, sort })).toString('base64url');
+
+            expect((await server.request('GET', `/api/dashboard/assignments?cursor=${cursor('__proto__')}`)).status).toBe(400);
+            expect((await server.request('GET', `/api/dashboard/assignments?cursor=${cursor('constructor')}`)).status).toBe(400);
+            expect((await server.request('GET', '/api/dashboard/constructor')).status).toBe(404);
+
+            expect((await savePreferences({ sort: { constructor: 'x' } })).status).toBe(400);
+            expect((await savePreferences({ limits: { toString: 5 } })).status).toBe(400);
+            expect((await savePreferences({ sort: { assignments: '__proto__' } })).status).toBe(400);
+        });
+    });
+
+    it('syncs every course and its files, however many there are', async () => {
+        const fixtures = defaultCanvasFixtures();
+        for (let id = 103; id <= 120; id++) {
+            fixtures.courses.push({ id, shortName: `COURSE${id}`, originalName: `Course ${id}`, courseCode: `COURSE${id}` });
+            fixtures.files[id] = [{ id: id * 100, display_name: `Syllabus ${id}.pdf`, created_at: '2026-10-01T00:00:00Z' }];
+        }
+        await start(fixtures);
+        await syncCanvas();
+
+        const body = await dashboard();
+        expect(body.courses).toHaveLength(20);
+        expect(body.pagination.files.total).toBe(19);
+        expect(server.supabase.table('canvas_data').filter(row => row.user_id === TEST_USER_ID && row.data_type === 'files')).toHaveLength(20);
+    });
+});
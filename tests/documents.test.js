@@ -0,0 +1,156 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { zipSync, strToU8 } from 'fflate';
+import { startTestServer, TEST_USER_ID, VALID_CANVAS_TOKEN, CANVAS_DOMAIN } from './helpers.js';
+import { fakePdf, fakeDocx, fakePptx } from './fakes/documents.js';
+import { DocumentService, DOCUMENT_CONFIG } from '../services/documents.js';
+import { countTokens } from '../services/tokens.js';
+import { JobWorker } from '../services/jobs.js';
+
+describe('DocumentService', () => {
+    it('extracts text page by page from each supported format', async () => {
+        expect(await DocumentService.extractPages(fakePdf(['First page', 'Second page']), 'pdf')).toEqual([
+            { page: 1, text: 'First page' },
+            { page: 2, text: 'Second page' }
+        ]);
+
+        expect(await DocumentService.extractPages(fakeDocx([['Intro', 'Tom & Jerry'], ['Appendix']]), 'docx')).toEqual([
+            { page: 1, text: 'Intro\nTom & Jerry' },
+            { page: 2, text: 'Appendix' }
+        ]);
+
+        // Slides follow presentation order, not file names
+        expect(await DocumentService.extractPages(fakePptx([['Title slide'], ['Agenda', 'Gradient descent']]), 'pptx')).toEqual([
+            { page: 1, text: 'Title slide' },
+            { page: 2, text: 'Agenda\nGradient descent' }
+        ]);
+
+        expect(await DocumentService.extractPages(Buffer.from('\uFEFFone\fTwo  words'), 'txt')).toEqual([
+            { page: 1, text: 'one' },
+            { page: 2, text: 'Two words' }
+        ]);
+    });
+
+    it('rejects files that are not what they claim to be', async () => {
+        await expect(DocumentService.extractPages(Buffer.from('not a zip'), 'docx')).rejects.toThrow('Not a valid DOCX file');
+        await expect(DocumentService.extractPages(Buffer.from('not a pdf'), 'pdf')).rejects.toThrow('Could not read PDF');
+    });
+
+    it('refuses archives that unpack beyond the limit', async () => {
+        const limit = DOCUMENT_CONFIG.MAX_UNZIPPED_BYTES;
+        DOCUMENT_CONFIG.MAX_UNZIPPED_BYTES = 64 * 1024;
+
+        try {
+            // Highly compressible slides: small on disk, well over the limit once inflated
+            const deck = fakePptx(Array.from({ length: 3 }, () => ['a'.repeat(30 * 1024)]));
+            expect(deck.length).toBeLessThan(DOCUMENT_CONFIG.MAX_UNZIPPED_BYTES);
+            await expect(DocumentService.extractPages(deck, 'pptx')).rejects.toThrow('PPTX file unpacks to more than');
+
+            // Parts the parser does not read do not count
+            const docx = Buffer.from(zipSync({
+                'word/document.xml': strToU8('<w:document><w:body><w:p><w:r><w:t>Notes</w:t></w:r></w:p></w:body></w:document>'),
+                'word/media/padding.bin': new Uint8Array(DOCUMENT_CONFIG.MAX_UNZIPPED_BYTES * 2)
+            }));
+            expect(await DocumentService.extractPages(docx, 'docx')).toEqual([{ page: 1, text: 'Notes' }]);
+        } finally {
+            DOCUMENT_CONFIG.MAX_UNZIPPED_BYTES = limit;
+        }
+    });
+
+    it('recognises formats by content type, then extension', () => {
+        expect(DocumentService.detectFormat({ 'content-type': 'application/pdf', display_name: 'notes' })).toBe('pdf');
+        expect(DocumentService.detectFormat({ filename: 'Week3.PPTX' })).toBe('pptx');
+        expect(DocumentService.detectFormat({ content_type: 'image/png', filename: 'diagram.png' })).toBeNull();
+    });
+
+    it('splits long pages into overlapping chunks that keep their page', () => {
+        const sentence = 'Gradient descent takes a step against the gradient. ';
+        const chunks = DocumentService.chunkPages([
+            { page: 1, text: 'Title' },
+            { page: 2, text: sentence.repeat(10).trim() }
+        ], { maxTokens: 40, overlapTokens: 12 });
+
+        expect(chunks.length).toBeGreaterThan(2);
+        expect(chunks.every(chunk => chunk.page === 2 && countTokens(chunk.text) <= 40)).toBe(true);
+        expect(chunks.map(chunk => chunk.index)).toEqual(chunks.map((chunk, index) => index));
+        // Each chunk starts inside the previous one
+        expect(chunks[0].text).toContain(chunks[1].text.slice(0, 20));
+    });
+});
+
+describe('file ingestion during Canvas sync', () => {
+    let server;
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    async function syncCanvas() {
+        const { job } = await (await server.request('POST', '/api/weaviate/sync/canvas', { body: {} })).json();
+        await JobWorker.drain();
+        return (await (await server.request('GET', `/api/jobs/${job.id}`)).json()).job;
+    }
+
+    it('downloads each file version once and keeps text of files it could not read', async () => {
+        server = await startTestServer();
+        await server.request('POST', '/auth', { body: { token: VALID_CANVAS_TOKEN, domain: CANVAS_DOMAIN } });
+
+        const slides = { id: 4002, display_name: 'Week 8 slides.pptx', filename: 'week8.pptx', size: 100, updated_at: '2026-10-12T10:00:00Z' };
+        server.canvas.data.files[101].push(slides, { id: 4003, display_name: 'Broken.docx', filename: 'broken.docx', size: 9 });
+        server.canvas.data.fileContents[4002] = fakePptx([['Stochastic gradient descent uses one sample per step.']]);
+        server.canvas.data.fileContents[4003] = Buffer.from('not a zip');
+
+        const first = await syncCanvas();
+        expect(first.result.documents).toMatchObject({ extracted: 2, failed: 1, chunks: 3 });
+        expect(first.result.documents.errors).toEqual([{ fileId: 4003, fileName: 'Broken.docx', message: expect.stringContaining('Not a valid DOCX file') }]);
+        expect(server.supabase.table('document_extracts').map(row => [row.file_id, row.error ? 'error' : row.pages.length]).sort()).toEqual([
+            [4001, 2], [4002, 1], [4003, 'error']
+        ]);
+
+        const downloads = () => server.canvas.calls.filter(call => call.name === 'download').length;
+        const before = downloads();
+
+        // Unchanged files (including the unreadable one) are not downloaded again
+        const second = await syncCanvas();
+        expect(downloads()).toBe(before);
+        expect(second.result.documents).toMatchObject({ extracted: 0, cached: 3, chunks: 3 });
+
+        // A changed file that cannot be downloaded keeps its last extracted text
+        slides.updated_at = '2026-10-13T10:00:00Z';
+        server.canvas.fail('download');
+        const third = await syncCanvas();
+        expect(third.result.documents).toMatchObject({ failed: 2, chunks: 3 });
+
+        const chunk = server.weaviate.objects('CanvasContent', { path: ['fileId'], operator: 'Equal', valueInt: 4002 })[0];
+        expect(chunk.properties).toMatchObject({ type: 'file_chunk', userId: TEST_USER_ID, pageNumber: 1, title: 'Week 8 slides.pptx' });
+    });
+
+    it('keeps syncing when the extract cache cannot be read or written', async () => {
+        server = await startTestServer();
+        await server.request('POST', '/auth', { body: { token: VALID_CANVAS_TOKEN, domain: CANVAS_DOMAIN } });
+        server.canvas.data.files[101].push({ id: 4003, display_name: 'Broken.docx', filename: 'broken.docx', size: 9 });
+        server.canvas.data.fileContents[4003] = Buffer.from('not a zip');
+        server.supabase.failTable('document_extracts', { message: 'Supabase is down' });
+
+        const job = await syncCanvas();
+        expect(job.status).toBe('succeeded');
+        expect(job.result.documents).toMatchObject({ extracted: 1, failed: 1, chunks: 2 });
+        expect(server.weaviate.objects('CanvasContent', { path: ['type'], operator: 'Equal', valueString: 'file_chunk' })).toHaveLength(2);
+
+        // Once the cache is back, the next sync fills it
+        server.supabase.failTable('document_extracts', null);
+        await syncCanvas();
+        expect(server.supabase.table('document_extracts')).toHaveLength(2);
+    });
+
+    it('serves files through the same authenticated download', async () => {
+        server = await startTestServer();
+        const auth = await server.request('POST', '/auth', { body: { token: VALID_CANVAS_TOKEN, domain: CANVAS_DOMAIN } });
+        const cookie = auth.headers.get('set-cookie').split(';')[0];
+
+        const response = await server.request('GET', '/api/files/serve/4001', { headers: { Cookie: cookie } });
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-disposition')).toBe('inline; filename="Lecture 7 - Optimization.pdf"');
+        expect(Buffer.from(await response.arrayBuffer()).subarray(0, 8).toString()).toBe('%PDF-1.4');
+    });
+});
@@ -0,0 +1,346 @@
+// =============================================
+// FAKE CANVAS LMS
+// =============================================
+//
+// An in-memory Canvas "instance" plus a client with the CanvasClient methods
+// the server calls. Install it with setCanvasClientFactory(canvas.factory).
+// startFileHost() serves fileContents over HTTP for authenticated downloads,
+// and the OAuth2 token endpoint for a developer key (see canvas.oauth).
+
+import http from 'http';
+import { once } from 'events';
+import { fakePdf } from './documents.js';
+
+export const VALID_CANVAS_TOKEN = 'canvas-test-token';
+export const CANVAS_DOMAIN = 'canvas.test';
+export const OAUTH_CLIENT_ID = 'test-developer-key';
+export const OAUTH_CLIENT_SECRET = 'test-developer-secret';
+// Canvas user the fake tokens belong to
+export const CANVAS_USER_ID = 501;
+
+/**
+ * Fresh default Canvas data: two courses with assignments, announcements and files
+ * @returns {Object} Fixtures
+ */
+export function defaultCanvasFixtures() {
+    return {
+        profile: { id: CANVAS_USER_ID, name: 'Test Student', primary_email: 'student@example.edu' },
+        courses: [
+            { id: 101, shortName: 'CMSC422', originalName: 'Machine Learning', courseCode: 'CMSC422', term: 'Fall 2026' },
+            { id: 102, shortName: 'HIST200', originalName: 'World History', courseCode: 'HIST200', term: 'Fall 2026' }
+        ],
+        assignments: {
+            101: [
+                { id: 1001, name: 'PS5 Gradient Descent', description: '<p>Implement gradient descent.</p>', due_at: '2026-10-23T23:59:00Z', points_possible: 100, submission_types: ['online_upload'], created_at: '2026-10-01T12:00:00Z' },
+                { id: 1002, name: 'Project Proposal', description: 'One page proposal.', due_at: '2026-10-30T23:59:00Z', points_possible: 50, submission_types: ['online_text_entry'], created_at: '2026-10-02T12:00:00Z' }
+            ],
+            102: [
+                { id: 2001, name: 'Essay on Trade Routes', description: 'Write 1500 words on Silk Road trade routes.', due_at: '2026-10-25T23:59:00Z', points_possible: 100, submission_types: ['online_upload'], created_at: '2026-10-03T12:00:00Z' }
+            ]
+        },
+        announcements: {
+            101: [
+                { id: 3001, title: 'Midterm moved', message: '<p>The midterm is now on November 4.</p>', posted_at: '2026-10-10T09:00:00Z', created_at: '2026-10-10T09:00:00Z', author: { display_name: 'Prof. Ada' } }
+            ],
+            102: []
+        },
+        files: {
+            101: [
+                { id: 4001, display_name: 'Lecture 7 - Optimization.pdf', filename: 'lecture7.pdf', content_type: 'application/pdf', size: 2048, url: 'https://canvas.test/files/4001/download', created_at: '2026-10-05T10:00:00Z', updated_at: '2026-10-05T10:00:00Z' }
+            ],
+            102: []
+        },
+        grades: {
+            101: [
+                { type: 'StudentEnrollment', user_id: 502, course_id: 101, enrollment_state: 'active', grades: { current_score: 74, current_grade: 'C', final_score: 70, final_grade: 'C-' } },
+                { type: 'StudentEnrollment', user_id: CANVAS_USER_ID, course_id: 101, enrollment_state: 'active', grades: { current_score: 93.5, current_grade: 'A', final_score: 90.1, final_grade: 'A-' } }
+            ],
+            102: [{ type: 'StudentEnrollment', user_id: CANVAS_USER_ID, course_id: 102, enrollment_state: 'active', grades: { current_score: 81, current_grade: 'B-', final_score: 80, final_grade: 'B-' } }]
+        },
+        submissions: {
+            '101:1001': { assignment_id: 1001, workflow_state: 'graded', score: 95, grade: '95', submitted_at: '2026-10-20T10:00:00Z', late: false, missing: false, excused: false, attempt: 1 }
+        },
+        modules: {
+            101: [{ id: 5001, name: 'Week 7: Optimization', state: 'unlocked', items: [{ title: 'Lecture 7', type: 'File' }] }]
+        },
+        syllabus: {
+            101: '<h1>CMSC422</h1><p>Grading: 40% problem sets, 60% exams.</p>'
+        },
+        pages: {
+            101: [{ page_id: 6001, url: 'course-policies', title: 'Course Policies', body: '<p>Late work loses 10% per day.</p>', updated_at: '2026-09-01T12:00:00Z' }]
+        },
+        quizzes: {
+            101: [{ id: 7001, title: 'Quiz 3: Convexity', description: '<p>Covers lectures 5-6.</p>', due_at: '2026-10-21T23:59:00Z', points_possible: 10 }]
+        },
+        discussions: {
+            101: [{ id: 8001, title: 'Week 7 questions', message: '<p>Ask about optimization here.</p>', posted_at: '2026-10-06T09:00:00Z' }]
+        },
+        calendarEvents: {
+            101: [{ id: 9001, title: 'Midterm review session', description: 'IRB 0318', start_at: '2026-11-02T18:00:00Z', end_at: '2026-11-02T20:00:00Z' }]
+        },
+        // Downloadable bytes by file ID
+        fileContents: {
+            4001: fakePdf([
+                'Lecture 7 covers gradient descent and step size selection.',
+                'Convergence requires a convex objective and a small enough learning rate.'
+            ])
+        }
+    };
+}
+
+function canvasError(status, message) {
+    const error = new Error(message);
+    error.response = { status, data: { errors: [{ message }] } };
+    return error;
+}
+
+export class FakeCanvasClient {
+
+    constructor(canvas, token, domain, options = {}) {
+        this.canvas = canvas;
+        this.token = token;
+        this.domain = domain;
+        this.onUnauthorized = options.onUnauthorized || null;
+
+        // Raw axios-style access used by the announcements fetch
+        this.client = {
+            get: (url, config = {}) => this.request('get', url, () => this.route(url, config.params || {}))
+        };
+    }
+
+    setAccessToken(token) {
+        this.token = token;
+    }
+
+    // Run a call as the current token, refreshing once on 401 like CanvasClient
+    async request(method, name, handler) {
+        this.canvas.calls.push({ method, name, token: this.token });
+
+        if (this.canvas.failures.has(name)) {
+            throw this.canvas.failures.get(name);
+        }
+
+        if (!this.canvas.validTokens.has(this.token)) {
+            if (!this.onUnauthorized) {
+                throw canvasError(401, 'Invalid access token.');
+            }
+            const newToken = await this.onUnauthorized();
+            if (!newToken || !this.canvas.validTokens.has(newToken)) {
+                throw canvasError(401, 'Invalid access token.');
+            }
+            this.token = newToken;
+        }
+
+        return structuredClone(await handler());
+    }
+
+    route(url, params) {
+        const match = url.match(/^\/courses\/(\d+)\/discussion_topics$/);
+        if (match && params.only_announcements) {
+            return { data: this.canvas.data.announcements[match[1]] || [] };
+        }
+        const pages = url.match(/^\/courses\/(\d+)\/pages$/);
+        if (pages) {
+            return { data: this.canvas.data.pages?.[pages[1]] || [] };
+        }
+        if (url === '/calendar_events') {
+            const courseIds = (params.context_codes || []).map(code => code.replace(/^course_/, ''));
+            return { data: courseIds.flatMap(courseId => this.canvas.data.calendarEvents?.[courseId] || []) };
+        }
+        throw canvasError(404, `No fake route for ${url}`);
+    }
+
+    async healthCheck() {
+        try {
+            const user = await this.getUserProfile();
+            return { status: 'ok', timestamp: new Date().toISOString(), user };
+        } catch {
+            return { status: 'error', timestamp: new Date().toISOString() };
+        }
+    }
+
+    getUserProfile() {
+        return this.request('get', 'getUserProfile', () => this.canvas.data.profile);
+    }
+
+    getDashboardCards() {
+        return this.request('get', 'getDashboardCards', () => this.canvas.data.courses);
+    }
+
+    listCourses() {
+        return this.request('get', 'listCourses', () => this.canvas.data.courses.map(course => ({
+            id: course.id,
+            name: course.originalName,
+            course_code: course.courseCode
+        })));
+    }
+
+    listAssignments(courseId) {
+        return this.request('get', 'listAssignments', () => this.canvas.data.assignments[courseId] || []);
+    }
+
+    listAnnouncements(courseId) {
+        return this.request('get', 'listAnnouncements', () => this.canvas.data.announcements[courseId] || []);
+    }
+
+    listFiles(courseId) {
+        return this.request('get', 'listFiles', () => this.canvas.data.files[courseId] || []);
+    }
+
+    getFile(fileId) {
+        return this.request('get', 'getFile', () => {
+            const file = Object.values(this.canvas.data.files).flat().find(item => item.id === Number(fileId));
+            if (!file) throw canvasError(404, 'The specified resource does not exist.');
+            return this.canvas.fileHostUrl ? { ...file, url: `${this.canvas.fileHostUrl}/files/${file.id}/download` } : file;
+        });
+    }
+
+    getUpcomingAssignments(limit = 10) {
+        return this.request('get', 'getUpcomingAssignments', () => Object.entries(this.canvas.data.assignments)
+            .flatMap(([courseId, assignments]) => assignments.map(assignment => ({
+                title: assignment.name,
+                assignment: { ...assignment, course_id: Number(courseId) }
+            })))
+            .slice(0, limit));
+    }
+
+    getSubmission(courseId, assignmentId) {
+        return this.request('get', 'getSubmission', () => {
+            const submission = this.canvas.data.submissions[`${courseId}:${assignmentId}`];
+            if (!submission) throw canvasError(404, 'The specified resource does not exist.');
+            return submission;
+        });
+    }
+
+    // Like Canvas, the whole roster unless asked for user_id=self
+    getCourseGrades(courseId, options = {}) {
+        return this.request('get', 'getCourseGrades', () => (this.canvas.data.grades[courseId] || [])
+            .filter(enrollment => options.userId !== 'self' || enrollment.user_id === CANVAS_USER_ID));
+    }
+
+    listPages(courseId) {
+        return this.request('get', 'listPages', () => this.canvas.data.pages?.[courseId] || []);
+    }
+
+    listQuizzes(courseId) {
+        return this.request('get', 'listQuizzes', () => this.canvas.data.quizzes?.[courseId] || []);
+    }
+
+    listDiscussionTopics(courseId) {
+        return this.request('get', 'listDiscussionTopics', () => this.canvas.data.discussions?.[courseId] || []);
+    }
+
+    listModules(courseId) {
+        return this.request('get', 'listModules', () => this.canvas.data.modules[courseId] || []);
+    }
+
+    getSyllabus(courseId) {
+        return this.request('get', 'getSyllabus', () => ({
+            course_id: courseId,
+            syllabus_body: this.canvas.data.syllabus[courseId] || null
+        }));
+    }
+}
+
+/**
+ * Create a fake Canvas instance
+ * @param {Object} fixtures - Canvas data (defaults to defaultCanvasFixtures())
+ * @returns {Object} { data, calls, validTokens, failures, oauth, factory, fail(name, error), issueOAuthCode(), startFileHost() }
+ */
+export function createFakeCanvas(fixtures = defaultCanvasFixtures()) {
+    const canvas = {
+        data: fixtures,
+        calls: [],
+        validTokens: new Set([VALID_CANVAS_TOKEN]),
+        failures: new Map(),
+        clients: [],
+        // Authorization codes and refresh tokens the token endpoint accepts, and every grant it was sent
+        oauth: { codes: new Set(), refreshTokens: new Set(), requests: [], issued: 0 }
+    };
+
+    canvas.factory = (token, domain, options) => {
+        const client = new FakeCanvasClient(canvas, token, domain, options);
+        canvas.clients.push(client);
+        return client;
+    };
+
+    // Make one client method fail (by name) until cleared with null
+    canvas.fail = (name, error = canvasError(500, 'Canvas is down')) => {
+        if (error) {
+            canvas.failures.set(name, error);
+        } else {
+            canvas.failures.delete(name);
+        }
+    };
+
+    // An authorization code, as Canvas would return to the redirect URI once the student approves
+    canvas.issueOAuthCode = () => {
+        const code = `oauth-code-${++canvas.oauth.issued}`;
+        canvas.oauth.codes.add(code);
+        return code;
+    };
+
+    // POST /login/oauth2/token: exchange a code or a refresh token for a new access token
+    const grantToken = grant => {
+        canvas.oauth.requests.push(grant);
+
+        if (grant.client_id !== OAUTH_CLIENT_ID || grant.client_secret !== OAUTH_CLIENT_SECRET) {
+            return [401, { error: 'invalid_client' }];
+        }
+
+        const fresh = grant.grant_type === 'authorization_code' ? canvas.oauth.codes.delete(grant.code)
+            : grant.grant_type === 'refresh_token' ? canvas.oauth.refreshTokens.has(grant.refresh_token)
+                : false;
+        if (!fresh) {
+            return [400, { error: 'invalid_grant' }];
+        }
+
+        const accessToken = `oauth-access-${++canvas.oauth.issued}`;
+        canvas.validTokens.add(accessToken);
+
+        const body = { access_token: accessToken, token_type: 'Bearer', expires_in: 3600, user: { id: CANVAS_USER_ID, name: 'Test Student' } };
+        if (grant.grant_type === 'authorization_code') {
+            body.refresh_token = `oauth-refresh-${canvas.oauth.issued}`;
+            canvas.oauth.refreshTokens.add(body.refresh_token);
+        }
+        return [200, body];
+    };
+
+    // Serve fileContents at /files/:id/download to valid tokens, and the OAuth2 token endpoint; resolves to a close function
+    canvas.startFileHost = async () => {
+        const server = http.createServer(async (req, res) => {
+            if (req.method === 'POST' && req.url === '/login/oauth2/token') {
+                let body = '';
+                for await (const chunk of req) body += chunk;
+
+                const [status, payload] = grantToken(Object.fromEntries(new URLSearchParams(body)));
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify(payload));
+            }
+
+            canvas.calls.push({ method: 'get', name: 'download', token: (req.headers.authorization || '').replace(/^Bearer /, '') });
+
+            const match = req.url.match(/^\/files\/(\d+)\/download$/);
+            const contents = match && canvas.data.fileContents?.[match[1]];
+            const status = !canvas.validTokens.has(canvas.calls[canvas.calls.length - 1].token) ? 401
+                : canvas.failures.has('download') ? 500
+                    : contents ? 200 : 404;
+
+            res.writeHead(status);
+            res.end(status === 200 ? contents : undefined);
+        });
+
+        server.listen(0);
+        await once(server, 'listening');
+        canvas.fileHostUrl = `http://127.0.0.1:${server.address().port}`;
+
+        return async () => {
+            server.closeAllConnections();
+            server.close();
+            await once(server, 'close');
+            canvas.fileHostUrl = null;
+        };
+    };
+
+    return canvas;
+}
@@ -0,0 +1,84 @@
+// =============================================
+// FAKE DOCUMENTS
+// =============================================
+//
+// Builds minimal but valid PDF, DOCX and PPTX files in memory, one text run
+// per page (or slide), for exercising the document extractors.
+
+import { zipSync, strToU8 } from 'fflate';
+
+/**
+ * A PDF with one line of Helvetica text per page
+ * @param {Array<string>} pages - Page texts (ASCII, no parentheses)
+ * @returns {Buffer} PDF bytes
+ */
+export function fakePdf(pages) {
+    const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+    const kids = [];
+
+    for (const text of pages) {
+        const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        const contents = objects.length;
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${contents} 0 R >>`);
+        kids.push(`${objects.length} 0 R`);
+    }
+    objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+const escapeXml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * A Word document with page breaks between pages
+ * @param {Array<Array<string>>} pages - Paragraphs per page
+ * @returns {Buffer} DOCX bytes
+ */
+export function fakeDocx(pages) {
+    const paragraph = text => `<w:p><w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+    const body = pages
+        .map(paragraphs => paragraphs.map(paragraph).join(''))
+        .join('<w:p><w:r><w:br w:type="page"/></w:r></w:p>');
+
+    return Buffer.from(zipSync({
+        '[Content_Types].xml': strToU8('<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>'),
+        'word/document.xml': strToU8(`<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`)
+    }));
+}
+
+/**
+ * A PowerPoint deck; slides are listed in the given order, numbered in reverse
+ * so readers must follow presentation.xml rather than file names
+ * @param {Array<Array<string>>} slides - Paragraphs per slide
+ * @returns {Buffer} PPTX bytes
+ */
+export function fakePptx(slides) {
+    const files = {};
+    const ids = [];
+    const rels = [];
+
+    slides.forEach((paragraphs, index) => {
+        const number = slides.length - index;
+        const text = paragraphs.map(line => `<a:p><a:r><a:t>${escapeXml(line)}</a:t></a:r></a:p>`).join('');
+        files[`ppt/slides/slide${number}.xml`] = strToU8(`<?xml version="1.0"?><p:sld xmlns:a="a" xmlns:p="p"><p:cSld><p:spTree><p:sp><p:txBody>${text}</p:txBody></p:sp></p:spTree></p:cSld></p:sld>`);
+        ids.push(`<p:sldId id="${256 + index}" r:id="rId${index + 2}"/>`);
+        rels.push(`<Relationship Id="rId${index + 2}" Type="slide" Target="slides/slide${number}.xml"/>`);
+    });
+
+    files['ppt/presentation.xml'] = strToU8(`<?xml version="1.0"?><p:presentation xmlns:p="p" xmlns:r="r"><p:sldIdLst>${ids.join('')}</p:sldIdLst></p:presentation>`);
+    files['ppt/_rels/presentation.xml.rels'] = strToU8(`<?xml version="1.0"?><Relationships>${rels.join('')}</Relationships>`);
+
+    return Buffer.from(zipSync(files));
+}
@@ -0,0 +1,469 @@
+// =============================================
+// IN-MEMORY SUPABASE CLIENT
+// =============================================
+//
+// Implements the slice of the supabase-js query builder the services use:
+// select (with embedded relations), insert, update, upsert, delete, the
+// common filters, order/limit/range, single/maybeSingle, and storage buckets.
+
+import crypto from 'crypto';
+
+// Partial unique indexes from supabase-schema.sql: rows matching where() may not share columns
+const DEFAULT_UNIQUE_INDEXES = {
+    jobs: [{
+        columns: ['user_id', 'type', 'dedupe_key'],
+        where: row => row.dedupe_key != null && ['queued', 'running'].includes(row.status)
+    }]
+};
+
+// Foreign-key relations from supabase-schema.sql, for embedded selects like messages(...)
+const DEFAULT_RELATIONS = {
+    conversations: {
+        messages: { table: 'messages', localKey: 'id', foreignKey: 'conversation_id', many: true }
+    },
+    messages: {
+        conversations: { table: 'conversations', localKey: 'conversation_id', foreignKey: 'id', many: false }
+    },
+    recordings: {
+        users: { table: 'users', localKey: 'user_id', foreignKey: 'id', many: false }
+    }
+};
+
+function clone(value) {
+    return value === undefined ? undefined : structuredClone(value);
+}
+
+function compare(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    return a < b ? -1 : 1;
+}
+
+function likeToRegExp(pattern, flags) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+    return new RegExp(`^${escaped}$`, flags);
+}
+
+// Split a select string on top-level commas: "*, messages(id, content)"
+function parseSelect(columns) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of (columns || '*').replace(/\s+/g, ' ')) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) parts.push(current.trim());
+
+    return parts.map(part => {
+        const match = part.match(/^(\w+)(!inner)?\s*\((.*)\)$/);
+        return match
+            ? { relation: match[1], inner: Boolean(match[2]), columns: match[3] }
+            : { column: part };
+    });
+}
+
+// filter()/not() take PostgREST syntax: in lists are written "(a,b,c)"
+function filterValue(operator, value) {
+    if (operator === 'in' && typeof value === 'string') {
+        return value.replace(/^\(|\)$/g, '').split(',').map(item => item.trim().replace(/^"|"$/g, '')).filter(Boolean);
+    }
+    return value;
+}
+
+const OPERATORS = {
+    eq: (value, expected) => value === expected || (value != null && expected != null && String(value) === String(expected)),
+    neq: (value, expected) => !OPERATORS.eq(value, expected),
+    gt: (value, expected) => value != null && value > expected,
+    gte: (value, expected) => value != null && value >= expected,
+    lt: (value, expected) => value != null && value < expected,
+    lte: (value, expected) => value != null && value <= expected,
+    in: (value, expected) => expected.some(item => OPERATORS.eq(value, item)),
+    is: (value, expected) => (expected === null ? value == null : value === expected),
+    like: (value, expected) => typeof value === 'string' && likeToRegExp(expected).test(value),
+    ilike: (value, expected) => typeof value === 'string' && likeToRegExp(expected, 'i').test(value),
+    contains: (value, expected) => Array.isArray(value) && expected.every(item => value.includes(item))
+};
+
+// =============================================
+// QUERY BUILDER
+// =============================================
+
+class FakeQueryBuilder {
+
+    constructor(database, table) {
+        this.database = database;
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.payload = null;
+        this.options = {};
+        this.filters = [];
+        this.orders = [];
+        this.limitCount = null;
+        this.rangeFrom = null;
+        this.rangeTo = null;
+        this.cardinality = 'many';
+        this.returnRows = false;
+    }
+
+    select(columns = '*', options = {}) {
+        if (this.action === 'select') {
+            this.options = options;
+        } else {
+            this.returnRows = true;
+        }
+        this.columns = columns;
+        return this;
+    }
+
+    insert(rows, options = {}) {
+        this.action = 'insert';
+        this.payload = rows;
+        this.options = options;
+        return this;
+    }
+
+    update(values) {
+        this.action = 'update';
+        this.payload = values;
+        return this;
+    }
+
+    upsert(rows, options = {}) {
+        this.action = 'upsert';
+        this.payload = rows;
+        this.options = options;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    filter(column, operator, value) {
+        const expected = filterValue(operator, value);
+        this.filters.push({ column, test: row => OPERATORS[operator](row, expected) });
+        return this;
+    }
+
+    not(column, operator, value) {
+        const expected = filterValue(operator, value);
+        this.filters.push({ column, test: row => !OPERATORS[operator](row, expected) });
+        return this;
+    }
+
+    match(values) {
+        for (const [column, value] of Object.entries(values)) {
+            this.eq(column, value);
+        }
+        return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.orders.push({ column, ascending });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    range(from, to) {
+        this.rangeFrom = from;
+        this.rangeTo = to;
+        return this;
+    }
+
+    single() {
+        this.cardinality = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.cardinality = 'maybeSingle';
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+    }
+
+    execute() {
+        if (this.database.failures.has(this.table)) {
+            return { data: null, error: this.database.failures.get(this.table) };
+        }
+
+        try {
+            switch (this.action) {
+                case 'insert': return this.finish(this.database.insertRows(this.table, this.payload));
+                case 'upsert': return this.finish(this.database.upsertRows(this.table, this.payload, this.options));
+                case 'update': return this.finish(this.database.updateRows(this.table, this.matchingRows(), this.payload));
+                case 'delete': return this.finish(this.database.deleteRows(this.table, this.matchingRows()));
+                default: return this.finishSelect();
+            }
+        } catch (error) {
+            return { data: null, error };
+        }
+    }
+
+    // Rows of this table passing every filter, with embedded relations resolved
+    matchingRows() {
+        const selection = parseSelect(this.columns);
+        const relations = selection.filter(part => part.relation);
+
+        return this.database.table(this.table)
+            .map(row => ({ row, view: this.embed(row, relations) }))
+            .filter(({ view }) => view !== null && this.filters.every(filter => this.applyFilter(view, filter)));
+    }
+
+    embed(row, relations) {
+        const view = { ...row };
+
+        for (const { relation, inner } of relations) {
+            const link = this.database.relations[this.table]?.[relation];
+            if (!link) continue;
+
+            const related = this.database.table(link.table).filter(other => OPERATORS.eq(other[link.foreignKey], row[link.localKey]));
+            if (link.many) {
+                view[relation] = related.map(clone);
+            } else {
+                view[relation] = related[0] ? clone(related[0]) : null;
+                if (inner && !related[0]) return null;
+            }
+        }
+
+        return view;
+    }
+
+    applyFilter(view, filter) {
+        const [head, tail] = filter.column.split('.');
+        if (!tail) {
+            return filter.test(view[head]);
+        }
+
+        // Filters on embedded relations: narrow arrays, drop rows whose single relation fails
+        const embedded = view[head];
+        if (Array.isArray(embedded)) {
+            view[head] = embedded.filter(item => filter.test(item[tail]));
+            return true;
+        }
+        return embedded ? filter.test(embedded[tail]) : false;
+    }
+
+    finishSelect() {
+        let entries = this.matchingRows();
+        const total = entries.length;
+
+        for (const { column, ascending } of [...this.orders].reverse()) {
+            entries = [...entries].sort((a, b) => (ascending ? 1 : -1) * compare(a.view[column], b.view[column]));
+        }
+
+        if (this.rangeFrom !== null) {
+            entries = entries.slice(this.rangeFrom, this.rangeTo + 1);
+        }
+        if (this.limitCount !== null) {
+            entries = entries.slice(0, this.limitCount);
+        }
+
+        const data = this.options.head ? null : entries.map(({ view }) => this.project(view));
+        const result = this.shape(data);
+        return this.options.count ? { ...result, count: total } : result;
+    }
+
+    finish(rows) {
+        if (!this.returnRows && this.cardinality === 'many') {
+            return { data: null, error: null };
+        }
+        return this.shape(rows.map(row => this.project(clone(row))));
+    }
+
+    project(view) {
+        const selection = parseSelect(this.columns);
+        if (selection.some(part => part.column === '*')) {
+            return clone(view);
+        }
+
+        const projected = {};
+        for (const part of selection) {
+            const name = part.column || part.relation;
+            projected[name] = clone(view[name]);
+        }
+        return projected;
+    }
+
+    shape(rows) {
+        if (this.cardinality === 'many') {
+            return { data: rows, error: null };
+        }
+        if (rows.length === 1) {
+            return { data: rows[0], error: null };
+        }
+        if (rows.length === 0 && this.cardinality === 'maybeSingle') {
+            return { data: null, error: null };
+        }
+        return {
+            data: null,
+            error: { code: 'PGRST116', message: `JSON object requested, multiple (or no) rows returned (${rows.length} rows)` }
+        };
+    }
+}
+
+for (const operator of Object.keys(OPERATORS)) {
+    FakeQueryBuilder.prototype[operator] = function (column, value) {
+        return this.filter(column, operator, value);
+    };
+}
+
+// =============================================
+// STORAGE
+// =============================================
+
+class FakeStorageBucket {
+
+    constructor(files, bucket) {
+        this.files = files;
+        this.bucket = bucket;
+    }
+
+    async upload(filePath, body, options = {}) {
+        const key = `${this.bucket}/${filePath}`;
+        if (this.files.has(key) && !options.upsert) {
+            return { data: null, error: { statusCode: '409', message: 'The resource already exists' } };
+        }
+        this.files.set(key, { body, contentType: options.contentType || null });
+        return { data: { path: filePath, fullPath: key }, error: null };
+    }
+
+    async download(filePath) {
+        const file = this.files.get(`${this.bucket}/${filePath}`);
+        return file ? { data: file.body, error: null } : { data: null, error: { statusCode: '404', message: 'Object not found' } };
+    }
+
+    getPublicUrl(filePath) {
+        return { data: { publicUrl: `https://storage.test/${this.bucket}/${filePath}` } };
+    }
+
+    async createSignedUrl(filePath, expiresIn) {
+        return { data: { signedUrl: `https://storage.test/${this.bucket}/${filePath}?expires=${expiresIn}` }, error: null };
+    }
+
+    async remove(paths) {
+        const removed = paths.filter(filePath => this.files.delete(`${this.bucket}/${filePath}`));
+        return { data: removed.map(name => ({ name })), error: null };
+    }
+}
+
+// =============================================
+// CLIENT
+// =============================================
+
+export class FakeSupabaseClient {
+
+    /**
+     * @param {Object} options - { tables: { name: [rows] }, relations, uniqueKeys: { table: [columns] }, uniqueIndexes: { table: [{ columns, where }] } }
+     */
+    constructor(options = {}) {
+        this.tables = new Map(Object.entries(clone(options.tables || {})));
+        this.relations = options.relations || DEFAULT_RELATIONS;
+        this.uniqueKeys = options.uniqueKeys || {};
+        this.uniqueIndexes = options.uniqueIndexes || DEFAULT_UNIQUE_INDEXES;
+        this.failures = new Map();
+        this.files = new Map();
+        this.storage = { from: bucket => new FakeStorageBucket(this.files, bucket) };
+    }
+
+    from(table) {
+        return new FakeQueryBuilder(this, table);
+    }
+
+    // Rows of a table (live array)
+    table(name) {
+        if (!this.tables.has(name)) {
+            this.tables.set(name, []);
+        }
+        return this.tables.get(name);
+    }
+
+    // Make every query on a table fail with this error until cleared with null
+    failTable(name, error) {
+        if (error) {
+            this.failures.set(name, error);
+        } else {
+            this.failures.delete(name);
+        }
+    }
+
+    conflictColumns(table, options = {}) {
+        if (options.onConflict) {
+            return options.onConflict.split(',').map(column => column.trim());
+        }
+        return this.uniqueKeys[table] || ['id'];
+    }
+
+    findConflict(table, row, columns) {
+        if (columns.some(column => row[column] === undefined)) return null;
+        return this.table(table).find(existing => columns.every(column => OPERATORS.eq(existing[column], row[column]))) || null;
+    }
+
+    violatesIndex(table, row) {
+        return (this.uniqueIndexes[table] || []).some(({ columns, where }) => where(row)
+            && this.table(table).some(existing => where(existing) && columns.every(column => OPERATORS.eq(existing[column], row[column]))));
+    }
+
+    withDefaults(row) {
+        const now = new Date().toISOString();
+        return { id: crypto.randomUUID(), created_at: now, updated_at: now, ...clone(row) };
+    }
+
+    insertRows(table, payload) {
+        const rows = (Array.isArray(payload) ? payload : [payload]).map(row => this.withDefaults(row));
+        const columns = this.conflictColumns(table);
+
+        for (const row of rows) {
+            if (this.findConflict(table, row, columns) || this.violatesIndex(table, row)) {
+                throw { code: '23505', message: `duplicate key value violates unique constraint on ${table}` };
+            }
+            this.table(table).push(row);
+        }
+        return rows;
+    }
+
+    upsertRows(table, payload, options) {
+        const columns = this.conflictColumns(table, options);
+
+        return (Array.isArray(payload) ? payload : [payload]).map(row => {
+            const existing = this.findConflict(table, row, columns);
+            if (existing) {
+                Object.assign(existing, clone(row));
+                return existing;
+            }
+            const created = this.withDefaults(row);
+            this.table(table).push(created);
+            return created;
+        });
+    }
+
+    updateRows(table, entries, values) {
+        return entries.map(({ row }) => Object.assign(row, clone(values)));
+    }
+
+    deleteRows(table, entries) {
+        const doomed = new Set(entries.map(({ row }) => row));
+        const rows = this.table(table);
+        this.tables.set(table, rows.filter(row => !doomed.has(row)));
+        return [...doomed];
+    }
+}
+
+export default FakeSupabaseClient;
@@ -0,0 +1,354 @@
+// =============================================
+// IN-MEMORY WEAVIATE CLIENT
+// =============================================
+//
+// Mirrors the weaviate-ts-client builder API (withX(...).do()) over an
+// in-memory object store. Text and hybrid search are approximated with term
+// overlap, which is deterministic and good enough to assert on retrieval;
+// nearVector ranks by cosine similarity to the stored vectors.
+
+import crypto from 'crypto';
+
+function clone(value) {
+    return structuredClone(value);
+}
+
+function tokenize(text) {
+    return String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+// Lexical similarity between a query and an object's text properties, in [0, 1]
+function overlapScore(query, properties) {
+    const queryTerms = new Set(tokenize(query));
+    if (queryTerms.size === 0) return 0;
+
+    const objectTerms = new Set(Object.values(properties)
+        .filter(value => typeof value === 'string')
+        .flatMap(tokenize));
+
+    let hits = 0;
+    for (const term of queryTerms) {
+        if (objectTerms.has(term)) hits++;
+    }
+    return hits / queryTerms.size;
+}
+
+function cosineSimilarity(left, right) {
+    if (!left || !right || left.length !== right.length) return 0;
+
+    let dot = 0;
+    let leftNorm = 0;
+    let rightNorm = 0;
+    for (let i = 0; i < left.length; i++) {
+        dot += left[i] * right[i];
+        leftNorm += left[i] * left[i];
+        rightNorm += right[i] * right[i];
+    }
+    return leftNorm && rightNorm ? dot / Math.sqrt(leftNorm * rightNorm) : 0;
+}
+
+function whereValue(filter) {
+    const key = Object.keys(filter).find(name => name.startsWith('value'));
+    const value = filter[key];
+    return key === 'valueDate' ? Date.parse(value) : value;
+}
+
+function propertyValue(properties, filter) {
+    const value = properties[filter.path[filter.path.length - 1]];
+    if (filter.valueDate !== undefined) {
+        return value instanceof Date ? value.getTime() : Date.parse(value);
+    }
+    return value;
+}
+
+/**
+ * Evaluate a Weaviate where filter against object properties
+ * @param {Object} properties - Object properties
+ * @param {Object} filter - Where filter (operator, path, value*, operands)
+ * @returns {boolean} Whether the object matches
+ */
+export function matchesWhere(properties, filter) {
+    if (!filter) return true;
+
+    switch (filter.operator) {
+        case 'And': return filter.operands.every(operand => matchesWhere(properties, operand));
+        case 'Or': return filter.operands.some(operand => matchesWhere(properties, operand));
+        case 'Not': return !matchesWhere(properties, filter.operands[0]);
+    }
+
+    const actual = propertyValue(properties, filter);
+    const expected = whereValue(filter);
+
+    switch (filter.operator) {
+        case 'Equal': return actual === expected;
+        case 'NotEqual': return actual !== expected;
+        case 'GreaterThan': return actual != null && actual > expected;
+        case 'GreaterThanEqual': return actual != null && actual >= expected;
+        case 'LessThan': return actual != null && actual < expected;
+        case 'LessThanEqual': return actual != null && actual <= expected;
+        case 'Like': return typeof actual === 'string'
+            && new RegExp(`^${String(expected).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i').test(actual);
+        case 'ContainsAny': return [].concat(actual ?? []).some(item => expected.includes(item));
+        case 'ContainsAll': return expected.every(item => [].concat(actual ?? []).includes(item));
+        case 'IsNull': return (actual == null) === expected;
+        default: throw new Error(`Unsupported where operator: ${filter.operator}`);
+    }
+}
+
+// Where filters can target the object UUID with path ['id']
+function filterable(object) {
+    return { ...object.properties, id: object.id };
+}
+
+// Top-level field names of a GraphQL selection: "title content _additional { id distance }"
+function parseFields(fields) {
+    const names = [];
+    const additional = [];
+    const text = Array.isArray(fields) ? fields.join(' ') : String(fields || '');
+    const additionalMatch = text.match(/_additional\s*\{([^}]*)\}/);
+
+    if (additionalMatch) {
+        additional.push(...additionalMatch[1].trim().split(/\s+/).filter(Boolean));
+    }
+    names.push(...text.replace(/_additional\s*\{[^}]*\}/, '').trim().split(/[\s,]+/).filter(Boolean));
+
+    return { names, additional };
+}
+
+// Chainable builder: withX(value) records X, do() runs the operation
+function builder(run, collect = []) {
+    const state = {};
+    const proxy = new Proxy({}, {
+        get(target, property) {
+            if (property === 'do') {
+                return async () => run(state);
+            }
+            if (property === 'then') {
+                return undefined;
+            }
+            if (typeof property === 'string' && property.startsWith('with')) {
+                const key = property.slice(4, 5).toLowerCase() + property.slice(5);
+                return (...values) => {
+                    if (collect.includes(key)) {
+                        (state[key] ||= []).push(...values);
+                    } else {
+                        state[key] = values[0];
+                    }
+                    return proxy;
+                };
+            }
+            return undefined;
+        }
+    });
+    return proxy;
+}
+
+export class FakeWeaviateClient {
+
+    constructor() {
+        // className -> Map(id -> { id, class, properties })
+        this.classes = new Map();
+        this.schemaClasses = [];
+        this.failing = null;
+        this.rejecting = null;
+        // IDs of every object a Get query returned, in order
+        this.reads = [];
+
+        this.misc = {
+            liveChecker: () => builder(() => this.guard(true)),
+            readyChecker: () => builder(() => this.guard(true))
+        };
+
+        this.schema = {
+            getter: () => builder(() => this.guard({ classes: clone(this.schemaClasses) })),
+            classCreator: () => builder(({ class: schemaClass }) => {
+                this.guard();
+                this.schemaClasses.push(clone(schemaClass));
+                return clone(schemaClass);
+            }),
+            propertyCreator: () => builder(({ className, property }) => {
+                this.guard();
+                const schemaClass = this.schemaClasses.find(item => item.class === className);
+                schemaClass.properties = [...(schemaClass.properties || []), clone(property)];
+                return clone(property);
+            }),
+            classDeleter: () => builder(({ className }) => {
+                this.guard();
+                this.schemaClasses = this.schemaClasses.filter(item => item.class !== className);
+                this.classes.delete(className);
+            })
+        };
+
+        this.data = {
+            creator: () => builder(({ className, properties, id, vector }) => {
+                this.guard();
+                return this.put(className, properties, id, vector);
+            }),
+            getterById: () => builder(({ className, id }) => {
+                this.guard();
+                const object = this.store(className).get(id);
+                if (!object) throw new Error(`usage error (404): object ${id} not found`);
+                return clone(object);
+            }),
+            getter: () => builder(({ className, limit }) => this.guard({
+                objects: [...this.store(className).values()].slice(0, limit || 25).map(clone)
+            })),
+            updater: () => builder(({ className, id, properties }) => {
+                this.guard();
+                return this.put(className, properties, id);
+            }),
+            merger: () => builder(({ className, id, properties }) => {
+                this.guard();
+                const existing = this.store(className).get(id);
+                return this.put(className, { ...(existing?.properties || {}), ...properties }, id);
+            }),
+            deleter: () => builder(({ className, id }) => {
+                this.guard();
+                this.store(className).delete(id);
+            })
+        };
+
+        this.batch = {
+            objectsBatcher: () => builder(({ object = [], objects = [] }) => {
+                this.guard();
+                return [...object, ...objects].map(item => this.rejecting?.(item)
+                    ? { ...clone(item), result: { errors: { error: [{ message: 'object rejected' }] } } }
+                    : { ...this.put(item.class, item.properties, item.id, item.vector), result: {} });
+            }, ['object', 'objects']),
+            objectsBatchDeleter: () => builder(({ className, where }) => {
+                this.guard();
+                const store = this.store(className);
+                let matches = 0;
+                for (const [id, object] of store) {
+                    if (matchesWhere(filterable(object), where)) {
+                        store.delete(id);
+                        matches++;
+                    }
+                }
+                return { results: { matches, successful: matches, failed: 0 } };
+            })
+        };
+
+        this.graphql = {
+            get: () => builder(state => this.guard(this.runGet(state))),
+            aggregate: () => builder(({ className, where }) => this.guard({
+                data: {
+                    Aggregate: {
+                        [className]: [{ meta: { count: this.objects(className, where).length } }]
+                    }
+                }
+            }))
+        };
+    }
+
+    // Make every call fail with this error until cleared with null
+    fail(error) {
+        this.failing = error;
+    }
+
+    // Reject batched objects matching test(object) until cleared with null
+    rejectObjects(test) {
+        this.rejecting = test;
+    }
+
+    guard(value) {
+        if (this.failing) throw this.failing;
+        return value;
+    }
+
+    store(className) {
+        if (!this.classes.has(className)) {
+            this.classes.set(className, new Map());
+        }
+        return this.classes.get(className);
+    }
+
+    put(className, properties, id = null, vector = null) {
+        const object = {
+            id: id || crypto.randomUUID(),
+            class: className,
+            properties: clone(properties || {}),
+            ...(vector && { vector: [...vector] })
+        };
+        this.store(className).set(object.id, object);
+        return clone(object);
+    }
+
+    /**
+     * Objects of a class matching a where filter (test inspection helper)
+     * @param {string} className - Weaviate class
+     * @param {Object} where - Where filter (optional)
+     * @returns {Array} Matching objects
+     */
+    objects(className, where = null) {
+        return [...this.store(className).values()]
+            .filter(object => matchesWhere(filterable(object), where))
+            .map(clone);
+    }
+
+    runGet({ className, fields, where, limit, offset, after, nearText, nearVector, bm25, hybrid, sort }) {
+        const query = nearText?.concepts?.join(' ') ?? bm25?.query ?? hybrid?.query ?? null;
+        const { names, additional } = parseFields(fields);
+        const ranked = query !== null || Boolean(nearVector);
+        // Plain listings are in UUID order, which the cursor (after) pages through
+        const listing = !ranked && !where && !sort;
+
+        if (after !== undefined && (!listing || offset)) {
+            throw new Error('invalid \'after\' parameter: it cannot be combined with where, search, sort or offset');
+        }
+
+        let results = this.objects(className, where).map(object => {
+            const score = nearVector ? Math.max(cosineSimilarity(nearVector.vector, object.vector), 0)
+                : query === null ? 1 : overlapScore(query, object.properties);
+            return { object, score };
+        });
+
+        // Keyword-only searches return keyword matches only
+        if (bm25 || hybrid?.alpha === 0) {
+            results = results.filter(result => result.score > 0);
+        }
+        if (ranked) {
+            // Stable ordering: best score first, then insertion order
+            results = results.map((result, position) => ({ ...result, position }))
+                .sort((a, b) => b.score - a.score || a.position - b.position);
+        }
+        if (sort) {
+            for (const { path, order } of [].concat(sort).reverse()) {
+                const key = path[path.length - 1];
+                const value = object => (key === '_id' ? object.id : object.properties[key]);
+                results.sort((a, b) => {
+                    const left = value(a.object);
+                    const right = value(b.object);
+                    const direction = order === 'desc' ? -1 : 1;
+                    return left === right ? 0 : (left < right ? -direction : direction);
+                });
+            }
+        }
+
+        if (listing) {
+            results.sort((a, b) => (a.object.id < b.object.id ? -1 : a.object.id > b.object.id ? 1 : 0));
+            if (after !== undefined) {
+                results = results.filter(result => result.object.id > after);
+            }
+        }
+
+        results = results.slice(offset || 0, (offset || 0) + (limit || 100));
+        this.reads.push(...results.map(({ object }) => object.id));
+
+        const items = results.map(({ object, score }) => {
+            const item = {};
+            for (const name of names) {
+                item[name] = object.properties[name] ?? null;
+            }
+            if (additional.length > 0) {
+                const meta = { id: object.id, distance: 1 - score, certainty: score, score: String(score) };
+                item._additional = Object.fromEntries(additional.map(name => [name, meta[name] ?? null]));
+            }
+            return item;
+        });
+
+        return { data: { Get: { [className]: items } } };
+    }
+}
+
+export default FakeWeaviateClient;
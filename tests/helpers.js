@@ -0,0 +1,137 @@
+// =============================================
+// TEST HARNESS
+// =============================================
+//
+// Boots the real Express app on an ephemeral port with every backend replaced
+// by an in-memory fake: Supabase, Weaviate, Canvas and the LLM providers.
+
+import crypto from 'crypto';
+import { once } from 'events';
+import { FakeSupabaseClient } from './fakes/supabase.js';
+import { FakeWeaviateClient } from './fakes/weaviate.js';
+import { createFakeCanvas, VALID_CANVAS_TOKEN, CANVAS_DOMAIN } from './fakes/canvas.js';
+import { FakeProvider } from '../services/llm/fake.js';
+import { LLMService } from '../services/llm/index.js';
+import { setSupabaseClient } from '../services/supabase.js';
+import { setWeaviateClient } from '../services/weaviate.js';
+import { setCanvasClientFactory } from '../services/canvas-client.js';
+
+export { VALID_CANVAS_TOKEN, CANVAS_DOMAIN };
+
+export const TEST_USER_ID = '11111111-1111-4111-8111-111111111111';
+export const OTHER_USER_ID = '22222222-2222-4222-8222-222222222222';
+export const ADMIN_USER_ID = '99999999-9999-4999-8999-999999999999';
+
+/**
+ * Sign a Supabase-style HS256 access token with the test JWT secret
+ * @param {string} userId - Subject
+ * @param {Object} claims - Extra or overriding claims
+ * @returns {string} JWT
+ */
+export function signAccessToken(userId = TEST_USER_ID, claims = {}) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const header = encode({ alg: 'HS256', typ: 'JWT' });
+    const payload = encode({
+        sub: userId,
+        email: `${userId.slice(0, 8)}@example.edu`,
+        role: 'authenticated',
+        aud: 'authenticated',
+        exp: Math.floor(Date.now() / 1000) + 3600,
+        ...claims
+    });
+    const signature = crypto.createHmac('sha256', process.env.SUPABASE_JWT_SECRET)
+        .update(`${header}.${payload}`)
+        .digest('base64url');
+
+    return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Install fresh fakes and start the app
+ * @param {Object} options - { tables, canvasFixtures, respond } seed data and LLM responder (optional)
+ * @returns {Object} { baseUrl, supabase, weaviate, canvas, llm, request, close }
+ */
+export async function startTestServer(options = {}) {
+    const supabase = new FakeSupabaseClient({
+        tables: {
+            users: [{ id: TEST_USER_ID, email: 'student@example.edu' }, { id: OTHER_USER_ID, email: 'other@example.edu' }],
+            ...options.tables
+        }
+    });
+    const weaviate = new FakeWeaviateClient();
+    const canvas = createFakeCanvas(options.canvasFixtures);
+    const closeFileHost = await canvas.startFileHost();
+    const llm = new FakeProvider(options.respond ? { respond: options.respond } : {});
+
+    setSupabaseClient(supabase);
+    setWeaviateClient(weaviate);
+    setCanvasClientFactory(canvas.factory);
+    LLMService.setProvider('*', llm);
+
+    const { app } = await import('../http-server.js');
+    const server = app.listen(0);
+    await once(server, 'listening');
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Call the app as a user
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @param {Object} init - { body, token, headers, form } (token: false for anonymous)
+     * @returns {Response} Fetch response
+     */
+    const request = (method, path, init = {}) => {
+        const headers = { ...init.headers };
+        const token = init.token === undefined ? signAccessToken() : init.token;
+
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        let body = init.form;
+        if (init.body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(init.body);
+        }
+
+        return fetch(`${baseUrl}${path}`, { method, headers, body });
+    };
+
+    const close = async () => {
+        server.closeAllConnections();
+        server.close();
+        await once(server, 'close');
+        await closeFileHost();
+
+        setCanvasClientFactory(null);
+        LLMService.resetProviders();
+    };
+
+    return { baseUrl, supabase, weaviate, canvas, llm, request, close };
+}
+
+/**
+ * Parse an SSE response body into events
+ * @param {string} text - Response body
+ * @returns {Array} [{ event, data }]
+ */
+export function parseEventStream(text) {
+    return text.split('\n\n')
+        .filter(frame => frame.trim())
+        .map(frame => ({
+            event: frame.match(/^event: (.+)$/m)?.[1],
+            data: JSON.parse(frame.match(/^data: (.+)$/m)?.[1] || 'null')
+        }));
+}
+
+/**
+ * Wait for work the server finishes after responding
+ * @param {Function} condition - Polled until it returns true
+ * @param {number} timeoutMs - Give up after this long
+ */
+export async function waitFor(condition, timeoutMs = 1000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
@@ -0,0 +1,683 @@
+import fs from 'fs';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    startTestServer,
+    signAccessToken,
+    parseEventStream,
+    waitFor,
+    TEST_USER_ID,
+    OTHER_USER_ID,
+    VALID_CANVAS_TOKEN,
+    CANVAS_DOMAIN
+} from './helpers.js';
+import { JobWorker } from '../services/jobs.js';
+import { OpenAIRAGService } from '../services/openai.js';
+import { RetrievalService } from '../services/retrieval.js';
+
+// Query parsing and chat share the fake LLM; answer the query parser with JSON
+function respond(messages) {
+    const prompt = messages.map(message => message.content || '').join('\n');
+
+    if (prompt.includes('Canvas LMS query processor')) {
+        return JSON.stringify({
+            searchType: 'assignments',
+            courseFilter: null,
+            timeFilter: null,
+            priority: null,
+            keywords: ['gradient'],
+            specificItems: [],
+            intent: 'find_assignments'
+        });
+    }
+
+    const toolResult = messages.find(message => message.role === 'tool');
+    if (toolResult) {
+        return `Your current grade is ${JSON.parse(toolResult.content)[0].currentGrade}.`;
+    }
+
+    if (prompt.includes('my grade')) {
+        return { content: '', tool_calls: [{ id: 'call_grade', name: 'get_course_grades', arguments: { course_id: 101 } }] };
+    }
+
+    if (prompt.includes('lecture transcription')) {
+        return 'Summary: optimization and gradient descent.';
+    }
+
+    return 'PS5 is due on Friday [1].';
+}
+
+async function signIn(server, userId = TEST_USER_ID) {
+    const response = await server.request('POST', '/auth', {
+        token: signAccessToken(userId),
+        body: { token: VALID_CANVAS_TOKEN, domain: CANVAS_DOMAIN }
+    });
+    const body = await response.json();
+    return { response, body, cookie: response.headers.get('set-cookie').split(';')[0] };
+}
+
+describe('HTTP server (offline)', () => {
+    let server;
+
+    beforeEach(async () => {
+        server = await startTestServer({ respond });
+    });
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    // =============================================
+    // /auth
+    // =============================================
+
+    describe('POST /auth', () => {
+        it('requires a token and domain', async () => {
+            const response = await server.request('POST', '/auth', { body: { domain: CANVAS_DOMAIN } });
+            expect(response.status).toBe(400);
+        });
+
+        it('rejects Canvas credentials that fail the health check', async () => {
+            const response = await server.request('POST', '/auth', { body: { token: 'wrong', domain: CANVAS_DOMAIN } });
+            expect(response.status).toBe(401);
+        });
+
+        it('opens a session and stores the token encrypted for the signed-in user', async () => {
+            const { response, body, cookie } = await signIn(server);
+
+            expect(response.status).toBe(200);
+            expect(body.success).toBe(true);
+            expect(cookie).toMatch(/^claryfy_session=/);
+
+            const user = server.supabase.table('users').find(row => row.id === TEST_USER_ID);
+            expect(user.canvas_domain).toBe(CANVAS_DOMAIN);
+            expect(user.canvas_token).toMatch(/^v1:test:/);
+            expect(user.canvas_token).not.toContain(VALID_CANVAS_TOKEN);
+        });
+    });
+
+    // =============================================
+    // /api/dashboard
+    // =============================================
+
+    describe('GET /api/dashboard', () => {
+        it('requires a Supabase access token', async () => {
+            const response = await server.request('GET', '/api/dashboard', { token: false });
+            expect(response.status).toBe(401);
+        });
+
+        it('requires a Canvas session', async () => {
+            const response = await server.request('GET', '/api/dashboard');
+            expect(response.status).toBe(401);
+        });
+
+        it('returns courses and content from the caller\'s Canvas session', async () => {
+            const { cookie } = await signIn(server);
+            const response = await server.request('GET', '/api/dashboard', { headers: { Cookie: cookie } });
+            const body = await response.json();
+
+            expect(response.status).toBe(200);
+            expect(body.courses.map(course => course.id)).toEqual([101, 102]);
+            expect(body.assignments.map(assignment => assignment.name)).toEqual([
+                'PS5 Gradient Descent',
+                'Essay on Trade Routes',
+                'Project Proposal'
+            ]);
+            expect(body.assignments[0].course_name).toBe('CMSC422');
+            expect(body.announcements).toHaveLength(1);
+            expect(body.files).toHaveLength(1);
+        });
+
+        it('ignores a Canvas session another account left in the browser', async () => {
+            const { cookie } = await signIn(server, OTHER_USER_ID);
+            const response = await server.request('GET', '/api/dashboard', { headers: { Cookie: cookie } });
+
+            expect(response.status).toBe(401);
+            expect(server.canvas.calls.filter(call => call.name === 'getDashboardCards')).toHaveLength(0);
+            expect(server.supabase.table('canvas_data')).toHaveLength(0);
+        });
+
+        it('authenticates from token and domain query parameters', async () => {
+            const response = await server.request('GET', `/api/dashboard?token=${VALID_CANVAS_TOKEN}&domain=${CANVAS_DOMAIN}`);
+
+            expect(response.status).toBe(200);
+            expect(response.headers.get('set-cookie')).toMatch(/^claryfy_session=/);
+
+            // The new session belongs to the caller
+            const cookie = response.headers.get('set-cookie').split(';')[0];
+            expect((await server.request('GET', '/api/dashboard', { token: signAccessToken(OTHER_USER_ID), headers: { Cookie: cookie } })).status).toBe(401);
+        });
+
+        it('caches the live fetch and serves later loads from it without Canvas', async () => {
+            const { cookie } = await signIn(server);
+            const live = await (await server.request('GET', '/api/dashboard', { headers: { Cookie: cookie } })).json();
+            expect(live.cache.status).toBe('miss');
+
+            // Persisted in the background
+            await waitFor(() => server.supabase.table('canvas_data').length > 0);
+            const calls = server.canvas.calls.length;
+
+            const response = await server.request('GET', '/api/dashboard');
+            const cached = await response.json();
+
+            expect(response.status).toBe(200);
+            expect(cached.cache).toEqual({ status: 'fresh', staleTypes: [], refreshJobId: null });
+            expect(cached.last_synced).toEqual(expect.any(String));
+            expect(cached.courses.map(course => course.id)).toEqual([101, 102]);
+            expect(cached.assignments.map(assignment => assignment.name)).toEqual(live.assignments.map(assignment => assignment.name));
+            expect(cached.announcements).toHaveLength(1);
+            expect(cached.files).toHaveLength(1);
+            expect(server.canvas.calls).toHaveLength(calls);
+        });
+
+        it('serves a stale cache immediately and queues a refresh', async () => {
+            await signIn(server);
+            const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+            server.supabase.table('canvas_data').push(
+                { user_id: TEST_USER_ID, data_type: 'courses', course_id: 101, content: { id: 101, name: 'Machine Learning' }, last_synced: hourAgo },
+                { user_id: TEST_USER_ID, data_type: 'assignments', course_id: 101, content: [{ id: 1, name: 'Old', course_id: 101 }], last_synced: hourAgo }
+            );
+
+            const body = await (await server.request('GET', '/api/dashboard')).json();
+
+            expect(body.assignments.map(assignment => assignment.name)).toEqual(['Old']);
+            expect(body.last_synced).toBe(hourAgo);
+            expect(body.cache).toMatchObject({ status: 'stale', staleTypes: ['assignments'] });
+
+            const [job] = server.supabase.table('jobs');
+            expect(body.cache.refreshJobId).toBe(job.id);
+            expect(job.payload).toEqual({ reason: 'stale_dashboard', staleTypes: ['assignments'] });
+        });
+    });
+
+    // =============================================
+    // /api/dashboard/changes
+    // =============================================
+
+    describe('GET /api/dashboard/changes', () => {
+        async function syncCanvas() {
+            await server.request('POST', '/api/refresh-canvas-data', { body: {} });
+            await JobWorker.drain();
+            // Keep each sync's change timestamps distinct from the previous cursor
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        beforeEach(async () => {
+            await signIn(server);
+            await syncCanvas();
+        });
+
+        it('revalidates the full dashboard with ETags', async () => {
+            const first = await server.request('GET', '/api/dashboard');
+            const etag = first.headers.get('etag');
+            expect(etag).toMatch(/^".+"$/);
+
+            const unchanged = await server.request('GET', '/api/dashboard', { headers: { 'If-None-Match': etag } });
+            expect(unchanged.status).toBe(304);
+
+            server.canvas.data.assignments[102][0].name = 'Essay on Spice Routes';
+            await syncCanvas();
+
+            const changed = await server.request('GET', '/api/dashboard', { headers: { 'If-None-Match': etag } });
+            expect(changed.status).toBe(200);
+            expect(changed.headers.get('etag')).not.toBe(etag);
+        });
+
+        it('returns only items changed since the cursor, with tombstones for removed ones', async () => {
+            const { cursor } = await (await server.request('GET', '/api/dashboard')).json();
+            expect(cursor).toEqual(expect.any(String));
+
+            const quiet = await (await server.request('GET', `/api/dashboard/changes?since=${encodeURIComponent(cursor)}`)).json();
+            expect(quiet.cursor).toBe(cursor);
+            expect(Object.values(quiet.changes).every(({ changed, deleted }) => changed.length === 0 && deleted.length === 0)).toBe(true);
+
+            server.canvas.data.assignments[101][0].due_at = '2026-10-24T23:59:00Z';
+            server.canvas.data.assignments[101].pop();
+            server.canvas.data.announcements[101].push({ id: 3002, title: 'Office hours', message: 'Moved to Friday.', posted_at: '2026-10-18T09:00:00Z', created_at: '2026-10-18T09:00:00Z' });
+            await syncCanvas();
+
+            const response = await server.request('GET', `/api/dashboard/changes?since=${encodeURIComponent(cursor)}`);
+            const body = await response.json();
+
+            expect(response.status).toBe(200);
+            expect(body.changes.assignments.changed.map(item => [item.id, item.due_at])).toEqual([[1001, '2026-10-24T23:59:00Z']]);
+            expect(body.changes.assignments.deleted).toEqual([{ id: '1002', course_id: 101, deleted_at: body.cursor }]);
+            expect(body.changes.announcements.changed.map(item => item.id)).toEqual([3002]);
+            expect(body.changes.courses).toEqual({ changed: [], deleted: [] });
+            expect(Date.parse(body.cursor)).toBeGreaterThan(Date.parse(cursor));
+
+            // Polling from the new cursor is empty again
+            const next = await (await server.request('GET', `/api/dashboard/changes?since=${encodeURIComponent(body.cursor)}`)).json();
+            expect(next.changes.assignments).toEqual({ changed: [], deleted: [] });
+        });
+
+        it('tombstones every item of a course that left the dashboard', async () => {
+            const { cursor } = await (await server.request('GET', '/api/dashboard')).json();
+
+            server.canvas.data.courses.pop();
+            await syncCanvas();
+
+            const { changes } = await (await server.request('GET', `/api/dashboard/changes?since=${encodeURIComponent(cursor)}`)).json();
+            expect(changes.courses.deleted.map(item => item.id)).toEqual(['102']);
+            expect(changes.assignments.deleted.map(item => item.id)).toEqual(['2001']);
+        });
+
+        it('rejects missing and expired cursors', async () => {
+            expect((await server.request('GET', '/api/dashboard/changes')).status).toBe(400);
+            expect((await server.request('GET', '/api/dashboard/changes?since=2020-01-01T00:00:00Z')).status).toBe(410);
+        });
+    });
+
+    // =============================================
+    // /api/chat
+    // =============================================
+
+    describe('POST /api/chat', () => {
+        beforeEach(() => {
+            server.weaviate.put('CanvasContent', {
+                title: 'PS5 Gradient Descent',
+                content: 'Implement gradient descent. Due Friday.',
+                type: 'assignment',
+                courseId: 101,
+                userId: TEST_USER_ID,
+                canvasId: '1001'
+            });
+        });
+
+        it('streams typed events and saves the reply once with usage and citations', async () => {
+            const response = await server.request('POST', '/api/chat', {
+                headers: { Accept: 'text/event-stream' },
+                body: { message: 'When is the gradient descent assignment due?' }
+            });
+
+            expect(response.headers.get('content-type')).toMatch(/text\/event-stream/);
+            const events = parseEventStream(await response.text());
+            const names = events.map(event => event.event);
+
+            expect(names[0]).toBe('meta');
+            expect(names[1]).toBe('sources');
+            expect(names.slice(-3)).toEqual(['citations', 'usage', 'done']);
+
+            const reply = events.filter(event => event.event === 'delta').map(event => event.data.content).join('');
+            expect(reply).toBe('PS5 is due on Friday [1].');
+
+            const sources = events[1].data.sources;
+            expect(sources[0]).toMatchObject({ index: 1, type: 'assignment', canvasId: '1001', courseId: 101 });
+
+            const citations = events.find(event => event.event === 'citations').data.citations;
+            expect(citations.map(citation => citation.id)).toEqual(['assignment:101:1001']);
+
+            const done = events.at(-1).data;
+            const messages = server.supabase.table('messages').filter(row => row.conversation_id === done.conversationId);
+            expect(messages.map(message => message.role)).toEqual(['user', 'assistant']);
+            expect(messages[1].id).toBe(done.messageId);
+            expect(messages[1].metadata.usage.totalTokens).toBeGreaterThan(0);
+            expect(messages[1].metadata.citations).toHaveLength(1);
+
+            const conversation = server.supabase.table('conversations').find(row => row.id === done.conversationId);
+            expect(conversation.user_id).toBe(TEST_USER_ID);
+        });
+
+        it('falls back to plain text for clients that do not ask for SSE', async () => {
+            const response = await server.request('POST', '/api/chat', { body: { message: 'When is PS5 due?' } });
+
+            expect(response.headers.get('content-type')).toMatch(/text\/plain/);
+            expect(await response.text()).toBe('PS5 is due on Friday [1].');
+        });
+
+        it('answers from live Canvas through the read-only tools', async () => {
+            const { cookie } = await signIn(server);
+            const response = await server.request('POST', '/api/chat', {
+                headers: { Accept: 'text/event-stream', Cookie: cookie },
+                body: { message: 'What is my grade in CMSC422?' }
+            });
+            const events = parseEventStream(await response.text());
+
+            const toolEvents = events.filter(event => event.event === 'tool').map(event => event.data);
+            expect(toolEvents.map(event => event.status)).toEqual(['running', 'done']);
+            expect(toolEvents[0].name).toBe('get_course_grades');
+
+            const reply = events.filter(event => event.event === 'delta').map(event => event.data.content).join('');
+            expect(reply).toBe('Your current grade is A.');
+            expect(server.canvas.calls.some(call => call.name === 'getCourseGrades')).toBe(true);
+        });
+
+        it('falls back to a plain answer without saving the question twice', async () => {
+            const select = vi.spyOn(RetrievalService, 'select').mockRejectedValueOnce(new Error('Re-ranker unavailable'));
+
+            const response = await server.request('POST', '/api/chat', {
+                headers: { Accept: 'text/event-stream' },
+                body: { message: 'When is the gradient descent assignment due?' }
+            });
+            const events = parseEventStream(await response.text());
+            select.mockRestore();
+
+            expect(events[0].data.searchSummary).toBe('Fallback response');
+            const done = events.at(-1).data;
+            const messages = server.supabase.table('messages');
+            expect(messages.map(message => message.role)).toEqual(['user', 'assistant']);
+            expect(messages.every(message => message.conversation_id === done.conversationId)).toBe(true);
+            expect(server.supabase.table('conversations')).toHaveLength(1);
+        });
+
+        it('rejects requests without a message', async () => {
+            const response = await server.request('POST', '/api/chat', { body: {} });
+            expect(response.status).toBe(400);
+        });
+
+        it('does not write into another user\'s conversation', async () => {
+            const conversationId = '44444444-4444-4444-8444-444444444444';
+            server.supabase.table('conversations').push({ id: conversationId, user_id: OTHER_USER_ID, title: 'Theirs' });
+
+            const response = await server.request('POST', '/api/chat', { body: { message: 'Hello', conversationId } });
+
+            expect(response.status).toBe(404);
+            expect(server.supabase.table('messages')).toHaveLength(0);
+        });
+    });
+
+    // =============================================
+    // /api/recordings/process
+    // =============================================
+
+    describe('POST /api/recordings/process', () => {
+        const recordingId = '33333333-3333-4333-8333-333333333333';
+
+        function upload(userId = TEST_USER_ID) {
+            const form = new FormData();
+            form.append('audio', new Blob([Buffer.alloc(256, 1)], { type: 'audio/webm' }), 'lecture.webm');
+            form.append('courseId', '101');
+            form.append('recordingId', recordingId);
+            form.append('title', 'Lecture 7');
+            form.append('duration', '3600');
+
+            return server.request('POST', '/api/recordings/process', { token: signAccessToken(userId), form });
+        }
+
+        beforeEach(() => {
+            server.supabase.table('recordings').push({
+                id: recordingId,
+                user_id: TEST_USER_ID,
+                course_id: 101,
+                title: 'Lecture 7',
+                status: 'processing'
+            });
+        });
+
+        it('transcribes, summarizes, saves and vectorizes the recording', async () => {
+            const response = await upload();
+            const body = await response.json();
+
+            expect(response.status).toBe(200);
+            expect(body.transcription).toMatch(/^Fake transcription of /);
+            expect(body.summary).toBe('Summary: optimization and gradient descent.');
+
+            const recording = server.supabase.table('recordings').find(row => row.id === recordingId);
+            expect(recording.status).toBe('completed');
+            expect(recording.summary).toBe(body.summary);
+
+            const vectors = server.weaviate.objects('RecordingSummary');
+            expect(vectors).toHaveLength(1);
+            expect(vectors[0].properties).toMatchObject({ recordingId, userId: TEST_USER_ID, courseId: 101 });
+
+            // Audio is only kept in storage while processing
+            expect(server.supabase.files.size).toBe(0);
+        });
+
+        it('refuses to process another user\'s recording', async () => {
+            const response = await upload(OTHER_USER_ID);
+
+            expect(response.status).toBe(403);
+            expect(server.weaviate.objects('RecordingSummary')).toHaveLength(0);
+        });
+
+        it('answers 404 for an unknown recording and removes the upload', async () => {
+            const uploads = fs.readdirSync('uploads');
+            server.supabase.table('recordings').length = 0;
+
+            const response = await upload();
+
+            expect(response.status).toBe(404);
+            expect(fs.readdirSync('uploads')).toEqual(uploads);
+        });
+    });
+
+    // =============================================
+    // SYNC PIPELINE
+    // =============================================
+
+    describe('POST /api/weaviate/sync/canvas', () => {
+        // Queue a sync, run it on the worker and return the finished job
+        async function syncCanvas() {
+            const response = await server.request('POST', '/api/weaviate/sync/canvas', { body: {} });
+            expect(response.status).toBe(202);
+
+            const { job } = await response.json();
+            await JobWorker.drain();
+
+            return (await (await server.request('GET', `/api/jobs/${job.id}`)).json()).job;
+        }
+
+        it('needs stored Canvas credentials', async () => {
+            const response = await server.request('POST', '/api/weaviate/sync/canvas', { body: {} });
+            expect(response.status).toBe(400);
+        });
+
+        it('fetches Canvas content and vectorizes it for the user in the background', async () => {
+            await signIn(server);
+
+            const job = await syncCanvas();
+
+            expect(job.status).toBe('succeeded');
+            expect(job.result.canvasData).toEqual({
+                courses: 2, assignments: 3, announcements: 1, files: 1, pages: 1, modules: 1, syllabus: 1, discussions: 1, quizzes: 1
+            });
+
+            const objects = server.weaviate.objects('CanvasContent');
+            expect(objects).toHaveLength(12);
+            expect(objects.every(object => object.properties.userId === TEST_USER_ID)).toBe(true);
+            expect(objects.map(object => object.properties.type).sort()).toEqual([
+                'announcement', 'assignment', 'assignment', 'assignment', 'discussion', 'file', 'file_chunk', 'file_chunk', 'module', 'page', 'quiz', 'syllabus'
+            ]);
+
+            // Rich text is embedded as plain text
+            const byType = type => objects.find(object => object.properties.type === type).properties;
+            expect(byType('page')).toMatchObject({ canvasId: '6001', title: 'Course Policies', content: 'Late work loses 10% per day.' });
+            expect(byType('syllabus')).toMatchObject({ canvasId: '101', title: 'CMSC422 Syllabus', content: 'CMSC422\nGrading: 40% problem sets, 60% exams.' });
+            expect(byType('module').content).toBe('Week 7: Optimization\n- Lecture 7 (File)');
+
+            // File text is indexed page by page
+            const chunks = objects.filter(object => object.properties.type === 'file_chunk').map(object => object.properties);
+            expect(chunks.map(chunk => [chunk.canvasId, chunk.fileId, chunk.pageNumber, chunk.title]).sort()).toEqual([
+                ['4001:0', 4001, 1, 'Lecture 7 - Optimization.pdf, p. 1'],
+                ['4001:1', 4001, 2, 'Lecture 7 - Optimization.pdf, p. 2']
+            ]);
+            expect(chunks.find(chunk => chunk.pageNumber === 2).content).toBe('Convergence requires a convex objective and a small enough learning rate.');
+            expect(job.result.documents).toMatchObject({ extracted: 1, failed: 0, chunks: 2 });
+
+            // Vectors come from the embedding task, over title and content
+            const page = objects.find(object => object.properties.type === 'page');
+            const { embeddings } = await server.llm.embed(['Course Policies\n\nLate work loses 10% per day.']);
+            expect(page.vector).toEqual(embeddings[0]);
+        });
+
+        it('stores the fetched data per course in the canvas_data cache', async () => {
+            await signIn(server);
+            await syncCanvas();
+
+            const rows = server.supabase.table('canvas_data');
+            expect(rows.map(row => `${row.data_type}:${row.course_id}`).sort()).toEqual([
+                'announcements:101', 'announcements:102',
+                'assignments:101', 'assignments:102',
+                'courses:101', 'courses:102',
+                'files:101', 'files:102'
+            ]);
+            expect(rows.find(row => row.data_type === 'assignments' && row.course_id === 101).content).toHaveLength(2);
+
+            // The RAG pipeline reads course names for query parsing
+            const courses = await OpenAIRAGService.getUserCourses(server.supabase, TEST_USER_ID);
+            expect(courses.map(course => course.course_code)).toEqual(['CMSC422', 'HIST200']);
+        });
+
+        it('does not duplicate content when syncing again', async () => {
+            await signIn(server);
+
+            await syncCanvas();
+            await syncCanvas();
+
+            expect(server.weaviate.objects('CanvasContent')).toHaveLength(12);
+        });
+
+        it('only re-embeds changed items and removes vanished ones', async () => {
+            await signIn(server);
+            const sync = async () => (await syncCanvas()).result.vectorizationResults;
+
+            expect(await sync()).toMatchObject({ added: 12, updated: 0, deleted: 0, unchanged: 0 });
+            expect(await sync()).toMatchObject({ added: 0, updated: 0, deleted: 0, unchanged: 12 });
+
+            const untouched = server.weaviate.objects('CanvasContent', { path: ['canvasId'], operator: 'Equal', valueString: '2001' })[0];
+
+            server.canvas.data.assignments[101][0].description = 'Implement stochastic gradient descent.';
+            server.canvas.data.assignments[101].pop();
+            server.canvas.data.files[101].push({ id: 4002, display_name: 'Lecture 8.pdf', filename: 'lecture8.pdf', created_at: '2026-10-12T10:00:00Z' });
+
+            const result = await sync();
+            expect(result).toMatchObject({ added: 1, updated: 1, deleted: 1, unchanged: 10 });
+            expect(result.byType.assignment).toEqual({ added: 0, updated: 1, deleted: 1, unchanged: 1, failed: 0 });
+
+            const objects = server.weaviate.objects('CanvasContent', { path: ['type'], operator: 'ContainsAny', valueTextArray: ['assignment', 'announcement', 'file'] });
+            expect(objects.map(object => object.properties.canvasId).sort()).toEqual(['1001', '2001', '3001', '4001', '4002']);
+            expect(objects.find(object => object.properties.canvasId === '1001').properties.content).toBe('Implement stochastic gradient descent.');
+            expect(objects.find(object => object.properties.canvasId === '2001')).toEqual(untouched);
+        });
+
+        it('reports objects Weaviate rejects as failed and retries them on the next sync', async () => {
+            await signIn(server);
+            server.weaviate.rejectObjects(object => object.properties.canvasId === '1001');
+
+            const first = (await syncCanvas()).result.vectorizationResults;
+            expect(first).toMatchObject({ added: 11, failed: 1 });
+            expect(first.byType.assignment).toMatchObject({ added: 2, failed: 1 });
+            expect(server.weaviate.objects('CanvasContent')).toHaveLength(11);
+
+            server.weaviate.rejectObjects(null);
+            expect((await syncCanvas()).result.vectorizationResults).toMatchObject({ added: 1, unchanged: 11, failed: 0 });
+        });
+
+        it('pages through the caller\'s stored objects without reading anyone else\'s', async () => {
+            await signIn(server);
+            for (let i = 0; i < 600; i++) {
+                server.weaviate.put('CanvasContent', { userId: OTHER_USER_ID, type: 'page', courseId: 101, canvasId: `other-${i}`, title: 'Theirs' });
+                server.weaviate.put('CanvasContent', { userId: TEST_USER_ID, type: 'page', courseId: 101, canvasId: `gone-${i}`, title: 'Removed from Canvas' });
+            }
+
+            server.weaviate.reads = [];
+            expect((await syncCanvas()).result.vectorizationResults).toMatchObject({ added: 12, deleted: 600 });
+            expect(server.weaviate.reads).toHaveLength(600);
+
+            const theirs = new Set(server.weaviate.objects('CanvasContent', { path: ['userId'], operator: 'Equal', valueString: OTHER_USER_ID }).map(object => object.id));
+            expect(theirs.size).toBe(600);
+            expect(server.weaviate.reads.filter(id => theirs.has(id))).toEqual([]);
+
+            expect((await syncCanvas()).result.vectorizationResults).toMatchObject({ added: 0, deleted: 0, unchanged: 12 });
+            expect(server.weaviate.objects('CanvasContent')).toHaveLength(612);
+        });
+
+        it('keeps stored items for course lists that failed to load', async () => {
+            await signIn(server);
+            await syncCanvas();
+
+            server.canvas.fail('listFiles');
+            const job = await syncCanvas();
+
+            expect(job.result.vectorizationResults.deleted).toBe(0);
+            expect(job.progress.courses.map(course => course.status)).toEqual(['partial', 'partial']);
+            expect(job.progress.courses[0].errors).toEqual(['files: Canvas is down']);
+            expect(job.result.errors.map(error => [error.courseId, error.collection])).toEqual([[101, 'files'], [102, 'files']]);
+            expect(server.weaviate.objects('CanvasContent', { path: ['type'], operator: 'Equal', valueString: 'file' })).toHaveLength(1);
+        });
+
+        it('only syncs the caller\'s own account', async () => {
+            const response = await server.request('POST', '/api/weaviate/sync/canvas', { body: { userId: OTHER_USER_ID } });
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('/api/weaviate/search/canvas', () => {
+        beforeEach(async () => {
+            await signIn(server);
+            await server.request('POST', '/api/weaviate/sync/canvas', { body: {} });
+            await JobWorker.drain();
+        });
+
+        async function search(params) {
+            const response = await server.request('GET', `/api/weaviate/search/canvas?${new URLSearchParams(params)}`);
+            return { status: response.status, body: await response.json() };
+        }
+
+        it('matches exact tokens and reports the hybrid score', async () => {
+            const { status, body } = await search({ q: 'PS5', limit: '3' });
+
+            expect(status).toBe(200);
+            expect(body.results[0]).toMatchObject({ title: 'PS5 Gradient Descent', type: 'assignment', score: 1 });
+            expect(body.results[0]).not.toHaveProperty('distance');
+            expect(body.filters).toMatchObject({ courseId: null, alpha: 0.5, types: [] });
+
+            // Keyword-only search drops items without the term
+            const keywordOnly = await search({ q: 'CMSC422', alpha: '0' });
+            expect(keywordOnly.body.results.map(result => result.type)).toEqual(['syllabus']);
+        });
+
+        it('filters by type, course and due or created date windows', async () => {
+            const titles = async params => (await search({ q: 'assignment', ...params })).body.results.map(result => result.title).sort();
+
+            // A bare date as the upper bound includes the whole day
+            expect(await titles({ type: 'assignment,quiz', dueBefore: '2026-10-25' })).toEqual([
+                'Essay on Trade Routes', 'PS5 Gradient Descent', 'Quiz 3: Convexity'
+            ]);
+            expect(await titles({ type: 'assignment', dueAfter: '2026-10-24T00:00:00Z', courseId: '101' })).toEqual(['Project Proposal']);
+            expect(await titles({ createdAfter: '2026-10-02', createdBefore: '2026-10-04' })).toEqual([
+                'Essay on Trade Routes', 'Project Proposal'
+            ]);
+        });
+
+        it('accepts the same parameters as a JSON body', async () => {
+            const response = await server.request('POST', '/api/weaviate/search/canvas', {
+                body: { query: 'convexity', type: ['quiz'], limit: 1 }
+            });
+            const body = await response.json();
+
+            expect(body.count).toBe(1);
+            expect(body.results[0]).toMatchObject({ title: 'Quiz 3: Convexity', dueDate: '2026-10-21T23:59:00Z' });
+        });
+
+        it('answers 503 instead of an empty result when Weaviate fails', async () => {
+            server.weaviate.fail(new Error('Weaviate is down'));
+
+            const response = await server.request('GET', `/api/weaviate/search/canvas?${new URLSearchParams({ query: 'PS5' })}`);
+
+            expect(response.status).toBe(503);
+            expect((await response.json()).error).toMatch(/Weaviate is down/);
+        });
+
+        it('rejects parameters of the wrong type', async () => {
+            const errors = await Promise.all([
+                search({}),
+                search({ q: 'x', alpha: '1.5' }),
+                search({ q: 'x', limit: 'ten' }),
+                search({ q: 'x', type: 'lecture' }),
+                search({ q: 'x', dueAfter: 'next week' }),
+                search({ q: 'x', courseId: '-3' })
+            ]);
+
+            expect(errors.map(({ status }) => status)).toEqual([400, 400, 400, 400, 400, 400]);
+            expect(errors.map(({ body }) => body.error)).toEqual([
+                'Query is required',
+                'alpha must be a number between 0 and 1',
+                'limit must be an integer between 1 and 25',
+                expect.stringContaining('Unknown content type: lecture'),
+                'dueAfter must be an ISO 8601 date',
+                'courseId must be a positive integer'
+            ]);
+        });
+    });
+});
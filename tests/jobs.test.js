@@ -0,0 +1,274 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { startTestServer, signAccessToken, parseEventStream, TEST_USER_ID, OTHER_USER_ID, VALID_CANVAS_TOKEN, CANVAS_DOMAIN } from './helpers.js';
+import { JobService, JobWorker, JOB_CONFIG, JOB_STATUS, PermanentJobError } from '../services/jobs.js';
+import { DocumentService } from '../services/documents.js';
+import { LLMService } from '../services/llm/index.js';
+
+describe('background jobs', () => {
+    let server;
+
+    beforeEach(async () => {
+        server = await startTestServer();
+    });
+
+    afterEach(async () => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+        await server.close();
+    });
+
+    const jobRow = id => server.supabase.table('jobs').find(row => row.id === id);
+
+    // =============================================
+    // QUEUE AND WORKER
+    // =============================================
+
+    describe('JobWorker', () => {
+        let attempts;
+
+        beforeEach(() => {
+            attempts = 0;
+            JobWorker.registerHandler('test_flaky', async job => {
+                attempts++;
+                if (attempts < job.payload.succeedOn) throw new Error(`boom ${attempts}`);
+                return { attempts };
+            });
+            JobWorker.registerHandler('test_permanent', async () => {
+                throw new PermanentJobError('bad payload');
+            });
+            JobWorker.registerHandler('test_cancel', async (job, context) => {
+                await context.reportProgress({ step: 1 });
+                await JobService.cancelJob(job.id, job.user_id);
+                await context.throwIfCancelled();
+                return 'not reached';
+            });
+            // Another worker requeued and claimed the job while this one was still on it
+            JobWorker.registerHandler('test_taken_over', async (job, context) => {
+                Object.assign(jobRow(job.id), { locked_by: 'other-worker', attempts: job.attempts + 1 });
+                if (job.payload.reportProgress) await context.reportProgress({ step: 1 });
+                return 'stale result';
+            });
+        });
+
+        it('retries failed jobs with exponential backoff', async () => {
+            const { job } = await JobService.enqueue(TEST_USER_ID, 'test_flaky', { succeedOn: 2 });
+
+            expect(await JobWorker.drain()).toBe(1);
+
+            const retrying = jobRow(job.id);
+            expect(retrying).toMatchObject({ status: JOB_STATUS.QUEUED, attempts: 1, error: 'boom 1' });
+            expect(Date.parse(retrying.run_at) - Date.now()).toBeGreaterThan(JobService.retryDelay(1) - 1000);
+            expect(JobService.retryDelay(3)).toBe(JobService.retryDelay(1) * 4);
+
+            // Not due yet
+            expect(await JobWorker.drain()).toBe(0);
+
+            retrying.run_at = new Date(Date.now() - 1000).toISOString();
+            await JobWorker.drain();
+
+            expect(jobRow(job.id)).toMatchObject({ status: JOB_STATUS.SUCCEEDED, attempts: 2, result: { attempts: 2 } });
+        });
+
+        it('fails for good after the last attempt', async () => {
+            const { job } = await JobService.enqueue(TEST_USER_ID, 'test_flaky', { succeedOn: 10 }, { maxAttempts: 1 });
+
+            await JobWorker.drain();
+
+            expect(jobRow(job.id)).toMatchObject({ status: JOB_STATUS.FAILED, attempts: 1, error: 'boom 1' });
+        });
+
+        it('does not retry permanent errors', async () => {
+            const { job } = await JobService.enqueue(TEST_USER_ID, 'test_permanent');
+
+            await JobWorker.drain();
+
+            expect(jobRow(job.id)).toMatchObject({ status: JOB_STATUS.FAILED, attempts: 1, error: 'bad payload' });
+        });
+
+        it('stops a running job at its next cancellation checkpoint', async () => {
+            const { job } = await JobService.enqueue(TEST_USER_ID, 'test_cancel');
+
+            await JobWorker.drain();
+
+            expect(jobRow(job.id)).toMatchObject({ status: JOB_STATUS.CANCELLED, progress: { step: 1 } });
+            expect(jobRow(job.id).result ?? null).toBeNull();
+        });
+
+        it('queues one deduplicated job when two requests race', async () => {
+            const enqueue = payload => JobService.enqueue(TEST_USER_ID, 'test_flaky', payload, { dedupe: true, dedupeBy: ['key'] });
+
+            const [first, second] = await Promise.all([enqueue({ key: 'a' }), enqueue({ key: 'a' })]);
+            expect([first.created, second.created]).toEqual([true, false]);
+            expect(second.job.id).toBe(first.job.id);
+
+            expect((await enqueue({ key: 'b' })).created).toBe(true);
+            expect(server.supabase.table('jobs')).toHaveLength(2);
+        });
+
+        it('requeues running jobs whose worker stopped heartbeating', async () => {
+            const { job } = await JobService.enqueue(TEST_USER_ID, 'test_flaky', { succeedOn: 1 });
+            Object.assign(jobRow(job.id), {
+                status: JOB_STATUS.RUNNING,
+                locked_by: 'dead-worker',
+                locked_at: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+            });
+
+            expect(await JobService.requeueStale()).toBe(1);
+            await JobWorker.drain();
+
+            expect(jobRow(job.id).status).toBe(JOB_STATUS.SUCCEEDED);
+        });
+
+        it('fails stale jobs that were on their last attempt', async () => {
+            const { job } = await JobService.enqueue(TEST_USER_ID, 'test_flaky', { succeedOn: 1 }, { maxAttempts: 2 });
+            Object.assign(jobRow(job.id), {
+                status: JOB_STATUS.RUNNING,
+                attempts: 2,
+                locked_by: 'dead-worker',
+                locked_at: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+            });
+
+            expect(await JobService.requeueStale()).toBe(1);
+
+            expect(jobRow(job.id)).toMatchObject({ status: JOB_STATUS.FAILED, locked_by: null });
+            expect(jobRow(job.id).error).toMatch(/last of 2 attempts/);
+            expect(await JobWorker.drain()).toBe(0);
+        });
+
+        it('leaves a job alone once another worker has taken it over', async () => {
+            const { job: finishing } = await JobService.enqueue(TEST_USER_ID, 'test_taken_over', {});
+            await JobWorker.drain();
+            expect(jobRow(finishing.id)).toMatchObject({ status: JOB_STATUS.RUNNING, locked_by: 'other-worker' });
+            expect(jobRow(finishing.id).result ?? null).toBeNull();
+
+            const { job: reporting } = await JobService.enqueue(TEST_USER_ID, 'test_taken_over', { reportProgress: true });
+            await JobWorker.drain();
+            expect(jobRow(reporting.id)).toMatchObject({ status: JOB_STATUS.RUNNING, locked_by: 'other-worker', attempts: 2 });
+            expect(jobRow(reporting.id).progress).toEqual({});
+        });
+    });
+
+    // =============================================
+    // HTTP API
+    // =============================================
+
+    describe('job endpoints', () => {
+        beforeEach(async () => {
+            await server.request('POST', '/auth', { body: { token: VALID_CANVAS_TOKEN, domain: CANVAS_DOMAIN } });
+            server.canvas.calls.length = 0;
+        });
+
+        it('refreshes Canvas data without waiting for the sync', async () => {
+            const response = await server.request('POST', '/api/refresh-canvas-data', { body: {} });
+            const body = await response.json();
+
+            expect(response.status).toBe(202);
+            expect(body.job.status).toBe(JOB_STATUS.QUEUED);
+            expect(body.jobId).toBe(body.job.id);
+            expect(server.canvas.calls).toHaveLength(0);
+
+            // A second click joins the pending job
+            const again = await (await server.request('POST', '/api/refresh-canvas-data', { body: {} })).json();
+            expect(again.jobId).toBe(body.jobId);
+            expect(server.supabase.table('jobs')).toHaveLength(1);
+        });
+
+        it('enqueues through POST /api/jobs and reports per-course progress', async () => {
+            const response = await server.request('POST', '/api/jobs', { body: { type: 'canvas_sync' } });
+            const { job, created } = await response.json();
+
+            expect(response.status).toBe(202);
+            expect(created).toBe(true);
+
+            await JobWorker.drain();
+
+            const { job: finished } = await (await server.request('GET', `/api/jobs/${job.id}`)).json();
+            expect(finished.status).toBe(JOB_STATUS.SUCCEEDED);
+            expect(finished.progress).toMatchObject({ stage: 'done', totalCourses: 2, completedCourses: 2 });
+            expect(finished.progress.courses).toEqual([
+                { id: 101, name: 'CMSC422', status: 'done', counts: { assignments: 2, announcements: 1, files: 1, pages: 1, modules: 1, quizzes: 1, discussions: 1, syllabus: 1 } },
+                { id: 102, name: 'HIST200', status: 'done', counts: { assignments: 1, announcements: 0, files: 0, pages: 0, modules: 0, quizzes: 0, discussions: 0, syllabus: 0 } }
+            ]);
+
+            const { jobs } = await (await server.request('GET', '/api/jobs')).json();
+            expect(jobs.map(item => item.id)).toEqual([job.id]);
+        });
+
+        it('keeps its lock through slow file downloads and embedding batches', async () => {
+            // Two slow files and enough pages for two embedding batches
+            server.canvas.data.files[101].push({ ...server.canvas.data.files[101][0], id: 4002, display_name: 'Lecture 8.pdf', filename: 'lecture8.pdf' });
+            server.canvas.data.pages[101].push(...Array.from({ length: 100 }, (value, index) => ({
+                page_id: 6100 + index, url: `notes-${index}`, title: `Notes ${index}`, body: `<p>Notes ${index}</p>`, updated_at: '2026-09-01T12:00:00Z'
+            })));
+
+            // Each slow step takes two thirds of the lock timeout while the worker keeps checking for stale jobs
+            vi.useFakeTimers({ toFake: ['Date'] });
+            const slow = original => async (...args) => {
+                vi.setSystemTime(Date.now() + JOB_CONFIG.LOCK_TIMEOUT_MS * 2 / 3);
+                await JobService.requeueStale();
+                return original(...args);
+            };
+            const download = DocumentService.download.bind(DocumentService);
+            const embed = LLMService.embed.bind(LLMService);
+            vi.spyOn(DocumentService, 'download').mockImplementation(slow(download));
+            vi.spyOn(LLMService, 'embed').mockImplementation(slow(embed));
+
+            const { job } = await (await server.request('POST', '/api/jobs', { body: { type: 'canvas_sync' } })).json();
+            await JobWorker.drain();
+
+            expect(DocumentService.download).toHaveBeenCalledTimes(2);
+            expect(LLMService.embed).toHaveBeenCalledTimes(2);
+            expect(jobRow(job.id)).toMatchObject({ status: JOB_STATUS.SUCCEEDED, attempts: 1 });
+        });
+
+        it('rejects unknown job types', async () => {
+            const response = await server.request('POST', '/api/jobs', { body: { type: 'drop_tables' } });
+            expect(response.status).toBe(400);
+        });
+
+        it('streams progress as Server-Sent Events until the job finishes', async () => {
+            const { job } = await (await server.request('POST', '/api/jobs', { body: { type: 'canvas_sync' } })).json();
+
+            const streamed = server.request('GET', `/api/jobs/${job.id}/events`).then(response => response.text());
+            await new Promise(resolve => setTimeout(resolve, 50));
+            await JobWorker.drain();
+
+            const events = parseEventStream(await streamed);
+            const updates = events.filter(event => event.event === 'job').map(event => event.data);
+
+            expect(updates[0].status).toBe(JOB_STATUS.QUEUED);
+            expect(updates.some(update => update.progress.courses?.some(course => course.status === 'running'))).toBe(true);
+            expect(updates.some(update => update.progress.stage === 'vectorizing')).toBe(true);
+            expect(updates.at(-1).status).toBe(JOB_STATUS.SUCCEEDED);
+            expect(events.at(-1)).toEqual({ event: 'done', data: { id: job.id, status: JOB_STATUS.SUCCEEDED } });
+        });
+
+        it('cancels a queued job', async () => {
+            const { job } = await (await server.request('POST', '/api/jobs', { body: { type: 'canvas_sync' } })).json();
+
+            const response = await server.request('POST', `/api/jobs/${job.id}/cancel`);
+            expect((await response.json()).job.status).toBe(JOB_STATUS.CANCELLED);
+
+            expect(await JobWorker.drain()).toBe(0);
+            expect(server.canvas.calls).toHaveLength(0);
+        });
+
+        it('hides other users\' jobs', async () => {
+            const { job } = await (await server.request('POST', '/api/jobs', { body: { type: 'canvas_sync' } })).json();
+            const token = signAccessToken(OTHER_USER_ID);
+
+            expect((await server.request('GET', `/api/jobs/${job.id}`, { token })).status).toBe(404);
+            expect((await server.request('POST', `/api/jobs/${job.id}/cancel`, { token })).status).toBe(404);
+            expect(jobRow(job.id).status).toBe(JOB_STATUS.QUEUED);
+        });
+
+        it('fails the job without retrying when credentials disappear', async () => {
+            const { job } = await (await server.request('POST', '/api/jobs', { body: { type: 'canvas_sync' } })).json();
+            server.supabase.table('users').find(row => row.id === TEST_USER_ID).canvas_token = null;
+
+            await JobWorker.drain();
+
+            expect(jobRow(job.id)).toMatchObject({ status: JOB_STATUS.FAILED, attempts: 1 });
+        });
+    });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { startTestServer, parseEventStream, signAccessToken, waitFor, TEST_USER_ID, OTHER_USER_ID } from './helpers.js';
+import { PromptBuilder } from '../services/prompt-builder.js';
+import { JobWorker } from '../services/jobs.js';
+import { ConversationMemoryService } from '../services/memory.js';
+
+const CONVERSATION_ID = '33333333-3333-4333-8333-333333333333';
+const OTHER_CONVERSATION_ID = '44444444-4444-4444-8444-444444444444';
+
+// Alternating student and assistant messages, a minute apart
+function turns(count, start = Date.parse('2026-10-19T10:00:00Z')) {
+    return Array.from({ length: count }, (value, index) => ({
+        id: `m${index}`,
+        conversation_id: CONVERSATION_ID,
+        role: index % 2 === 0 ? 'user' : 'assistant',
+        content: index % 2 === 0 ? `Question ${index / 2} about gradient descent` : `Answer ${(index - 1) / 2}`,
+        metadata: {},
+        created_at: new Date(start + index * 60000).toISOString()
+    }));
+}
+
+describe('PromptBuilder with a stored summary', () => {
+    it('sends the summary ahead of the turns even when nothing was dropped', () => {
+        const { messages, breakdown } = PromptBuilder.build({
+            system: 'You are Claryfy.',
+            history: [{ role: 'user', content: 'And PS5?' }, { role: 'assistant', content: 'Due Friday.' }],
+            historySummary: 'The student is taking CMSC422 and asked about late work.',
+            user: 'Can I hand it in late?'
+        }, { model: 'gpt-4o-mini', budget: 4000 });
+
+        expect(messages.map(message => message.content)).toEqual([
+            'You are Claryfy.',
+            'Summary of the earlier conversation: The student is taking CMSC422 and asked about late work.',
+            'And PS5?',
+            'Due Friday.',
+            'Can I hand it in late?'
+        ]);
+        expect(breakdown).toMatchObject({ summarizedHistory: true, dropped: { history: 0 } });
+    });
+});
+
+describe('rolling conversation summaries', () => {
+    let server;
+    let summaryPrompts;
+    let chatPrompts;
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    async function start(messages) {
+        summaryPrompts = [];
+        chatPrompts = [];
+        server = await startTestServer({
+            tables: {
+                conversations: [{ id: CONVERSATION_ID, user_id: TEST_USER_ID, course_id: null, title: 'Gradient descent' }],
+                messages
+            },
+            respond: prompt => {
+                const text = prompt.map(message => message.content || '').join('\n');
+                if (text.includes('running summary')) {
+                    summaryPrompts.push(text);
+                    return `Summary ${summaryPrompts.length}: the student is studying gradient descent.`;
+                }
+                chatPrompts.push(prompt);
+                return 'Here is how it works.';
+            }
+        });
+    }
+
+    async function chat(message) {
+        const response = await server.request('POST', '/api/chat', {
+            headers: { Accept: 'text/event-stream' },
+            body: { message, conversationId: CONVERSATION_ID }
+        });
+        return parseEventStream(await response.text());
+    }
+
+    // Summaries are scheduled after the reply has been sent
+    const summaryQueued = (count = 1) => waitFor(() => server.supabase.table('jobs')
+        .filter(job => job.type === 'conversation_summary' && job.status === 'queued').length >= count);
+
+    it('leaves short conversations alone', async () => {
+        await start(turns(4));
+        await chat('What is a learning rate?');
+
+        expect(await JobWorker.drain()).toBe(0);
+        const prompt = chatPrompts.at(-1);
+        expect(prompt.map(message => message.content)).toContain('Question 0 about gradient descent');
+        expect(prompt.filter(message => message.content === 'What is a learning rate?')).toHaveLength(1);
+    });
+
+    it('folds older turns into the summary and sends it ahead of the recent ones', async () => {
+        await start(turns(12));
+        await chat('What is a learning rate?');
+        await summaryQueued();
+
+        // 14 messages now; all but the latest 6 are folded in
+        expect(await JobWorker.drain()).toBe(1);
+        expect(summaryPrompts[0]).toContain('Summary so far:\n(none yet)');
+        expect(summaryPrompts[0]).toContain('Student: Question 0 about gradient descent');
+        expect(summaryPrompts[0]).not.toContain('Question 4 about');
+
+        const conversation = server.supabase.table('conversations')[0];
+        expect(conversation).toMatchObject({ summary: 'Summary 1: the student is studying gradient descent.', summarized_count: 8, summary_edited: false });
+
+        await chat('How do I pick one?');
+        const contents = chatPrompts.at(-1).map(message => message.content);
+        const summaryIndex = contents.indexOf('Summary of the earlier conversation: Summary 1: the student is studying gradient descent.');
+        expect(summaryIndex).toBeGreaterThan(0);
+        expect(contents.indexOf('Question 4 about gradient descent')).toBeGreaterThan(summaryIndex);
+        expect(contents).not.toContain('Question 3 about gradient descent');
+        expect(contents.at(-1)).toBe('How do I pick one?');
+
+        // Not enough new turns for another fold yet
+        expect(await JobWorker.drain()).toBe(0);
+    });
+
+    it('serves the summary and builds on the student\'s corrections', async () => {
+        await start(turns(12));
+        await chat('What is a learning rate?');
+        await summaryQueued();
+        await JobWorker.drain();
+
+        const path = `/api/chat/conversation/${CONVERSATION_ID}/summary`;
+        const fetched = await (await server.request('GET', path)).json();
+        expect(fetched).toMatchObject({ conversationId: CONVERSATION_ID, summary: 'Summary 1: the student is studying gradient descent.', summarizedMessages: 8, edited: false });
+
+        const edited = await server.request('PUT', path, { body: { summary: 'The student is in CMSC422 and prefers worked examples.' } });
+        expect(edited.status).toBe(200);
+        expect(await edited.json()).toMatchObject({ summary: 'The student is in CMSC422 and prefers worked examples.', summarizedMessages: 8, edited: true });
+
+        // The next fold starts from the corrected summary
+        for (let i = 0; i < 3; i++) await chat(`Follow-up ${i}`);
+        await summaryQueued();
+        expect(await JobWorker.drain()).toBe(1);
+        expect(summaryPrompts[1]).toContain('Summary so far:\nThe student is in CMSC422 and prefers worked examples.');
+
+        // Clearing it has the whole conversation summarized again
+        const cleared = await (await server.request('PUT', path, { body: { summary: null } })).json();
+        expect(cleared).toMatchObject({ summary: null, summarizedMessages: 0, edited: false });
+    });
+
+    it('queues one summary job per conversation', async () => {
+        const otherTurns = turns(12).map(message => ({ ...message, id: `other-${message.id}`, conversation_id: OTHER_CONVERSATION_ID }));
+        await start([...turns(12), ...otherTurns]);
+        server.supabase.table('conversations').push({ id: OTHER_CONVERSATION_ID, user_id: TEST_USER_ID, course_id: null, title: 'Regularization' });
+
+        const first = await ConversationMemoryService.scheduleSummary(TEST_USER_ID, CONVERSATION_ID);
+        const other = await ConversationMemoryService.scheduleSummary(TEST_USER_ID, OTHER_CONVERSATION_ID);
+        const again = await ConversationMemoryService.scheduleSummary(TEST_USER_ID, CONVERSATION_ID);
+
+        expect(first.created).toBe(true);
+        expect(other).toMatchObject({ created: true, job: { payload: { conversationId: OTHER_CONVERSATION_ID } } });
+        expect(again).toMatchObject({ created: false, job: { id: first.job.id } });
+        expect(await JobWorker.drain()).toBe(2);
+    });
+
+    it('validates edits and keeps other students\' summaries private', async () => {
+        await start(turns(2));
+        const path = `/api/chat/conversation/${CONVERSATION_ID}/summary`;
+
+        expect((await server.request('PUT', path, { body: { summary: 42 } })).status).toBe(400);
+        expect((await server.request('PUT', path, { body: {} })).status).toBe(400);
+        expect((await server.request('PUT', path, { body: { summary: 'x'.repeat(4001) } })).status).toBe(400);
+
+        const token = signAccessToken(OTHER_USER_ID);
+        expect((await server.request('GET', path, { token })).status).toBe(404);
+        expect((await server.request('PUT', path, { token, body: { summary: 'Mine now' } })).status).toBe(404);
+        expect(server.supabase.table('conversations')[0].summary).toBeUndefined();
+    });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { startTestServer, parseEventStream, TEST_USER_ID } from './helpers.js';
+import { PromptBuilder, PROMPT_CONFIG } from '../services/prompt-builder.js';
+import { countTokens, countMessageTokens, encodingForModel, REPLY_OVERHEAD_TOKENS } from '../services/tokens.js';
+
+const words = (word, count) => Array.from({ length: count }, (value, index) => `${word}${index}`).join(' ');
+
+describe('tokenizer per model', () => {
+    it('picks the encoding of the model family', () => {
+        expect(encodingForModel('gpt-4o-mini')).toBe('o200k_base');
+        expect(encodingForModel('o3-mini')).toBe('o200k_base');
+        expect(encodingForModel('gpt-4-turbo')).toBe('cl100k_base');
+        expect(encodingForModel('gemini-2.0-flash')).toBe('cl100k_base');
+        expect(countTokens('Gradient descent', 'o200k_base')).toBe(2);
+        expect(countMessageTokens([{ role: 'user', content: 'Gradient descent' }], 'o200k_base')).toBe(2 + 3 + 3);
+    });
+
+    it('budgets the context window less the reply, capped for cost', () => {
+        expect(PromptBuilder.budgetFor('gpt-4', 1000)).toBe(7192);
+        expect(PromptBuilder.budgetFor('gpt-4o-mini', 1000)).toBe(PROMPT_CONFIG.MAX_PROMPT_TOKENS);
+    });
+});
+
+describe('PromptBuilder.build', () => {
+    const system = 'You are Claryfy.';
+    const sources = ['[1] ASSIGNMENT: PS5\nImplement gradient descent.', `[2] FILE: Notes\n${words('note', 300)}`, '[3] PAGE: Policies\nLate work loses 10%.'];
+    const history = [
+        { role: 'user', content: 'What is the late policy?' },
+        { role: 'assistant', content: words('policy', 120) },
+        { role: 'user', content: 'And for PS5?' },
+        { role: 'assistant', content: 'PS5 follows the same policy.' }
+    ];
+
+    it('keeps everything when it fits and accounts for every token', () => {
+        const { messages, kept, breakdown } = PromptBuilder.build({
+            system, history, user: 'When is PS5 due?',
+            context: [{ header: 'Sources:', items: sources }]
+        }, { model: 'gpt-4o-mini', budget: 4000 });
+
+        expect(messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user', 'assistant', 'system', 'user']);
+        expect(kept).toEqual([3]);
+        expect(breakdown).toMatchObject({ encoding: 'o200k_base', budget: 4000, dropped: { history: 0, context: 0 }, summarizedHistory: false });
+        expect(breakdown.total).toBe(countMessageTokens(messages, 'o200k_base'));
+        expect(breakdown.system + breakdown.history + breakdown.context + breakdown.user + REPLY_OVERHEAD_TOKENS).toBe(breakdown.total);
+    });
+
+    it('cuts the lowest ranked context and the oldest history to fit, summarizing what was dropped', () => {
+        const { messages, kept, breakdown } = PromptBuilder.build({
+            system, history, user: 'When is PS5 due?',
+            context: [{ header: 'Sources:', items: sources }]
+        }, { model: 'gpt-4o-mini', budget: 400 });
+
+        expect(breakdown.total).toBeLessThanOrEqual(400);
+        expect(messages[0].content).toBe(system);
+
+        // The long second source is cut and the third dropped, so [1] and [2] keep their numbers
+        expect(kept).toEqual([2]);
+        const context = messages.find(message => message.content.startsWith('Sources:')).content;
+        expect(context).toContain('[1] ASSIGNMENT: PS5');
+        expect(context).toMatch(/\[2\] FILE: Notes[\s\S]*…$/);
+        expect(breakdown.dropped.context).toBe(1);
+        expect(breakdown.truncated.context).toBe(1);
+
+        // The latest turns stay; the long older answer gives way to a summary of the questions
+        const historyText = messages.filter(message => message.role !== 'system' || message.content.startsWith('Earlier')).map(message => message.content);
+        expect(historyText).toContain('PS5 follows the same policy.');
+        expect(historyText[0]).toBe('Earlier in this conversation the student asked: "What is the late policy?"');
+        expect(breakdown.summarizedHistory).toBe(true);
+        expect(breakdown.dropped.history).toBe(2);
+    });
+
+    it('keeps the start and end of an oversized user message', () => {
+        const user = `Here is my essay: ${words('essay', 2000)} Can you check the conclusion?`;
+        const { messages, breakdown } = PromptBuilder.build({ system, user }, { model: 'gpt-4', budget: 800 });
+
+        const sent = messages.at(-1).content;
+        expect(sent.startsWith('Here is my essay:')).toBe(true);
+        expect(sent.endsWith('Can you check the conclusion?')).toBe(true);
+        expect(sent).toContain('\n…\n');
+        expect(breakdown.truncated.user).toBe(true);
+        expect(breakdown.user).toBeLessThanOrEqual(200 + 3);
+    });
+});
+
+describe('prompt budget in chat', () => {
+    let server;
+    const defaultBudget = PROMPT_CONFIG.MAX_PROMPT_TOKENS;
+
+    afterEach(async () => {
+        PROMPT_CONFIG.MAX_PROMPT_TOKENS = defaultBudget;
+        await server.close();
+    });
+
+    it('sends only the sources that fit and records the token breakdown', async () => {
+        PROMPT_CONFIG.MAX_PROMPT_TOKENS = 700;
+        server = await startTestServer();
+        server.weaviate.put('CanvasContent', {
+            title: 'PS5 Gradient Descent', content: 'Implement gradient descent. Due Friday.',
+            type: 'assignment', courseId: 101, userId: TEST_USER_ID, canvasId: '1001'
+        });
+        server.weaviate.put('CanvasContent', {
+            title: 'Gradient descent reading', content: words('gradient', 600),
+            type: 'page', courseId: 101, userId: TEST_USER_ID, canvasId: 'reading'
+        });
+
+        const response = await server.request('POST', '/api/chat', {
+            headers: { Accept: 'text/event-stream' },
+            body: { message: 'When is the PS5 gradient descent assignment due?' }
+        });
+        const events = parseEventStream(await response.text());
+        const sources = events.find(event => event.event === 'sources').data.sources;
+        expect(sources.map(source => source.title)).toEqual(['PS5 Gradient Descent', 'Gradient descent reading']);
+
+        const done = events.at(-1).data;
+        const reply = server.supabase.table('messages').find(row => row.id === done.messageId);
+        expect(reply.metadata.prompt).toMatchObject({ model: 'fake-chat', encoding: 'cl100k_base', budget: 700, truncated: { context: 1 } });
+        expect(reply.metadata.prompt.total).toBeLessThanOrEqual(700);
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { startTestServer, parseEventStream, VALID_CANVAS_TOKEN, CANVAS_DOMAIN } from './helpers.js';
+import { GeminiQueryService } from '../services/gemini.js';
+import { QueryPlanService } from '../services/query-plan.js';
+import { JobWorker } from '../services/jobs.js';
+
+const NOW = new Date('2026-10-20T15:00:00Z');
+
+function plan(overrides = {}) {
+    return GeminiQueryService.buildSearchQuery({
+        searchType: 'general',
+        courseFilter: null,
+        timeFilter: null,
+        priority: null,
+        keywords: ['gradient'],
+        specificItems: [],
+        intent: 'general_question',
+        ...overrides
+    }, 'original question');
+}
+
+describe('QueryPlanService.compile', () => {
+    it('turns types and deadline windows into search filters', () => {
+        const compiled = QueryPlanService.compile(plan({ searchType: 'assignments', timeFilter: 'this_week', priority: 'due_soon' }), { courseId: 101, now: NOW });
+
+        expect(compiled).toEqual({
+            query: 'gradient assignment',
+            courseId: 101,
+            limit: 10,
+            filters: { types: ['assignment'], dueAfter: '2026-10-20T00:00:00.000Z', dueBefore: '2026-10-27T15:00:00.000Z' },
+            boost: { recent: true, dueDate: true }
+        });
+    });
+
+    it('searches file text along with the files themselves', () => {
+        expect(QueryPlanService.compile(plan({ searchType: 'files' })).filters).toEqual({ types: ['file', 'file_chunk'] });
+    });
+
+    it('applies a window only to types that have that date', () => {
+        // Overdue work, with no type named, means things with deadlines
+        expect(QueryPlanService.compile(plan({ priority: 'overdue' }), { intent: 'check_deadlines', now: NOW }).filters).toEqual({
+            types: ['assignment', 'quiz', 'discussion'], dueAfter: undefined, dueBefore: '2026-10-20T15:00:00.000Z'
+        });
+        // Announcements from this week were posted in the last seven days
+        expect(QueryPlanService.compile(plan({ searchType: 'announcements', timeFilter: 'this_week' }), { now: NOW }).filters).toEqual({
+            types: ['announcement'], createdAfter: '2026-10-13T15:00:00.000Z'
+        });
+        // Modules have no dates to filter on
+        expect(QueryPlanService.compile(plan({ searchType: 'modules', timeFilter: 'this_week' }), { now: NOW }).filters).toEqual({ types: ['module'] });
+    });
+});
+
+describe('QueryPlanService.rerank', () => {
+    const results = [
+        { title: 'Project Proposal', score: 0.9, dueDate: '2026-10-30T23:59:00Z' },
+        { title: 'PS5 Gradient Descent', score: 0.8, dueDate: '2026-10-21T23:59:00Z' },
+        { title: 'PS4', score: 0.85, dueDate: '2026-10-14T23:59:00Z' }
+    ];
+    const titles = items => items.map(item => item.title);
+
+    it('leaves the order alone when the plan boosts nothing', () => {
+        expect(QueryPlanService.rerank(results, {}, NOW)).toBe(results);
+    });
+
+    it('moves what is due soonest up, and overdue work only when asked about', () => {
+        expect(titles(QueryPlanService.rerank(results, { dueDate: true }, NOW))).toEqual(['PS5 Gradient Descent', 'Project Proposal', 'PS4']);
+        expect(titles(QueryPlanService.rerank(results, { overdue: true }, NOW))).toEqual(['PS4', 'Project Proposal', 'PS5 Gradient Descent']);
+    });
+
+    it('favours recent posts', () => {
+        const announcements = [
+            { title: 'Old', _additional: { distance: 0.1 }, createdAt: '2026-08-01T00:00:00Z' },
+            { title: 'New', _additional: { distance: 0.2 }, createdAt: '2026-10-19T00:00:00Z' }
+        ];
+        const reranked = QueryPlanService.rerank(announcements, { recent: true }, NOW);
+
+        expect(titles(reranked)).toEqual(['New', 'Old']);
+        expect(reranked[0].rerankScore).toBeGreaterThan(reranked[1].rerankScore);
+    });
+});
+
+describe('chat retrieval with a query plan', () => {
+    let server;
+
+    afterEach(async () => {
+        vi.useRealTimers();
+        await server.close();
+    });
+
+    it('searches only what the plan asks for', async () => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(NOW);
+
+        const prompts = [];
+        server = await startTestServer({
+            respond: messages => {
+                const prompt = messages.map(message => message.content || '').join('\n');
+                if (prompt.includes('Canvas LMS query processor')) {
+                    return JSON.stringify({
+                        searchType: 'assignments', courseFilter: 'CMSC422', timeFilter: 'this_week', priority: 'due_soon',
+                        keywords: ['assignments', 'due'], specificItems: [], intent: 'check_deadlines'
+                    });
+                }
+                prompts.push(prompt);
+                return 'PS5 is due Friday [1].';
+            }
+        });
+        await server.request('POST', '/auth', { body: { token: VALID_CANVAS_TOKEN, domain: CANVAS_DOMAIN } });
+        await server.request('POST', '/api/weaviate/sync/canvas', { body: {} });
+        await JobWorker.drain();
+
+        const response = await server.request('POST', '/api/chat', {
+            headers: { Accept: 'text/event-stream' },
+            body: { message: 'What is due this week in CMSC422?' }
+        });
+        const events = parseEventStream(await response.text());
+        const sources = events.find(event => event.event === 'sources').data.sources;
+
+        // Project Proposal is due after this week and the essay is in another course
+        expect(sources.map(source => source.title)).toEqual(['PS5 Gradient Descent']);
+        expect(prompts[0]).toContain('[1] ASSIGNMENT, course 101, due 2026-10-23T23:59:00Z: PS5 Gradient Descent');
+    });
+});
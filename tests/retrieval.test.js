@@ -0,0 +1,117 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { startTestServer, parseEventStream, TEST_USER_ID } from './helpers.js';
+import { RetrievalService, RETRIEVAL_CONFIG } from '../services/retrieval.js';
+import { LLMService, LLM_TASKS } from '../services/llm/index.js';
+import { FakeProvider } from '../services/llm/fake.js';
+import { countTokens } from '../services/tokens.js';
+
+const item = (title, content, extra = {}) => ({ title, content, type: 'assignment', courseId: 101, canvasId: title, ...extra });
+
+describe('RetrievalService.select', () => {
+    afterEach(() => {
+        LLMService.resetProviders();
+    });
+
+    it('puts the candidates that match the question first', async () => {
+        const canvas = [
+            item('Week 7 questions', 'Ask about optimization here.'),
+            item('Course Policies', 'Late work loses 10% per day.'),
+            item('PS5 Gradient Descent', 'Implement gradient descent with a fixed learning rate.')
+        ];
+        const history = [{ message: 'What is PS5 about?', response: 'PS5 covers gradient descent.', conversationId: 'c1' }];
+
+        const { canvas: kept, history: keptHistory, stats } = await RetrievalService.select('When is the gradient descent PS5 due?', { canvas, history }, {
+            limits: { canvas: 2, history: 1 }
+        });
+
+        expect(kept.map(result => result.title)).toEqual(['PS5 Gradient Descent', 'Week 7 questions']);
+        expect(keptHistory).toHaveLength(1);
+        expect(stats).toMatchObject({ reranker: 'lexical', candidates: 4, kept: 3, duplicates: 0, overBudget: 0 });
+        expect(kept[0].rerankScore).toBeGreaterThan(kept[1].rerankScore);
+    });
+
+    it('drops near-duplicates and fits the token budget with the real tokenizer', async () => {
+        const announcement = 'The midterm is now on November 4 in the usual lecture hall, bring a pencil and your student ID.';
+        const long = 'Gradient descent notes. '.repeat(400);
+        const canvas = [
+            item('Midterm moved', announcement, { type: 'announcement', courseId: 101 }),
+            item('Midterm moved', `${announcement} `, { type: 'announcement', courseId: 102 }),
+            item('Lecture notes', long, { type: 'file_chunk' }),
+            item('Syllabus', 'Grading: 40% problem sets, 60% exams.', { type: 'syllabus' })
+        ];
+
+        const { canvas: kept, stats } = await RetrievalService.select('midterm date', { canvas }, { budget: 900 });
+
+        expect(kept.map(result => result.courseId + ':' + result.title)).toEqual(['101:Midterm moved', '101:Lecture notes', '101:Syllabus']);
+        expect(stats.duplicates).toBe(1);
+
+        // The long item was cut to the per-item cap, and everything kept fits the budget
+        const notes = kept.find(result => result.title === 'Lecture notes');
+        expect(RetrievalService.countItemTokens(notes)).toBeLessThanOrEqual(RETRIEVAL_CONFIG.ITEM_MAX_TOKENS);
+        expect(stats.tokens).toBe(kept.reduce((sum, result) => sum + RetrievalService.countItemTokens(result), 0));
+        expect(stats.tokens).toBeLessThanOrEqual(900);
+
+        const { canvas: tight, stats: tightStats } = await RetrievalService.select('midterm date', { canvas }, { budget: 100 });
+        expect(tight.map(result => result.title)).toEqual(['Midterm moved', 'Syllabus']);
+        expect(tightStats.overBudget).toBe(1);
+        expect(countTokens(announcement)).toBeLessThan(100);
+    });
+
+    it('uses the LLM re-ranker when asked and falls back to lexical when it fails', async () => {
+        const canvas = [item('Course Policies', 'Late work loses 10% per day.'), item('PS5', 'Gradient descent.')];
+        LLMService.setProvider(LLM_TASKS.RERANK, new FakeProvider({ respond: () => '{"scores": [9, 2]}' }));
+
+        const graded = await RetrievalService.select('Can I hand PS5 in late?', { canvas }, { reranker: 'llm' });
+        expect(graded.canvas.map(result => result.title)).toEqual(['Course Policies', 'PS5']);
+        expect(graded.stats.reranker).toBe('llm');
+
+        LLMService.setProvider(LLM_TASKS.RERANK, new FakeProvider({ respond: () => 'Both look useful.' }));
+        const fallback = await RetrievalService.select('Can I hand PS5 in late?', { canvas }, { reranker: 'llm' });
+        expect(fallback.stats.reranker).toBe('lexical');
+    });
+
+    it('accepts custom re-rankers', async () => {
+        RetrievalService.registerReranker('shortest', (query, candidates) => candidates.map(candidate => 1 / candidate.text.length));
+        const canvas = [item('A', 'A long description of the assignment.'), item('B', 'Short.')];
+
+        const { canvas: kept } = await RetrievalService.select('anything', { canvas }, { reranker: 'shortest' });
+        expect(kept.map(result => result.title)).toEqual(['B', 'A']);
+        expect(RetrievalService.rerankers).toContain('shortest');
+    });
+});
+
+describe('re-ranking in chat', () => {
+    let server;
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    it('over-fetches, keeps the best sources and records what it did', async () => {
+        server = await startTestServer();
+        for (let i = 1; i <= 12; i++) {
+            server.weaviate.put('CanvasContent', {
+                title: i === 9 ? 'PS5 Gradient Descent' : `Reading ${i}`,
+                content: i === 9 ? 'Implement gradient descent. Due Friday.' : `Chapter ${i} on gradient methods.`,
+                type: 'assignment',
+                courseId: 101,
+                userId: TEST_USER_ID,
+                canvasId: String(1000 + i)
+            });
+        }
+
+        const response = await server.request('POST', '/api/chat', {
+            headers: { Accept: 'text/event-stream' },
+            body: { message: 'When is the PS5 gradient descent assignment due?' }
+        });
+        const events = parseEventStream(await response.text());
+        const sources = events.find(event => event.event === 'sources').data.sources;
+
+        expect(sources[0]).toMatchObject({ index: 1, title: 'PS5 Gradient Descent' });
+        expect(sources.length).toBeLessThanOrEqual(10);
+
+        const done = events.at(-1).data;
+        const reply = server.supabase.table('messages').find(row => row.id === done.messageId);
+        expect(reply.metadata.retrieval).toMatchObject({ reranker: 'lexical', candidates: 12, kept: sources.length });
+    });
+});
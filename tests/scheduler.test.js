@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { startTestServer, signAccessToken, TEST_USER_ID, OTHER_USER_ID, ADMIN_USER_ID, VALID_CANVAS_TOKEN, CANVAS_DOMAIN } from './helpers.js';
+import { CanvasRefreshScheduler } from '../services/scheduler.js';
+import { JobWorker, JOB_STATUS } from '../services/jobs.js';
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+describe('Canvas refresh scheduler', () => {
+    let server;
+
+    beforeEach(async () => {
+        server = await startTestServer({
+            tables: {
+                canvas_data: [
+                    // Assignments are due every 15 minutes, files daily
+                    { user_id: TEST_USER_ID, data_type: 'assignments', course_id: 101, content: [], last_synced: minutesAgo(20) },
+                    { user_id: TEST_USER_ID, data_type: 'files', course_id: 101, content: [], last_synced: minutesAgo(20) },
+                    { user_id: OTHER_USER_ID, data_type: 'assignments', course_id: 201, content: [], last_synced: minutesAgo(5) },
+                    { user_id: OTHER_USER_ID, data_type: 'files', course_id: 201, content: [], last_synced: minutesAgo(120) }
+                ]
+            }
+        });
+    });
+
+    afterEach(async () => {
+        await server.close();
+    });
+
+    const jobs = () => server.supabase.table('jobs');
+
+    it('queues syncs only for users with data past its freshness policy', async () => {
+        const now = new Date();
+        const run = await CanvasRefreshScheduler.runOnce({ now, random: () => 0.5 });
+
+        expect(run).toMatchObject({ quiet: false, candidates: 1, enqueued: 1 });
+        expect(jobs()).toHaveLength(1);
+
+        const [job] = jobs();
+        expect(job).toMatchObject({ user_id: TEST_USER_ID, type: 'canvas_sync', status: JOB_STATUS.QUEUED });
+        expect(job.payload).toEqual({ reason: 'scheduled', staleTypes: ['assignments'] });
+
+        // Jittered into the future so a fleet of users does not hit Canvas at once
+        expect(Date.parse(job.run_at)).toBeGreaterThan(now.getTime());
+    });
+
+    it('does not stack jobs for a user who is already queued', async () => {
+        await CanvasRefreshScheduler.runOnce();
+        const run = await CanvasRefreshScheduler.runOnce();
+
+        expect(run.enqueued).toBe(0);
+        expect(run.skipped).toEqual({ alreadyQueued: 1 });
+        expect(jobs()).toHaveLength(1);
+    });
+
+    it('backs off from users whose last sync failed', async () => {
+        jobs().push({ user_id: TEST_USER_ID, type: 'canvas_sync', status: JOB_STATUS.FAILED, finished_at: minutesAgo(30), created_at: minutesAgo(31) });
+
+        const run = await CanvasRefreshScheduler.runOnce();
+
+        expect(run.skipped).toEqual({ recentFailure: 1 });
+        expect(jobs()).toHaveLength(1);
+    });
+
+    it('queues nothing during quiet hours', async () => {
+        const quiet = CanvasRefreshScheduler.isQuietTime;
+        CanvasRefreshScheduler.isQuietTime = () => true;
+
+        try {
+            const run = await CanvasRefreshScheduler.runOnce();
+            expect(run).toMatchObject({ quiet: true, enqueued: 0 });
+            expect(jobs()).toHaveLength(0);
+        } finally {
+            CanvasRefreshScheduler.isQuietTime = quiet;
+        }
+    });
+
+    it('evaluates quiet hours in the configured timezone, across midnight', () => {
+        // 03:00 and 12:00 in New York (EDT, UTC-4)
+        const night = new Date('2026-10-19T07:00:00Z');
+        const noon = new Date('2026-10-19T16:00:00Z');
+
+        expect(CanvasRefreshScheduler.isQuietTime(night, { start: 2, end: 6 })).toBe(true);
+        expect(CanvasRefreshScheduler.isQuietTime(noon, { start: 2, end: 6 })).toBe(false);
+        expect(CanvasRefreshScheduler.isQuietTime(night, { start: 22, end: 6 })).toBe(true);
+        expect(CanvasRefreshScheduler.isQuietTime(noon, { start: 22, end: 6 })).toBe(false);
+    });
+
+    it('skips a scheduled job when the data was refreshed in the meantime', async () => {
+        await CanvasRefreshScheduler.runOnce({ random: () => 0 });
+        server.supabase.table('canvas_data').forEach(row => {
+            row.last_synced = new Date().toISOString();
+        });
+
+        await JobWorker.drain();
+
+        expect(jobs()[0]).toMatchObject({ status: JOB_STATUS.SUCCEEDED, result: { skipped: true } });
+        expect(server.canvas.calls).toHaveLength(0);
+    });
+
+    it('fetches and re-stamps only the stale types', async () => {
+        await server.request('POST', '/auth', { body: { token: VALID_CANVAS_TOKEN, domain: CANVAS_DOMAIN } });
+        server.canvas.calls.length = 0;
+        const filesSynced = server.supabase.table('canvas_data').find(row => row.data_type === 'files').last_synced;
+
+        await CanvasRefreshScheduler.runOnce({ random: () => 0 });
+        await JobWorker.drain();
+
+        expect(jobs()[0]).toMatchObject({ status: JOB_STATUS.SUCCEEDED, result: { canvasData: { courses: 2, assignments: 3 } } });
+        expect(new Set(server.canvas.calls.map(call => call.name))).toEqual(new Set(['getDashboardCards', 'listAssignments']));
+
+        const rows = server.supabase.table('canvas_data').filter(row => row.user_id === TEST_USER_ID && row.course_id === 101);
+        expect(Date.parse(rows.find(row => row.data_type === 'assignments').last_synced)).toBeGreaterThan(Date.now() - 60000);
+        expect(rows.find(row => row.data_type === 'files').last_synced).toBe(filesSynced);
+        expect(rows.some(row => row.data_type === 'announcements')).toBe(false);
+    });
+
+    it('shows the schedule to admins only', async () => {
+        const denied = await server.request('GET', '/api/admin/schedule');
+        expect(denied.status).toBe(403);
+
+        await server.request('POST', '/api/admin/schedule/run', { token: signAccessToken(ADMIN_USER_ID) });
+
+        const response = await server.request('GET', '/api/admin/schedule', { token: signAccessToken(ADMIN_USER_ID) });
+        const schedule = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(schedule.policies).toEqual([
+            { dataType: 'assignments', maxAgeMinutes: 15 },
+            { dataType: 'announcements', maxAgeMinutes: 30 },
+            { dataType: 'courses', maxAgeMinutes: 360 },
+            { dataType: 'files', maxAgeMinutes: 1440 }
+        ]);
+        expect(schedule.due).toEqual({ assignments: 1, announcements: 0, courses: 0, files: 0 });
+        expect(schedule.lastRun).toMatchObject({ candidates: 1, enqueued: 1 });
+        expect(schedule.quietHours).toBeNull();
+    });
+});
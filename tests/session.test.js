@@ -0,0 +1,115 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { CanvasSessionService, SESSION_CONFIG } from '../services/session.js';
+
+// Minimal Express request carrying the given headers
+function requestWith(headers) {
+    return { headers, get: name => headers[name.toLowerCase()] };
+}
+
+describe('CanvasSessionService', () => {
+    const defaults = { ...SESSION_CONFIG };
+    let opened = [];
+
+    // Sessions get a stand-in client so no Canvas client is built
+    function open(token = 'canvas-token') {
+        const session = CanvasSessionService.createSession(token, 'canvas.test', {});
+        opened.push(session);
+        return session;
+    }
+
+    afterEach(() => {
+        opened.forEach(session => CanvasSessionService.destroySession(session.signedId));
+        opened = [];
+        Object.assign(SESSION_CONFIG, defaults);
+        vi.useRealTimers();
+        vi.unstubAllEnvs();
+    });
+
+    it('only resolves correctly signed session IDs', () => {
+        const session = open();
+        const [id, signature] = session.signedId.split('.');
+
+        expect(CanvasSessionService.getSession(session.signedId)).toBe(session);
+        expect(CanvasSessionService.getSession(id)).toBeNull();
+        expect(CanvasSessionService.getSession(`${id}.${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`)).toBeNull();
+        expect(CanvasSessionService.getSession(`${open().id}.${signature}`)).toBeNull();
+        expect(CanvasSessionService.getSession(undefined)).toBeNull();
+    });
+
+    it('expires sessions that sit idle past the timeout', () => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        const session = open();
+
+        vi.setSystemTime(Date.now() + SESSION_CONFIG.IDLE_TIMEOUT_MS - 1000);
+        expect(CanvasSessionService.getSession(session.signedId)).toBe(session);
+
+        // Each use restarts the idle clock
+        vi.setSystemTime(Date.now() + SESSION_CONFIG.IDLE_TIMEOUT_MS - 1000);
+        expect(CanvasSessionService.getSession(session.signedId)).toBe(session);
+
+        vi.setSystemTime(Date.now() + SESSION_CONFIG.IDLE_TIMEOUT_MS + 1000);
+        expect(CanvasSessionService.getSession(session.signedId)).toBeNull();
+        expect(CanvasSessionService.destroySession(session.signedId)).toBe(false);
+    });
+
+    it('evicts the least recently used sessions when over capacity', () => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        SESSION_CONFIG.MAX_SESSIONS = CanvasSessionService.getStats().activeSessions + 2;
+
+        const first = open('first');
+        vi.setSystemTime(Date.now() + 1000);
+        const second = open('second');
+        vi.setSystemTime(Date.now() + 1000);
+        CanvasSessionService.getSession(first.signedId);
+        vi.setSystemTime(Date.now() + 1000);
+        const third = open('third');
+
+        expect(CanvasSessionService.getSession(second.signedId)).toBeNull();
+        expect(CanvasSessionService.getSession(first.signedId)).toBe(first);
+        expect(CanvasSessionService.getSession(third.signedId)).toBe(third);
+    });
+
+    it('destroys sessions', () => {
+        const session = open();
+
+        expect(CanvasSessionService.destroySession(`${session.id}.forged`)).toBe(false);
+        expect(CanvasSessionService.destroySession(session.signedId)).toBe(true);
+        expect(CanvasSessionService.getSession(session.signedId)).toBeNull();
+        expect(CanvasSessionService.destroySession(session.signedId)).toBe(false);
+    });
+
+    it('reads the session from the cookie, falling back to the session header', () => {
+        const fromCookie = open();
+        const fromHeader = open();
+
+        expect(CanvasSessionService.getRequestSession(requestWith({ cookie: `theme=dark; ${SESSION_CONFIG.COOKIE_NAME}=${encodeURIComponent(fromCookie.signedId)}` }))).toBe(fromCookie);
+        expect(CanvasSessionService.getRequestSession(requestWith({ [SESSION_CONFIG.HEADER_NAME]: fromHeader.signedId }))).toBe(fromHeader);
+        expect(CanvasSessionService.getRequestSession(requestWith({
+            cookie: `${SESSION_CONFIG.COOKIE_NAME}=${fromCookie.signedId}`,
+            [SESSION_CONFIG.HEADER_NAME]: fromHeader.signedId
+        }))).toBe(fromCookie);
+        expect(CanvasSessionService.getRequestSession(requestWith({}))).toBeNull();
+    });
+
+    it('sets cross-site Secure cookies in production', () => {
+        const session = open();
+        const cookieFor = () => {
+            const headers = [];
+            CanvasSessionService.setSessionCookie({ append: (name, value) => headers.push(value) }, session);
+            return headers[0].split('; ');
+        };
+
+        expect(cookieFor()).toEqual(expect.arrayContaining(['HttpOnly', 'Path=/', 'SameSite=Lax']));
+        expect(cookieFor()).not.toContain('Secure');
+
+        vi.stubEnv('NODE_ENV', 'production');
+        expect(cookieFor()).toEqual([
+            `${SESSION_CONFIG.COOKIE_NAME}=${encodeURIComponent(session.signedId)}`,
+            'Path=/',
+            'HttpOnly',
+            `Max-Age=${SESSION_CONFIG.IDLE_TIMEOUT_MS / 1000}`,
+            'SameSite=None',
+            'Secure'
+        ]);
+    });
+});
@@ -0,0 +1,16 @@
+// Offline test environment: every backend is replaced by an in-memory fake (see tests/helpers.js)
+
+process.env.NODE_ENV = 'test';
+process.env.LLM_PROVIDER = 'fake';
+process.env.SUPABASE_JWT_SECRET = 'test-jwt-secret';
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.CANVAS_TOKEN_KEYS = `test:${Buffer.alloc(32, 7).toString('base64')}`;
+
+// Never reach real services from a developer's .env
+for (const name of ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY', 'SUPABASE_SERVICE_ROLE_KEY', 'WEAVIATE_URL', 'WEAVIATE_API_KEY', 'OPENAI_API_KEY', 'GOOGLE_API_KEY', 'CANVAS_OAUTH_CLIENT_ID']) {
+    process.env[name] = '';
+}
+
+// Operators for /api/admin routes, and a scheduler that never pauses mid-suite
+process.env.ADMIN_USER_IDS = '99999999-9999-4999-8999-999999999999';
+process.env.CANVAS_REFRESH_QUIET_HOURS = '';
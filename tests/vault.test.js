@@ -0,0 +1,127 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { TokenVault } from '../services/vault.js';
+import { FakeSupabaseClient } from './fakes/supabase.js';
+import { TEST_USER_ID, OTHER_USER_ID } from './helpers.js';
+
+// tests/setup.js configures the "test" key; "next" is the key rotated to
+const TEST_KEY = process.env.CANVAS_TOKEN_KEYS;
+const NEXT_KEY = `next:${Buffer.alloc(32, 9).toString('base64')}`;
+
+// Load fresh copies of modules under different master keys
+async function loadWithKeys(keys, activeKey, ...modules) {
+    vi.resetModules();
+    vi.stubEnv('CANVAS_TOKEN_KEYS', keys);
+    vi.stubEnv('CANVAS_TOKEN_ACTIVE_KEY', activeKey);
+    return Promise.all(modules.map(module => import(module)));
+}
+
+// Flip one byte of a sealed value's part (3: wrapped data key, 5: token ciphertext)
+function tamper(sealed, part) {
+    const parts = sealed.split(':');
+    const bytes = Buffer.from(parts[part], 'base64url');
+    bytes[0] ^= 1;
+    parts[part] = bytes.toString('base64url');
+    return parts.join(':');
+}
+
+describe('TokenVault', () => {
+    afterEach(() => {
+        vi.unstubAllEnvs();
+        vi.resetModules();
+    });
+
+    it('round-trips a token without storing it in the clear', () => {
+        const sealed = TokenVault.encrypt('canvas-token-123', TEST_USER_ID);
+
+        expect(TokenVault.isSealed(sealed)).toBe(true);
+        expect(sealed).not.toContain('canvas-token-123');
+        expect(TokenVault.encrypt('canvas-token-123', TEST_USER_ID)).not.toBe(sealed);
+        expect(TokenVault.decrypt(sealed, TEST_USER_ID)).toBe('canvas-token-123');
+
+        // Tokens stored before the vault existed are read as they are
+        expect(TokenVault.decrypt('legacy-plaintext', TEST_USER_ID)).toBe('legacy-plaintext');
+    });
+
+    it('rejects a token sealed for another user', () => {
+        const sealed = TokenVault.encrypt('canvas-token-123', TEST_USER_ID);
+
+        expect(() => TokenVault.decrypt(sealed, OTHER_USER_ID)).toThrow();
+    });
+
+    it('rejects a tampered wrapped key or ciphertext', () => {
+        const sealed = TokenVault.encrypt('canvas-token-123', TEST_USER_ID);
+
+        expect(() => TokenVault.decrypt(tamper(sealed, 3), TEST_USER_ID)).toThrow();
+        expect(() => TokenVault.decrypt(tamper(sealed, 5), TEST_USER_ID)).toThrow();
+        expect(() => TokenVault.decrypt(sealed.replace(/^v1:test:/, 'v1:gone:'), TEST_USER_ID)).toThrow(/Unknown Canvas token key ID/);
+    });
+
+    it('reads tokens sealed with a retired key and re-wraps them under the active one', async () => {
+        const sealed = TokenVault.encrypt('canvas-token-123', TEST_USER_ID);
+
+        const [{ TokenVault: rotatingVault }] = await loadWithKeys(`${NEXT_KEY},${TEST_KEY}`, 'next', '../services/vault.js');
+        expect(rotatingVault.decrypt(sealed, TEST_USER_ID)).toBe('canvas-token-123');
+        expect(rotatingVault.needsRotation(sealed)).toBe(true);
+
+        const rotated = rotatingVault.rotate(sealed, TEST_USER_ID);
+        expect(rotated.split(':')[1]).toBe('next');
+        expect(rotated.split(':').slice(4)).toEqual(sealed.split(':').slice(4));
+        expect(rotatingVault.needsRotation(rotated)).toBe(false);
+
+        // Once every token is rotated the old key can go
+        const [{ TokenVault: nextVault }] = await loadWithKeys(NEXT_KEY, 'next', '../services/vault.js');
+        expect(nextVault.decrypt(rotated, TEST_USER_ID)).toBe('canvas-token-123');
+        expect(() => nextVault.decrypt(sealed, TEST_USER_ID)).toThrow(/Unknown Canvas token key ID/);
+    });
+});
+
+describe('scripts/rotate-canvas-tokens.js', () => {
+    afterEach(() => {
+        vi.unstubAllEnvs();
+        vi.resetModules();
+    });
+
+    async function setup() {
+        const users = [
+            {
+                id: TEST_USER_ID,
+                canvas_token: TokenVault.encrypt('access-1', TEST_USER_ID),
+                canvas_refresh_token: TokenVault.encrypt('refresh-1', TEST_USER_ID)
+            },
+            { id: OTHER_USER_ID, canvas_token: 'legacy-plaintext', canvas_refresh_token: null }
+        ];
+        const supabase = new FakeSupabaseClient({ tables: { users } });
+
+        const [{ setSupabaseClient }, { TokenVault: vault }, { rotateCanvasTokens }] = await loadWithKeys(
+            `${NEXT_KEY},${TEST_KEY}`, 'next',
+            '../services/supabase.js', '../services/vault.js', '../scripts/rotate-canvas-tokens.js'
+        );
+        setSupabaseClient(supabase);
+
+        return { users, supabase, vault, rotateCanvasTokens };
+    }
+
+    it('re-encrypts every token under the active key', async () => {
+        const { supabase, vault, rotateCanvasTokens } = await setup();
+
+        expect(await rotateCanvasTokens()).toEqual({ scanned: 2, rotated: 2, failed: 0 });
+
+        const [user, other] = supabase.table('users');
+        for (const value of [user.canvas_token, user.canvas_refresh_token, other.canvas_token]) {
+            expect(value.split(':').slice(0, 2)).toEqual(['v1', 'next']);
+        }
+        expect(vault.decrypt(user.canvas_token, TEST_USER_ID)).toBe('access-1');
+        expect(vault.decrypt(user.canvas_refresh_token, TEST_USER_ID)).toBe('refresh-1');
+        expect(vault.decrypt(other.canvas_token, OTHER_USER_ID)).toBe('legacy-plaintext');
+        expect(other.canvas_refresh_token).toBeNull();
+
+        expect(await rotateCanvasTokens()).toEqual({ scanned: 2, rotated: 0, failed: 0 });
+    });
+
+    it('writes nothing on a dry run', async () => {
+        const { users, supabase, rotateCanvasTokens } = await setup();
+
+        expect(await rotateCanvasTokens({ dryRun: true })).toEqual({ scanned: 2, rotated: 2, failed: 0 });
+        expect(supabase.table('users')).toEqual(users);
+    });
+});
@@ -0,0 +1,17 @@
+import { fileURLToPath } from 'url';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+    resolve: {
+        alias: [
+            // Run against the TypeScript source so tests do not need a prior `npm run build`
+            { find: /^(\.\.?\/)+build\/client\.js$/, replacement: fileURLToPath(new URL('./client.ts', import.meta.url)) }
+        ]
+    },
+    test: {
+        environment: 'node',
+        include: ['tests/**/*.test.js'],
+        setupFiles: ['tests/setup.js'],
+        testTimeout: 15000
+    }
+});
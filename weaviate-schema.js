@@ -1,106 +1,93 @@
 // =============================================
 // CLARYFY WEAVIATE SCHEMA CONFIGURATION
 // =============================================
+//
+// Classes use vectorizer "none": vectors come from the embedding LLM task, so
+// whichever provider LLM_EMBEDDING_PROVIDER selects embeds both the objects
+// and the queries. Classes created with text2vec-openai must be recreated.
+
+import { LLMService } from './services/llm/index.js';
 
 // Canvas Content Schema - For assignments, announcements, files, etc.
 export const CanvasContentSchema = {
     class: "CanvasContent",
-    description: "Canvas LMS content including assignments, announcements, and files",
-    vectorizer: "text2vec-openai",
-    moduleConfig: {
-        "text2vec-openai": {
-            model: "text-embedding-3-small",
-            type: "text"
-        }
-    },
+    description: "Canvas LMS content including assignments, announcements, files and their text, pages, modules, syllabi, discussions and quizzes",
+    vectorizer: "none",
     properties: [
         {
             name: "content",
             dataType: ["text"],
-            description: "The main content/description of the Canvas item",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: false,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "The main content/description of the Canvas item"
         },
         {
             name: "title",
             dataType: ["string"],
-            description: "Title or name of the Canvas item",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: false,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Title or name of the Canvas item"
         },
         {
             name: "type",
             dataType: ["string"],
-            description: "Type of content: assignment, announcement, file, page",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Type of content: assignment, announcement, file, file_chunk, page, module, syllabus, discussion, quiz"
         },
         {
             name: "courseId",
             dataType: ["int"],
-            description: "Canvas course ID",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Canvas course ID"
         },
         {
             name: "userId",
             dataType: ["string"],
-            description: "Supabase user ID",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Supabase user ID"
         },
         {
             name: "canvasId",
             dataType: ["string"],
-            description: "Original Canvas item ID",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Original Canvas item ID"
+        },
+        {
+            name: "fileId",
+            dataType: ["int"],
+            description: "Canvas file ID the text was extracted from (file_chunk only)"
+        },
+        {
+            name: "pageNumber",
+            dataType: ["int"],
+            description: "Page (or slide) of the file the text is on (file_chunk only)"
+        },
+        {
+            name: "parentId",
+            dataType: ["string"],
+            description: "UUID of the parent object: the first chunk of the same item, or the file a file_chunk came from"
+        },
+        {
+            name: "chunkIndex",
+            dataType: ["int"],
+            description: "Position of this chunk within its item (chunked items only)"
+        },
+        {
+            name: "chunkCount",
+            dataType: ["int"],
+            description: "Number of chunks the item was split into (chunked items only)"
         },
         {
             name: "metadata",
             dataType: ["object"],
-            description: "Additional metadata like due dates, points, file types",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Additional metadata like due dates, points, file types"
         },
         {
             name: "createdAt",
             dataType: ["date"],
-            description: "When the content was created in Canvas",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "When the content was created in Canvas"
+        },
+        {
+            name: "dueDate",
+            dataType: ["date"],
+            description: "Due date copied out of metadata.dueDate, since nested object fields cannot be filtered"
+        },
+        {
+            name: "contentHash",
+            dataType: ["string"],
+            description: "SHA-256 of the synced properties, used to skip unchanged items on re-sync"
         }
     ]
 };
@@ -109,90 +96,42 @@ export const CanvasContentSchema = {
 export const ChatHistorySchema = {
     class: "ChatHistory",
     description: "Chat conversation history for context-aware responses",
-    vectorizer: "text2vec-openai",
-    moduleConfig: {
-        "text2vec-openai": {
-            model: "text-embedding-3-small",
-            type: "text"
-        }
-    },
+    vectorizer: "none",
     properties: [
         {
             name: "message",
             dataType: ["text"],
-            description: "User's message content",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: false,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "User's message content"
         },
         {
             name: "response",
             dataType: ["text"],
-            description: "AI assistant's response",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: false,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "AI assistant's response"
         },
         {
             name: "context",
             dataType: ["text"],
-            description: "Additional context used for the response",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: false,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Additional context used for the response"
         },
         {
             name: "courseId",
             dataType: ["int"],
-            description: "Canvas course ID if chat was course-specific",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Canvas course ID if chat was course-specific"
         },
         {
             name: "userId",
             dataType: ["string"],
-            description: "Supabase user ID",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Supabase user ID"
         },
         {
             name: "conversationId",
             dataType: ["string"],
-            description: "Supabase conversation ID",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Supabase conversation ID"
         },
         {
             name: "timestamp",
             dataType: ["date"],
-            description: "When the conversation occurred",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "When the conversation occurred"
         }
     ]
 };
@@ -201,105 +140,117 @@ export const ChatHistorySchema = {
 export const RecordingSummarySchema = {
     class: "RecordingSummary",
     description: "Recording transcriptions and AI-generated summaries",
-    vectorizer: "text2vec-openai",
-    moduleConfig: {
-        "text2vec-openai": {
-            model: "text-embedding-3-small",
-            type: "text"
-        }
-    },
+    vectorizer: "none",
     properties: [
         {
             name: "summary",
             dataType: ["text"],
-            description: "AI-generated summary of the recording",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: false,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "AI-generated summary of the recording"
         },
         {
             name: "transcription",
             dataType: ["text"],
-            description: "Full transcription from Whisper API",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: false,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Full transcription from Whisper API"
         },
         {
             name: "title",
             dataType: ["string"],
-            description: "Recording title or topic",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: false,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Recording title or topic"
         },
         {
             name: "courseId",
             dataType: ["int"],
-            description: "Canvas course ID",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Canvas course ID"
         },
         {
             name: "userId",
             dataType: ["string"],
-            description: "Supabase user ID",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Supabase user ID"
         },
         {
             name: "recordingId",
             dataType: ["string"],
-            description: "Supabase recording ID",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Supabase recording ID"
         },
         {
             name: "duration",
             dataType: ["int"],
-            description: "Recording duration in seconds",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "Recording duration in seconds"
+        },
+        {
+            name: "parentId",
+            dataType: ["string"],
+            description: "UUID of the object holding the first chunk of the same recording (later chunks only)"
+        },
+        {
+            name: "chunkIndex",
+            dataType: ["int"],
+            description: "Position of this chunk within its recording (chunked recordings only)"
+        },
+        {
+            name: "chunkCount",
+            dataType: ["int"],
+            description: "Number of chunks the recording was split into (chunked recordings only)"
         },
         {
             name: "createdAt",
             dataType: ["date"],
-            description: "When the recording was created",
-            moduleConfig: {
-                "text2vec-openai": {
-                    skip: true,
-                    vectorizePropertyName: false
-                }
-            }
+            description: "When the recording was created"
         }
     ]
 };
 
+// Properties whose text makes up an object's vector
+export const VECTORIZED_PROPERTIES = {
+    CanvasContent: ['title', 'content'],
+    ChatHistory: ['message', 'response', 'context'],
+    RecordingSummary: ['title', 'summary', 'transcription']
+};
+
+// Text embedded for an object of a class
+export function vectorText(className, properties) {
+    return VECTORIZED_PROPERTIES[className]
+        .map(name => properties[name])
+        .filter(value => typeof value === 'string' && value.trim())
+        .join('\n\n');
+}
+
+/**
+ * Embed texts with the embedding LLM task
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Array<Array<number>>} One vector per text
+ */
+export async function embedTexts(texts) {
+    if (texts.length === 0) return [];
+    const { embeddings } = await LLMService.embed(texts);
+    return embeddings;
+}
+
+// Classes created before vectors came from the embedding task still expect Weaviate to vectorize
+function warnOnVectorizer(schema, existingClasses) {
+    const existing = existingClasses.find(c => c.class === schema.class);
+    if (existing?.vectorizer && existing.vectorizer !== schema.vectorizer) {
+        console.warn(`⚠️ ${schema.class} uses ${existing.vectorizer}; delete the schemas and resync so it stores the embedding task's vectors`);
+    }
+}
+
+// Add properties introduced after a class was created. Auto-schema would infer
+// them on first write, but with the vectorizer's defaults instead of ours.
+async function addMissingProperties(weaviateClient, schema, existingClasses) {
+    const existing = existingClasses.find(c => c.class === schema.class);
+    const existingNames = new Set((existing?.properties || []).map(property => property.name));
+
+    for (const property of schema.properties) {
+        if (!existingNames.has(property.name)) {
+            await weaviateClient.schema.propertyCreator()
+                .withClassName(schema.class)
+                .withProperty(property)
+                .do();
+            console.log(`✅ Added ${schema.class}.${property.name}`);
+        }
+    }
+}
+
 // Function to create all schemas in Weaviate
 export async function createWeaviateSchemas(weaviateClient) {
     try {
@@ -315,6 +266,8 @@ export async function createWeaviateSchemas(weaviateClient) {
             console.log('✅ CanvasContent schema created');
         } else {
             console.log('⚠️ CanvasContent schema already exists');
+            warnOnVectorizer(CanvasContentSchema, existingSchemas.classes);
+            await addMissingProperties(weaviateClient, CanvasContentSchema, existingSchemas.classes);
         }
 
         // Create ChatHistory schema  
@@ -323,6 +276,7 @@ export async function createWeaviateSchemas(weaviateClient) {
             console.log('✅ ChatHistory schema created');
         } else {
             console.log('⚠️ ChatHistory schema already exists');
+            warnOnVectorizer(ChatHistorySchema, existingSchemas.classes);
         }
 
         // Create RecordingSummary schema
@@ -331,6 +285,8 @@ export async function createWeaviateSchemas(weaviateClient) {
             console.log('✅ RecordingSummary schema created');
         } else {
             console.log('⚠️ RecordingSummary schema already exists');
+            warnOnVectorizer(RecordingSummarySchema, existingSchemas.classes);
+            await addMissingProperties(weaviateClient, RecordingSummarySchema, existingSchemas.classes);
         }
 
         console.log('🎉 All Weaviate schemas ready!');
@@ -360,36 +316,51 @@ export async function deleteWeaviateSchemas(weaviateClient) {
     }
 }
 
+/**
+ * Where filter for a user's CanvasContent, narrowed by course, type and date windows
+ * @param {string} userId - Supabase user ID
+ * @param {number} courseId - Canvas course ID (optional)
+ * @param {Object} filters - { types, dueAfter, dueBefore, createdAfter, createdBefore } (dates as ISO strings)
+ * @returns {Object} Weaviate where filter
+ */
+export function canvasContentWhere(userId, courseId = null, filters = {}) {
+    const operands = [{ path: ['userId'], operator: 'Equal', valueString: userId }];
+
+    if (courseId) {
+        operands.push({ path: ['courseId'], operator: 'Equal', valueInt: courseId });
+    }
+    if (filters.types?.length) {
+        operands.push({ path: ['type'], operator: 'ContainsAny', valueStringArray: filters.types });
+    }
+
+    const windows = [
+        ['dueDate', 'GreaterThanEqual', filters.dueAfter],
+        ['dueDate', 'LessThanEqual', filters.dueBefore],
+        ['createdAt', 'GreaterThanEqual', filters.createdAfter],
+        ['createdAt', 'LessThanEqual', filters.createdBefore]
+    ];
+    for (const [path, operator, value] of windows) {
+        if (value) operands.push({ path: [path], operator, valueDate: value });
+    }
+
+    return operands.length === 1 ? operands[0] : { operator: 'And', operands };
+}
+
 // Sample search functions
 export const searchQueries = {
-    // Search Canvas content by topic
-    searchCanvasContent: async (weaviateClient, query, userId, courseId = null, limit = 5) => {
-        let whereFilter = {
-            path: ['userId'],
-            operator: 'Equal',
-            valueString: userId
-        };
-
-        if (courseId) {
-            whereFilter = {
-                operator: 'And',
-                operands: [
-                    whereFilter,
-                    {
-                        path: ['courseId'],
-                        operator: 'Equal',
-                        valueInt: courseId
-                    }
-                ]
-            };
-        }
+    // Search Canvas content: hybrid BM25 + vector, so exact tokens like "PS5" or "CMSC422" still match.
+    // alpha weighs the two (0 = keyword only, without embedding the query; 1 = vector only); filters as in canvasContentWhere.
+    // Hybrid results carry a fused score only; distance is reported for nearVector queries alone
+    searchCanvasContent: async (weaviateClient, query, userId, courseId = null, limit = 5, options = {}) => {
+        const alpha = options.alpha ?? 0.5;
+        const [vector] = alpha > 0 ? await embedTexts([query]) : [];
 
         return await weaviateClient.graphql
             .get()
             .withClassName('CanvasContent')
-            .withFields('title content type courseId canvasId')
-            .withNearText({ concepts: [query] })
-            .withWhere(whereFilter)
+            .withFields('title content type courseId canvasId fileId pageNumber parentId chunkIndex dueDate createdAt _additional { id score }')
+            .withHybrid({ query, alpha, vector, properties: ['title^2', 'content'] })
+            .withWhere(canvasContentWhere(userId, courseId, options))
             .withLimit(limit)
             .do();
     },
@@ -416,11 +387,13 @@ export const searchQueries = {
             };
         }
 
+        const [vector] = await embedTexts([query]);
+
         return await weaviateClient.graphql
             .get()
             .withClassName('ChatHistory')
             .withFields('message response context conversationId')
-            .withNearText({ concepts: [query] })
+            .withNearVector({ vector })
             .withWhere(whereFilter)
             .withLimit(limit)
             .do();
@@ -448,11 +421,13 @@ export const searchQueries = {
             };
         }
 
+        const [vector] = await embedTexts([query]);
+
         return await weaviateClient.graphql
             .get()
             .withClassName('RecordingSummary')
-            .withFields('title summary transcription recordingId duration')
-            .withNearText({ concepts: [query] })
+            .withFields('title summary transcription recordingId duration parentId chunkIndex _additional { id distance }')
+            .withNearVector({ vector })
             .withWhere(whereFilter)
             .withLimit(limit)
             .do();